@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+import { MIN_PASSPHRASE_LENGTH } from './backup';
+
+// Cancel and action buttons of the backup forms, or a spinner while the backup is being worked on
+function BackupButtons({ actions, isWorking, onCancel, theme }) {
+  if (isWorking) {
+    return <ActivityIndicator size="large" color={theme.headerBackground} style={styles.spinner} />;
+  }
+  return (
+    <View style={styles.buttons}>
+      <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+        <Text style={styles.buttonText}>Cancel</Text>
+      </TouchableOpacity>
+      {actions.map(action => (
+        <TouchableOpacity
+          key={action.label}
+          style={[styles.button, { backgroundColor: action.color || theme.headerBackground }]}
+          onPress={action.onPress}
+        >
+          <Text style={styles.buttonText}>{action.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+// Make a backup of everything, encrypted when the user chooses a passphrase
+export function BackupExport({ isWorking, onExport, onCancel, theme, isDarkMode }) {
+  const [encrypt, setEncrypt] = useState(true);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+
+  const exportBackup = () => {
+    if (encrypt && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (encrypt && passphrase !== confirmation) {
+      setError('The passphrases do not match.');
+      return;
+    }
+    setError(null);
+    onExport(encrypt ? passphrase : null);
+  };
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>Back Up</Text>
+      <Text style={[styles.message, { color: mutedColor }]}>
+        Saves all events, the Trash, settings, members, feeds and photos in one file you can restore on any phone.
+      </Text>
+
+      <TouchableOpacity style={styles.checkRow} onPress={() => setEncrypt(!encrypt)}>
+        <MaterialIcons name={encrypt ? 'check-box' : 'check-box-outline-blank'} size={22} color={theme.headerBackground} />
+        <Text style={[styles.checkLabel, { color: theme.text }]}>Protect with a passphrase</Text>
+      </TouchableOpacity>
+
+      {encrypt && (
+        <View>
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+            placeholder="Passphrase"
+            placeholderTextColor={theme.placeholderText}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+            placeholder="Repeat passphrase"
+            placeholderTextColor={theme.placeholderText}
+            value={confirmation}
+            onChangeText={setConfirmation}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Text style={[styles.hint, { color: mutedColor }]}>
+            The backup cannot be restored without this passphrase, and it cannot be recovered.
+          </Text>
+        </View>
+      )}
+
+      {error && <Text style={styles.error}>{error}</Text>}
+
+      <BackupButtons
+        actions={[{ label: 'Export', onPress: exportBackup }]}
+        isWorking={isWorking}
+        onCancel={onCancel}
+        theme={theme}
+      />
+    </View>
+  );
+}
+
+// Restore a picked backup file, asking for its passphrase when it is encrypted. The backup is either
+// merged into what the phone has, or replaces it.
+export function BackupRestore({ archive, isWorking, onRestore, onCancel, theme, isDarkMode }) {
+  const [passphrase, setPassphrase] = useState('');
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>Restore Backup</Text>
+      <Text style={[styles.message, { color: mutedColor }]}>
+        Backup made {dayjs(archive.createdAt).format('MMM D, YYYY [at] h:mm A')}
+        {archive.encrypted ? ', protected with a passphrase' : ''}.
+      </Text>
+
+      {archive.encrypted && (
+        <TextInput
+          style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+          placeholder="Passphrase"
+          placeholderTextColor={theme.placeholderText}
+          value={passphrase}
+          onChangeText={setPassphrase}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+      )}
+
+      <Text style={[styles.hint, { color: mutedColor }]}>
+        Merge adds what this phone is missing. Replace swaps everything on this phone for the backup.
+      </Text>
+
+      <BackupButtons
+        actions={[
+          { label: 'Merge', onPress: () => onRestore(passphrase, 'merge') },
+          { label: 'Replace', onPress: () => onRestore(passphrase, 'replace'), color: '#D32F2F' },
+        ]}
+        isWorking={isWorking}
+        onCancel={onCancel}
+        theme={theme}
+      />
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 14,
+    marginBottom: 16,
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  checkLabel: {
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  input: {
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  error: {
+    fontSize: 14,
+    color: '#D32F2F',
+    marginBottom: 12,
+  },
+  spinner: {
+    marginVertical: 8,
+  },
+  buttons: {
+    flexDirection: 'row',
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  cancelButton: {
+    backgroundColor: '#999999',
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,358 @@
+import React, { useRef, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+import { getOccurrenceDays, isMultiDay } from './eventTime';
+import { WEEKDAY_NAMES } from './recurrence';
+
+// Height of one hour row in the week agenda
+const HOUR_HEIGHT = 48;
+
+// Hour the week agenda scrolls to when it first opens
+const FIRST_VISIBLE_HOUR = 8;
+
+// Group occurrences by every day they cover, keyed by YYYY-MM-DD
+const groupByDay = (occurrences) => {
+  const groups = {};
+  occurrences.forEach(occurrence => {
+    getOccurrenceDays(occurrence).forEach(day => {
+      const key = day.format('YYYY-MM-DD');
+      groups[key] = groups[key] || [];
+      groups[key].push(occurrence);
+    });
+  });
+  return groups;
+};
+
+// All-day and multi-day events get their own row in the week agenda instead of an hourly slot
+const isAllDayRowEvent = (occurrence) => occurrence.allDay || isMultiDay(occurrence);
+
+// Header with previous/next arrows shared by both views
+const PeriodHeader = ({ title, onPrevious, onNext, theme }) => (
+  <View style={styles.periodHeader}>
+    <TouchableOpacity onPress={onPrevious} style={styles.periodArrow}>
+      <MaterialIcons name="chevron-left" size={28} color={theme.headerBackground} />
+    </TouchableOpacity>
+    <Text style={[styles.periodTitle, { color: theme.text }]}>{title}</Text>
+    <TouchableOpacity onPress={onNext} style={styles.periodArrow}>
+      <MaterialIcons name="chevron-right" size={28} color={theme.headerBackground} />
+    </TouchableOpacity>
+  </View>
+);
+
+// Month grid with a marker on every day that has events
+export function MonthCalendar({ month, occurrences, selectedDay, onChangeMonth, onSelectDay, theme, isDarkMode }) {
+  const monthStart = dayjs(month).startOf('month');
+  const gridStart = monthStart.startOf('week');
+  const eventsByDay = groupByDay(occurrences);
+  const today = dayjs();
+
+  // Always show six weeks so the grid keeps the same height from month to month
+  const days = Array.from({ length: 42 }, (_, index) => gridStart.add(index, 'day'));
+
+  return (
+    <View style={[styles.calendarCard, { backgroundColor: theme.cardBackground }]}>
+      <PeriodHeader
+        title={monthStart.format('MMMM YYYY')}
+        onPrevious={() => onChangeMonth(monthStart.subtract(1, 'month').toDate())}
+        onNext={() => onChangeMonth(monthStart.add(1, 'month').toDate())}
+        theme={theme}
+      />
+      <View style={styles.weekdayRow}>
+        {WEEKDAY_NAMES.map(name => (
+          <Text key={name} style={[styles.weekdayLabel, { color: isDarkMode ? '#AAAAAA' : '#999' }]}>
+            {name.charAt(0)}
+          </Text>
+        ))}
+      </View>
+      <View style={styles.monthGrid}>
+        {days.map(day => {
+          const key = day.format('YYYY-MM-DD');
+          const dayEvents = eventsByDay[key] || [];
+          const isSelected = selectedDay && day.isSame(selectedDay, 'day');
+          const isToday = day.isSame(today, 'day');
+          const isOutsideMonth = day.month() !== monthStart.month();
+
+          return (
+            <TouchableOpacity
+              key={key}
+              style={styles.dayCell}
+              onPress={() => onSelectDay(isSelected ? null : day.toDate())}
+            >
+              <View
+                style={[
+                  styles.dayNumberContainer,
+                  isToday && { borderColor: theme.headerBackground, borderWidth: 1 },
+                  isSelected && { backgroundColor: theme.headerBackground },
+                ]}
+              >
+                <Text
+                  style={[
+                    styles.dayNumber,
+                    { color: theme.text },
+                    isOutsideMonth && styles.outsideMonthText,
+                    isSelected && styles.selectedDayText,
+                  ]}
+                >
+                  {day.date()}
+                </Text>
+              </View>
+              <View style={styles.dayMarkers}>
+                {dayEvents.slice(0, 3).map(occurrence => (
+                  <View
+                    key={occurrence.key}
+                    style={[styles.dayMarker, { backgroundColor: theme.headerBackground }]}
+                  />
+                ))}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+// Week agenda with hourly slots; empty slots can be tapped to add an event there
+export function WeekAgenda({ week, occurrences, onChangeWeek, onSelectDay, onSelectSlot, onSelectEvent, theme, isDarkMode }) {
+  const scrollViewRef = useRef();
+  const weekStart = dayjs(week).startOf('week');
+  const days = Array.from({ length: 7 }, (_, index) => weekStart.add(index, 'day'));
+  const hours = Array.from({ length: 24 }, (_, index) => index);
+  const today = dayjs();
+
+  // Start the agenda at the beginning of a normal day rather than at midnight
+  useEffect(() => {
+    if (scrollViewRef.current) {
+      scrollViewRef.current.scrollTo({ y: FIRST_VISIBLE_HOUR * HOUR_HEIGHT, animated: false });
+    }
+  }, []);
+
+  const allDayEventsByDay = groupByDay(occurrences.filter(isAllDayRowEvent));
+  const hasAllDayEvents = days.some(day => allDayEventsByDay[day.format('YYYY-MM-DD')]);
+
+  // Occurrences grouped by day and hour, keyed by YYYY-MM-DD-H
+  const eventsBySlot = {};
+  occurrences.filter(occurrence => !isAllDayRowEvent(occurrence)).forEach(occurrence => {
+    const key = dayjs(occurrence.date).format('YYYY-MM-DD-H');
+    eventsBySlot[key] = eventsBySlot[key] || [];
+    eventsBySlot[key].push(occurrence);
+  });
+
+  return (
+    <View style={[styles.calendarCard, styles.weekCard, { backgroundColor: theme.cardBackground }]}>
+      <PeriodHeader
+        title={`${weekStart.format('MMM D')} - ${weekStart.add(6, 'day').format('MMM D, YYYY')}`}
+        onPrevious={() => onChangeWeek(weekStart.subtract(1, 'week').toDate())}
+        onNext={() => onChangeWeek(weekStart.add(1, 'week').toDate())}
+        theme={theme}
+      />
+      <View style={styles.weekHeaderRow}>
+        <View style={styles.hourLabelColumn} />
+        {days.map(day => (
+          <TouchableOpacity
+            key={day.format('YYYY-MM-DD')}
+            style={styles.weekDayHeader}
+            onPress={() => onSelectDay(day.toDate())}
+          >
+            <Text style={[styles.weekdayLabel, { color: isDarkMode ? '#AAAAAA' : '#999' }]}>
+              {WEEKDAY_NAMES[day.day()].charAt(0)}
+            </Text>
+            <Text
+              style={[
+                styles.dayNumber,
+                { color: day.isSame(today, 'day') ? theme.headerBackground : theme.text },
+              ]}
+            >
+              {day.date()}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {hasAllDayEvents && (
+        <View style={[styles.allDayRow, { borderTopColor: theme.borderColor }]}>
+          <Text style={[styles.hourLabel, { color: isDarkMode ? '#AAAAAA' : '#999' }]}>All day</Text>
+          {days.map(day => (
+            <View key={day.format('YYYY-MM-DD')} style={[styles.allDayCell, { borderLeftColor: theme.borderColor }]}>
+              {(allDayEventsByDay[day.format('YYYY-MM-DD')] || []).map(occurrence => (
+                <TouchableOpacity
+                  key={occurrence.key}
+                  style={[styles.slotEvent, styles.allDayEvent, { backgroundColor: theme.headerBackground }]}
+                  onPress={() => onSelectEvent(occurrence)}
+                >
+                  <Text style={styles.slotEventText} numberOfLines={1}>{occurrence.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+        </View>
+      )}
+      <ScrollView ref={scrollViewRef}>
+        {hours.map(hour => (
+          <View key={hour} style={[styles.hourRow, { borderTopColor: theme.borderColor }]}>
+            <Text style={[styles.hourLabel, { color: isDarkMode ? '#AAAAAA' : '#999' }]}>
+              {dayjs().hour(hour).format('h A')}
+            </Text>
+            {days.map(day => {
+              const slot = day.hour(hour).minute(0).second(0).millisecond(0);
+              const slotEvents = eventsBySlot[slot.format('YYYY-MM-DD-H')] || [];
+
+              return (
+                <TouchableOpacity
+                  key={slot.format('YYYY-MM-DD-H')}
+                  style={[styles.slotCell, { borderLeftColor: theme.borderColor }]}
+                  onPress={() => slotEvents.length === 0 && onSelectSlot(slot.toDate())}
+                  activeOpacity={slotEvents.length === 0 ? 0.5 : 1}
+                >
+                  {slotEvents.map(occurrence => (
+                    <TouchableOpacity
+                      key={occurrence.key}
+                      style={[styles.slotEvent, { backgroundColor: theme.headerBackground }]}
+                      onPress={() => onSelectEvent(occurrence)}
+                    >
+                      <Text style={styles.slotEventText} numberOfLines={2}>{occurrence.name}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  calendarCard: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  weekCard: {
+    flex: 1,
+    marginHorizontal: 16,
+    marginTop: 30,
+  },
+  periodHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  periodArrow: {
+    padding: 4,
+  },
+  periodTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+  },
+  weekdayLabel: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  monthGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  dayNumberContainer: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dayNumber: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  outsideMonthText: {
+    opacity: 0.35,
+  },
+  selectedDayText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+  dayMarkers: {
+    flexDirection: 'row',
+    height: 6,
+    marginTop: 2,
+  },
+  dayMarker: {
+    width: 5,
+    height: 5,
+    borderRadius: 2.5,
+    marginHorizontal: 1,
+  },
+  weekHeaderRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  weekDayHeader: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  hourLabelColumn: {
+    width: 40,
+  },
+  hourRow: {
+    flexDirection: 'row',
+    height: HOUR_HEIGHT,
+    borderTopWidth: 1,
+  },
+  hourLabel: {
+    width: 40,
+    fontSize: 10,
+    paddingTop: 2,
+  },
+  allDayRow: {
+    flexDirection: 'row',
+    borderTopWidth: 1,
+    paddingVertical: 2,
+  },
+  allDayCell: {
+    flex: 1,
+    borderLeftWidth: 1,
+    padding: 1,
+  },
+  allDayEvent: {
+    flex: 0,
+  },
+  slotCell: {
+    flex: 1,
+    borderLeftWidth: 1,
+    padding: 1,
+  },
+  slotEvent: {
+    flex: 1,
+    borderRadius: 4,
+    padding: 2,
+    marginBottom: 1,
+  },
+  slotEventText: {
+    color: '#FFF',
+    fontSize: 9,
+  },
+});
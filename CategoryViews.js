@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { CATEGORY_COLORS, CATEGORY_ICONS } from './categories';
+
+// Colored pill with the category icon and name, shown on event cards
+export function CategoryBadge({ category }) {
+  return (
+    <View style={[styles.badge, { backgroundColor: `${category.color}26` }]}>
+      <MaterialIcons name={category.icon} size={12} color={category.color} />
+      <Text style={[styles.badgeText, { color: category.color }]} numberOfLines={1}>{category.name}</Text>
+    </View>
+  );
+}
+
+// Form for creating or editing a category. Pass a `key` so the form resets when a different category is opened.
+export function CategoryEditor({ category, onSave, onCancel, theme, isDarkMode }) {
+  const [name, setName] = useState(category ? category.name : '');
+  const [color, setColor] = useState(category ? category.color : null);
+  const [icon, setIcon] = useState(category ? category.icon : 'label');
+  const previewColor = color || theme.headerBackground;
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>{category ? 'Edit Category' : 'New Category'}</Text>
+
+      <View style={styles.nameRow}>
+        <View style={[styles.iconPreview, { backgroundColor: previewColor }]}>
+          <MaterialIcons name={icon} size={22} color="#FFF" />
+        </View>
+        <TextInput
+          style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+          placeholder="Category name"
+          placeholderTextColor={theme.placeholderText}
+          value={name}
+          onChangeText={setName}
+          maxLength={30}
+        />
+      </View>
+
+      <Text style={[styles.label, { color: theme.text }]}>Color</Text>
+      <View style={styles.swatches}>
+        {CATEGORY_COLORS.map(swatch => (
+          <TouchableOpacity
+            key={swatch}
+            style={[styles.swatch, { backgroundColor: swatch }, color === swatch && styles.swatchActive]}
+            onPress={() => setColor(swatch)}
+          >
+            {color === swatch && <MaterialIcons name="check" size={18} color="#FFF" />}
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={[styles.label, { color: theme.text }]}>Icon</Text>
+      <ScrollView style={styles.iconGrid} contentContainerStyle={styles.swatches}>
+        {CATEGORY_ICONS.map(iconName => (
+          <TouchableOpacity
+            key={iconName}
+            style={[
+              styles.iconOption,
+              { backgroundColor: icon === iconName ? previewColor : (isDarkMode ? '#333333' : '#F8F8F8') },
+            ]}
+            onPress={() => setIcon(iconName)}
+          >
+            <MaterialIcons name={iconName} size={22} color={icon === iconName ? '#FFF' : (isDarkMode ? '#AAAAAA' : '#666')} />
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.confirmButton, { backgroundColor: theme.headerBackground }]}
+          onPress={() => onSave({ name, color, icon })}
+        >
+          <Text style={styles.buttonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+// Asks where the events of a category should go before the category is deleted
+export function CategoryReassignForm({ category, categories, eventCount, onConfirm, onCancel, theme, isDarkMode }) {
+  const otherCategories = categories.filter(item => item.id !== category.id);
+  const [targetId, setTargetId] = useState(otherCategories[0].id);
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>Delete "{category.name}"</Text>
+      <Text style={[styles.message, { color: isDarkMode ? '#AAAAAA' : '#666' }]}>
+        {eventCount} event{eventCount === 1 ? ' uses' : 's use'} this category. Move {eventCount === 1 ? 'it' : 'them'} to:
+      </Text>
+
+      <View style={styles.swatches}>
+        {otherCategories.map(item => (
+          <TouchableOpacity
+            key={item.id}
+            style={[
+              styles.option,
+              { backgroundColor: targetId === item.id ? item.color : (isDarkMode ? '#333333' : '#F8F8F8') },
+            ]}
+            onPress={() => setTargetId(item.id)}
+          >
+            <MaterialIcons name={item.icon} size={16} color={targetId === item.id ? '#FFF' : item.color} />
+            <Text style={[styles.optionText, { color: targetId === item.id ? '#FFF' : (isDarkMode ? '#AAAAAA' : '#666') }]}>
+              {item.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.confirmButton, styles.deleteButton]} onPress={() => onConfirm(targetId)}>
+          <Text style={styles.buttonText}>Move & Delete</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  iconPreview: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  swatches: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  swatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+    marginBottom: 10,
+  },
+  swatchActive: {
+    borderWidth: 2,
+    borderColor: '#FFF',
+  },
+  iconGrid: {
+    maxHeight: 150,
+    marginBottom: 8,
+  },
+  iconOption: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionText: {
+    fontSize: 14,
+    marginLeft: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#999999',
+    marginRight: 8,
+  },
+  confirmButton: {
+    marginLeft: 8,
+  },
+  deleteButton: {
+    backgroundColor: '#D32F2F',
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
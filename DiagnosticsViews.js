@@ -0,0 +1,159 @@
+import React from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+import { getTriggerDate } from './notificationSync';
+
+// Summary of the last reconciliation, e.g. "Checked 2 minutes ago: 3 scheduled again, 1 cancelled"
+const describeReport = (report) => {
+  if (!report) {
+    return 'Not checked yet';
+  }
+  const checked = `Checked ${dayjs(report.checkedAt).fromNow()}`;
+  if (report.error) {
+    return `${checked}, but the check failed: ${report.error}`;
+  }
+
+  const parts = [
+    report.scheduled > 0 ? `${report.scheduled} scheduled again` : null,
+    report.cancelled > 0 ? `${report.cancelled} cancelled` : null,
+    report.forgotten > 0 ? `${report.forgotten} already gone` : null,
+    report.dropped > 0 ? `${report.dropped} left for later to stay within the limit` : null,
+  ].filter(Boolean);
+  return parts.length > 0 ? `${checked}: ${parts.join(', ')}` : `${checked}: everything matched`;
+};
+
+// What the OS has scheduled for the app, soonest first, with the event each notification belongs to.
+// Notifications no event refers to are flagged; Repair Now cancels them and fills in missing reminders.
+export function NotificationDiagnostics({ requests, events, report, limit, isChecking, onRepair, onClose, theme, isDarkMode }) {
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+
+  const rows = requests
+    .map(request => {
+      const event = events.find(item => (item.notificationIds || []).some(notification => notification.id === request.identifier));
+      const entry = event && event.notificationIds.find(notification => notification.id === request.identifier);
+      return { request, event, isSnooze: !!entry && entry.type === 'snooze', date: getTriggerDate(request) };
+    })
+    .sort((a, b) => (a.date ? a.date.getTime() : Infinity) - (b.date ? b.date.getTime() : Infinity));
+  const orphanCount = rows.filter(row => !row.event).length;
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>Scheduled Notifications</Text>
+
+      <Text style={[styles.summary, { color: requests.length > limit ? '#D32F2F' : theme.text }]}>
+        {requests.length} of at most {limit} scheduled
+        {orphanCount > 0 ? ` · ${orphanCount} without an event` : ''}
+      </Text>
+      <Text style={[styles.report, { color: mutedColor }]}>{describeReport(report)}</Text>
+
+      <ScrollView style={styles.list}>
+        {rows.length === 0 && (
+          <Text style={[styles.empty, { color: mutedColor }]}>Nothing is scheduled</Text>
+        )}
+        {rows.map(({ request, event, isSnooze, date }) => (
+          <View key={request.identifier} style={[styles.row, { borderBottomColor: theme.borderColor }]}>
+            <MaterialIcons
+              name={!event ? 'error-outline' : (isSnooze ? 'snooze' : 'notifications-none')}
+              size={20}
+              color={!event ? '#D32F2F' : theme.headerBackground}
+            />
+            <View style={styles.rowInfo}>
+              <Text style={[styles.rowTitle, { color: theme.text }]} numberOfLines={1}>
+                {event ? event.name : request.content.title || 'Unknown notification'}
+              </Text>
+              <Text style={[styles.rowDetails, { color: mutedColor }]} numberOfLines={1}>
+                {date ? dayjs(date).format('ddd, MMM D, h:mm A') : 'No fixed time'}
+                {!event ? ' · no event' : (isSnooze ? ' · snoozed' : '')}
+              </Text>
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.closeButton]} onPress={onClose}>
+          <Text style={styles.buttonText}>Close</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: theme.headerBackground }]}
+          onPress={onRepair}
+          disabled={isChecking}
+        >
+          {isChecking ? <ActivityIndicator size="small" color="#FFF" /> : <Text style={styles.buttonText}>Repair Now</Text>}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  summary: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  report: {
+    fontSize: 13,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  list: {
+    maxHeight: 320,
+    marginBottom: 12,
+  },
+  empty: {
+    fontSize: 15,
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  rowInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  rowDetails: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  buttons: {
+    flexDirection: 'row',
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  closeButton: {
+    backgroundColor: '#999999',
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,651 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+import { CategoryBadge } from './CategoryViews';
+import { MemberAvatar } from './FamilyViews';
+import { formatMemberNames } from './family';
+import {
+  CURRENCIES,
+  amountToText,
+  createExpense,
+  formatAmount,
+  formatTotals,
+  getBudgetStatus,
+  getMonthlyTotals,
+  parseAmount,
+  sumByCurrency,
+} from './expenses';
+import { SPLIT_TYPES, suggestSettlements, validateSplit } from './splits';
+
+const BUDGET_COLORS = {
+  ok: '#388E3C',
+  near: '#F57C00',
+  over: '#D32F2F',
+};
+
+// Small selectable pill used for currencies and payers
+function Chip({ label, isActive, onPress, theme, isDarkMode }) {
+  return (
+    <TouchableOpacity
+      style={[styles.chip, { backgroundColor: isActive ? theme.headerBackground : (isDarkMode ? '#333333' : '#F8F8F8') }]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, { color: isActive ? '#FFF' : (isDarkMode ? '#AAAAAA' : '#666') }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+// Turn the split typed into the form into a stored split. Values are kept as typed, so unusable
+// ones come out as null and are caught by validateSplit.
+const buildSplit = (splitType, participants, currency) => ({
+  type: splitType,
+  participants: Object.keys(participants).reduce((values, id) => {
+    const text = participants[id].trim();
+    let value = 1;
+    if (splitType === 'shares') {
+      value = /^\d+$/.test(text) ? Number(text) : null;
+    } else if (splitType === 'exact') {
+      value = /^0+([.,]0*)?$/.test(text) ? 0 : parseAmount(text, currency);
+    }
+    return { ...values, [id]: value };
+  }, {}),
+});
+
+// One line describing how an expense is shared, e.g. "Split equally: Ann & Bob"
+const describeSplit = (split, members) => {
+  const label = SPLIT_TYPES.find(type => type.key === split.type).label.toLowerCase();
+  const sharing = members.filter(member => split.participants[member.id] !== undefined);
+  return `Split ${label}: ${formatMemberNames(sharing)}`;
+};
+
+// Expenses section of the event form: the entries so far and a row for adding one, which can be split
+// between household members once a payer is picked. `onChange` receives the whole new list; new entries
+// are dated `defaultDate`.
+export function EventExpenses({ expenses, members, defaultCurrency, defaultDate, onChange, theme, isDarkMode }) {
+  const [amountText, setAmountText] = useState('');
+  const [currency, setCurrency] = useState(defaultCurrency);
+  const [payer, setPayer] = useState(null);
+  const [note, setNote] = useState('');
+  const [splitType, setSplitType] = useState(null); // null keeps the expense unshared
+  const [participants, setParticipants] = useState({}); // Member id -> shares or amount as typed
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+  const amount = parseAmount(amountText, currency);
+  const split = splitType ? buildSplit(splitType, participants, currency) : null;
+  let splitError = null;
+  if (split && amount !== null) {
+    splitError = payer ? validateSplit(split, amount) : 'Pick who paid.';
+  }
+
+  const addExpense = () => {
+    if (amount === null || splitError) {
+      return;
+    }
+    onChange([...expenses, { ...createExpense({ amount, currency, payer, note, date: defaultDate }), split }]);
+    setAmountText('');
+    setNote('');
+  };
+
+  // Start sharing the expense, with everyone in it until people are taken out
+  const changeSplitType = (type) => {
+    setSplitType(type);
+    if (type && Object.keys(participants).length === 0) {
+      setParticipants(members.reduce((values, member) => ({ ...values, [member.id]: type === 'shares' ? '1' : '' }), {}));
+    }
+  };
+
+  const toggleParticipant = (memberId) => {
+    const updated = { ...participants };
+    if (updated[memberId] !== undefined) {
+      delete updated[memberId];
+    } else {
+      updated[memberId] = splitType === 'shares' ? '1' : '';
+    }
+    setParticipants(updated);
+  };
+
+  return (
+    <View>
+      {expenses.map(expense => {
+        const payerMember = members.find(member => member.id === expense.payer);
+        return (
+          <View key={expense.id} style={[styles.expenseRow, { borderBottomColor: theme.borderColor }]}>
+            <Text style={[styles.expenseAmount, { color: theme.text }]}>{formatAmount(expense.amount, expense.currency)}</Text>
+            <Text style={[styles.expenseDetails, { color: mutedColor }]} numberOfLines={2}>
+              {[
+                payerMember ? `Paid by ${payerMember.name}` : null,
+                expense.split ? describeSplit(expense.split, members) : null,
+                expense.note || null,
+              ].filter(Boolean).join(' · ')}
+            </Text>
+            <TouchableOpacity onPress={() => onChange(expenses.filter(item => item.id !== expense.id))}>
+              <MaterialIcons name="close" size={18} color={mutedColor} />
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+      {expenses.length > 1 && (
+        <Text style={[styles.expenseTotal, { color: theme.text }]}>Total {formatTotals(sumByCurrency(expenses))}</Text>
+      )}
+
+      <View style={styles.addRow}>
+        <TextInput
+          style={[styles.amountInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+          placeholder="Amount"
+          placeholderTextColor={theme.placeholderText}
+          value={amountText}
+          onChangeText={setAmountText}
+          keyboardType="decimal-pad"
+        />
+        <TextInput
+          style={[styles.noteInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+          placeholder="Note"
+          placeholderTextColor={theme.placeholderText}
+          value={note}
+          onChangeText={setNote}
+          maxLength={60}
+        />
+        <TouchableOpacity onPress={addExpense} disabled={amount === null || !!splitError}>
+          <MaterialIcons name="add-circle" size={32} color={amount === null || splitError ? '#CCCCCC' : theme.headerBackground} />
+        </TouchableOpacity>
+      </View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+        {CURRENCIES.map(option => (
+          <Chip
+            key={option.code}
+            label={option.code}
+            isActive={currency === option.code}
+            onPress={() => setCurrency(option.code)}
+            theme={theme}
+            isDarkMode={isDarkMode}
+          />
+        ))}
+      </ScrollView>
+      {members.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          <Text style={[styles.chipLabel, { color: mutedColor }]}>Paid by</Text>
+          {members.map(member => (
+            <Chip
+              key={member.id}
+              label={member.name}
+              isActive={payer === member.id}
+              onPress={() => setPayer(payer === member.id ? null : member.id)}
+              theme={theme}
+              isDarkMode={isDarkMode}
+            />
+          ))}
+        </ScrollView>
+      )}
+      {members.length > 1 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          <Text style={[styles.chipLabel, { color: mutedColor }]}>Split</Text>
+          <Chip label="No" isActive={!splitType} onPress={() => changeSplitType(null)} theme={theme} isDarkMode={isDarkMode} />
+          {SPLIT_TYPES.map(type => (
+            <Chip
+              key={type.key}
+              label={type.label}
+              isActive={splitType === type.key}
+              onPress={() => changeSplitType(type.key)}
+              theme={theme}
+              isDarkMode={isDarkMode}
+            />
+          ))}
+        </ScrollView>
+      )}
+      {splitType && members.map(member => {
+        const isSharing = participants[member.id] !== undefined;
+        return (
+          <View key={member.id} style={styles.participantRow}>
+            <TouchableOpacity style={styles.participantName} onPress={() => toggleParticipant(member.id)}>
+              <MaterialIcons
+                name={isSharing ? 'check-box' : 'check-box-outline-blank'}
+                size={20}
+                color={theme.headerBackground}
+              />
+              <Text style={[styles.participantText, { color: theme.text }]} numberOfLines={1}>{member.name}</Text>
+            </TouchableOpacity>
+            {isSharing && splitType !== 'equal' && (
+              <TextInput
+                style={[styles.participantInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+                placeholder={splitType === 'shares' ? 'Shares' : currency}
+                placeholderTextColor={theme.placeholderText}
+                value={participants[member.id]}
+                onChangeText={text => setParticipants({ ...participants, [member.id]: text })}
+                keyboardType={splitType === 'shares' ? 'number-pad' : 'decimal-pad'}
+              />
+            )}
+          </View>
+        );
+      })}
+      {splitError && <Text style={[styles.splitError, { color: BUDGET_COLORS.over }]}>{splitError}</Text>}
+    </View>
+  );
+}
+
+// Who owes whom, per currency, with the transfers that would square everyone up.
+// `onSettle` is called with a transfer and its currency once it has been paid.
+function Balances({ balances, members, onSettle, theme, isDarkMode }) {
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+  const findMember = (id) => members.find(member => member.id === id) || { id, name: 'Removed member', color: '#999999', avatar: null };
+  const currencies = Object.keys(balances).sort();
+
+  return (
+    <View style={[styles.totalCard, { backgroundColor: theme.cardBackground }]}>
+      <Text style={[styles.balancesTitle, { color: theme.text }]}>Balances</Text>
+      {currencies.length === 0 ? (
+        <Text style={[styles.expenseDetails, { color: mutedColor }]}>Everyone is square.</Text>
+      ) : currencies.map(code => (
+        <View key={code}>
+          {Object.keys(balances[code]).map(memberId => {
+            const member = findMember(memberId);
+            const amount = balances[code][memberId];
+            return (
+              <View key={memberId} style={styles.balanceRow}>
+                <MemberAvatar member={member} size={24} />
+                <Text style={[styles.participantText, { color: theme.text }]} numberOfLines={1}>{member.name}</Text>
+                <Text style={[styles.balanceAmount, { color: amount > 0 ? BUDGET_COLORS.ok : BUDGET_COLORS.over }]}>
+                  {amount > 0 ? 'is owed ' : 'owes '}{formatAmount(Math.abs(amount), code)}
+                </Text>
+              </View>
+            );
+          })}
+          {suggestSettlements(balances[code]).map(transfer => (
+            <View key={`${transfer.from}-${transfer.to}`} style={[styles.transferRow, { borderTopColor: theme.borderColor }]}>
+              <Text style={[styles.expenseDetails, { color: theme.text }]}>
+                {findMember(transfer.from).name} pays {findMember(transfer.to).name} {formatAmount(transfer.amount, code)}
+              </Text>
+              <TouchableOpacity onPress={() => onSettle(transfer, code)}>
+                <Text style={[styles.settleText, { color: theme.headerBackground }]}>Settle</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// Budget bar and amounts for one category of the month
+function CategoryTotal({ item, currency, isEditing, onEdit, onSave, theme, isDarkMode }) {
+  const [budgetText, setBudgetText] = useState(item.budget ? amountToText(item.budget, currency) : '');
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+  const status = getBudgetStatus(item.spent, item.budget);
+  const otherTotals = formatTotals(Object.fromEntries(Object.entries(item.totals).filter(([code]) => code !== currency)));
+
+  const budget = parseAmount(budgetText, currency);
+
+  // An empty field removes the budget
+  const saveBudget = () => {
+    if (!budgetText.trim() || budget !== null) {
+      onSave(budget);
+    }
+  };
+
+  return (
+    <TouchableOpacity style={[styles.totalCard, { backgroundColor: theme.cardBackground }]} onPress={onEdit}>
+      <View style={styles.totalHeader}>
+        <CategoryBadge category={item.category} />
+        <Text style={[styles.totalAmount, { color: status ? BUDGET_COLORS[status] : theme.text }]}>
+          {formatAmount(item.spent, currency)}
+          {item.budget ? <Text style={[styles.budgetText, { color: mutedColor }]}> / {formatAmount(item.budget, currency)}</Text> : null}
+        </Text>
+      </View>
+      {otherTotals ? <Text style={[styles.otherTotals, { color: mutedColor }]}>+ {otherTotals}</Text> : null}
+      {item.budget && (
+        <View style={[styles.budgetTrack, { backgroundColor: isDarkMode ? '#333333' : '#EEEEEE' }]}>
+          <View style={[styles.budgetFill, { width: `${Math.min(100, (item.spent / item.budget) * 100)}%`, backgroundColor: BUDGET_COLORS[status] }]} />
+        </View>
+      )}
+      {status === 'over' && (
+        <View style={styles.warningRow}>
+          <MaterialIcons name="warning" size={14} color={BUDGET_COLORS.over} />
+          <Text style={[styles.warningText, { color: BUDGET_COLORS.over }]}>
+            {formatAmount(item.spent - item.budget, currency)} over budget
+          </Text>
+        </View>
+      )}
+      {isEditing && (
+        <View style={styles.addRow}>
+          <TextInput
+            style={[styles.amountInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+            placeholder={`Monthly budget in ${currency}`}
+            placeholderTextColor={theme.placeholderText}
+            value={budgetText}
+            onChangeText={setBudgetText}
+            keyboardType="decimal-pad"
+            autoFocus
+            onSubmitEditing={saveBudget}
+          />
+          <TouchableOpacity onPress={saveBudget} disabled={!!budgetText.trim() && budget === null}>
+            <MaterialIcons name="check-circle" size={32} color={theme.headerBackground} />
+          </TouchableOpacity>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+// The Expense tab: a month's spending by category against its budgets. Tapping a category edits its
+// budget, which is kept in `currency`; spending in other currencies is listed but not counted against it.
+export function ExpenseOverview({
+  events,
+  categories,
+  members,
+  balances,
+  budgets,
+  currency,
+  onSetBudget,
+  onSettle,
+  onExport,
+  theme,
+  isDarkMode,
+}) {
+  const [month, setMonth] = useState(dayjs().startOf('month'));
+  const [editingCategoryId, setEditingCategoryId] = useState(null);
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+  const monthlyTotals = getMonthlyTotals(events, categories, month, budgets, currency);
+  const monthTotal = monthlyTotals.reduce((sum, item) => sum + item.spent, 0);
+  const overBudget = monthlyTotals.filter(item => getBudgetStatus(item.spent, item.budget) === 'over');
+  const budgetCategories = categories.filter(category => !monthlyTotals.some(item => item.category.id === category.id));
+
+  // A category picked from "Set a budget" gets an empty row to type the budget into
+  const newBudgetCategory = budgetCategories.find(category => category.id === editingCategoryId);
+  const totals = newBudgetCategory
+    ? [...monthlyTotals, { category: newBudgetCategory, totals: {}, spent: 0, budget: null }]
+    : monthlyTotals;
+
+  const changeMonth = (amount) => {
+    setMonth(month.add(amount, 'month'));
+    setEditingCategoryId(null);
+  };
+
+  const saveBudget = (categoryId, budget) => {
+    onSetBudget(categoryId, budget);
+    setEditingCategoryId(null);
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.overview}>
+      <View style={styles.monthHeader}>
+        <TouchableOpacity onPress={() => changeMonth(-1)}>
+          <MaterialIcons name="chevron-left" size={28} color={theme.headerBackground} />
+        </TouchableOpacity>
+        <Text style={[styles.monthTitle, { color: theme.text }]}>{month.format('MMMM YYYY')}</Text>
+        <TouchableOpacity onPress={() => changeMonth(1)}>
+          <MaterialIcons name="chevron-right" size={28} color={theme.headerBackground} />
+        </TouchableOpacity>
+      </View>
+      <Text style={[styles.monthTotal, { color: theme.text }]}>{formatAmount(monthTotal, currency)}</Text>
+
+      {overBudget.length > 0 && (
+        <View style={[styles.warningBanner, { backgroundColor: `${BUDGET_COLORS.over}1A` }]}>
+          <MaterialIcons name="warning" size={18} color={BUDGET_COLORS.over} />
+          <Text style={[styles.warningBannerText, { color: BUDGET_COLORS.over }]}>
+            Over budget: {overBudget.map(item => item.category.name).join(', ')}
+          </Text>
+        </View>
+      )}
+
+      {members.length > 1 && (
+        <Balances balances={balances} members={members} onSettle={onSettle} theme={theme} isDarkMode={isDarkMode} />
+      )}
+
+      {totals.length === 0 ? (
+        <Text style={[styles.emptyText, { color: mutedColor }]}>
+          No spending this month. Add expenses to an event from its edit screen.
+        </Text>
+      ) : totals.map(item => (
+        <CategoryTotal
+          key={item.category.id}
+          item={item}
+          currency={currency}
+          isEditing={editingCategoryId === item.category.id}
+          onEdit={() => setEditingCategoryId(item.category.id)}
+          onSave={budget => saveBudget(item.category.id, budget)}
+          theme={theme}
+          isDarkMode={isDarkMode}
+        />
+      ))}
+
+      {/* Categories without spending or a budget yet can be given one here */}
+      {budgetCategories.length > 0 && !newBudgetCategory && (
+        <>
+          <Text style={[styles.sectionLabel, { color: mutedColor }]}>Set a budget</Text>
+          <View style={styles.budgetChips}>
+            {budgetCategories.map(category => (
+              <TouchableOpacity key={category.id} onPress={() => setEditingCategoryId(category.id)}>
+                <CategoryBadge category={category} />
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      <TouchableOpacity style={[styles.exportButton, { borderColor: theme.headerBackground }]} onPress={onExport}>
+        <MaterialIcons name="file-download" size={20} color={theme.headerBackground} />
+        <Text style={[styles.exportText, { color: theme.headerBackground }]}>Export All Expenses (CSV)</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 16,
+    marginRight: 6,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  chipLabel: {
+    fontSize: 13,
+    alignSelf: 'center',
+    marginRight: 8,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 8,
+  },
+  expenseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  expenseAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginRight: 8,
+  },
+  expenseDetails: {
+    flex: 1,
+    fontSize: 13,
+  },
+  expenseTotal: {
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'right',
+    marginTop: 6,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  amountInput: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginRight: 8,
+  },
+  noteInput: {
+    flex: 2,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginRight: 8,
+  },
+  participantRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  participantName: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  participantText: {
+    flex: 1,
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  participantInput: {
+    width: 90,
+    borderRadius: 8,
+    padding: 8,
+    fontSize: 14,
+  },
+  splitError: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  balancesTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  balanceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  balanceAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  transferRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    paddingTop: 8,
+    marginTop: 4,
+    marginBottom: 6,
+  },
+  settleText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  overview: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  monthHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  monthTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  monthTotal: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  warningBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  warningBannerText: {
+    flex: 1,
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  totalCard: {
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+  },
+  totalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  totalAmount: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  budgetText: {
+    fontSize: 13,
+    fontWeight: 'normal',
+  },
+  otherTotals: {
+    fontSize: 12,
+    textAlign: 'right',
+    marginTop: 2,
+  },
+  budgetTrack: {
+    height: 6,
+    borderRadius: 3,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  budgetFill: {
+    height: 6,
+  },
+  warningRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  warningText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginVertical: 24,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  budgetChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 20,
+  },
+  exportText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
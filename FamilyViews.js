@@ -0,0 +1,383 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  SectionList,
+  ScrollView,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+import { formatEventTime } from './eventTime';
+import { MEMBER_COLORS, getEventMembers, getInitials, groupAgendaByDay } from './family';
+
+// Round photo of a member, or their initials on their color
+export function MemberAvatar({ member, size = 28 }) {
+  const shape = { width: size, height: size, borderRadius: size / 2 };
+
+  if (member.avatar) {
+    return <Image source={{ uri: member.avatar }} style={[shape, { borderWidth: 2, borderColor: member.color }]} />;
+  }
+  return (
+    <View style={[shape, styles.initials, { backgroundColor: member.color }]}>
+      <Text style={[styles.initialsText, { fontSize: size * 0.4 }]}>{getInitials(member.name)}</Text>
+    </View>
+  );
+}
+
+// Form for adding or editing a household member. Pass a `key` so the form resets when a different member is opened.
+// `onPickAvatar` resolves to a photo URI, or null when the user cancels.
+export function MemberEditor({ member, isMe, onSave, onDelete, onCancel, onPickAvatar, theme }) {
+  const [name, setName] = useState(member ? member.name : '');
+  const [color, setColor] = useState(member ? member.color : MEMBER_COLORS[0]);
+  const [avatar, setAvatar] = useState(member ? member.avatar : null);
+  const [me, setMe] = useState(!!isMe);
+
+  const pickAvatar = async () => {
+    const uri = await onPickAvatar();
+    if (uri) {
+      setAvatar(uri);
+    }
+  };
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>{member ? 'Edit Member' : 'New Member'}</Text>
+
+      <View style={styles.nameRow}>
+        <TouchableOpacity onPress={pickAvatar} onLongPress={() => setAvatar(null)} style={styles.avatarButton}>
+          <MemberAvatar member={{ name: name || '?', color, avatar }} size={48} />
+          <View style={[styles.avatarBadge, { backgroundColor: theme.headerBackground }]}>
+            <MaterialIcons name="photo-camera" size={12} color="#FFF" />
+          </View>
+        </TouchableOpacity>
+        <TextInput
+          style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+          placeholder="Name"
+          placeholderTextColor={theme.placeholderText}
+          value={name}
+          onChangeText={setName}
+          maxLength={30}
+        />
+      </View>
+
+      <Text style={[styles.label, { color: theme.text }]}>Color</Text>
+      <View style={styles.swatches}>
+        {MEMBER_COLORS.map(swatch => (
+          <TouchableOpacity
+            key={swatch}
+            style={[styles.swatch, { backgroundColor: swatch }, color === swatch && styles.swatchActive]}
+            onPress={() => setColor(swatch)}
+          >
+            {color === swatch && <MaterialIcons name="check" size={18} color="#FFF" />}
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity style={styles.meRow} onPress={() => setMe(!me)}>
+        <MaterialIcons
+          name={me ? 'check-box' : 'check-box-outline-blank'}
+          size={22}
+          color={theme.headerBackground}
+        />
+        <Text style={[styles.meText, { color: theme.text }]}>This is me on this phone</Text>
+      </TouchableOpacity>
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        {member && (
+          <TouchableOpacity style={[styles.button, styles.deleteButton]} onPress={onDelete}>
+            <Text style={styles.buttonText}>Remove</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: theme.headerBackground }]}
+          onPress={() => onSave({ name, color, avatar }, me)}
+        >
+          <Text style={styles.buttonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+// The Family tab: member chips to filter by, above a combined agenda of upcoming events where every
+// event is marked with the colors of the members it is for. `onEndReached` asks for more of them.
+export function FamilyAgenda({
+  occurrences,
+  members,
+  selectedMemberId,
+  onSelectMember,
+  onEditMember,
+  onAddMember,
+  onSelectEvent,
+  onEndReached,
+  theme,
+  isDarkMode,
+}) {
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+  const sections = groupAgendaByDay(occurrences);
+
+  const renderChip = (key, label, isActive, onPress, onLongPress, avatarMember) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { backgroundColor: isActive ? (avatarMember ? avatarMember.color : theme.headerBackground) : (isDarkMode ? '#333333' : '#F8F8F8') },
+      ]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+    >
+      {avatarMember && <MemberAvatar member={avatarMember} size={22} />}
+      <Text style={[styles.chipText, { color: isActive ? '#FFF' : mutedColor }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+        {renderChip('all', 'Everyone', !selectedMemberId, () => onSelectMember(null))}
+        {members.map(member => renderChip(
+          member.id,
+          member.name,
+          selectedMemberId === member.id,
+          () => onSelectMember(selectedMemberId === member.id ? null : member.id),
+          () => onEditMember(member),
+          member
+        ))}
+        <TouchableOpacity style={[styles.chip, { backgroundColor: isDarkMode ? '#333333' : '#F8F8F8' }]} onPress={onAddMember}>
+          <MaterialIcons name="person-add" size={18} color={theme.headerBackground} />
+          <Text style={[styles.chipText, { color: mutedColor }]}>Add</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {members.length === 0 ? (
+        <View style={styles.empty}>
+          <MaterialIcons name="people" size={64} color={isDarkMode ? '#555555' : '#CCCCCC'} />
+          <Text style={[styles.emptyText, { color: mutedColor }]}>
+            Add the people in your household, then pick who each event is for.
+          </Text>
+        </View>
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={item => item.key}
+          contentContainerStyle={styles.list}
+          stickySectionHeadersEnabled={false}
+          onEndReached={onEndReached}
+          onEndReachedThreshold={0.5}
+          renderSectionHeader={({ section }) => (
+            <Text style={[styles.dayHeader, { color: theme.text }]}>{dayjs(section.day).format('dddd, MMM D')}</Text>
+          )}
+          renderItem={({ item }) => {
+            const eventMembers = getEventMembers(members, item);
+            return (
+              <TouchableOpacity
+                style={[styles.agendaItem, { backgroundColor: theme.cardBackground }]}
+                onPress={() => onSelectEvent(item)}
+              >
+                {/* One stripe per member; events for everyone get a neutral one */}
+                <View style={styles.stripes}>
+                  {(eventMembers.length > 0 ? eventMembers : [{ id: 'everyone', color: isDarkMode ? '#555555' : '#CCCCCC' }])
+                    .map(member => <View key={member.id} style={[styles.stripe, { backgroundColor: member.color }]} />)}
+                </View>
+                <View style={styles.agendaInfo}>
+                  <Text style={[styles.agendaName, { color: theme.text }]} numberOfLines={1}>{item.name}</Text>
+                  <Text style={[styles.agendaTime, { color: mutedColor }]} numberOfLines={1}>
+                    {item.allDay || item.endDate ? formatEventTime(item) : dayjs(item.date).format('h:mm A')}
+                  </Text>
+                </View>
+                <View style={styles.agendaAvatars}>
+                  {eventMembers.map(member => (
+                    <View key={member.id} style={styles.agendaAvatar}>
+                      <MemberAvatar member={member} size={24} />
+                    </View>
+                  ))}
+                </View>
+              </TouchableOpacity>
+            );
+          }}
+          ListEmptyComponent={
+            <Text style={[styles.emptyText, { color: mutedColor }]}>Nothing coming up</Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  initials: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  initialsText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  avatarButton: {
+    marginRight: 12,
+  },
+  avatarBadge: {
+    position: 'absolute',
+    right: -2,
+    bottom: -2,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  swatches: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  swatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+    marginBottom: 10,
+  },
+  swatchActive: {
+    borderWidth: 2,
+    borderColor: '#FFF',
+  },
+  meRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 8,
+  },
+  meText: {
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  cancelButton: {
+    backgroundColor: '#999999',
+  },
+  deleteButton: {
+    backgroundColor: '#D32F2F',
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  container: {
+    flex: 1,
+    paddingTop: 16,
+  },
+  chipRow: {
+    flexGrow: 0,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 20,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 100,
+  },
+  dayHeader: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  agendaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    marginBottom: 8,
+    overflow: 'hidden',
+  },
+  stripes: {
+    flexDirection: 'row',
+    alignSelf: 'stretch',
+  },
+  stripe: {
+    width: 5,
+  },
+  agendaInfo: {
+    flex: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
+  agendaName: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  agendaTime: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  agendaAvatars: {
+    flexDirection: 'row',
+    paddingRight: 10,
+  },
+  agendaAvatar: {
+    marginLeft: -6,
+  },
+  empty: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 12,
+  },
+});
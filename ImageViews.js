@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Image,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+// The photos of an event as pages to swipe through, with a dot per photo. Cards pass `useThumbnails`
+// to draw the small copies; the event form passes `onRemove` to put a remove button on every page.
+export function ImageGallery({ images, height = 150, useThumbnails = false, onRemove }) {
+  const [width, setWidth] = useState(0);
+  const [page, setPage] = useState(0);
+  const currentPage = Math.min(page, images.length - 1);
+
+  return (
+    <View style={{ height }} onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+      <ScrollView
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onMomentumScrollEnd={event => width > 0 && setPage(Math.round(event.nativeEvent.contentOffset.x / width))}
+      >
+        {images.map((image, index) => (
+          <View key={image.uri} style={{ width, height }}>
+            <Image
+              source={{ uri: useThumbnails ? image.thumbnailUri : image.uri }}
+              style={styles.image}
+              resizeMode="cover"
+            />
+            {onRemove && (
+              <TouchableOpacity style={styles.removeButton} onPress={() => onRemove(index)}>
+                <MaterialIcons name="close" size={18} color="#FFF" />
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+      </ScrollView>
+
+      {images.length > 1 && (
+        <View style={styles.dots} pointerEvents="none">
+          {images.map((image, index) => (
+            <View key={image.uri} style={[styles.dot, index === currentPage && styles.dotActive]} />
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+  removeButton: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: 'rgba(0, 0, 0, 0.55)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dots: {
+    position: 'absolute',
+    bottom: 8,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
+  },
+  dotActive: {
+    backgroundColor: '#FFF',
+  },
+});
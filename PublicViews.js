@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+import { formatEventTime } from './eventTime';
+import { FEED_COLORS } from './feeds';
+
+// One subscription: its color, name, when it was last refreshed or why that failed, and its actions
+function FeedRow({ feed, isRefreshing, onRefresh, onRemove, onChangeColor, theme, isDarkMode }) {
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+  const nextColor = FEED_COLORS[(FEED_COLORS.indexOf(feed.color) + 1) % FEED_COLORS.length];
+  const status = feed.refreshedAt
+    ? `${feed.events.length} event${feed.events.length === 1 ? '' : 's'} · updated ${dayjs(feed.refreshedAt).fromNow()}`
+    : 'Not loaded yet';
+
+  return (
+    <View style={[styles.feedRow, { backgroundColor: theme.cardBackground }]}>
+      <TouchableOpacity onPress={() => onChangeColor(feed, nextColor)} style={[styles.colorDot, { backgroundColor: feed.color }]} />
+      <View style={styles.feedInfo}>
+        <Text style={[styles.feedName, { color: theme.text }]} numberOfLines={1}>{feed.name}</Text>
+        <Text style={[styles.feedStatus, { color: mutedColor }]} numberOfLines={1}>
+          {feed.source === 'file' ? 'From a file · ' : ''}{status}
+        </Text>
+        {feed.error && (
+          <View style={styles.errorRow}>
+            <MaterialIcons name="error-outline" size={14} color="#D32F2F" />
+            <Text style={styles.errorText} numberOfLines={2}>{feed.error}</Text>
+          </View>
+        )}
+      </View>
+      {isRefreshing ? (
+        <ActivityIndicator size="small" color={theme.headerBackground} style={styles.feedAction} />
+      ) : (
+        <TouchableOpacity onPress={() => onRefresh(feed)} style={styles.feedAction}>
+          <MaterialIcons name="refresh" size={22} color={theme.headerBackground} />
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity onPress={() => onRemove(feed)} style={styles.feedAction}>
+        <MaterialIcons name="delete-outline" size={22} color={mutedColor} />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+// The Public tab: feed subscriptions above the upcoming events they deliver. Feed events are read-only;
+// the add button copies one into the user's own events. Tapping a feed's dot gives it the next color.
+export function PublicFeeds({
+  feeds,
+  occurrences,
+  refreshingFeedIds,
+  onSubscribe,
+  onSubscribeFile,
+  onRefresh,
+  onRemove,
+  onChangeColor,
+  onCopyEvent,
+  theme,
+  isDarkMode,
+}) {
+  const [url, setUrl] = useState('');
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+
+  const subscribe = async () => {
+    if (url.trim() && await onSubscribe(url.trim())) {
+      setUrl('');
+    }
+  };
+
+  const header = (
+    <View>
+      <View style={[styles.addRow, { backgroundColor: theme.cardBackground }]}>
+        <MaterialIcons name="rss-feed" size={20} color={theme.headerBackground} />
+        <TextInput
+          style={[styles.urlInput, { color: theme.inputText }]}
+          placeholder="Feed address (.ics or JSON)"
+          placeholderTextColor={theme.placeholderText}
+          value={url}
+          onChangeText={setUrl}
+          onSubmitEditing={subscribe}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+          returnKeyType="done"
+        />
+        <TouchableOpacity onPress={subscribe} disabled={!url.trim()} style={styles.feedAction}>
+          <MaterialIcons name="add-circle" size={26} color={url.trim() ? theme.headerBackground : '#CCCCCC'} />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={onSubscribeFile} style={styles.feedAction}>
+          <MaterialIcons name="folder-open" size={24} color={theme.headerBackground} />
+        </TouchableOpacity>
+      </View>
+
+      {feeds.map(feed => (
+        <FeedRow
+          key={feed.id}
+          feed={feed}
+          isRefreshing={refreshingFeedIds.includes(feed.id)}
+          onRefresh={onRefresh}
+          onRemove={onRemove}
+          onChangeColor={onChangeColor}
+          theme={theme}
+          isDarkMode={isDarkMode}
+        />
+      ))}
+
+      {feeds.length > 0 && <Text style={[styles.sectionLabel, { color: mutedColor }]}>Coming up</Text>}
+    </View>
+  );
+
+  return (
+    <FlatList
+      data={feeds.length > 0 ? occurrences : []}
+      keyExtractor={item => item.key}
+      contentContainerStyle={styles.list}
+      ListHeaderComponent={header}
+      renderItem={({ item }) => {
+        const feed = feeds.find(candidate => candidate.id === item.feedId);
+        return (
+          <View style={[styles.eventRow, { backgroundColor: theme.cardBackground }]}>
+            <View style={[styles.stripe, { backgroundColor: feed.color }]} />
+            <View style={styles.eventInfo}>
+              <Text style={[styles.eventName, { color: theme.text }]} numberOfLines={1}>{item.name}</Text>
+              <Text style={[styles.eventDetails, { color: mutedColor }]} numberOfLines={1}>
+                {formatEventTime(item)}
+              </Text>
+              <Text style={[styles.eventDetails, { color: feed.color }]} numberOfLines={1}>{feed.name}</Text>
+            </View>
+            <TouchableOpacity onPress={() => onCopyEvent(item)} style={styles.feedAction}>
+              <MaterialIcons name="playlist-add" size={26} color={theme.headerBackground} />
+            </TouchableOpacity>
+          </View>
+        );
+      }}
+      ListEmptyComponent={
+        <View style={styles.empty}>
+          <MaterialIcons name="public" size={64} color={isDarkMode ? '#555555' : '#CCCCCC'} />
+          <Text style={[styles.emptyText, { color: mutedColor }]}>
+            {feeds.length > 0
+              ? 'Nothing coming up in your feeds'
+              : 'Subscribe to a public calendar, such as a club schedule or city events, to see its events here.'}
+          </Text>
+        </View>
+      }
+    />
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  list: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 12,
+  },
+  urlInput: {
+    flex: 1,
+    fontSize: 15,
+    paddingVertical: 8,
+    marginLeft: 8,
+  },
+  feedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  colorDot: {
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    marginRight: 12,
+  },
+  feedInfo: {
+    flex: 1,
+  },
+  feedName: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  feedStatus: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  errorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#D32F2F',
+    marginLeft: 4,
+  },
+  feedAction: {
+    marginLeft: 8,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    marginBottom: 8,
+    paddingRight: 12,
+    overflow: 'hidden',
+  },
+  stripe: {
+    width: 5,
+    alignSelf: 'stretch',
+  },
+  eventInfo: {
+    flex: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
+  eventName: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  eventDetails: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  empty: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 12,
+  },
+});
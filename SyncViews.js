@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import dayjs from 'dayjs';
+
+// Header icon for each sync state
+const STATUS_ICONS = {
+  idle: 'cloud-done',
+  syncing: 'sync',
+  offline: 'cloud-off',
+  error: 'sync-problem',
+};
+
+// One line saying how sync is doing
+const describeSyncStatus = (status) => {
+  if (status.state === 'syncing') {
+    return 'Syncing…';
+  }
+  if (status.state === 'offline') {
+    return `${status.error} Changes stay on this phone until it can be reached.`;
+  }
+  if (status.state === 'error') {
+    return status.error;
+  }
+  if (status.lastSyncedAt) {
+    return `Last synced ${dayjs(status.lastSyncedAt).fromNow()}.`;
+  }
+  return 'Not synced yet.';
+};
+
+// Sync status in the header; tapping it syncs right away. Shows nothing while sync is off.
+export function SyncStatusButton({ status, onPress, style }) {
+  if (status.state === 'off') {
+    return null;
+  }
+  const icon = status.state === 'idle' && status.pending > 0 ? 'cloud-upload' : STATUS_ICONS[status.state];
+  return (
+    <TouchableOpacity onPress={onPress} style={style} disabled={status.state === 'syncing'}>
+      <MaterialIcons name={icon} size={24} color="#FFF" />
+    </TouchableOpacity>
+  );
+}
+
+// Turn sync with a server on or off, and see how it is doing
+export function SyncSetup({ server, status, onTurnOn, onTurnOff, onSyncNow, onClose, theme, isDarkMode }) {
+  const [url, setUrl] = useState(server ? server.url : '');
+  const [token, setToken] = useState(server ? server.token : '');
+  const [error, setError] = useState(null);
+  const mutedColor = isDarkMode ? '#AAAAAA' : '#666';
+
+  const turnOn = () => {
+    if (!/^https?:\/\/\S+$/i.test(url.trim())) {
+      setError('Enter the server address, starting with http:// or https://.');
+      return;
+    }
+    setError(null);
+    onTurnOn(url.trim(), token.trim());
+  };
+
+  return (
+    <View>
+      <Text style={[styles.title, { color: theme.text }]}>Sync</Text>
+      <Text style={[styles.message, { color: mutedColor }]}>
+        Keeps events, categories, members and settle-ups the same on every phone that uses the same sync
+        server. Photos and reminders stay on each phone.
+      </Text>
+
+      {server ? (
+        <View>
+          <Text style={[styles.server, { color: theme.text }]}>{server.url}</Text>
+          <View style={styles.statusRow}>
+            {status.state === 'syncing' && <ActivityIndicator size="small" color={theme.headerBackground} />}
+            <Text style={[styles.status, { color: status.state === 'error' ? '#D32F2F' : mutedColor }]}>
+              {describeSyncStatus(status)}
+              {status.pending > 0 ? ` ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to be sent.` : ''}
+            </Text>
+          </View>
+        </View>
+      ) : (
+        <View>
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+            placeholder="Server address, e.g. http://192.168.1.20:8787"
+            placeholderTextColor={theme.placeholderText}
+            value={url}
+            onChangeText={setUrl}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+            placeholder="Access token (optional)"
+            placeholderTextColor={theme.placeholderText}
+            value={token}
+            onChangeText={setToken}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          {error && <Text style={styles.error}>{error}</Text>}
+        </View>
+      )}
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onClose}>
+          <Text style={styles.buttonText}>Close</Text>
+        </TouchableOpacity>
+        {server ? (
+          <>
+            <TouchableOpacity style={[styles.button, { backgroundColor: '#D32F2F' }]} onPress={onTurnOff}>
+              <Text style={styles.buttonText}>Turn Off</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: theme.headerBackground }]}
+              onPress={onSyncNow}
+              disabled={status.state === 'syncing'}
+            >
+              <Text style={styles.buttonText}>Sync Now</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <TouchableOpacity style={[styles.button, { backgroundColor: theme.headerBackground }]} onPress={turnOn}>
+            <Text style={styles.buttonText}>Turn On</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 14,
+    marginBottom: 16,
+  },
+  server: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  status: {
+    flex: 1,
+    fontSize: 14,
+    marginLeft: 4,
+  },
+  input: {
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  error: {
+    fontSize: 14,
+    color: '#D32F2F',
+    marginBottom: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  cancelButton: {
+    backgroundColor: '#999999',
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,3 @@
+// In-memory AsyncStorage for tests, as the package documents
+export * from '@react-native-async-storage/async-storage/jest/async-storage-mock';
+export { default } from '@react-native-async-storage/async-storage/jest/async-storage-mock';
@@ -0,0 +1,39 @@
+import Database from 'better-sqlite3';
+
+// expo-sqlite for tests: databases with the same async API, kept in memory by better-sqlite3. Each
+// fresh module registry (jest.resetModules) starts with empty databases.
+
+const databases = new Map();
+
+// Give a better-sqlite3 database the async methods of an expo-sqlite one
+const wrapDatabase = (db) => ({
+  execAsync: async (sql) => {
+    db.exec(sql);
+  },
+  runAsync: async (sql, params = []) => {
+    const { lastInsertRowid, changes } = db.prepare(sql).run(...params);
+    return { lastInsertRowId: Number(lastInsertRowid), changes };
+  },
+  getAllAsync: async (sql, params = []) => db.prepare(sql).all(...params),
+  getFirstAsync: async (sql, params = []) => db.prepare(sql).get(...params) || null,
+  withTransactionAsync: async (task) => {
+    db.exec('BEGIN');
+    try {
+      await task();
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  },
+  closeAsync: async () => {
+    db.close();
+  },
+});
+
+export const openDatabaseAsync = async (name) => {
+  if (!databases.has(name)) {
+    databases.set(name, wrapDatabase(new Database(':memory:')));
+  }
+  return databases.get(name);
+};
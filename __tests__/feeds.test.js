@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createFeed, parseFeedText, refreshFeed } from '../feeds';
+
+const NOW = new Date('2026-10-19T08:00:00.000Z');
+
+const CITY_FEED = JSON.stringify({
+  name: 'City Events',
+  events: [
+    { id: 'park-concert', name: 'Concert in the Park', start: '2026-11-02T19:00:00Z', end: '2026-11-02T21:00:00Z', category: 'Music' },
+    { id: 'fair', name: 'Harvest Fair', start: '2026-11-02', end: '2026-11-04', allDay: true },
+  ],
+});
+
+const CLUB_CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'X-WR-CALNAME:Chess Club',
+  'BEGIN:VEVENT',
+  'UID:club-night@example.com',
+  'DTSTART:20261105T180000Z',
+  'DTEND:20261105T200000Z',
+  'SUMMARY:Club night',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+// What the mock server answers for each path
+const ROUTES = {
+  '/city.json': { status: 200, type: 'application/json', body: CITY_FEED },
+  '/club.ics': { status: 200, type: 'text/calendar', body: CLUB_CALENDAR },
+  '/broken.json': { status: 200, type: 'application/json', body: '{"events": [{"id": "a", "name": ' },
+  '/down.json': { status: 503, type: 'text/plain', body: 'Down for maintenance' },
+};
+
+// File feeds are never read in these tests
+const readFile = () => Promise.reject(new Error('No files here'));
+
+describe('refreshFeed against an HTTP server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = http.createServer((request, response) => {
+      const route = ROUTES[request.url];
+      if (!route) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+        return;
+      }
+      response.writeHead(route.status, { 'Content-Type': route.type });
+      response.end(route.body);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  // A feed subscribed to without a name, as the Public tab creates them
+  const subscribe = (path) => createFeed([], { name: '', source: 'url', location: `${baseUrl}${path}` });
+
+  it('loads the events of a JSON feed and takes its name', async () => {
+    const feed = await refreshFeed(subscribe('/city.json'), readFile, fetch, NOW);
+
+    expect(feed.error).toBeNull();
+    expect(feed.name).toBe('City Events');
+    expect(feed.refreshedAt).toBe(NOW.toISOString());
+    expect(feed.events.map(event => [event.uid, event.name, event.category])).toEqual([
+      ['park-concert', 'Concert in the Park', 'Music'],
+      ['fair', 'Harvest Fair', null],
+    ]);
+    expect(feed.events[0]).toMatchObject({ date: '2026-11-02T19:00:00.000Z', endDate: '2026-11-02T21:00:00.000Z', allDay: false });
+  });
+
+  it('loads the events of an iCalendar feed', async () => {
+    const feed = await refreshFeed(subscribe('/club.ics'), readFile, fetch, NOW);
+
+    expect(feed.error).toBeNull();
+    expect(feed.name).toBe('Chess Club');
+    expect(feed.events).toHaveLength(1);
+    expect(feed.events[0]).toMatchObject({ uid: 'club-night@example.com', name: 'Club night', date: '2026-11-05T18:00:00.000Z' });
+  });
+
+  it('reports an HTTP error and keeps the events of the last refresh', async () => {
+    const loaded = await refreshFeed(subscribe('/city.json'), readFile, fetch, NOW);
+    const failed = await refreshFeed({ ...loaded, location: `${baseUrl}/down.json` }, readFile, fetch, new Date('2026-10-19T14:00:00.000Z'));
+
+    expect(failed.error).toBe('The server answered with 503 Service Unavailable.');
+    expect(failed.events).toBe(loaded.events);
+    expect(failed.refreshedAt).toBe(NOW.toISOString());
+  });
+
+  it('reports a missing feed', async () => {
+    expect((await refreshFeed(subscribe('/gone.json'), readFile, fetch, NOW)).error).toBe('The server answered with 404 Not Found.');
+  });
+
+  it('reports a feed that is not valid JSON', async () => {
+    const feed = await refreshFeed(subscribe('/broken.json'), readFile, fetch, NOW);
+
+    expect(feed.error).toBe('This is neither an iCalendar nor a JSON event feed.');
+    expect(feed.events).toEqual([]);
+    expect(feed.refreshedAt).toBeNull();
+  });
+
+  it('reports a server that cannot be reached', async () => {
+    // A port that was just free again
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const feed = createFeed([], { name: 'Closed', source: 'url', location: `http://127.0.0.1:${port}/feed.json` });
+    expect((await refreshFeed(feed, readFile, fetch, NOW)).error)
+      .toBe('The feed could not be reached. Check the address and your connection.');
+  });
+});
+
+describe('parseFeedText', () => {
+  it('stores the days of all-day JSON events, ending on the day after their last day', () => {
+    const { events } = parseFeedText(CITY_FEED);
+
+    expect(events[1]).toMatchObject({ allDay: true, date: '2026-11-02', endDate: '2026-11-05' });
+  });
+
+  it('gives an all-day JSON event without an end one whole day', () => {
+    const { events } = parseFeedText(JSON.stringify({ events: [{ id: 1, name: 'Holiday', start: '2026-12-25', allDay: true }] }));
+
+    expect(events[0]).toMatchObject({ date: '2026-12-25', endDate: '2026-12-26' });
+  });
+
+  it('reads JSON times without an offset in the event\'s time zone', () => {
+    const { events } = parseFeedText(JSON.stringify({
+      events: [
+        { id: 1, name: 'Ferry', start: '2026-11-02T19:00:00', end: '2026-11-02T21:30', timeZone: 'America/New_York' },
+        { id: 2, name: 'Flight', start: '2026-11-02T19:00:00+01:00', timeZone: 'America/New_York' },
+      ],
+    }));
+
+    expect(events[0]).toMatchObject({
+      date: '2026-11-03T00:00:00.000Z',
+      endDate: '2026-11-03T02:30:00.000Z',
+      timeZone: 'America/New_York',
+    });
+    expect(events[1].date).toBe('2026-11-02T18:00:00.000Z');
+  });
+
+  it('rejects a JSON document without an events list', () => {
+    expect(() => parseFeedText('{"name": "Empty"}')).toThrow('This JSON feed has no "events" list.');
+  });
+});
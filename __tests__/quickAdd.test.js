@@ -0,0 +1,170 @@
+import { DEFAULT_CATEGORIES } from '../categories';
+import { DEFAULT_HOUR, parseQuickAdd } from '../quickAdd';
+
+// Wednesday 11 March 2026, 10:00 local time
+const NOW = new Date(2026, 2, 11, 10, 0);
+
+const CATEGORIES = [...DEFAULT_CATEGORIES, { id: 'category-1', name: 'Date Night', color: '#E91E63', icon: 'favorite' }];
+
+const parse = (text) => parseQuickAdd(text, CATEGORIES, NOW);
+
+// A local time in March 2026
+const march = (day, hour = DEFAULT_HOUR, minute = 0) => new Date(2026, 2, day, hour, minute);
+
+describe('parseQuickAdd', () => {
+  it('reads "Dinner at Luigi\'s tomorrow 7pm #food"', () => {
+    expect(parse('Dinner at Luigi\'s tomorrow 7pm #food')).toEqual({
+      name: 'Dinner at Luigi\'s',
+      date: march(12, 19),
+      hasDate: true,
+      hasTime: true,
+      category: 'food',
+      reminders: null,
+    });
+  });
+
+  it('reads "Dentist next Tuesday at 3:30 remind 1 day before"', () => {
+    expect(parse('Dentist next Tuesday at 3:30 remind 1 day before')).toEqual({
+      name: 'Dentist',
+      date: march(17, 15, 30),
+      hasDate: true,
+      hasTime: true,
+      category: null,
+      reminders: [1440],
+    });
+  });
+
+  describe('dates', () => {
+    it.each([
+      ['today', march(11)],
+      ['tonight', march(11, 20)],
+      ['tomorrow', march(12)],
+      ['tmrw', march(12)],
+      ['day after tomorrow', march(13)],
+      ['in 3 days', march(14)],
+      ['in 2 weeks', march(25)],
+      ['on friday', march(13)],
+      ['next friday', march(13)],
+      ['next wed', march(18)],
+      ['march 20th', march(20)],
+      ['20 march', march(20)],
+      ['3/20', march(20)],
+    ])('"%s"', (phrase, date) => {
+      const parsed = parse(`Soccer ${phrase}`);
+      expect(parsed.name).toBe('Soccer');
+      expect(parsed.date).toEqual(date);
+      expect(parsed.hasDate).toBe(true);
+    });
+
+    it('takes a weekday that is today while its time is still to come', () => {
+      expect(parse('Piano wednesday 5pm').date).toEqual(march(11, 17));
+    });
+
+    it('moves a weekday that is today to next week once its time has passed', () => {
+      expect(parse('Piano wednesday 9am').date).toEqual(march(18, 9));
+    });
+
+    it('reads "next" with today\'s weekday as a week from today', () => {
+      expect(parse('Piano next wednesday 5pm').date).toEqual(march(18, 17));
+    });
+
+    it('rolls a day of the year that has passed over to next year', () => {
+      expect(parse('Trip march 1').date).toEqual(new Date(2027, 2, 1, DEFAULT_HOUR));
+      expect(parse('Trip 2/28').date).toEqual(new Date(2027, 1, 28, DEFAULT_HOUR));
+    });
+
+    it('keeps a date that does not exist in the name', () => {
+      const parsed = parse('Party feb 30');
+      expect(parsed.name).toBe('Party feb 30');
+      expect(parsed.hasDate).toBe(false);
+    });
+
+    it('uses only the first date', () => {
+      const parsed = parse('Call tomorrow about friday');
+      expect(parsed.name).toBe('Call about friday');
+      expect(parsed.date).toEqual(march(12));
+    });
+  });
+
+  describe('times', () => {
+    it.each([
+      ['7pm', 19, 0],
+      ['7:45 pm', 19, 45],
+      ['11am', 11, 0],
+      ['12am', 0, 0],
+      ['12pm', 12, 0],
+      ['18:30', 18, 30],
+      ['3:30', 15, 30],
+      ['at 8', 8, 0],
+      ['at 5', 17, 0],
+      ['noon', 12, 0],
+    ])('"%s" on a given date', (phrase, hour, minute) => {
+      const parsed = parse(`Meeting tomorrow ${phrase}`);
+      expect(parsed.name).toBe('Meeting');
+      expect(parsed.date).toEqual(march(12, hour, minute));
+      expect(parsed.hasTime).toBe(true);
+    });
+
+    it('puts a time still to come today on today', () => {
+      expect(parse('Lunch at noon').date).toEqual(march(11, 12));
+    });
+
+    it('puts a time that has already passed today on tomorrow', () => {
+      const parsed = parse('Standup 9:15');
+      expect(parsed.date).toEqual(march(12, 9, 15));
+      expect(parsed.hasDate).toBe(false);
+    });
+
+    it('moves "midnight" without a date to the coming one', () => {
+      expect(parse('Launch midnight').date).toEqual(march(12, 0));
+    });
+
+    it('only reads a bare hour after "at"', () => {
+      const parsed = parse('Team of 5 tomorrow');
+      expect(parsed.name).toBe('Team of 5');
+      expect(parsed.hasTime).toBe(false);
+      expect(parsed.date).toEqual(march(12));
+    });
+
+    it('keeps "at" in the name when no time follows it', () => {
+      expect(parse('Drinks at the pier 6pm').name).toBe('Drinks at the pier');
+    });
+
+    it('starts at the next full hour when neither date nor time is given', () => {
+      expect(parse('Call grandma').date).toEqual(march(11, 11));
+    });
+  });
+
+  describe('categories', () => {
+    it('matches a hashtag by name, by id or by name without spaces', () => {
+      expect(parse('Match #Sports').category).toBe('sports');
+      expect(parse('Gig #music').category).toBe('music');
+      expect(parse('Movie #datenight').category).toBe('category-1');
+      expect(parse('Movie #category-1').category).toBe('category-1');
+    });
+
+    it('keeps unknown hashtags and any after the first category in the name', () => {
+      const parsed = parse('Picnic #outdoors #food #sports');
+      expect(parsed.name).toBe('Picnic #outdoors #sports');
+      expect(parsed.category).toBe('food');
+    });
+  });
+
+  describe('reminders', () => {
+    it('collects every reminder phrase, earliest alert first', () => {
+      expect(parse('Flight remind me at start remind 2 hours remind me 1 week before').reminders).toEqual([10080, 120, 0]);
+    });
+
+    it('leaves "remind" without an amount in the name', () => {
+      const parsed = parse('remind Sam about the tickets');
+      expect(parsed.name).toBe('remind Sam about the tickets');
+      expect(parsed.reminders).toBeNull();
+    });
+  });
+
+  it('drops trailing punctuation from the words it reads', () => {
+    const parsed = parse('Dinner tomorrow, 7pm.');
+    expect(parsed.name).toBe('Dinner');
+    expect(parsed.date).toEqual(march(12, 19));
+  });
+});
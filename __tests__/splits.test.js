@@ -0,0 +1,140 @@
+import { allocateSplit, computeBalances, createSettlement, suggestSettlements, validateSplit } from '../splits';
+
+// An expense of `amount` minor units paid by `payer`
+const expense = (amount, payer, split, currency = 'USD') => ({
+  id: `expense-${amount}-${payer}`,
+  amount,
+  currency,
+  date: '2026-03-01T12:00:00.000Z',
+  payer,
+  note: '',
+  split,
+});
+
+describe('allocateSplit', () => {
+  it('splits equally, giving the leftover cent to the first participant on a tie', () => {
+    expect(allocateSplit(expense(1000, 'a', { type: 'equal', participants: { a: true, b: true, c: true } })))
+      .toEqual({ a: 334, b: 333, c: 333 });
+  });
+
+  it('hands leftover cents to the largest remainders when splitting by shares', () => {
+    // 1000 * 4/7 = 571.43, 1000 * 2/7 = 285.71, 1000 * 1/7 = 142.86: the two cents go to c and b
+    expect(allocateSplit(expense(1000, 'a', { type: 'shares', participants: { a: 4, b: 2, c: 1 } })))
+      .toEqual({ a: 571, b: 286, c: 143 });
+  });
+
+  it('never creates or loses a cent', () => {
+    [1, 7, 99, 1001, 123457].forEach(amount => {
+      const owed = allocateSplit(expense(amount, 'a', { type: 'shares', participants: { a: 3, b: 5, c: 7, d: 1 } }));
+      expect(Object.values(owed).reduce((sum, value) => sum + value, 0)).toBe(amount);
+    });
+  });
+
+  it('keeps exact amounts as they are', () => {
+    expect(allocateSplit(expense(1000, 'a', { type: 'exact', participants: { a: 250, b: 750 } })))
+      .toEqual({ a: 250, b: 750 });
+  });
+
+  it('returns nothing for a missing or unusable split', () => {
+    expect(allocateSplit(expense(1000, 'a', null))).toEqual({});
+    expect(allocateSplit(expense(1000, 'a', { type: 'exact', participants: { a: 250, b: 700 } }))).toEqual({});
+  });
+});
+
+describe('validateSplit', () => {
+  it('accepts exact amounts that add up to the expense', () => {
+    expect(validateSplit({ type: 'exact', participants: { a: 999, b: 1 } }, 1000)).toBeNull();
+  });
+
+  it('rejects exact amounts that do not add up to the expense', () => {
+    expect(validateSplit({ type: 'exact', participants: { a: 500, b: 499 } }, 1000))
+      .toBe('The amounts have to add up to the whole expense.');
+    expect(validateSplit({ type: 'exact', participants: { a: 500, b: 501 } }, 1000))
+      .toBe('The amounts have to add up to the whole expense.');
+  });
+
+  it('rejects exact amounts that are missing, negative or fractional', () => {
+    const message = 'Enter an amount for everyone sharing this expense.';
+    expect(validateSplit({ type: 'exact', participants: { a: 1000, b: null } }, 1000)).toBe(message);
+    expect(validateSplit({ type: 'exact', participants: { a: 1100, b: -100 } }, 1000)).toBe(message);
+    expect(validateSplit({ type: 'exact', participants: { a: 999.5, b: 0.5 } }, 1000)).toBe(message);
+  });
+
+  it('rejects shares below one and splits without participants', () => {
+    expect(validateSplit({ type: 'shares', participants: { a: 1, b: 0 } }, 1000))
+      .toBe('Every share has to be a whole number of at least 1.');
+    expect(validateSplit({ type: 'equal', participants: {} }, 1000)).toBe('Pick who shares this expense.');
+  });
+});
+
+describe('computeBalances', () => {
+  const events = [
+    {
+      id: 'trip',
+      expenses: [
+        expense(3000, 'a', { type: 'equal', participants: { a: true, b: true, c: true } }),
+        expense(1000, 'b', { type: 'exact', participants: { a: 1000 } }, 'EUR'),
+        // Yen have no minor unit, so 1000 is a thousand yen split three ways
+        expense(1000, 'c', { type: 'equal', participants: { a: true, b: true, c: true } }, 'JPY'),
+      ],
+    },
+    // Expenses nobody paid for or without a split do not count
+    { id: 'lunch', expenses: [expense(500, null, { type: 'equal', participants: { a: true } }), expense(800, 'a', null)] },
+    { id: 'no-expenses' },
+  ];
+
+  it('keeps a balance per currency that adds up to zero', () => {
+    const balances = computeBalances(events);
+
+    expect(balances).toEqual({
+      USD: { a: 2000, b: -1000, c: -1000 },
+      EUR: { a: -1000, b: 1000 },
+      JPY: { a: -334, b: -333, c: 667 },
+    });
+    Object.values(balances).forEach(currencyBalances => {
+      expect(Object.values(currencyBalances).reduce((sum, amount) => sum + amount, 0)).toBe(0);
+    });
+  });
+
+  it('takes a settlement off the balances of both members', () => {
+    const settlement = createSettlement({ from: 'b', to: 'a', amount: 600 }, 'USD');
+
+    expect(computeBalances(events, [settlement]).USD).toEqual({ a: 1400, b: -400, c: -1000 });
+  });
+
+  it('leaves out members who are square after settling up', () => {
+    const settlements = suggestSettlements(computeBalances(events).USD)
+      .map(transfer => createSettlement(transfer, 'USD'));
+
+    const balances = computeBalances(events, settlements);
+    expect(balances).not.toHaveProperty('USD');
+    expect(balances).toHaveProperty('EUR');
+  });
+});
+
+describe('suggestSettlements', () => {
+  it('pays debts that match a credit exactly directly', () => {
+    expect(suggestSettlements({ a: 500, b: 1500, c: -500, d: -1500 })).toEqual([
+      { from: 'c', to: 'a', amount: 500 },
+      { from: 'd', to: 'b', amount: 1500 },
+    ]);
+  });
+
+  it('squares everyone up with fewer transfers than there are members', () => {
+    const balances = { a: 4000, b: -2500, c: -1000, d: -700, e: 200 };
+    const transfers = suggestSettlements(balances);
+
+    expect(transfers.length).toBeLessThan(Object.keys(balances).length);
+    const remaining = { ...balances };
+    transfers.forEach(({ from, to, amount }) => {
+      expect(amount).toBeGreaterThan(0);
+      remaining[from] += amount;
+      remaining[to] -= amount;
+    });
+    expect(Object.values(remaining).every(amount => amount === 0)).toBe(true);
+  });
+
+  it('suggests nothing when everyone is square', () => {
+    expect(suggestSettlements({})).toEqual([]);
+  });
+});
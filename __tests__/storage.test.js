@@ -0,0 +1,341 @@
+import { DEFAULT_CATEGORIES } from '../categories';
+import { DEFAULT_REMINDERS } from '../reminders';
+import * as eventStore from '../eventStore';
+import { CURRENT_SCHEMA_VERSION, DEFAULT_SETTINGS, MIGRATIONS, runMigrations } from '../storage';
+
+// An event as version 1 stored it: one picker URI, a category string and the two fixed notifications
+const legacyEvent = {
+  id: 1700000000000,
+  name: 'Dinner at Luigi\'s',
+  description: 'Table for four',
+  date: '2024-03-01T18:00:00.000Z',
+  category: 'food',
+  image: 'file:///cache/ImagePicker/dinner.jpg',
+  notificationIds: [
+    { id: 'n1', type: 'oneHourBefore' },
+    { id: 'n2', type: 'eventStart' },
+  ],
+};
+
+// Everything a version 1 install had in AsyncStorage, parsed
+const version1Data = {
+  events: [
+    legacyEvent,
+    { id: 1700000000001, name: 'Chess club', date: '2024-03-02T17:00:00.000Z', category: 'chess', image: null, notificationIds: [] },
+  ],
+  theme: 'dark',
+};
+
+const getMigration = (version) => MIGRATIONS.find(migration => migration.version === version).migrate;
+
+// The data as it looked just before `version`, starting from version 1
+const migrateUpTo = (data, version) => MIGRATIONS
+  .filter(migration => migration.version < version)
+  .reduce((current, migration) => migration.migrate(current), data);
+
+describe('storage migrations', () => {
+  it('version 2 gives events repeat rules, exceptions and reminders, and describes old notifications by offset', () => {
+    const migrated = getMigration(2)({ events: [legacyEvent, { ...legacyEvent, id: 2, reminders: [15] }, 'not an event'] });
+
+    expect(migrated.events[0]).toEqual({
+      ...legacyEvent,
+      repeat: null,
+      exceptions: {},
+      reminders: DEFAULT_REMINDERS,
+      notificationIds: [
+        { id: 'n1', type: 'reminder', offset: 60 },
+        { id: 'n2', type: 'reminder', offset: 0 },
+      ],
+    });
+    expect(migrated.events[1].reminders).toEqual([15]);
+    // Malformed records are left for validation to quarantine
+    expect(migrated.events[2]).toBe('not an event');
+  });
+
+  it('version 3 moves the separate preference keys into the settings record', () => {
+    const migrated = getMigration(3)({ events: [], theme: 'dark', defaultReminders: [30], historyRetention: '1y' });
+
+    expect(migrated).toEqual({
+      events: [],
+      settings: { ...DEFAULT_SETTINGS, theme: 'dark', defaultReminders: [30], historyRetention: '1y' },
+    });
+  });
+
+  it('version 3 ignores an unknown theme and keeps settings that were already saved', () => {
+    const migrated = getMigration(3)({ theme: 'purple', settings: { trashRetentionDays: 7 } });
+
+    expect(migrated.settings).toEqual({ ...DEFAULT_SETTINGS, trashRetentionDays: 7 });
+    expect(migrated).not.toHaveProperty('theme');
+  });
+
+  it('version 4 creates categories for the category strings of events and Trash entries', () => {
+    const migrated = getMigration(4)({
+      events: [{ id: '1', category: 'food' }, { id: '2', category: 'chess' }],
+      trash: [{ event: { id: '3', category: 'knitting' }, deletedAt: '2024-03-01T00:00:00.000Z' }, null],
+    });
+
+    expect(migrated.categories.slice(0, DEFAULT_CATEGORIES.length)).toEqual(DEFAULT_CATEGORIES);
+    expect(migrated.categories.slice(DEFAULT_CATEGORIES.length).map(({ id, name }) => ({ id, name }))).toEqual([
+      { id: 'chess', name: 'Chess' },
+      { id: 'knitting', name: 'Knitting' },
+    ]);
+  });
+
+  it('version 4 leaves categories the user already has alone', () => {
+    const categories = [{ id: 'event', name: 'Things', color: '#000000', icon: 'label' }];
+    expect(getMigration(4)({ events: [{ id: '1', category: 'food' }], categories }).categories).toBe(categories);
+  });
+
+  it('version 5 turns the picker URI of events and Trash entries into a list of photos', () => {
+    const migrated = getMigration(5)({
+      events: [{ id: '1', image: 'file:///a.jpg' }, { id: '2', image: null }, { id: '3', images: [] }],
+      trash: [{ event: { id: '4', image: 'file:///b.jpg' }, deletedAt: '2024-03-01T00:00:00.000Z' }],
+    });
+
+    expect(migrated.events).toEqual([
+      { id: '1', images: [{ uri: 'file:///a.jpg', thumbnailUri: 'file:///a.jpg' }] },
+      { id: '2', images: [] },
+      { id: '3', images: [] },
+    ]);
+    expect(migrated.trash[0].event).toEqual({ id: '4', images: [{ uri: 'file:///b.jpg', thumbnailUri: 'file:///b.jpg' }] });
+  });
+
+  it('version 6 stores the days of all-day events, including those in the Trash, as calendar dates', () => {
+    // Saved at midnight in New York, with a moved occurrence and a reminder for it
+    const trip = {
+      id: '1',
+      name: 'Trip',
+      allDay: true,
+      date: '2026-11-02T05:00:00.000Z',
+      endDate: '2026-11-05T05:00:00.000Z',
+      repeat: { frequency: 'weekly', interval: 1 },
+      exceptions: {
+        '2026-11-09T05:00:00.000Z': { date: '2026-11-10T05:00:00.000Z', endDate: '2026-11-13T05:00:00.000Z' },
+        '2026-11-16T05:00:00.000Z': { skipped: true },
+      },
+      notificationIds: [{ id: 'n1', type: 'reminder', offset: 0, occurrenceDate: '2026-11-09T05:00:00.000Z' }],
+    };
+    const dinner = { id: '2', name: 'Dinner', allDay: false, date: '2026-11-02T05:00:00.000Z', endDate: null };
+    // Saved at midnight in Tokyo
+    const holiday = { id: '3', name: 'Holiday', allDay: true, date: '2026-12-24T15:00:00.000Z', endDate: '2026-12-25T15:00:00.000Z' };
+
+    const migrated = getMigration(6)({
+      events: [trip, dinner],
+      trash: [{ event: holiday, deletedAt: '2026-10-01T00:00:00.000Z' }],
+    });
+
+    expect(migrated.events[0]).toEqual({
+      ...trip,
+      date: '2026-11-02',
+      endDate: '2026-11-05',
+      exceptions: {
+        '2026-11-09': { date: '2026-11-10', endDate: '2026-11-13' },
+        '2026-11-16': { skipped: true },
+      },
+      notificationIds: [{ id: 'n1', type: 'reminder', offset: 0, occurrenceDate: '2026-11-09' }],
+    });
+    expect(migrated.events[1]).toBe(dinner);
+    expect(migrated.trash[0].event).toMatchObject({ date: '2026-12-25', endDate: '2026-12-26' });
+  });
+
+  it.each(MIGRATIONS.map(migration => [migration.version, migration]))('version %i is safe to run twice', (version, migration) => {
+    const before = migrateUpTo(version1Data, version);
+    const once = migration.migrate(before);
+    expect(migration.migrate(once)).toEqual(once);
+  });
+
+  it('takes version 1 data through every step to the current schema', () => {
+    const migrated = runMigrations(version1Data, 1);
+
+    expect(migrated.settings.theme).toBe('dark');
+    expect(migrated).not.toHaveProperty('theme');
+    expect(migrated.categories.map(category => category.id)).toContain('chess');
+    expect(migrated.events[0]).toMatchObject({
+      repeat: null,
+      reminders: DEFAULT_REMINDERS,
+      images: [{ uri: legacyEvent.image, thumbnailUri: legacyEvent.image }],
+    });
+    expect(migrated.events[0]).not.toHaveProperty('image');
+  });
+
+  it('runs nothing for data that is already current', () => {
+    const data = { events: [] };
+    expect(runMigrations(data, CURRENT_SCHEMA_VERSION)).toBe(data);
+  });
+});
+
+describe('initializeStorage', () => {
+  // Fresh storage module, AsyncStorage and database for every test
+  let storage;
+  let AsyncStorage;
+  beforeEach(() => {
+    jest.resetModules();
+    storage = require('../storage');
+    AsyncStorage = require('@react-native-async-storage/async-storage').default;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('upgrades a version 1 install and moves its events into the database', async () => {
+    await AsyncStorage.setItem('events', JSON.stringify(version1Data.events));
+    await AsyncStorage.setItem('theme', 'dark');
+
+    const events = await storage.loadEvents();
+
+    expect(events.map(event => event.name)).toEqual(['Dinner at Luigi\'s', 'Chess club']);
+    expect(events[0]).toMatchObject({ id: String(legacyEvent.id), images: [{ uri: legacyEvent.image, thumbnailUri: legacyEvent.image }] });
+    expect((await storage.loadSettings()).theme).toBe('dark');
+    expect(await AsyncStorage.getItem('schemaVersion')).toBe(String(CURRENT_SCHEMA_VERSION));
+    expect(await AsyncStorage.getItem('theme')).toBeNull();
+    expect(await AsyncStorage.getItem('events')).toBeNull();
+  });
+
+  it('quarantines unreadable events instead of dropping them', async () => {
+    await AsyncStorage.setItem('events', '[{"id": 1, "name": "Cut off');
+
+    expect(await storage.loadEvents()).toEqual([]);
+    const quarantine = await storage.getQuarantine();
+    expect(quarantine).toHaveLength(1);
+    expect(quarantine[0]).toMatchObject({ record: '[{"id": 1, "name": "Cut off' });
+    expect(quarantine[0].reason).toMatch(/^Unreadable events data/);
+  });
+
+  it('quarantines malformed event records and keeps the others', async () => {
+    const good = { id: 'good', name: 'Soccer practice', date: '2024-03-01T16:00:00.000Z' };
+    const nameless = { id: 'nameless', name: ' ', date: '2024-03-01T16:00:00.000Z' };
+    await AsyncStorage.setItem('schemaVersion', String(CURRENT_SCHEMA_VERSION));
+    await AsyncStorage.setItem('events', JSON.stringify([good, nameless, 'junk']));
+
+    expect((await storage.loadEvents()).map(event => event.id)).toEqual(['good']);
+    expect((await storage.getQuarantine()).map(({ reason, record }) => ({ reason, record }))).toEqual([
+      { reason: 'Event has no name', record: nameless },
+      { reason: 'Event is not an object', record: 'junk' },
+    ]);
+  });
+
+  it('quarantines an unreadable value found while migrating and leaves it in place', async () => {
+    await AsyncStorage.setItem('trash', '{oops');
+
+    await storage.initializeStorage();
+
+    expect((await storage.getQuarantine()).map(entry => entry.record)).toEqual(['{oops']);
+    expect(await AsyncStorage.getItem('trash')).toBe('{oops');
+    expect(await AsyncStorage.getItem('schemaVersion')).toBe(String(CURRENT_SCHEMA_VERSION));
+  });
+
+  it('stores the days of all-day events already in the database as calendar dates', async () => {
+    const db = await require('expo-sqlite').openDatabaseAsync('whatsup.db');
+    await eventStore.prepareEventStore(db);
+    await eventStore.writeEvents(db, [
+      { id: 'fair', name: 'Harvest Fair', allDay: true, date: '2026-11-02T05:00:00.000Z', endDate: '2026-11-05T05:00:00.000Z' },
+      { id: 'dinner', name: 'Dinner', allDay: false, date: '2026-11-03T23:00:00.000Z', endDate: null },
+    ]);
+    await AsyncStorage.setItem('schemaVersion', '5');
+
+    expect((await storage.loadEvents()).map(({ id, date, endDate }) => ({ id, date, endDate }))).toEqual([
+      { id: 'fair', date: '2026-11-02', endDate: '2026-11-05' },
+      { id: 'dinner', date: '2026-11-03T23:00:00.000Z', endDate: null },
+    ]);
+    expect(await AsyncStorage.getItem('schemaVersion')).toBe(String(CURRENT_SCHEMA_VERSION));
+  });
+
+  it('moves a sync state kept with the sync settings into the database', async () => {
+    const clock = '001792411200000-0000-dphone';
+    const sentEarlier = { collection: 'events', id: 'gone', clock, fields: { _deleted: true } };
+    // The event as sync last recorded it, without its local fields, and as it is stored now
+    const snapshot = {
+      id: 'soccer',
+      name: 'Soccer practice',
+      description: '',
+      date: '2026-11-02T16:00:00.000Z',
+      allDay: false,
+      category: 'event',
+      memberIds: [],
+      expenses: [],
+      exceptions: {},
+      reminders: [60, 0],
+    };
+    const soccer = { ...snapshot, name: 'Soccer training', images: [], notificationIds: [] };
+    await AsyncStorage.setItem('schemaVersion', String(CURRENT_SCHEMA_VERSION));
+    await AsyncStorage.setItem('events', JSON.stringify([soccer]));
+    await AsyncStorage.setItem('sync', JSON.stringify({
+      url: 'http://192.168.1.20:8787',
+      token: 'secret',
+      enabled: true,
+      state: {
+        deviceId: 'dphone',
+        clock,
+        cursor: 7,
+        lastSyncedAt: '2026-10-18T09:00:00.000Z',
+        pending: [sentEarlier],
+        clocks: { events: { soccer: { name: clock, date: clock, _deleted: clock }, gone: { _deleted: clock } } },
+        snapshots: { events: [snapshot] },
+      },
+    }));
+
+    expect(await storage.loadSync()).toEqual({
+      url: 'http://192.168.1.20:8787',
+      token: 'secret',
+      enabled: true,
+      state: { deviceId: 'dphone', clock, cursor: 7, lastSyncedAt: '2026-10-18T09:00:00.000Z' },
+      pending: 1,
+    });
+    expect(JSON.parse(await AsyncStorage.getItem('sync'))).not.toHaveProperty('state');
+
+    // The rename made since the last recording is found by comparing with the moved snapshot
+    await storage.recordSyncChanges(new Date('2026-10-19T12:00:00.000Z'));
+    const { changes } = await storage.loadPendingChanges(50);
+    expect(changes.filter(change => change.collection === 'events').map(({ id, fields }) => ({ id, fields }))).toEqual([
+      { id: 'gone', fields: { _deleted: true } },
+      { id: 'soccer', fields: { name: 'Soccer training' } },
+    ]);
+  });
+});
+
+describe('reading events a page at a time', () => {
+  let storage;
+  beforeEach(() => {
+    jest.resetModules();
+    storage = require('../storage');
+  });
+
+  const event = (id, date, fields = {}) => ({ id, name: `Event ${id}`, date, category: 'event', ...fields });
+  const ids = (events) => events.map(item => item.id);
+  const now = new Date('2026-10-19T12:00:00.000Z');
+
+  it('keeps started and repeating events loaded and pages the upcoming ones without skipping ties', async () => {
+    await storage.saveEventChanges([], [
+      event('started', '2026-10-19T11:30:00.000Z', { endDate: '2026-10-19T13:00:00.000Z' }),
+      event('weekly', '2026-11-01T09:00:00.000Z', { repeat: { frequency: 'weekly', interval: 1 } }),
+      event('b', '2026-10-20T09:00:00.000Z'),
+      event('a', '2026-10-20T09:00:00.000Z'),
+      event('c', '2026-10-20T09:00:00.000Z'),
+      event('d', '2026-10-21T09:00:00.000Z', { expenses: [{ id: 'x', amount: 500, currency: 'USD', payer: null, note: '' }] }),
+    ]);
+
+    expect(ids(await storage.loadCurrentEvents(new Date('2026-10-12T00:00:00.000Z'), now))).toEqual(['started', 'weekly']);
+
+    const first = await storage.loadUpcomingEvents({ from: now, limit: 2 });
+    expect(first).toMatchObject({ hasMore: true, until: { id: 'b' } });
+    expect(ids(first.events)).toEqual(['a', 'b']);
+
+    const rest = await storage.loadUpcomingEvents({ after: first.until, limit: null });
+    expect(rest).toMatchObject({ hasMore: false, until: { id: 'd' } });
+    expect(ids(rest.events)).toEqual(['c', 'd']);
+    expect(ids((await storage.loadUpcomingEvents({ after: first.until, limit: null, withExpenses: true })).events)).toEqual(['d']);
+  });
+
+  it('reads the events of a time range and counts those of a category', async () => {
+    await storage.saveEventChanges([], [
+      event('old', '2024-03-01T18:00:00.000Z', { category: 'food' }),
+      event('later', '2027-05-01T18:00:00.000Z', { category: 'food' }),
+      event('next', '2026-10-20T09:00:00.000Z'),
+    ]);
+
+    const range = await storage.loadEventsInRange(new Date('2027-04-25T00:00:00.000Z'), new Date('2027-05-02T00:00:00.000Z'));
+    expect(ids(range)).toEqual(['later']);
+    expect(await storage.countEventsInCategory('food')).toBe(2);
+  });
+});
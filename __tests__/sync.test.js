@@ -0,0 +1,180 @@
+/**
+ * @jest-environment node
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSyncState, syncWithServer } from '../sync';
+
+const TOKEN = 'family-secret';
+
+// A minute on the day of the test, so every phone's clock reads what the test says
+const minute = (value) => new Date(Date.UTC(2026, 9, 19, 12, value));
+
+// A phone: the storage module with its own AsyncStorage and event database
+const createPhone = () => {
+  let storage;
+  jest.isolateModules(() => {
+    storage = require('../storage');
+  });
+  return storage;
+};
+
+// Save received changes like the app does, leaving out the notifications
+const storeLists = (phone) => async (previous, synced, changedIds) => {
+  if (changedIds.events) {
+    await phone.saveEventChanges(previous.events, synced.events);
+  }
+  if (changedIds.categories) {
+    await phone.saveCategories(synced.categories);
+  }
+  if (changedIds.members) {
+    await phone.saveMembers(synced.members);
+  }
+  if (changedIds.settlements) {
+    await phone.saveSettlements(synced.settlements);
+  }
+};
+
+const SOCCER = {
+  id: 'soccer',
+  name: 'Soccer practice',
+  description: '',
+  date: '2026-11-02T16:00:00.000Z',
+  category: 'sports',
+  reminders: [60],
+  notificationIds: [{ id: 'n1', type: 'reminder', offset: 60 }],
+};
+
+describe('sync against the reference server', () => {
+  let server;
+  let url;
+  let dataDir;
+
+  beforeAll(() => new Promise((resolve, reject) => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsup-sync-'));
+    server = spawn(process.execPath, [
+      path.join(__dirname, '..', 'server', 'syncServer.mjs'),
+      '--port', '0',
+      '--host', '127.0.0.1',
+      '--data', path.join(dataDir, 'log.json'),
+      '--token', TOKEN,
+    ]);
+    server.stdout.on('data', chunk => {
+      const match = /listening on (http:\/\/[^,\s]+)/.exec(chunk.toString());
+      if (match) {
+        url = match[1];
+        resolve();
+      }
+    });
+    server.on('error', reject);
+    server.on('exit', code => reject(new Error(`The sync server exited with ${code}`)));
+  }));
+
+  afterAll(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Point a phone at the test server
+  const turnOn = async (phone, token = TOKEN) => {
+    await phone.resetSyncState(createSyncState());
+    await phone.saveSync({ url, token, enabled: true });
+  };
+
+  const sync = (phone, now, options = {}) =>
+    syncWithServer(phone, { url, token: TOKEN, storeLists: storeLists(phone), now: () => now, ...options });
+
+  it('merges a conflicting edit the same way on both phones', async () => {
+    const phoneA = createPhone();
+    const phoneB = createPhone();
+    await phoneA.saveEventChanges([], [SOCCER]);
+    await turnOn(phoneA);
+    await turnOn(phoneB);
+
+    expect(await sync(phoneA, minute(1))).toEqual({ error: null, offline: false });
+    expect(await sync(phoneB, minute(2))).toEqual({ error: null, offline: false });
+    const [received] = await phoneB.loadEvents();
+    expect(received).toMatchObject({ id: 'soccer', name: 'Soccer practice', reminders: [60], notificationIds: [] });
+
+    // Both phones edit the event before syncing again. A changes the name, B the description, and both
+    // move it, B a minute after A.
+    const [onA] = await phoneA.loadEvents();
+    await phoneA.saveEventChanges([onA], [{ ...onA, name: 'Soccer training', date: '2026-11-02T17:00:00.000Z' }]);
+    await phoneB.saveEventChanges([received], [{ ...received, description: 'Bring shin pads', date: '2026-11-02T18:00:00.000Z' }]);
+
+    await sync(phoneA, minute(3));
+    await sync(phoneB, minute(4));
+    await sync(phoneA, minute(5));
+
+    const merged = { name: 'Soccer training', description: 'Bring shin pads', date: '2026-11-02T18:00:00.000Z' };
+    const [finalA] = await phoneA.loadEvents();
+    const [finalB] = await phoneB.loadEvents();
+    expect(finalA).toMatchObject(merged);
+    expect(finalB).toMatchObject(merged);
+    // Notification ids stay on the phone that scheduled them
+    expect(finalA.notificationIds).toEqual(SOCCER.notificationIds);
+    expect(finalB.notificationIds).toEqual([]);
+
+    const [syncA, syncB] = [await phoneA.loadSync(), await phoneB.loadSync()];
+    expect([syncA.pending, syncB.pending]).toEqual([0, 0]);
+    expect(syncA.state.lastSyncedAt).toBe(minute(5).toISOString());
+  });
+
+  it('sends deleted events and other lists', async () => {
+    const phoneA = createPhone();
+    const phoneB = createPhone();
+    await phoneA.saveEventChanges([], [SOCCER]);
+    await turnOn(phoneA);
+    await turnOn(phoneB);
+    await sync(phoneA, minute(10));
+    await sync(phoneB, minute(11));
+
+    await phoneB.saveEventChanges(await phoneB.loadEvents(), []);
+    await phoneB.saveMembers([{ id: 'm1', name: 'Sam', color: '#FF6B6B', avatar: 'file:///sam.jpg' }]);
+    await sync(phoneB, minute(12));
+    await sync(phoneA, minute(13));
+
+    expect(await phoneA.loadEvents()).toEqual([]);
+    expect(await phoneA.loadMembers()).toEqual([{ id: 'm1', name: 'Sam', color: '#FF6B6B', avatar: null }]);
+  });
+
+  it('keeps changes pending while the server cannot be reached', async () => {
+    const phone = createPhone();
+    await phone.saveEventChanges([], [SOCCER]);
+    await turnOn(phone);
+
+    const offline = await sync(phone, minute(20), { fetchImpl: () => Promise.reject(new TypeError('fetch failed')) });
+    expect(offline).toEqual({ error: 'The sync server could not be reached.', offline: true });
+    expect((await phone.loadSync()).pending).toBeGreaterThan(0);
+
+    expect(await sync(phone, minute(21))).toEqual({ error: null, offline: false });
+    expect((await phone.loadSync()).pending).toBe(0);
+  });
+
+  it('fetches received changes again when saving them failed', async () => {
+    const phoneA = createPhone();
+    const phoneB = createPhone();
+    await phoneA.saveEventChanges([], [SOCCER]);
+    await turnOn(phoneA);
+    await turnOn(phoneB);
+    await sync(phoneA, minute(40));
+
+    const failing = () => Promise.reject(new Error('Could not schedule notifications'));
+    await expect(sync(phoneB, minute(41), { storeLists: failing })).rejects.toThrow('Could not schedule notifications');
+    expect(await phoneB.loadEvents()).toEqual([]);
+    expect((await phoneB.loadSync()).state.cursor).toBe(0);
+
+    expect(await sync(phoneB, minute(42))).toEqual({ error: null, offline: false });
+    expect((await phoneB.loadEvents()).map(event => event.name)).toEqual(['Soccer practice']);
+  });
+
+  it('reports a token the server does not accept', async () => {
+    const phone = createPhone();
+    await turnOn(phone, 'wrong');
+
+    expect(await sync(phone, minute(30), { token: 'wrong' }))
+      .toEqual({ error: 'The sync server did not accept the access token.', offline: false });
+  });
+});
@@ -0,0 +1,169 @@
+import { gcm } from '@noble/ciphers/aes.js';
+import { bytesToUtf8, utf8ToBytes } from '@noble/ciphers/utils.js';
+import { scryptAsync } from '@noble/hashes/scrypt.js';
+import { base64 } from '@scure/base';
+
+// Backups of everything the app stores, in one file that can be restored on another phone. The file is
+// JSON:
+//   { format: 'whatsup-backup', version: 1, createdAt, encrypted: false, contents }
+// where `contents` is
+//   { schemaVersion, data: { [storageKey]: value }, images: { [fileName]: base64 } }
+// `data` holds the stored values as they are at `schemaVersion`, so older backups go through the storage
+// migrations on restore. Photo URIs in it start with IMAGE_PLACEHOLDER instead of the app's folder,
+// which changes between installs. An encrypted backup has `encrypted: true` and, instead of `contents`,
+//   { kdf: { name: 'scrypt', N, r, p, salt }, cipher: { name: 'aes-256-gcm', nonce }, payload }
+// where `payload` is `contents` as encrypted JSON and binary values are base64.
+
+export const BACKUP_FORMAT = 'whatsup-backup';
+export const BACKUP_VERSION = 1;
+
+// Storage keys a backup holds
+export const BACKUP_KEYS = ['events', 'settings', 'trash', 'categories', 'members', 'settlements', 'feeds', 'filters'];
+
+// Shortest passphrase accepted for encrypted backups
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Stands for the app's image folder in the photo URIs of a backup
+const IMAGE_PLACEHOLDER = 'backup-image:';
+
+// Key derivation settings for new backups. scrypt keeps guessing passphrases slow even on fast hardware.
+const KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 12;
+
+// Image files only ever get names like the ones createImageNames gives them
+const isSafeFileName = (name) => /^[\w-]+(\.[\w]+)*$/.test(name);
+
+// Rewrite the photo URIs of events, Trash entries and members that start with `from` to start with `to`
+const relocateImages = (data, from, to) => {
+  const move = uri => (typeof uri === 'string' && uri.startsWith(from) ? `${to}${uri.slice(from.length)}` : uri);
+  const moveEvent = event => (event && Array.isArray(event.images)
+    ? { ...event, images: event.images.map(image => ({ ...image, uri: move(image.uri), thumbnailUri: move(image.thumbnailUri) })) }
+    : event);
+
+  return {
+    ...data,
+    ...(Array.isArray(data.events) ? { events: data.events.map(moveEvent) } : {}),
+    ...(Array.isArray(data.trash) ? { trash: data.trash.map(entry => (entry ? { ...entry, event: moveEvent(entry.event) } : entry)) } : {}),
+    ...(Array.isArray(data.members) ? { members: data.members.map(member => (member ? { ...member, avatar: move(member.avatar) } : member)) } : {}),
+  };
+};
+
+// Put together what a backup holds. `imageFolder` is where the app keeps the photos in `images`.
+export const createBackupContents = ({ schemaVersion, data, images, imageFolder }) => ({
+  schemaVersion,
+  data: relocateImages(data, imageFolder, IMAGE_PLACEHOLDER),
+  images,
+});
+
+// Point the photos of restored data at the app's image folder on this phone
+export const placeBackupImages = (data, imageFolder) => relocateImages(data, IMAGE_PLACEHOLDER, imageFolder);
+
+// Derive the encryption key of a backup from its passphrase
+const deriveKey = (passphrase, kdf, salt) =>
+  scryptAsync(utf8ToBytes(passphrase.normalize('NFKC')), salt, { N: kdf.N, r: kdf.r, p: kdf.p, dkLen: KEY_LENGTH });
+
+// The text of a backup file. With a passphrase the contents are encrypted; `randomBytes(length)` must
+// return cryptographically secure random bytes.
+export const serializeBackup = async (contents, { passphrase, randomBytes, now = new Date() } = {}) => {
+  const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: now.toISOString() };
+  if (!passphrase) {
+    return JSON.stringify({ ...header, encrypted: false, contents });
+  }
+
+  const salt = randomBytes(SALT_LENGTH);
+  const nonce = randomBytes(NONCE_LENGTH);
+  const key = await deriveKey(passphrase, KDF, salt);
+  const payload = gcm(key, nonce).encrypt(utf8ToBytes(JSON.stringify(contents)));
+
+  return JSON.stringify({
+    ...header,
+    encrypted: true,
+    kdf: { ...KDF, salt: base64.encode(salt) },
+    cipher: { name: 'aes-256-gcm', nonce: base64.encode(nonce) },
+    payload: base64.encode(payload),
+  });
+};
+
+// Read the outside of a backup file, without decrypting it. Throws an Error with a message for the user
+// when the text is not a backup this version of the app can read.
+export const parseBackupFile = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not a What\'s Up backup.');
+  }
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a What\'s Up backup.');
+  }
+  if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+  }
+  if (archive.encrypted && (!archive.kdf || archive.kdf.name !== 'scrypt' || !archive.cipher ||
+    archive.cipher.name !== 'aes-256-gcm' || typeof archive.payload !== 'string')) {
+    throw new Error('This backup is damaged.');
+  }
+  return archive;
+};
+
+// The contents of a parsed backup file, decrypting them with `passphrase` when needed. Throws an Error
+// with a message for the user when the passphrase is wrong or the contents are unusable.
+export const openBackup = async (archive, passphrase, currentSchemaVersion) => {
+  let contents = archive.contents;
+  if (archive.encrypted) {
+    if (!passphrase) {
+      throw new Error('Enter the passphrase this backup was made with.');
+    }
+    try {
+      const key = await deriveKey(passphrase, archive.kdf, base64.decode(archive.kdf.salt));
+      const plain = gcm(key, base64.decode(archive.cipher.nonce)).decrypt(base64.decode(archive.payload));
+      contents = JSON.parse(bytesToUtf8(plain));
+    } catch (error) {
+      // GCM cannot tell a wrong passphrase from a damaged file
+      throw new Error('The passphrase is wrong, or the backup is damaged.');
+    }
+  }
+
+  if (!contents || typeof contents !== 'object' || !contents.data || typeof contents.data !== 'object' ||
+    !Array.isArray(contents.data.events) || typeof contents.schemaVersion !== 'number') {
+    throw new Error('This backup is damaged.');
+  }
+  if (contents.schemaVersion > currentSchemaVersion) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+  }
+  const images = contents.images && typeof contents.images === 'object' ? contents.images : {};
+  if (!Object.keys(images).every(name => isSafeFileName(name) && typeof images[name] === 'string')) {
+    throw new Error('This backup is damaged.');
+  }
+  return { ...contents, images };
+};
+
+// Add the entries of `incoming` whose id `current` does not have yet
+const mergeById = (current, incoming, getId) => {
+  const known = new Set(current.map(getId));
+  return [...current, ...incoming.filter(item => item && !known.has(getId(item)))];
+};
+
+// Combine restored data with what the phone already has. Lists gain the entries they are missing and
+// keep their own version of entries both have; settings and filters stay as they are on the phone.
+export const mergeBackupData = (current, incoming) => {
+  const merged = { ...incoming, ...current };
+  const lists = {
+    events: event => event.id,
+    trash: entry => entry.event && entry.event.id,
+    categories: category => category.id,
+    members: member => member.id,
+    settlements: settlement => settlement.id,
+    feeds: feed => feed.id,
+  };
+
+  Object.keys(lists).forEach(key => {
+    if (Array.isArray(current[key]) && Array.isArray(incoming[key])) {
+      merged[key] = mergeById(current[key], incoming[key], lists[key]);
+    }
+  });
+  return merged;
+};
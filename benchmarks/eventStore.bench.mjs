@@ -0,0 +1,149 @@
+// Compares loading and saving events the old way, as one JSON value, with the SQLite event store, for
+// growing numbers of past events. Every dataset has the same upcoming and repeating events, so the
+// store's launch load, the current events and the first page of upcoming ones, should stay flat while
+// parsing the JSON value grows with the history.
+//
+// Runs in Node.js 18 or newer with better-sqlite3 standing in for expo-sqlite:
+//
+//   npm install --no-save better-sqlite3
+//   node benchmarks/eventStore.bench.mjs
+//
+// Times are medians of several runs, in milliseconds. The JSON columns leave out AsyncStorage's own
+// reading and writing, which only adds to them.
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { performance } from 'node:perf_hooks';
+import Database from 'better-sqlite3';
+
+// The app's modules are .js files without a package.json saying they are ES modules, so the store is
+// loaded from its source instead of by path
+const source = fs.readFileSync(new URL('../eventStore.js', import.meta.url), 'utf8');
+const store = await import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+
+const PAST_EVENT_COUNTS = [1000, 5000, 20000, 50000];
+const UPCOMING_EVENTS = 200;
+const REPEATING_EVENTS = 20;
+const RUNS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+const CATEGORIES = ['event', 'birthday', 'work', 'family', 'sport'];
+const WORDS = ['dinner', 'dentist', 'soccer', 'meeting', 'birthday', 'school', 'concert', 'trip', 'review', 'café'];
+
+// Give better-sqlite3 the async methods of an expo-sqlite database
+const openDatabase = (file) => {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) {
+      statements.set(sql, db.prepare(sql));
+    }
+    return statements.get(sql);
+  };
+
+  return {
+    execAsync: async (sql) => db.exec(sql),
+    runAsync: async (sql, params = []) => prepare(sql).run(...params),
+    getAllAsync: async (sql, params = []) => prepare(sql).all(...params),
+    getFirstAsync: async (sql, params = []) => prepare(sql).get(...params),
+    withTransactionAsync: async (task) => {
+      db.exec('BEGIN');
+      try {
+        await task();
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    close: () => db.close(),
+  };
+};
+
+// An event shaped like the ones the app saves
+const createEvent = (index, start, repeat = null) => ({
+  id: `${start}-${index}`,
+  name: `${WORDS[index % WORDS.length]} ${WORDS[(index * 7) % WORDS.length]} ${index}`,
+  description: index % 3 === 0 ? `Bring ${WORDS[(index * 3) % WORDS.length]} things and remember the ${WORDS[index % 4]}` : '',
+  date: new Date(start).toISOString(),
+  endDate: new Date(start + 60 * 60 * 1000).toISOString(),
+  allDay: false,
+  timeZone: null,
+  category: CATEGORIES[index % CATEGORIES.length],
+  images: [],
+  memberIds: index % 2 === 0 ? ['member-1'] : [],
+  expenses: index % 10 === 0
+    ? [{ id: `expense-${index}`, amount: 1250, currency: 'USD', date: new Date(start).toISOString(), payer: 'member-1', note: '', split: null }]
+    : [],
+  repeat,
+  exceptions: {},
+  reminders: [60, 0],
+  notificationIds: [],
+  completed: false,
+});
+
+// Past events spread over the years before now, plus the same upcoming and repeating ones every time
+const createEvents = (pastCount, now) => {
+  const events = [];
+  for (let i = 0; i < pastCount; i++) {
+    events.push(createEvent(i, now - (2 + i / 4) * DAY));
+  }
+  for (let i = 0; i < UPCOMING_EVENTS; i++) {
+    events.push(createEvent(pastCount + i, now + (1 + i / 2) * DAY));
+  }
+  for (let i = 0; i < REPEATING_EVENTS; i++) {
+    events.push(createEvent(pastCount + UPCOMING_EVENTS + i, now - 400 * DAY, { frequency: 'weekly', interval: 1 }));
+  }
+  return events;
+};
+
+// Median time of `task` over RUNS runs
+const measure = async (task) => {
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    const start = performance.now();
+    await task(i);
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return Number(times[Math.floor(RUNS / 2)].toFixed(2));
+};
+
+const now = Date.now();
+const cutoff = store.getArchiveCutoff(new Date(now));
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsup-bench-'));
+const results = [];
+
+try {
+  for (const pastCount of PAST_EVENT_COUNTS) {
+    const events = createEvents(pastCount, now);
+    const json = JSON.stringify(events);
+    const db = openDatabase(path.join(directory, `events-${pastCount}.db`));
+    await store.prepareEventStore(db);
+    await store.writeEvents(db, events);
+
+    let loaded = 0;
+    results.push({
+      events: events.length,
+      'JSON load': await measure(() => JSON.parse(json)),
+      'JSON save one': await measure(() => JSON.stringify(events)),
+      'SQLite load launch': await measure(async () => {
+        const current = await store.loadCurrentEvents(db, cutoff, new Date(now));
+        const page = await store.loadUpcomingEvents(db, { from: new Date(now) });
+        loaded = current.length + page.events.length;
+      }),
+      'Upcoming page': await measure(() => store.loadUpcomingEvents(db, { after: { start: now, id: '' } })),
+      'SQLite save one': await measure(run => store.writeEvents(db, [{ ...events[events.length - 1], name: `Renamed ${run}` }])),
+      'History page': await measure(() => store.queryArchivedEvents(db, cutoff, { offset: 0 })),
+      'History search': await measure(() => store.queryArchivedEvents(db, cutoff, { query: 'dent conc' })),
+      'loaded at launch': loaded,
+    });
+    db.close();
+  }
+} finally {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+console.table(results);
@@ -0,0 +1,87 @@
+// Categories are stored as { id, name, color, icon }. Events refer to them by id, so renaming
+// a category changes the label on every event that uses it.
+
+// Colors offered when creating or editing a category
+export const CATEGORY_COLORS = [
+  '#FF4500', '#E91E63', '#9C27B0', '#3F51B5', '#2196F3',
+  '#009688', '#4CAF50', '#FF9800', '#795548', '#607D8B',
+];
+
+// MaterialIcons offered when creating or editing a category
+export const CATEGORY_ICONS = [
+  'event', 'restaurant', 'sports-soccer', 'music-note', 'label',
+  'work', 'school', 'cake', 'flight', 'favorite',
+  'fitness-center', 'local-hospital', 'shopping-cart', 'movie', 'pets',
+  'home', 'celebration', 'local-bar', 'beach-access', 'book',
+];
+
+// The categories every install starts with. Their ids are the strings events used before categories were editable.
+export const DEFAULT_CATEGORIES = [
+  { id: 'event', name: 'Event', color: '#FF4500', icon: 'event' },
+  { id: 'food', name: 'Food', color: '#FF9800', icon: 'restaurant' },
+  { id: 'sports', name: 'Sports', color: '#4CAF50', icon: 'sports-soccer' },
+  { id: 'music', name: 'Music', color: '#9C27B0', icon: 'music-note' },
+  { id: 'other', name: 'Other', color: '#607D8B', icon: 'label' },
+];
+
+// Shown for events whose category no longer exists
+const UNKNOWN_CATEGORY = { name: 'Event', color: '#999999', icon: 'label' };
+
+// Find a category by id, falling back to a neutral one so cards always have something to show
+export const getCategory = (categories, id) =>
+  categories.find(category => category.id === id) || { ...UNKNOWN_CATEGORY, id };
+
+// Find a category by name, ignoring case and surrounding spaces
+export const findCategoryByName = (categories, name) => {
+  const wanted = name.trim().toLowerCase();
+  return categories.find(category => category.name.toLowerCase() === wanted) || null;
+};
+
+// Pick the first palette color no category uses yet
+const getUnusedColor = (categories) =>
+  CATEGORY_COLORS.find(color => !categories.some(category => category.color === color)) ||
+  CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length];
+
+// Create a new category; color and icon default to an unused color and a plain label
+export const createCategory = (categories, { name, color, icon }) => ({
+  id: `category-${Date.now()}-${categories.length}`,
+  name: name.trim(),
+  color: color || getUnusedColor(categories),
+  icon: icon || 'label',
+});
+
+// Categories created from the plain strings events used before categories were editable.
+// Strings that are not one of the defaults get a category of their own so no event loses its label.
+export const categoriesFromLegacy = (names) => {
+  const categories = [...DEFAULT_CATEGORIES];
+
+  [...new Set(names)].forEach(name => {
+    if (name && !categories.some(category => category.id === name)) {
+      categories.push({
+        id: name,
+        name: name.charAt(0).toUpperCase() + name.slice(1),
+        color: getUnusedColor(categories),
+        icon: 'label',
+      });
+    }
+  });
+
+  return categories;
+};
+
+// Move a category one place up (-1) or down (1) in the list
+export const moveCategory = (categories, id, direction) => {
+  const index = categories.findIndex(category => category.id === id);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= categories.length) {
+    return categories;
+  }
+
+  const reordered = [...categories];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+// Move every event in one category to another
+export const reassignCategory = (events, fromId, toId) =>
+  events.map(event => (event.category === fromId ? { ...event, category: toId } : event));
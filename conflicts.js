@@ -0,0 +1,119 @@
+import dayjs from 'dayjs';
+import { expandOccurrences, getOccurrence, isRecurring } from './recurrence';
+
+// Double-booking checks. Two occurrences conflict when they overlap or when one starts less than
+// the buffer after the other ends. Events without an end are taken to last the default duration.
+// All-day events such as birthdays or trips usually run alongside other plans, so they never conflict.
+
+// Gaps between events offered in Settings, in minutes
+export const CONFLICT_BUFFER_OPTIONS = [0, 15, 30, 60];
+
+// Default lengths for events without an end offered in Settings, in minutes
+export const DEFAULT_DURATION_OPTIONS = [30, 60, 90, 120];
+
+// How far ahead a repeating event is checked when it is saved
+export const CONFLICT_CHECK_DAYS = 90;
+
+// The time an occurrence takes up, or null for all-day events
+const getBusySpan = (occurrence, defaultDuration) => {
+  if (occurrence.allDay) {
+    return null;
+  }
+
+  const start = dayjs(occurrence.date);
+  const end = occurrence.endDate ? dayjs(occurrence.endDate) : start.add(defaultDuration, 'minute');
+  return { start, end };
+};
+
+// Check whether two spans overlap or come closer than the buffer
+const spansConflict = (a, b, buffer) =>
+  a.start.isBefore(b.end.add(buffer, 'minute')) && b.start.isBefore(a.end.add(buffer, 'minute'));
+
+// Occurrences of an event to check when it is saved: the edited occurrence only, the next
+// CONFLICT_CHECK_DAYS of a series, or the event itself
+const getOccurrencesToCheck = (event, occurrenceDate, now) => {
+  if (occurrenceDate) {
+    return [getOccurrence(event, occurrenceDate)].filter(Boolean);
+  }
+  if (isRecurring(event)) {
+    return expandOccurrences(event, now, dayjs(now).add(CONFLICT_CHECK_DAYS, 'day'), 500);
+  }
+  return [getOccurrence(event)].filter(Boolean);
+};
+
+// The busy spans of the occurrences of `event` to check, and the { from, to } dayjs range other
+// occurrences must overlap to conflict with one of them, or null when there is nothing to check
+const getCheckedSpans = (event, { bufferMinutes, defaultDurationMinutes }, occurrenceDate, now) => {
+  const spans = getOccurrencesToCheck(event, occurrenceDate, now)
+    .map(occurrence => ({ occurrence, span: getBusySpan(occurrence, defaultDurationMinutes) }))
+    .filter(item => item.span && item.span.end.isAfter(now));
+  if (spans.length === 0) {
+    return null;
+  }
+
+  // Occurrences without an end only reach their stored date, so look back far enough to find them
+  const from = spans[0].span.start.subtract(bufferMinutes + defaultDurationMinutes, 'minute');
+  const to = spans.reduce((latest, item) => (item.span.end.isAfter(latest) ? item.span.end : latest), from)
+    .add(bufferMinutes, 'minute');
+  return { spans, from, to };
+};
+
+// The { from, to } dayjs range the events that may conflict with `event` fall in, or null when it
+// cannot conflict with anything. Takes the arguments of findEventConflicts, without the events.
+export const getConflictCheckRange = (event, settings, occurrenceDate = null, now = new Date()) => {
+  const checked = getCheckedSpans(event, settings, occurrenceDate, now);
+  return checked ? { from: checked.from, to: checked.to } : null;
+};
+
+// Find the occurrences of other events that conflict with `event`, which is about to be saved.
+// Pass `occurrenceDate` when only that occurrence of a series was edited. Returns
+// { occurrence, conflict } pairs, earliest first, where `occurrence` belongs to `event`.
+export const findEventConflicts = (event, events, settings, occurrenceDate = null, now = new Date()) => {
+  const { bufferMinutes, defaultDurationMinutes } = settings;
+  const checked = getCheckedSpans(event, settings, occurrenceDate, now);
+  if (!checked) {
+    return [];
+  }
+
+  const { spans, from, to } = checked;
+  const others = events
+    .filter(other => other.id !== event.id)
+    .flatMap(other => expandOccurrences(other, from, to, 500))
+    .filter(other => !other.completed)
+    .map(occurrence => ({ occurrence, span: getBusySpan(occurrence, defaultDurationMinutes) }))
+    .filter(item => item.span);
+
+  const conflicts = [];
+  spans.forEach(own => {
+    others.forEach(other => {
+      if (spansConflict(own.span, other.span, bufferMinutes)) {
+        conflicts.push({ occurrence: own.occurrence, conflict: other.occurrence });
+      }
+    });
+  });
+
+  return conflicts.sort((a, b) => new Date(a.occurrence.date) - new Date(b.occurrence.date) ||
+    new Date(a.conflict.date) - new Date(b.conflict.date));
+};
+
+// Keys of the occurrences in a list that conflict with another occurrence in it
+export const findConflictingKeys = (occurrences, { bufferMinutes, defaultDurationMinutes }) => {
+  const items = occurrences
+    .map(occurrence => ({ occurrence, span: getBusySpan(occurrence, defaultDurationMinutes) }))
+    .filter(item => item.span)
+    .sort((a, b) => a.span.start.valueOf() - b.span.start.valueOf());
+  const keys = new Set();
+
+  items.forEach((item, index) => {
+    const reach = item.span.end.add(bufferMinutes, 'minute');
+    // Sorted by start, so nothing after the first occurrence starting out of reach can conflict
+    for (let next = index + 1; next < items.length && items[next].span.start.isBefore(reach); next++) {
+      if (items[next].occurrence.seriesId !== item.occurrence.seriesId) {
+        keys.add(item.occurrence.key);
+        keys.add(items[next].occurrence.key);
+      }
+    }
+  });
+
+  return keys;
+};
@@ -0,0 +1,100 @@
+import dayjs from 'dayjs';
+import { getLastDay, isInProgress } from './eventTime';
+
+// Countdowns shown on event cards. They come in two styles: 'short' for the round badge, e.g. "2d 3h",
+// and 'long', e.g. "in 2 days, 3 hours". The list re-renders at the moments a label would change, as
+// worked out by getNextTick, rather than on a fixed timer.
+
+export const COUNTDOWN_STYLES = [
+  { key: 'short', label: 'Short (2d 3h)' },
+  { key: 'long', label: 'Full (in 2 days, 3 hours)' },
+];
+
+// Events this close to their start are marked as starting soon
+export const STARTING_SOON_MINUTES = 15;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Longest the list waits between updates, so it also catches changes nobody predicted
+const MAX_TICK = HOUR;
+
+// Describe a length of time in its two largest units, e.g. "2d 3h" or "2 days, 3 hours"
+export const formatDuration = (milliseconds, style = 'short') => {
+  if (milliseconds < MINUTE) {
+    return style === 'short' ? '<1m' : 'less than a minute';
+  }
+
+  const days = Math.floor(milliseconds / DAY);
+  const hours = Math.floor((milliseconds % DAY) / HOUR);
+  const minutes = Math.floor((milliseconds % HOUR) / MINUTE);
+  const units = days > 0 ? [[days, 'd', 'day'], [hours, 'h', 'hour']] : [[hours, 'h', 'hour'], [minutes, 'm', 'minute']];
+
+  const parts = units.filter(([value]) => value > 0);
+  return style === 'short'
+    ? parts.map(([value, short]) => `${value}${short}`).join(' ')
+    : parts.map(([value, , long]) => `${value} ${long}${value === 1 ? '' : 's'}`).join(', ');
+};
+
+// The state an occurrence's badge is drawn in: 'in-progress', 'starting-soon' or 'upcoming'
+export const getCountdownState = (occurrence, now = new Date()) => {
+  if (isInProgress(occurrence, now)) {
+    return 'in-progress';
+  }
+  const untilStart = dayjs(occurrence.date).diff(now);
+  return !occurrence.allDay && untilStart >= 0 && untilStart < STARTING_SOON_MINUTES * MINUTE
+    ? 'starting-soon'
+    : 'upcoming';
+};
+
+// Text of the countdown badge of an occurrence: time until it starts, or until a running one ends
+export const describeTimeRemaining = (occurrence, now = new Date(), style = 'short') => {
+  if (isInProgress(occurrence, now)) {
+    // An all-day event on its last day simply runs until midnight
+    if (occurrence.allDay && getLastDay(occurrence).isSame(now, 'day')) {
+      return 'In progress';
+    }
+    return `Ends in ${formatDuration(dayjs(occurrence.endDate).diff(now), style)}`;
+  }
+
+  // All-day events count whole calendar days rather than time until midnight
+  if (occurrence.allDay) {
+    const days = dayjs(occurrence.date).diff(dayjs(now).startOf('day'), 'day');
+    if (style === 'short') {
+      return `${days}d`;
+    }
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+  }
+
+  const duration = formatDuration(Math.max(0, dayjs(occurrence.date).diff(now)), style);
+  return style === 'short' ? duration : `in ${duration}`;
+};
+
+// Milliseconds until the countdown of one moment changes: every minute within a day of it, every
+// hour before that, plus the moment itself
+const untilLabelChanges = (target, now) => {
+  const remaining = dayjs(target).diff(now);
+  if (remaining <= 0) {
+    return null;
+  }
+  const step = remaining <= DAY ? MINUTE : HOUR;
+  return remaining % step || step;
+};
+
+// Milliseconds until any of the occurrences needs its badge redrawn, or the list needs to drop a passed
+// occurrence. Between one second and an hour.
+export const getNextTick = (occurrences, now = new Date()) => {
+  const delays = occurrences.flatMap(occurrence => {
+    const soon = dayjs(occurrence.date).subtract(STARTING_SOON_MINUTES, 'minute');
+    return [
+      untilLabelChanges(occurrence.date, now),
+      occurrence.endDate ? untilLabelChanges(occurrence.endDate, now) : null,
+      occurrence.allDay ? null : untilLabelChanges(soon, now),
+      // All-day countdowns change at midnight
+      occurrence.allDay ? dayjs(now).add(1, 'day').startOf('day').diff(now) : null,
+    ];
+  }).filter(delay => delay !== null);
+
+  return Math.max(1000, Math.min(MAX_TICK, ...delays));
+};
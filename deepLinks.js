@@ -0,0 +1,128 @@
+import { getCategory } from './categories';
+import { toStoredDate } from './eventTime';
+import { isValidTimeZone } from './timeZones';
+
+// Links into the app. Shared events travel as
+//   whatsup://event?v=1&name=...&date=...&sig=...
+// and existing events are opened, e.g. from notification taps, with
+//   whatsup://open?id=...&occurrence=...
+// The app config has to register LINK_SCHEME (Expo's "scheme" setting) for the OS to hand these over.
+
+export const LINK_SCHEME = 'whatsup';
+
+const PAYLOAD_VERSION = '1';
+
+// Fields of a shared event in the order they are signed
+const SIGNED_FIELDS = ['v', 'name', 'description', 'date', 'end', 'allDay', 'tz', 'category'];
+
+// Mixed into the checksum so a link only validates in this app. It ships with the app, so the
+// checksum catches edited or cut-off links rather than stopping a determined forger.
+const CHECKSUM_KEY = 'whats-up-event-link';
+
+// FNV-1a hash of a string as 8 hex digits
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Checksum over the signed fields of a link. Two passes keep accidental matches rare.
+const computeChecksum = (params) => {
+  const text = SIGNED_FIELDS.map(field => `${field}=${params[field] || ''}`).join('&');
+  return fnv1a(`${CHECKSUM_KEY}&${text}`) + fnv1a(`${text}&${CHECKSUM_KEY}`);
+};
+
+// Build a query string, leaving out empty values
+const buildQuery = (params) => Object.keys(params)
+  .filter(key => params[key] !== null && params[key] !== undefined && params[key] !== '')
+  .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+  .join('&');
+
+// Split a link into its action and query parameters. React Native's URL class cannot read query
+// strings, so they are taken apart by hand.
+const splitLink = (url) => {
+  const match = /^([a-z][a-z0-9+.-]*):\/\/([^?#/]*)[^?#]*(?:\?([^#]*))?/i.exec((url || '').trim());
+  if (!match || match[1].toLowerCase() !== LINK_SCHEME) {
+    return null;
+  }
+
+  const params = {};
+  (match[3] || '').split('&').filter(Boolean).forEach(pair => {
+    const [key, ...value] = pair.split('=');
+    try {
+      params[decodeURIComponent(key)] = decodeURIComponent(value.join('=').replace(/\+/g, ' '));
+    } catch (error) {
+      // A malformed escape leaves the value out, which then fails the checksum
+    }
+  });
+  return { action: match[2].toLowerCase(), params };
+};
+
+// Link that carries a whole event so the recipient can add it without retyping. The category is
+// sent by name because ids differ from one install to the next.
+export const buildEventLink = (event, categories = []) => {
+  const params = {
+    v: PAYLOAD_VERSION,
+    name: event.name,
+    description: event.description || '',
+    date: event.date,
+    end: event.endDate || '',
+    allDay: event.allDay ? '1' : '',
+    tz: event.timeZone || '',
+    category: event.category ? getCategory(categories, event.category).name : '',
+  };
+  return `${LINK_SCHEME}://event?${buildQuery({ ...params, sig: computeChecksum(params) })}`;
+};
+
+// Link that opens an existing event, or one occurrence of a repeating event
+export const buildOpenLink = (eventId, occurrenceDate = null) =>
+  `${LINK_SCHEME}://open?${buildQuery({ id: eventId, occurrence: occurrenceDate })}`;
+
+// Check that a date parameter holds a usable ISO date
+const isValidDate = (value) => !!value && !isNaN(new Date(value).getTime());
+
+// Read a link. Returns { type: 'event', event } with the shared event's fields, { type: 'open', eventId,
+// occurrenceDate }, or { error } with a message for the user when the link is damaged or unknown.
+export const parseLink = (url) => {
+  const link = splitLink(url);
+  if (!link) {
+    return { error: 'This link does not belong to What\'s Up.' };
+  }
+
+  const { action, params } = link;
+  if (action === 'open') {
+    return params.id
+      ? { type: 'open', eventId: params.id, occurrenceDate: isValidDate(params.occurrence) ? params.occurrence : null }
+      : { error: 'This link does not say which event to open.' };
+  }
+
+  if (action !== 'event') {
+    return { error: 'This link is for something this version of the app cannot open.' };
+  }
+  if (params.v !== PAYLOAD_VERSION) {
+    return { error: 'This event was shared from a newer version of the app.' };
+  }
+  if (params.sig !== computeChecksum(params)) {
+    return { error: 'This event link has been changed or cut short. Ask for it to be shared again.' };
+  }
+  if (!params.name || !isValidDate(params.date)) {
+    return { error: 'This event link is missing its name or date.' };
+  }
+
+  const allDay = params.allDay === '1' && isValidDate(params.end);
+  return {
+    type: 'event',
+    event: {
+      name: params.name,
+      description: params.description || '',
+      date: toStoredDate(params.date, allDay),
+      endDate: isValidDate(params.end) ? toStoredDate(params.end, allDay) : null,
+      allDay,
+      timeZone: !allDay && isValidTimeZone(params.tz) ? params.tz : null,
+      category: params.category || null,
+    },
+  };
+};
@@ -0,0 +1,311 @@
+// Events kept in a SQLite database, one row per event, so saving an event writes that event alone and
+// launching reads only the events the app works with. The rest, the archive, is read page by page.
+//
+// Each row holds the event as JSON in `data`, plus copies of the fields the app queries by:
+//   start_ms, end_ms   when the event starts and ends, in epoch milliseconds; end_ms is NULL for
+//                      repeating events, which are never archived. The days of all-day events are
+//                      read as midnight UTC, which is less than a day from midnight in any zone.
+//   category           the category id
+//   has_expenses, has_images
+//   search_text        the words of the name and description, normalised like search.js does and
+//                      separated by spaces, so `LIKE '% term%'` matches words starting with a term
+//
+// Functions take a database opened with expo-sqlite's async API (execAsync, runAsync, getAllAsync,
+// getFirstAsync, withTransactionAsync). The module imports nothing so the benchmark in benchmarks/ can
+// load it in Node.js.
+
+// Rows read per page of the archive and of the upcoming events
+export const EVENT_PAGE_SIZE = 50;
+
+// Changes to the database layout. The database's user_version is the last version applied.
+const STORE_MIGRATIONS = [
+  {
+    version: 1,
+    sql: `
+      CREATE TABLE IF NOT EXISTS events (
+        id TEXT PRIMARY KEY NOT NULL,
+        start_ms INTEGER NOT NULL,
+        end_ms INTEGER,
+        category TEXT,
+        has_expenses INTEGER NOT NULL DEFAULT 0,
+        has_images INTEGER NOT NULL DEFAULT 0,
+        search_text TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS events_start ON events (start_ms);
+      CREATE INDEX IF NOT EXISTS events_end ON events (end_ms);
+      CREATE INDEX IF NOT EXISTS events_category ON events (category, start_ms);
+      CREATE INDEX IF NOT EXISTS events_expenses ON events (start_ms) WHERE has_expenses = 1;
+      CREATE INDEX IF NOT EXISTS events_images ON events (start_ms) WHERE has_images = 1;
+    `,
+  },
+  {
+    // The sync state, described in syncStore.js. Once sync is set up, the triggers note every event
+    // that is written or deleted, so recording changes reads those alone.
+    version: 2,
+    sql: `
+      CREATE TABLE IF NOT EXISTS sync_state (
+        id INTEGER PRIMARY KEY NOT NULL CHECK (id = 1),
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS sync_records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        snapshot TEXT,
+        clocks TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE TABLE IF NOT EXISTS sync_pending (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        change TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS sync_changed_events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE
+      );
+      CREATE TRIGGER IF NOT EXISTS events_insert_sync AFTER INSERT ON events
+        WHEN EXISTS (SELECT 1 FROM sync_state)
+        BEGIN INSERT OR REPLACE INTO sync_changed_events (id) VALUES (NEW.id); END;
+      CREATE TRIGGER IF NOT EXISTS events_update_sync AFTER UPDATE ON events
+        WHEN EXISTS (SELECT 1 FROM sync_state)
+        BEGIN INSERT OR REPLACE INTO sync_changed_events (id) VALUES (NEW.id); END;
+      CREATE TRIGGER IF NOT EXISTS events_delete_sync AFTER DELETE ON events
+        WHEN EXISTS (SELECT 1 FROM sync_state)
+        BEGIN INSERT OR REPLACE INTO sync_changed_events (id) VALUES (OLD.id); END;
+    `,
+  },
+];
+
+// Most ids bound to one statement, well below the 999 variables older SQLite builds allow
+const ID_CHUNK_SIZE = 500;
+
+// Characters that separate words, as in search.js
+const WORD_PATTERN = /[^\s.,;:!?()[\]{}"'`~@#$%^&*+=|\\/<>-]+/g;
+
+// Lower case text and strip accents, giving the same words as normalizeText in search.js
+const normalizeWords = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .match(WORD_PATTERN) || [];
+
+// Escape the wildcards of LIKE in a search term
+const escapeLike = (term) => term.replace(/[\\%_]/g, character => `\\${character}`);
+
+// Start of the archive: events that ended before the first day of last month. Newer ones stay loaded,
+// so this month's and last month's days in the calendar and the spending overview are complete.
+export const getArchiveCutoff = (now = new Date()) => new Date(now.getFullYear(), now.getMonth() - 1, 1);
+
+// Column values of an event
+const toRow = (event) => [
+  event.id,
+  Date.parse(event.date),
+  event.repeat && event.repeat.frequency && event.repeat.frequency !== 'none' ? null : Date.parse(event.endDate || event.date),
+  event.category || null,
+  Array.isArray(event.expenses) && event.expenses.length > 0 ? 1 : 0,
+  Array.isArray(event.images) && event.images.length > 0 ? 1 : 0,
+  ` ${[...normalizeWords(event.name), ...normalizeWords(event.description)].join(' ')}`,
+  JSON.stringify(event),
+];
+
+// Read the events of query results
+const toEvents = (rows) => rows.map(row => JSON.parse(row.data));
+
+// Create the table and indexes, or bring an older database up to date
+export const prepareEventStore = async (db) => {
+  const { user_version: version } = await db.getFirstAsync('PRAGMA user_version');
+  for (const migration of STORE_MIGRATIONS.filter(item => item.version > version)) {
+    await db.withTransactionAsync(async () => {
+      await db.execAsync(migration.sql);
+      await db.execAsync(`PRAGMA user_version = ${migration.version}`);
+    });
+  }
+};
+
+// The events the app keeps loaded besides the upcoming pages: repeating ones, and those ending on or
+// after `cutoff` that started before `now`, earliest first. Both halves search the end index; left to
+// itself SQLite reads every row through the start index to save sorting the few that match.
+export const loadCurrentEvents = async (db, cutoff, now) => toEvents(await db.getAllAsync(
+  `SELECT data, start_ms FROM events INDEXED BY events_end WHERE end_ms IS NULL
+   UNION ALL
+   SELECT data, start_ms FROM events INDEXED BY events_end WHERE end_ms >= ? AND start_ms < ?
+   ORDER BY start_ms`,
+  [cutoff.getTime(), now.getTime()]
+));
+
+// A page of the upcoming events that do not repeat, earliest first: those starting at or after `from`,
+// or with `after`, those following the page that ended there. Returns { events, hasMore, until }, where
+// `until` is what `after` takes for the next page. A `limit` of null reads every remaining event, and
+// withExpenses or withImages only those that have some.
+export const loadUpcomingEvents = async (db, { from, after = null, limit = EVENT_PAGE_SIZE, withExpenses, withImages }) => {
+  // Events starting at the same time are paged by id, so none is skipped or read twice
+  const conditions = ['end_ms IS NOT NULL'];
+  const params = [];
+  if (after) {
+    conditions.push('start_ms >= ?', '(start_ms > ? OR id > ?)');
+    params.push(after.start, after.start, after.id);
+  } else {
+    conditions.push('start_ms >= ?');
+    params.push(from.getTime());
+  }
+  if (withExpenses) {
+    conditions.push('has_expenses = 1');
+  }
+  if (withImages) {
+    conditions.push('has_images = 1');
+  }
+
+  // One row more than asked for tells whether another page follows
+  const rows = await db.getAllAsync(
+    `SELECT id, start_ms, data FROM events WHERE ${conditions.join(' AND ')} ORDER BY start_ms, id LIMIT ?`,
+    [...params, limit === null ? -1 : limit + 1]
+  );
+  const page = limit === null ? rows : rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    events: toEvents(page),
+    hasMore: rows.length > page.length,
+    until: last ? { start: last.start_ms, id: last.id } : after,
+  };
+};
+
+// The events that do not repeat and overlap [from, to), archived or not, earliest first
+export const loadEventsInRange = async (db, from, to) => toEvents(await db.getAllAsync(
+  'SELECT data FROM events WHERE end_ms IS NOT NULL AND end_ms >= ? AND start_ms < ? ORDER BY start_ms',
+  [from.getTime(), to.getTime()]
+));
+
+// Every event, earliest first
+export const loadAllEvents = async (db) => toEvents(await db.getAllAsync('SELECT data FROM events ORDER BY start_ms'));
+
+// Run a query for every chunk of `ids` and gather the rows. `buildSql` gets the placeholders of a chunk,
+// which are bound after `params`.
+export const selectByIds = async (db, buildSql, ids, params = []) => {
+  const rows = [];
+  for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(start, start + ID_CHUNK_SIZE);
+    rows.push(...await db.getAllAsync(buildSql(chunk.map(() => '?').join(', ')), [...params, ...chunk]));
+  }
+  return rows;
+};
+
+// The stored events with the given ids, in no particular order
+export const loadEventsById = async (db, ids) =>
+  toEvents(await selectByIds(db, placeholders => `SELECT data FROM events WHERE id IN (${placeholders})`, ids));
+
+// Every event in a category, using the category index
+export const loadEventsInCategory = async (db, categoryId) =>
+  toEvents(await db.getAllAsync('SELECT data FROM events WHERE category = ? ORDER BY start_ms', [categoryId]));
+
+// Number of stored events in a category
+export const countEventsInCategory = async (db, categoryId) =>
+  (await db.getFirstAsync('SELECT COUNT(*) AS count FROM events WHERE category = ?', [categoryId])).count;
+
+// Number of stored events
+export const countEvents = async (db) => (await db.getFirstAsync('SELECT COUNT(*) AS count FROM events')).count;
+
+// Build the WHERE clause for archived events ending before `cutoff`. Options:
+//   query         every word must start a word of the name or description; unlike the search of
+//                 loaded events, typos are not forgiven
+//   categoryIds   only events in one of these categories
+//   range         [from, to) Dates the event must overlap
+//   withExpenses, withImages   only events that have some
+const archiveFilter = (cutoff, { query, categoryIds, range, withExpenses, withImages } = {}) => {
+  // Every archived event also starts before the cutoff. Saying so lets SQLite walk the start index
+  // backwards and stop after a page, instead of sorting everything that ended before the cutoff.
+  const conditions = ['start_ms < ?', 'end_ms IS NOT NULL', 'end_ms < ?'];
+  const params = [cutoff.getTime(), cutoff.getTime()];
+
+  normalizeWords(query).forEach(term => {
+    conditions.push("search_text LIKE ? ESCAPE '\\'");
+    params.push(`% ${escapeLike(term)}%`);
+  });
+  if (categoryIds && categoryIds.length > 0) {
+    conditions.push(`category IN (${categoryIds.map(() => '?').join(', ')})`);
+    params.push(...categoryIds);
+  }
+  if (range) {
+    conditions.push('start_ms < ?', 'end_ms >= ?');
+    params.push(range[1].getTime(), range[0].getTime());
+  }
+  if (withExpenses) {
+    conditions.push('has_expenses = 1');
+  }
+  if (withImages) {
+    conditions.push('has_images = 1');
+  }
+  return { where: conditions.join(' AND '), params };
+};
+
+// A page of archived events, latest first, with `hasMore` set when there are further pages. Takes the
+// options of archiveFilter plus `offset` and `limit`; a `limit` of null reads every match.
+export const queryArchivedEvents = async (db, cutoff, { offset = 0, limit = EVENT_PAGE_SIZE, ...options } = {}) => {
+  const { where, params } = archiveFilter(cutoff, options);
+  if (limit === null) {
+    return { events: toEvents(await db.getAllAsync(`SELECT data FROM events WHERE ${where} ORDER BY start_ms DESC`, params)), hasMore: false };
+  }
+
+  // One row more than asked for tells whether another page follows
+  const rows = await db.getAllAsync(
+    `SELECT data FROM events WHERE ${where} ORDER BY start_ms DESC LIMIT ? OFFSET ?`,
+    [...params, limit + 1, offset]
+  );
+  return { events: toEvents(rows.slice(0, limit)), hasMore: rows.length > limit };
+};
+
+// Number of archived events ending before `cutoff`, taking the options of archiveFilter
+export const countArchivedEvents = async (db, cutoff, options) => {
+  const { where, params } = archiveFilter(cutoff, options);
+  return (await db.getFirstAsync(`SELECT COUNT(*) AS count FROM events WHERE ${where}`, params)).count;
+};
+
+// Delete the archived events ending before `cutoff`
+export const deleteArchivedEvents = async (db, cutoff) => {
+  const { where, params } = archiveFilter(cutoff);
+  await db.runAsync(`DELETE FROM events WHERE ${where}`, params);
+};
+
+// Insert or replace `saved` events and delete the events with `removedIds`, all or nothing
+export const writeEvents = async (db, saved, removedIds = []) => {
+  if (saved.length === 0 && removedIds.length === 0) {
+    return;
+  }
+  await db.withTransactionAsync(async () => {
+    for (const event of saved) {
+      await db.runAsync(
+        `INSERT OR REPLACE INTO events (id, start_ms, end_ms, category, has_expenses, has_images, search_text, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        toRow(event)
+      );
+    }
+    for (const id of removedIds) {
+      await db.runAsync('DELETE FROM events WHERE id = ?', [id]);
+    }
+  });
+};
+
+// Replace every stored event with `events`
+export const replaceAllEvents = async (db, events) => {
+  await db.withTransactionAsync(async () => {
+    await db.runAsync('DELETE FROM events');
+    for (const event of events) {
+      await db.runAsync(
+        `INSERT INTO events (id, start_ms, end_ms, category, has_expenses, has_images, search_text, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        toRow(event)
+      );
+    }
+  });
+};
+
+// What to write when a list of events becomes `updated`: events that are new or were replaced by
+// another object, and the ids that are gone. Lists are updated immutably, so unchanged events are the
+// very same objects and are not written again.
+export const diffEvents = (previous, updated) => {
+  const previousById = new Map(previous.map(event => [event.id, event]));
+  const updatedIds = new Set(updated.map(event => event.id));
+  return {
+    saved: updated.filter(event => previousById.get(event.id) !== event),
+    removedIds: previous.filter(event => !updatedIds.has(event.id)).map(event => event.id),
+  };
+};
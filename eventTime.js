@@ -0,0 +1,129 @@
+import dayjs from 'dayjs';
+import { formatInTimeZone, fromZoneWallClock, getEventTimeZone, toZoneWallClock } from './timeZones';
+
+// Start and end times of events. Every event has a start `date`; `endDate` is optional for timed
+// events. All-day events (`allDay: true`) store calendar days such as "2026-11-02" instead of instants,
+// so they stay on the same days when the phone changes time zone. Their `endDate` is always set to the
+// day after their last day, the same way iCalendar stores them. dayjs reads a calendar day as
+// midnight on the device clock; `new Date` would read it as midnight UTC, so always use dayjs.
+
+// How all-day events store their days
+export const CALENDAR_DAY_FORMAT = 'YYYY-MM-DD';
+
+// Calendar day of a midnight. All-day dates saved before they were stored as days are the instant of
+// midnight in the zone the phone was in then, so the nearest midnight on the device clock is the day meant.
+export const toCalendarDay = (date) => dayjs(date).add(12, 'hour').format(CALENDAR_DAY_FORMAT);
+
+// A start or end as events store it: the calendar day for all-day events, the instant otherwise
+export const toStoredDate = (date, allDay) => (allDay ? toCalendarDay(date) : dayjs(date).toISOString());
+
+// Order events or occurrences by when they start
+export const compareStarts = (a, b) => dayjs(a.date).valueOf() - dayjs(b.date).valueOf();
+
+// Length of an event in whole days for all-day events or minutes otherwise, or null when it has no end
+const getEventLength = (event) => {
+  if (!event.endDate) {
+    return null;
+  }
+
+  const unit = event.allDay ? 'day' : 'minute';
+  return { value: dayjs(event.endDate).diff(dayjs(event.date), unit), unit };
+};
+
+// End of an occurrence of `event` that starts at `start`, keeping the length of the series.
+// All-day lengths are counted in days so they stay whole across daylight saving changes.
+export const getEndForStart = (event, start) => {
+  const length = getEventLength(event);
+  return length ? toStoredDate(dayjs(start).add(length.value, length.unit), event.allDay) : null;
+};
+
+// Moment an occurrence is over: its end, or its start when it has none
+export const getOccurrenceEnd = (occurrence) => dayjs(occurrence.endDate || occurrence.date);
+
+// Check whether an occurrence has started and not finished yet
+export const isInProgress = (occurrence, now = new Date()) =>
+  !!occurrence.endDate && !dayjs(occurrence.date).isAfter(now) && dayjs(occurrence.endDate).isAfter(now);
+
+// Last day an occurrence covers. The end is exclusive, so an event ending at midnight does not reach the next day.
+export const getLastDay = (occurrence) => {
+  const firstDay = dayjs(occurrence.date).startOf('day');
+  if (!occurrence.endDate) {
+    return firstDay;
+  }
+
+  const lastDay = dayjs(occurrence.endDate).subtract(1, 'millisecond').startOf('day');
+  return lastDay.isBefore(firstDay) ? firstDay : lastDay;
+};
+
+// Every day an occurrence covers, from its first day to its last
+export const getOccurrenceDays = (occurrence) => {
+  const days = [];
+  const lastDay = getLastDay(occurrence);
+  for (let day = dayjs(occurrence.date).startOf('day'); !day.isAfter(lastDay); day = day.add(1, 'day')) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Check whether an occurrence spans more than one calendar day
+export const isMultiDay = (occurrence) => !getLastDay(occurrence).isSame(dayjs(occurrence.date), 'day');
+
+// The start shown in the Add/Edit Event form, read off the clocks of the event's zone
+export const getFormStart = (event) => {
+  const zone = getEventTimeZone(event);
+  return zone ? toZoneWallClock(event.date, zone) : dayjs(event.date).toDate();
+};
+
+// The end shown in the Add/Edit Event form: the last day for all-day events, the end time otherwise
+export const getFormEnd = (event) => {
+  if (!event.endDate) {
+    return null;
+  }
+  if (event.allDay) {
+    return getLastDay(event).toDate();
+  }
+
+  const zone = getEventTimeZone(event);
+  return zone ? toZoneWallClock(event.endDate, zone) : dayjs(event.endDate).toDate();
+};
+
+// Turn the start and end picked in the form into stored times. Timed events with a zone are read
+// as wall-clock times in that zone. Returns { date, endDate } or { error } when the event would end before it starts.
+export const buildEventTimes = (start, formEnd, allDay, timeZone = null) => {
+  if (allDay) {
+    const firstDay = dayjs(start).startOf('day');
+    const lastDay = formEnd ? dayjs(formEnd).startOf('day') : firstDay;
+    if (lastDay.isBefore(firstDay)) {
+      return { error: 'The last day cannot be before the first day' };
+    }
+    return { date: toCalendarDay(firstDay), endDate: toCalendarDay(lastDay.add(1, 'day')) };
+  }
+
+  if (formEnd && !dayjs(formEnd).isAfter(start)) {
+    return { error: 'The event must end after it starts' };
+  }
+
+  const toInstant = (date) => (timeZone ? fromZoneWallClock(date, timeZone) : dayjs(date).toISOString());
+  return { date: toInstant(start), endDate: formEnd ? toInstant(formEnd) : null };
+};
+
+// Describe when an occurrence happens, e.g. "Mon, Oct 20, 10:00 AM - 11:30 AM" or "Oct 20 - Oct 22, all day".
+// Timed events are shown on the device clock unless a zone is given.
+export const formatEventTime = (occurrence, timeZone = null) => {
+  const start = dayjs(occurrence.date);
+
+  if (occurrence.allDay) {
+    return isMultiDay(occurrence)
+      ? `${start.format('ddd, MMM D')} - ${getLastDay(occurrence).format('ddd, MMM D')}, all day`
+      : `${start.format('ddd, MMM D')}, all day`;
+  }
+
+  const format = (date, pattern) => formatInTimeZone(date, timeZone, pattern);
+  if (!occurrence.endDate) {
+    return format(occurrence.date, 'ddd, MMM D, h:mm A');
+  }
+
+  return format(occurrence.endDate, 'YYYY-MM-DD') === format(occurrence.date, 'YYYY-MM-DD')
+    ? `${format(occurrence.date, 'ddd, MMM D, h:mm A')} - ${format(occurrence.endDate, 'h:mm A')}`
+    : `${format(occurrence.date, 'MMM D, h:mm A')} - ${format(occurrence.endDate, 'MMM D, h:mm A')}`;
+};
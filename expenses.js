@@ -0,0 +1,157 @@
+import dayjs from 'dayjs';
+import { getCategory } from './categories';
+
+// Spending recorded on events. Each event keeps its own list in `expenses`:
+//   { id, amount, currency, payer, note, date }
+// `amount` is a whole number of the currency's minor unit (cents, or yen for JPY) so totals never
+// pick up floating point noise. `payer` is a household member id, or null when nobody was picked.
+// `date` is when the money was spent, which decides the month it counts towards.
+
+// Currencies offered when adding an expense, with the number of digits after the decimal point
+export const CURRENCIES = [
+  { code: 'USD', symbol: '$', decimals: 2 },
+  { code: 'EUR', symbol: '€', decimals: 2 },
+  { code: 'GBP', symbol: '£', decimals: 2 },
+  { code: 'CAD', symbol: 'CA$', decimals: 2 },
+  { code: 'AUD', symbol: 'A$', decimals: 2 },
+  { code: 'CHF', symbol: 'CHF ', decimals: 2 },
+  { code: 'INR', symbol: '₹', decimals: 2 },
+  { code: 'JPY', symbol: '¥', decimals: 0 },
+];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Share of a budget spent before it is flagged as nearly used up
+export const BUDGET_WARNING_RATIO = 0.8;
+
+// Look up a currency by code. Unknown codes are shown as the code itself with two decimals.
+export const getCurrency = (code) =>
+  CURRENCIES.find(currency => currency.code === code) || { code, symbol: `${code} `, decimals: 2 };
+
+// Read an amount typed by the user, e.g. "12", "12.5" or "12,50", into minor units.
+// Returns null for anything that is not a positive amount with at most the currency's decimals.
+export const parseAmount = (text, currencyCode) => {
+  const { decimals } = getCurrency(currencyCode);
+  const match = /^(\d+)(?:[.,](\d*))?$/.exec((text || '').trim());
+  if (!match || (match[2] || '').length > decimals) {
+    return null;
+  }
+
+  const amount = Number(match[1]) * 10 ** decimals + Number((match[2] || '').padEnd(decimals, '0') || 0);
+  return amount > 0 && Number.isSafeInteger(amount) ? amount : null;
+};
+
+// Amount in minor units as a plain number string for CSV and input fields, e.g. 1250 -> "12.50"
+export const amountToText = (amount, currencyCode) => {
+  const { decimals } = getCurrency(currencyCode);
+  if (decimals === 0) {
+    return String(amount);
+  }
+  const whole = Math.floor(Math.abs(amount) / 10 ** decimals);
+  const fraction = String(Math.abs(amount) % 10 ** decimals).padStart(decimals, '0');
+  return `${amount < 0 ? '-' : ''}${whole}.${fraction}`;
+};
+
+// Amount in minor units for display, e.g. 123450 USD -> "$1,234.50"
+export const formatAmount = (amount, currencyCode) => {
+  const { symbol } = getCurrency(currencyCode);
+  const [whole, fraction] = amountToText(Math.abs(amount), currencyCode).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return `${amount < 0 ? '-' : ''}${symbol}${grouped}${fraction ? `.${fraction}` : ''}`;
+};
+
+// Create an expense entry
+export const createExpense = ({ amount, currency, payer, note, date }) => ({
+  id: `expense-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+  amount,
+  currency,
+  payer: payer || null,
+  note: (note || '').trim(),
+  date: dayjs(date).toISOString(),
+});
+
+// Add up expenses per currency, e.g. { USD: 4500, EUR: 1000 }
+export const sumByCurrency = (expenses) => expenses.reduce((totals, expense) => ({
+  ...totals,
+  [expense.currency]: (totals[expense.currency] || 0) + expense.amount,
+}), {});
+
+// Totals per currency for display, e.g. "$45.00 + €10.00", or an empty string without any
+export const formatTotals = (totals) => Object.keys(totals)
+  .sort()
+  .map(code => formatAmount(totals[code], code))
+  .join(' + ');
+
+// Check whether an expense was spent in the month containing `month`
+const isInMonth = (expense, month) => dayjs(expense.date).isSame(month, 'month');
+
+// Spending of a month by category, biggest spender first in `currency`. Categories with a budget are
+// listed even when nothing was spent on them. Returns [{ category, totals, spent, budget }], where
+// `spent` is the total in `currency`, the only one budgets are kept in.
+export const getMonthlyTotals = (events, categories, month, budgets = {}, currency = DEFAULT_CURRENCY) => {
+  const byCategory = {};
+  events.forEach(event => {
+    const monthExpenses = (event.expenses || []).filter(expense => isInMonth(expense, month));
+    if (monthExpenses.length > 0) {
+      const categoryId = getCategory(categories, event.category).id;
+      byCategory[categoryId] = [...(byCategory[categoryId] || []), ...monthExpenses];
+    }
+  });
+  Object.keys(budgets).forEach(categoryId => {
+    if (!byCategory[categoryId] && categories.some(category => category.id === categoryId)) {
+      byCategory[categoryId] = [];
+    }
+  });
+
+  return Object.keys(byCategory)
+    .map(categoryId => {
+      const totals = sumByCurrency(byCategory[categoryId]);
+      return {
+        category: getCategory(categories, categoryId),
+        totals,
+        spent: totals[currency] || 0,
+        budget: budgets[categoryId] || null,
+      };
+    })
+    .sort((a, b) => b.spent - a.spent || a.category.name.localeCompare(b.category.name));
+};
+
+// How much of a budget is used: 'over', 'near' once BUDGET_WARNING_RATIO is reached, 'ok', or null without a budget
+export const getBudgetStatus = (spent, budget) => {
+  if (!budget) {
+    return null;
+  }
+  if (spent > budget) {
+    return 'over';
+  }
+  return spent >= budget * BUDGET_WARNING_RATIO ? 'near' : 'ok';
+};
+
+// Quote a CSV field when it contains a separator, quote or line break
+const escapeCSV = (value) => {
+  const text = String(value === null || value === undefined ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Every expense as CSV, oldest first, for spreadsheets
+export const expensesToCSV = (events, categories, members = []) => {
+  const rows = events
+    .flatMap(event => (event.expenses || []).map(expense => ({ event, expense })))
+    .sort((a, b) => new Date(a.expense.date) - new Date(b.expense.date))
+    .map(({ event, expense }) => {
+      const payer = members.find(member => member.id === expense.payer);
+      return [
+        dayjs(expense.date).format('YYYY-MM-DD'),
+        event.name,
+        getCategory(categories, event.category).name,
+        amountToText(expense.amount, expense.currency),
+        expense.currency,
+        payer ? payer.name : '',
+        expense.note,
+      ];
+    });
+
+  return [['Date', 'Event', 'Category', 'Amount', 'Currency', 'Paid By', 'Note'], ...rows]
+    .map(row => row.map(escapeCSV).join(','))
+    .join('\r\n');
+};
@@ -0,0 +1,64 @@
+import dayjs from 'dayjs';
+import { CATEGORY_COLORS } from './categories';
+import { compareStarts } from './eventTime';
+
+// Household members are stored as { id, name, color, avatar }, where `avatar` is a photo URI or
+// null for initials. Events list the members they are for in `memberIds`; an empty list means the
+// event is for the whole household.
+
+// Colors offered for members; the same palette as categories
+export const MEMBER_COLORS = CATEGORY_COLORS;
+
+// Create a new member with the first color no one uses yet
+export const createMember = (members, { name, color, avatar }) => ({
+  id: `member-${Date.now()}-${members.length}`,
+  name: name.trim(),
+  color: color ||
+    MEMBER_COLORS.find(swatch => !members.some(member => member.color === swatch)) ||
+    MEMBER_COLORS[members.length % MEMBER_COLORS.length],
+  avatar: avatar || null,
+});
+
+// Initials shown when a member has no photo, e.g. "Mary Ann" -> "MA"
+export const getInitials = (name) =>
+  name.trim().split(/\s+/).slice(0, 2).map(word => word.charAt(0).toUpperCase()).join('');
+
+// The members an event is for, in household order. Ids of removed members are ignored.
+export const getEventMembers = (members, event) =>
+  members.filter(member => (event.memberIds || []).includes(member.id));
+
+// Join member names for display, e.g. "Ann", "Ann & Bob" or "Ann, Bob & Cy"
+export const formatMemberNames = (members) => {
+  const names = members.map(member => member.name);
+  return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+};
+
+// Check whether an event is assigned to a member
+export const isForMember = (event, memberId) => (event.memberIds || []).includes(memberId);
+
+// Check whether an event concerns the given member: assigned to them, or to nobody in particular
+export const isMine = (event, myMemberId) =>
+  !event.memberIds || event.memberIds.length === 0 || isForMember(event, myMemberId);
+
+// Take a removed member off every event
+export const removeMemberFromEvents = (events, memberId) =>
+  events.map(event => (isForMember(event, memberId)
+    ? { ...event, memberIds: event.memberIds.filter(id => id !== memberId) }
+    : event));
+
+// Group occurrences into agenda sections by the day they start, in date order
+export const groupAgendaByDay = (occurrences) => {
+  const sections = [];
+  [...occurrences]
+    .sort(compareStarts)
+    .forEach(occurrence => {
+      const day = dayjs(occurrence.date).format('YYYY-MM-DD');
+      const section = sections[sections.length - 1];
+      if (section && section.day === day) {
+        section.data.push(occurrence);
+      } else {
+        sections.push({ day, data: [occurrence] });
+      }
+    });
+  return sections;
+};
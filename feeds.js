@@ -0,0 +1,218 @@
+import dayjs from 'dayjs';
+import { CATEGORY_COLORS } from './categories';
+import { toStoredDate } from './eventTime';
+import { parseICS } from './ics';
+import { isValidTimeZone } from './timeZones';
+
+// Subscriptions to read-only event feeds, shown in the Public tab. A feed is stored as
+//   { id, name, source: 'url' | 'file', location, color, refreshedAt, error, events }
+// where `location` is the URL, or the app's own copy of a picked file. `events` holds what the last
+// successful refresh found; a failed refresh keeps them and sets `error` to a message for the user.
+//
+// A feed is an iCalendar file or a JSON document like this one:
+//   {
+//     "name": "City Events",                  optional, suggests the feed's name
+//     "events": [
+//       {
+//         "id": "park-concert-2026",          required, must stay the same between refreshes
+//         "name": "Concert in the Park",      required
+//         "start": "2026-11-02T19:00:00Z",    required, ISO 8601; a plain date for all-day events
+//         "end": "2026-11-02T21:00:00Z",      optional; for all-day events the last day
+//         "allDay": false,                    optional
+//         "timeZone": "America/New_York",     optional IANA zone the event's times are kept in; times
+//                                             without an offset are read in it, or without one in
+//                                             the device's zone
+//         "description": "Bring a blanket",   optional
+//         "category": "Music"                 optional category name
+//       }
+//     ]
+//   }
+
+// Colors given to feeds, one after another as they are added
+export const FEED_COLORS = CATEGORY_COLORS;
+
+// How often feeds can be set to refresh, in hours
+export const FEED_REFRESH_OPTIONS = [1, 6, 24];
+
+// Give up on a feed that has not answered after this many milliseconds
+const FETCH_TIMEOUT = 15000;
+
+// Create a feed subscription that has not been fetched yet
+export const createFeed = (feeds, { name, source, location }) => ({
+  id: `feed-${Date.now()}-${feeds.length}`,
+  name,
+  source,
+  location,
+  color: FEED_COLORS[feeds.length % FEED_COLORS.length],
+  refreshedAt: null,
+  error: null,
+  events: [],
+});
+
+// Suggest a feed name from its address, e.g. "https://example.com/club/events.ics" -> "example.com"
+export const nameFromLocation = (location) => {
+  const host = /^[a-z]+:\/\/([^/?#:]+)/i.exec(location);
+  return host ? host[1].replace(/^www\./, '') : location.split('/').pop().replace(/\.[^.]+$/, '') || 'Feed';
+};
+
+// A time of day followed by a UTC offset, e.g. "T19:00:00Z" or "T19:00:00-05:00"
+const OFFSET_PATTERN = /T[\d:.]+(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+// Read a date from a JSON feed. Times without an offset are wall-clock times in `timeZone` when one is
+// given, and plain dates are days in the device's time zone.
+const parseFeedDate = (value, timeZone = null) => {
+  const date = typeof value === 'string' ? dayjs(value) : null;
+  if (!date || !date.isValid()) {
+    return null;
+  }
+  return timeZone && !OFFSET_PATTERN.test(value.trim()) ? dayjs.tz(value, timeZone) : date;
+};
+
+// Turn one event of a JSON feed into an event record, or null when it is missing required fields
+const parseJSONEvent = (item) => {
+  if (!item || (typeof item.id !== 'string' && typeof item.id !== 'number') ||
+    typeof item.name !== 'string' || !item.name.trim()) {
+    return null;
+  }
+  const allDay = item.allDay === true;
+  const timeZone = !allDay && isValidTimeZone(item.timeZone) ? item.timeZone : null;
+  const start = parseFeedDate(item.start, timeZone);
+  if (!start) {
+    return null;
+  }
+
+  const end = parseFeedDate(item.end, timeZone);
+  return {
+    uid: String(item.id),
+    name: item.name.trim(),
+    description: typeof item.description === 'string' ? item.description : '',
+    date: toStoredDate(allDay ? start.startOf('day') : start, allDay),
+    // All-day events end at midnight after their last day, which is their first day when the feed gives
+    // none, like the events the app creates itself
+    endDate: allDay
+      ? toStoredDate((end && !end.isBefore(start, 'day') ? end : start).add(1, 'day').startOf('day'), true)
+      : (end && end.isAfter(start) ? end.toISOString() : null),
+    allDay,
+    timeZone,
+    category: typeof item.category === 'string' && item.category.trim() ? item.category.trim() : null,
+    repeat: null,
+    exceptions: {},
+  };
+};
+
+// Parse the text of a feed into { name, events }, where `name` is null when the feed does not have one.
+// Throws an Error with a message for the user when the text is not a feed.
+export const parseFeedText = (text) => {
+  const trimmed = (text || '').trim();
+
+  if (/^BEGIN:VCALENDAR/i.test(trimmed)) {
+    const name = /^X-WR-CALNAME[^:]*:(.*)$/im.exec(trimmed);
+    return {
+      name: name ? name[1].trim() : null,
+      events: parseICS(trimmed).map((event, index) => ({ ...event, uid: event.uid || `event-${index}` })),
+    };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error('This is neither an iCalendar nor a JSON event feed.');
+  }
+  if (!document || !Array.isArray(document.events)) {
+    throw new Error('This JSON feed has no "events" list.');
+  }
+
+  const events = document.events.map(parseJSONEvent).filter(Boolean);
+  if (document.events.length > 0 && events.length === 0) {
+    throw new Error('None of the events in this feed have an id, a name and a start.');
+  }
+  return { name: typeof document.name === 'string' && document.name.trim() ? document.name.trim() : null, events };
+};
+
+// Download the text of a feed. webcal:// addresses are fetched over HTTPS.
+// Throws an Error with a message for the user when the feed cannot be downloaded.
+export const fetchFeedText = async (url, fetchImpl = fetch) => {
+  const address = url.trim().replace(/^webcals?:\/\//i, 'https://');
+  if (!/^https?:\/\//i.test(address)) {
+    throw new Error('Feed addresses start with http://, https:// or webcal://.');
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const response = await fetchImpl(address, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`The server answered with ${response.status}${response.statusText ? ` ${response.statusText}` : ''}.`);
+    }
+    return await response.text();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('The server took too long to answer.');
+    }
+    if (error.name === 'TypeError') {
+      throw new Error('The feed could not be reached. Check the address and your connection.');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Fetch and parse a feed. Never throws: returns the feed with fresh events, or with `error` set and
+// its previous events kept. `readFile` reads the app's copy of a file feed.
+export const refreshFeed = async (feed, readFile, fetchImpl = fetch, now = new Date()) => {
+  try {
+    const text = feed.source === 'file' ? await readFile(feed.location) : await fetchFeedText(feed.location, fetchImpl);
+    const { name, events } = parseFeedText(text);
+    return {
+      ...feed,
+      // Feeds subscribed to without a name take the one they give themselves
+      name: feed.name || name || nameFromLocation(feed.location),
+      events,
+      error: null,
+      refreshedAt: now.toISOString(),
+    };
+  } catch (error) {
+    return { ...feed, error: error.message || 'The feed could not be refreshed.' };
+  }
+};
+
+// Check whether a URL feed is due for a refresh. Only successful refreshes count, so a failing feed is
+// tried again at every check until it loads.
+export const isFeedDue = (feed, refreshHours, now = new Date()) =>
+  feed.source === 'url' && (!feed.refreshedAt || dayjs(now).diff(feed.refreshedAt, 'minute') >= refreshHours * 60);
+
+// The events of every feed as read-only event records the recurrence helpers can expand. Ids are
+// prefixed with the feed so events of different feeds never clash.
+export const getFeedEvents = (feeds) => feeds.flatMap(feed => feed.events.map(event => ({
+  ...event,
+  id: `${feed.id}:${event.uid}`,
+  feedId: feed.id,
+  categoryName: event.category,
+  category: null,
+  images: [],
+  reminders: [],
+  memberIds: [],
+  expenses: [],
+  readOnly: true,
+})));
+
+// Copy a feed event (the whole series for repeating ones) into an event of the user's own
+export const copyFeedEvent = (event, { id, category, reminders }) => ({
+  id,
+  uid: event.uid,
+  name: event.name,
+  description: event.description,
+  date: event.date,
+  endDate: event.endDate,
+  allDay: event.allDay,
+  timeZone: event.timeZone,
+  images: [],
+  category,
+  memberIds: [],
+  expenses: [],
+  repeat: event.repeat,
+  exceptions: event.exceptions || {},
+  reminders,
+});
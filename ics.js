@@ -0,0 +1,424 @@
+import dayjs from 'dayjs';
+import { getCategory } from './categories';
+import { getEndForStart, toStoredDate } from './eventTime';
+import { isRecurring } from './recurrence';
+import { formatInTimeZone, getEventTimeZone, isValidTimeZone } from './timeZones';
+
+// iCalendar (RFC 5545) import and export for events
+
+const PRODUCT_ID = "-//What's Up//Events//EN";
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const ICS_FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY',
+};
+
+// UID used for an event in exported files; events imported from a file keep their original UID
+export const getEventUid = (event) => event.uid || `${event.id}@whats-up`;
+
+// Escape a TEXT value
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Undo TEXT escaping
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+
+// Number of bytes a character takes in UTF-8
+const utf8Length = (character) => {
+  const codePoint = character.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+// Fold a content line so no physical line exceeds 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const character of line) {
+    const length = utf8Length(character);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentLength + length > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += character;
+    currentLength += length;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Format a date as a UTC DATE-TIME, e.g. 20261019T180000Z
+const formatDateTime = (date) =>
+  dayjs(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Format a date property of an event from one or more dates. All-day events use plain DATE values so
+// other calendars show them without a time. Events with a zone are written in that zone's local time
+// with a TZID, so calendars keep repeats at the same hour across daylight saving changes; no VTIMEZONE
+// is written because calendars that read TZIDs know the IANA names already.
+const formatDateProperty = (name, dates, event) => {
+  const values = [].concat(dates);
+  const zone = getEventTimeZone(event);
+  if (event.allDay) {
+    return `${name};VALUE=DATE:${values.map(date => dayjs(date).format('YYYYMMDD')).join(',')}`;
+  }
+  if (zone) {
+    return `${name};TZID=${zone}:${values.map(date => formatInTimeZone(date, zone, 'YYYYMMDD[T]HHmmss')).join(',')}`;
+  }
+  return `${name}:${values.map(formatDateTime).join(',')}`;
+};
+
+// Parse a DATE or DATE-TIME value. UTC values end in Z; values with a TZID the device knows are
+// read in that zone, and floating values or unknown TZIDs in the device time zone.
+const parseDateValue = (value, tzid = null) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  if (!utc && match[4] && isValidTimeZone(tzid)) {
+    return dayjs.tz(`${year}-${month}-${day}T${hour}:${minute}:${second}`, tzid).toDate();
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+  return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+};
+
+// Parse a date property, honouring its TZID parameter
+const parseDateProperty = (property) => parseDateValue(property.value, property.params.TZID);
+
+// Build an RRULE value from a repeat rule
+const buildRepeatRule = (event) => {
+  const { repeat } = event;
+  const start = dayjs(event.date);
+  const parts = [`FREQ=${ICS_FREQUENCIES[repeat.frequency]}`];
+
+  if (repeat.interval > 1) {
+    parts.push(`INTERVAL=${repeat.interval}`);
+  }
+
+  if (repeat.frequency === 'weekly') {
+    const weekdays = repeat.weekdays && repeat.weekdays.length > 0 ? repeat.weekdays : [start.day()];
+    parts.push(`BYDAY=${[...weekdays].sort((a, b) => a - b).map(day => ICS_WEEKDAYS[day]).join(',')}`);
+  } else if (repeat.frequency === 'monthly' && repeat.monthlyMode === 'weekday') {
+    const nth = Math.ceil(start.date() / 7);
+    parts.push(`BYDAY=${nth > 4 ? -1 : nth}${ICS_WEEKDAYS[start.day()]}`);
+  } else if (repeat.frequency === 'monthly') {
+    parts.push(`BYMONTHDAY=${start.date()}`);
+  }
+
+  if (repeat.endType === 'count') {
+    parts.push(`COUNT=${repeat.count}`);
+  } else if (repeat.endType === 'until' && repeat.until) {
+    parts.push(`UNTIL=${formatDateTime(dayjs(repeat.until).endOf('day'))}`);
+  }
+
+  return parts.join(';');
+};
+
+// Build the VALARM components for an event's reminders
+const buildAlarms = (event) =>
+  (Array.isArray(event.reminders) ? event.reminders : []).map(minutes => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(event.name)}`,
+    minutes === 0 ? 'TRIGGER:PT0S' : `TRIGGER:-PT${minutes}M`,
+    'END:VALARM',
+  ].join('\n'));
+
+// Build the VEVENT lines for a single event, or for a changed occurrence when recurrenceId is set
+const buildEventLines = (event, stamp, categories, recurrenceId = null) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(getEventUid(event))}`,
+    `DTSTAMP:${stamp}`,
+    formatDateProperty('DTSTART', event.date, event),
+    `SUMMARY:${escapeText(event.name)}`,
+  ];
+
+  if (event.endDate) {
+    lines.push(formatDateProperty('DTEND', event.endDate, event));
+  }
+  if (recurrenceId) {
+    lines.push(formatDateProperty('RECURRENCE-ID', recurrenceId, event));
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  // Other calendars only understand category names, not the app's category ids
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(getCategory(categories, event.category).name)}`);
+  }
+
+  if (!recurrenceId && isRecurring(event)) {
+    lines.push(`RRULE:${buildRepeatRule(event)}`);
+
+    const skippedDates = Object.keys(event.exceptions || {}).filter(date => event.exceptions[date].skipped);
+    if (skippedDates.length > 0) {
+      lines.push(formatDateProperty('EXDATE', skippedDates, event));
+    }
+  }
+
+  lines.push(...buildAlarms(event));
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Serialise events to an iCalendar document
+export const eventsToICS = (events, categories = []) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  events.forEach(event => {
+    lines.push(...buildEventLines(event, stamp, categories));
+
+    // Changed occurrences of a series are written as their own VEVENTs with a RECURRENCE-ID
+    if (isRecurring(event)) {
+      Object.keys(event.exceptions || {}).forEach(occurrenceDate => {
+        const override = event.exceptions[occurrenceDate];
+        if (!override.skipped) {
+          const date = override.date || occurrenceDate;
+          const endDate = override.endDate !== undefined ? override.endDate : getEndForStart(event, date);
+          lines.push(...buildEventLines({ ...event, ...override, date, endDate }, stamp, categories, occurrenceDate));
+        }
+      });
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+
+  // Alarms are built as multi-line strings, so split them back into single lines before folding
+  return lines.join('\n').split('\n').map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Split a content line into its name, parameters and value
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+// Parse a DURATION value into its sign and length in minutes, or null if it is not supported
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, sign = '+', weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  return { sign, minutes: Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes) };
+};
+
+// Parse an alarm TRIGGER duration into minutes before the start, or null if it is not supported
+const parseTrigger = (value) => {
+  const duration = parseDuration(value);
+
+  // Reminders can only fire before the event starts
+  if (!duration || (duration.sign !== '-' && duration.minutes !== 0)) {
+    return null;
+  }
+  return duration.minutes;
+};
+
+// Work out the end of a VEVENT from DTEND or DURATION. All-day events without either last one day.
+const parseEventEnd = (properties, start, allDay) => {
+  let end = properties.DTEND ? parseDateProperty(properties.DTEND) : null;
+  if (!end && properties.DURATION) {
+    const duration = parseDuration(properties.DURATION.value);
+    if (duration && duration.sign !== '-') {
+      end = allDay
+        ? dayjs(start).add(Math.round(duration.minutes / 1440), 'day').toDate()
+        : dayjs(start).add(duration.minutes, 'minute').toDate();
+    }
+  }
+
+  if (allDay) {
+    const lastDay = end ? dayjs(end).subtract(1, 'day') : dayjs(start);
+    return dayjs(lastDay.isBefore(start) ? start : lastDay).add(1, 'day').toDate();
+  }
+  return end && end > start ? end : null;
+};
+
+// Parse an RRULE value into a repeat rule, or null when the rule cannot be represented
+const parseRepeatRule = (value, start) => {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    rule[key.toUpperCase()] = ruleValue;
+  });
+
+  const frequency = Object.keys(ICS_FREQUENCIES).find(key => ICS_FREQUENCIES[key] === rule.FREQ);
+  if (!frequency) {
+    return null;
+  }
+
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : [];
+  const repeat = {
+    frequency,
+    interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+    weekdays: frequency === 'weekly' && byDay.length > 0
+      ? byDay.map(day => ICS_WEEKDAYS.indexOf(day.slice(-2))).filter(day => day !== -1)
+      : [dayjs(start).day()],
+    monthlyMode: frequency === 'monthly' && byDay.some(day => /^[+-]?\d/.test(day)) ? 'weekday' : 'date',
+    endType: 'never',
+    until: null,
+    count: 10,
+  };
+
+  if (rule.COUNT) {
+    repeat.endType = 'count';
+    repeat.count = Math.max(1, parseInt(rule.COUNT, 10) || 1);
+  } else if (rule.UNTIL) {
+    const until = parseDateValue(rule.UNTIL);
+    if (until) {
+      repeat.endType = 'until';
+      repeat.until = until.toISOString();
+    }
+  }
+
+  return repeat;
+};
+
+// Turn the collected properties of a VEVENT into an event record
+const buildParsedEvent = (properties, alarms) => {
+  const start = properties.DTSTART && parseDateProperty(properties.DTSTART);
+  if (!start) {
+    return null;
+  }
+
+  const allDay = properties.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(properties.DTSTART.value.trim());
+  const end = parseEventEnd(properties, start, allDay);
+  const location = properties.LOCATION ? unescapeText(properties.LOCATION.value) : '';
+  const description = properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value) : '';
+  const categories = properties.CATEGORIES ? unescapeText(properties.CATEGORIES.value).split(',') : [];
+  const tzid = properties.DTSTART.params.TZID;
+
+  return {
+    uid: properties.UID ? unescapeText(properties.UID.value) : null,
+    name: properties.SUMMARY ? unescapeText(properties.SUMMARY.value) : 'Untitled event',
+    // The app keeps the location on the first line of the description
+    description: [location, description].filter(Boolean).join('\n'),
+    date: toStoredDate(start, allDay),
+    endDate: end ? toStoredDate(end, allDay) : null,
+    allDay,
+    timeZone: !allDay && isValidTimeZone(tzid) ? tzid : null,
+    category: categories.length > 0 && categories[0].trim() ? categories[0].trim() : null,
+    repeat: properties.RRULE ? parseRepeatRule(properties.RRULE.value, start) : null,
+    exdates: properties.EXDATE ? properties.EXDATE.value.split(',').map(value => parseDateValue(value, properties.EXDATE.params.TZID)).filter(Boolean) : [],
+    recurrenceId: properties['RECURRENCE-ID'] ? parseDateProperty(properties['RECURRENCE-ID']) : null,
+    reminders: alarms.length > 0 ? alarms : null,
+  };
+};
+
+// Parse an iCalendar document into event records.
+// Changed occurrences (VEVENTs with a RECURRENCE-ID) are folded into their series as exceptions.
+export const parseICS = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const parsed = [];
+  let properties = null;
+  let alarms = [];
+  let inAlarm = false;
+
+  lines.forEach(line => {
+    const contentLine = parseContentLine(line);
+    if (!contentLine) {
+      return;
+    }
+
+    const { name, params, value } = contentLine;
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      properties = {};
+      alarms = [];
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && properties) {
+      const event = buildParsedEvent(properties, alarms);
+      if (event) {
+        parsed.push(event);
+      }
+      properties = null;
+    } else if (name === 'BEGIN' && value.toUpperCase() === 'VALARM') {
+      inAlarm = true;
+    } else if (name === 'END' && value.toUpperCase() === 'VALARM') {
+      inAlarm = false;
+    } else if (inAlarm && name === 'TRIGGER' && params.VALUE !== 'DATE-TIME') {
+      const minutes = parseTrigger(value);
+      if (minutes !== null && !alarms.includes(minutes)) {
+        alarms.push(minutes);
+      }
+    } else if (properties && !inAlarm) {
+      // EXDATE may appear several times; every other property keeps its first value
+      if (name === 'EXDATE' && properties.EXDATE) {
+        properties.EXDATE.value += `,${value}`;
+      } else if (!properties[name]) {
+        properties[name] = { params, value };
+      }
+    }
+  });
+
+  const series = parsed.filter(event => !event.recurrenceId);
+  const overrides = parsed.filter(event => event.recurrenceId);
+
+  return series.map(({ exdates, recurrenceId, ...event }) => {
+    const exceptions = {};
+    exdates.forEach(date => {
+      exceptions[toStoredDate(date, event.allDay)] = { skipped: true };
+    });
+
+    overrides
+      .filter(override => override.uid && override.uid === event.uid)
+      .forEach(override => {
+        exceptions[toStoredDate(override.recurrenceId, event.allDay)] = {
+          name: override.name,
+          description: override.description,
+          date: override.date,
+          endDate: override.endDate,
+        };
+      });
+
+    return { ...event, exceptions };
+  });
+};
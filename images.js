@@ -0,0 +1,48 @@
+// Photos attached to events. Picked and captured photos are copied into the app's document directory,
+// since the image picker's cache can be cleared by the OS at any time. Each event keeps a list in
+// `images`:
+//   { uri, thumbnailUri }
+// where the thumbnail is a small copy drawn on event cards. Files in the image directory that no event,
+// Trash entry or member avatar refers to are deleted by the app's clean-up pass.
+
+// Folder inside the document directory that holds the app's photos
+export const IMAGE_DIRECTORY = 'images/';
+
+// Width in pixels thumbnails are scaled down to
+export const THUMBNAIL_WIDTH = 480;
+
+// Most photos one event can have
+export const MAX_EVENT_IMAGES = 10;
+
+// The photos of an event, first one first
+export const getEventImages = (event) => (event && Array.isArray(event.images) ? event.images : []);
+
+// File names for a new photo and its thumbnail, keeping the extension of the picked file
+export const createImageNames = (sourceUri) => {
+  const extension = (/\.(jpe?g|png|heic|webp)$/i.exec(sourceUri || '') || [null, 'jpg'])[1].toLowerCase();
+  const base = `image-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  return { name: `${base}.${extension}`, thumbnailName: `${base}-thumb.jpg` };
+};
+
+// Every file URI still in use by events, Trash entries or members
+export const getReferencedImages = (events, trash = [], members = []) => {
+  const uris = new Set();
+  [...events, ...trash.map(entry => entry.event)].forEach(event => {
+    getEventImages(event).forEach(image => {
+      uris.add(image.uri);
+      uris.add(image.thumbnailUri);
+    });
+  });
+  members.forEach(member => {
+    if (member.avatar) {
+      uris.add(member.avatar);
+    }
+  });
+  return uris;
+};
+
+// URIs of the files in `directory` nobody refers to. `keep` protects files stored during this session
+// that may still be waiting in an unsaved form.
+export const findUnusedImages = (directory, fileNames, referenced, keep = new Set()) => fileNames
+  .map(name => `${directory}${name}`)
+  .filter(uri => !referenced.has(uri) && !keep.has(uri));
@@ -0,0 +1,109 @@
+import dayjs from 'dayjs';
+import { getNextOccurrences } from './recurrence';
+import { getEventReminders, getNotificationOffset, getReminderTime } from './reminders';
+
+// Keeping the notifications the OS has scheduled in line with the `notificationIds` stored on events.
+// The two drift apart after a reinstall or a restore, when saving the events fails after scheduling, or
+// when the OS drops requests beyond its limit. Reconciling compares them and plans the repair:
+//   - scheduled notifications no event refers to are orphans and get cancelled
+//   - stored ids the OS no longer has are forgotten, and reminders still ahead are scheduled again
+//   - when more reminders are wanted than the platform allows, the nearest ones win
+
+// Number of upcoming occurrences of a repeating event that get notifications at once
+export const NOTIFIED_OCCURRENCES = 3;
+
+// Pending notifications an app may have. iOS keeps only the 64 soonest; Android starts refusing new
+// alarms at about 500, so the app stays clear of that.
+export const NOTIFICATION_LIMITS = {
+  ios: 64,
+  android: 450,
+};
+
+// Identify one reminder of one occurrence
+const reminderKey = (eventId, occurrenceDate, offset) => `${eventId}|${occurrenceDate}|${offset}`;
+
+// The reminders an event should have scheduled, soonest first: [{ key, eventId, occurrence, offset, time }].
+// Pass `offsets` to plan only some of the event's reminders.
+export const getPlannedReminders = (event, offsets = getEventReminders(event), now = new Date()) => {
+  // All-day events start at midnight, so today's occurrence can still have its morning reminder ahead
+  const after = event.allDay ? dayjs(now).startOf('day').subtract(1, 'millisecond') : now;
+  const occurrences = getNextOccurrences(event, after, NOTIFIED_OCCURRENCES)
+    .filter(occurrence => !occurrence.completed);
+
+  return occurrences
+    .flatMap(occurrence => offsets.map(offset => ({
+      key: reminderKey(event.id, occurrence.occurrenceDate, offset),
+      eventId: event.id,
+      occurrence,
+      offset,
+      time: getReminderTime(occurrence, offset).toDate(),
+    })))
+    .filter(reminder => reminder.time > now)
+    .sort((a, b) => a.time - b.time);
+};
+
+// When a scheduled notification request fires, or null for triggers without a fixed date. Expo has
+// described date triggers as both { value } and { date } over its versions.
+export const getTriggerDate = (request) => {
+  const trigger = request.trigger || {};
+  const value = trigger.value !== undefined ? trigger.value : trigger.date;
+  return value === undefined || value === null ? null : new Date(value);
+};
+
+// Compare the scheduled notification requests with the events and plan what to change. Returns
+//   { orphanIds, changes, dropped }
+// where `changes` lists { eventId, keep, cancel, schedule } for each event whose notifications need
+// work: `keep` are the stored entries that stay, `cancel` scheduled ones to remove and `schedule` the
+// planned reminders to add. `dropped` counts the reminders left out to stay within `limit`.
+export const planReconciliation = (events, scheduledRequests, limit = NOTIFICATION_LIMITS.ios, now = new Date()) => {
+  const scheduledIds = new Set(scheduledRequests.map(request => request.identifier));
+  const isScheduled = notification => scheduledIds.has(notification.id);
+
+  // Snoozes were asked for a moment ago and fire soon, so they always keep their place
+  const snoozeCount = events.reduce((count, event) => count + (event.notificationIds || [])
+    .filter(notification => notification.type === 'snooze' && isScheduled(notification)).length, 0);
+
+  const planned = events
+    .filter(event => !event.completed)
+    .flatMap(event => getPlannedReminders(event, getEventReminders(event), now))
+    .sort((a, b) => a.time - b.time);
+  const allowed = planned.slice(0, Math.max(0, limit - snoozeCount));
+  const allowedKeys = new Set(allowed.map(reminder => reminder.key));
+
+  const changes = [];
+  events.forEach(event => {
+    const stored = event.notificationIds || [];
+    const keep = [];
+    const cancel = [];
+    const keptKeys = new Set();
+
+    stored.filter(isScheduled).forEach(notification => {
+      if (notification.type === 'snooze') {
+        keep.push(notification);
+        return;
+      }
+      const key = reminderKey(event.id, notification.occurrenceDate, getNotificationOffset(notification));
+      // A reminder scheduled twice, or one that no longer makes the cut, is cancelled
+      if (allowedKeys.has(key) && !keptKeys.has(key)) {
+        keptKeys.add(key);
+        keep.push(notification);
+      } else {
+        cancel.push(notification);
+      }
+    });
+
+    const schedule = allowed.filter(reminder =>
+      reminder.eventId === event.id && !keptKeys.has(reminder.key));
+
+    if (cancel.length > 0 || schedule.length > 0 || keep.length !== stored.length) {
+      changes.push({ eventId: event.id, keep, cancel, schedule });
+    }
+  });
+
+  const referencedIds = new Set(events.flatMap(event => (event.notificationIds || []).map(notification => notification.id)));
+  const orphanIds = scheduledRequests
+    .map(request => request.identifier)
+    .filter(id => !referencedIds.has(id));
+
+  return { orphanIds, changes, dropped: planned.length - allowed.length };
+};
@@ -0,0 +1,271 @@
+import dayjs from 'dayjs';
+import { findCategoryByName } from './categories';
+import { normalizeReminders } from './reminders';
+
+// Parser for the quick-add bar. A phrase is split on spaces and read left to right; every word that
+// is not part of one of the phrases below becomes part of the event name.
+//
+//   date      today | tonight | tomorrow | day after tomorrow
+//             | in <n> day(s)/week(s)
+//             | <weekday>         the next one, today included while the time is still to come
+//             | next <weekday>    the next one after today
+//             | <month> <day> | <day> <month> | <m>/<d>   rolls over to next year once passed
+//   time      <h>[:mm]am/pm | <h>[:mm] am/pm | <hh>:<mm> | noon | midnight
+//             | at <h>            a bare hour only counts after "at"
+//   category  #<name>            a category name or id; spaces in names can be left out
+//   reminder  remind [me] at start
+//             | remind [me] <n> min(s)/minute(s)/h/hour(s)/day(s)/week(s) [before]
+//
+// "on" in front of a date and "at" in front of a time are dropped with them. Only the first date and
+// the first time are used; repeats stay in the name. Times without am/pm from 1 to 7 are read as the
+// afternoon, since nobody quick-adds a 3 AM dentist appointment. Without a time, events start at
+// DEFAULT_HOUR; without a date, a time still to come today is today and a past one is tomorrow.
+
+// Hour used for phrases that give a date but no time
+export const DEFAULT_HOUR = 9;
+
+// Hour used for "tonight" when no time is given
+const TONIGHT_HOUR = 20;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const REMINDER_UNITS = {
+  min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  day: 1440, days: 1440,
+  week: 10080, weeks: 10080,
+};
+
+// Match a weekday or month by its full name or an abbreviation of at least three letters
+const findName = (names, word) =>
+  word.length >= 3 ? names.findIndex(name => name.startsWith(word)) : -1;
+
+// Read a day of the month such as "25" or "25th"
+const parseDayOfMonth = (word) => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+  const day = match ? Number(match[1]) : 0;
+  return day >= 1 && day <= 31 ? day : null;
+};
+
+// The next time a month and day come round, today included
+const nextMonthDay = (month, day, today) => {
+  const date = today.month(month).date(day);
+  if (date.month() !== month) {
+    return null;
+  }
+  return date.isBefore(today, 'day') ? date.add(1, 'year') : date;
+};
+
+// Read a date phrase starting at `index`. Returns { length, date, hour, isWeekday } or null.
+const matchDate = (words, index, today) => {
+  const [first, second, third] = words.slice(index);
+  if (!first) {
+    return null;
+  }
+
+  if (first === 'today') return { length: 1, date: today };
+  if (first === 'tonight') return { length: 1, date: today, hour: TONIGHT_HOUR };
+  if (first === 'tomorrow' || first === 'tmrw') return { length: 1, date: today.add(1, 'day') };
+  if (first === 'day' && second === 'after' && third === 'tomorrow') {
+    return { length: 3, date: today.add(2, 'day') };
+  }
+
+  if (first === 'in' && /^\d+$/.test(second || '')) {
+    const unit = { day: 'day', days: 'day', week: 'week', weeks: 'week' }[third];
+    return unit ? { length: 3, date: today.add(Number(second), unit) } : null;
+  }
+
+  if (first === 'next' && second) {
+    const weekday = findName(WEEKDAYS, second);
+    if (weekday !== -1) {
+      return { length: 2, date: today.add(((weekday - today.day() + 6) % 7) + 1, 'day') };
+    }
+    return null;
+  }
+
+  const weekday = findName(WEEKDAYS, first);
+  if (weekday !== -1) {
+    return { length: 1, date: today.add((weekday - today.day() + 7) % 7, 'day'), isWeekday: true };
+  }
+
+  const slash = /^(\d{1,2})\/(\d{1,2})$/.exec(first);
+  if (slash) {
+    const date = nextMonthDay(Number(slash[1]) - 1, Number(slash[2]), today);
+    return date ? { length: 1, date } : null;
+  }
+
+  const month = findName(MONTHS, first);
+  if (month !== -1 && second && parseDayOfMonth(second)) {
+    const date = nextMonthDay(month, parseDayOfMonth(second), today);
+    return date ? { length: 2, date } : null;
+  }
+  if (parseDayOfMonth(first) && second && findName(MONTHS, second) !== -1) {
+    const date = nextMonthDay(findName(MONTHS, second), parseDayOfMonth(first), today);
+    return date ? { length: 2, date } : null;
+  }
+
+  return null;
+};
+
+// Turn an hour and an optional am/pm into a 24-hour clock hour, or null when it is out of range
+const toClockHour = (hour, meridiem) => {
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    return (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hour > 23) return null;
+  return hour >= 1 && hour <= 7 ? hour + 12 : hour;
+};
+
+// Read a time phrase starting at `index`. Returns { length, hour, minute } or null.
+// `afterAt` allows a bare hour such as "at 3".
+const matchTime = (words, index, afterAt) => {
+  const [first, second] = words.slice(index);
+
+  if (first === 'noon') return { length: 1, hour: 12, minute: 0 };
+  if (first === 'midnight') return { length: 1, hour: 0, minute: 0 };
+
+  const match = /^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)?$/.exec(first || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, hourText, minuteText, attached] = match;
+  const separate = !attached && /^(am|pm|a\.m\.|p\.m\.)$/.test(second || '') ? second : null;
+  const meridiem = (attached || separate || '').startsWith('a') ? 'am'
+    : (attached || separate || '').startsWith('p') ? 'pm' : null;
+  if (!meridiem && !minuteText && !afterAt) {
+    return null;
+  }
+
+  const hour = toClockHour(Number(hourText), meridiem);
+  const minute = minuteText ? Number(minuteText) : 0;
+  if (hour === null || minute > 59) {
+    return null;
+  }
+  return { length: separate ? 2 : 1, hour, minute };
+};
+
+// Read a reminder phrase starting at `index`. Returns { length, minutes } or null.
+const matchReminder = (words, index) => {
+  if (words[index] !== 'remind') {
+    return null;
+  }
+
+  let next = index + 1;
+  if (words[next] === 'me') {
+    next++;
+  }
+  if (words[next] === 'at' && words[next + 1] === 'start') {
+    return { length: next + 2 - index, minutes: 0 };
+  }
+
+  const amount = /^\d+$/.test(words[next] || '') ? Number(words[next]) : null;
+  const unit = REMINDER_UNITS[words[next + 1]];
+  if (amount === null || !unit) {
+    return null;
+  }
+
+  next += 2;
+  if (words[next] === 'before') {
+    next++;
+  }
+  return { length: next - index, minutes: amount * unit };
+};
+
+// Find the category a hashtag names, comparing names with their spaces left out
+const matchCategory = (word, categories) => {
+  const tag = word.slice(1);
+  if (!word.startsWith('#') || !tag) {
+    return null;
+  }
+
+  const squashed = tag.toLowerCase();
+  return findCategoryByName(categories, tag) ||
+    categories.find(category => category.id === tag) ||
+    categories.find(category => category.name.toLowerCase().replace(/\s+/g, '') === squashed) ||
+    null;
+};
+
+// Parse a quick-add phrase. Returns { name, date, hasDate, hasTime, category, reminders }, where
+// `category` is a category id and `reminders` a list of minutes, or null when the phrase names none.
+export const parseQuickAdd = (text, categories = [], now = new Date()) => {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  // Trailing commas and full stops are not part of the words they follow
+  const words = tokens.map(token => token.toLowerCase().replace(/[.,;!?]+$/, ''));
+  const today = dayjs(now).startOf('day');
+  const nameTokens = [];
+  const reminders = [];
+  let date = null;
+  let time = null;
+  let category = null;
+
+  for (let index = 0; index < words.length;) {
+    const word = words[index];
+
+    const reminder = matchReminder(words, index);
+    if (reminder) {
+      reminders.push(reminder.minutes);
+      index += reminder.length;
+      continue;
+    }
+
+    const hashtag = !category && matchCategory(word, categories);
+    if (hashtag) {
+      category = hashtag.id;
+      index++;
+      continue;
+    }
+
+    // "on" and "at" are only dropped along with the date or time after them
+    const dateOffset = word === 'on' ? 1 : 0;
+    const dateMatch = date ? null : matchDate(words, index + dateOffset, today);
+    if (dateMatch) {
+      date = dateMatch;
+      index += dateOffset + dateMatch.length;
+      continue;
+    }
+
+    const timeOffset = word === 'at' ? 1 : 0;
+    const timeMatch = time ? null : matchTime(words, index + timeOffset, timeOffset === 1);
+    if (timeMatch) {
+      time = timeMatch;
+      index += timeOffset + timeMatch.length;
+      continue;
+    }
+
+    nameTokens.push(tokens[index]);
+    index++;
+  }
+
+  let start;
+  if (date) {
+    const hour = time ? time.hour : (date.hour !== undefined ? date.hour : DEFAULT_HOUR);
+    start = date.date.hour(hour).minute(time ? time.minute : 0);
+    if (date.isWeekday && !start.isAfter(now)) {
+      start = start.add(1, 'week');
+    }
+  } else if (time) {
+    start = today.hour(time.hour).minute(time.minute);
+    if (!start.isAfter(now)) {
+      start = start.add(1, 'day');
+    }
+  } else {
+    // Nothing said about when: the next full hour
+    start = dayjs(now).add(1, 'hour').startOf('hour');
+  }
+
+  return {
+    name: nameTokens.join(' '),
+    date: start.toDate(),
+    hasDate: !!date,
+    hasTime: !!time,
+    category,
+    reminders: reminders.length > 0 ? normalizeReminders(reminders) : null,
+  };
+};
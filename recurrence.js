@@ -0,0 +1,365 @@
+import dayjs from 'dayjs';
+import { compareStarts, getEndForStart, getOccurrenceEnd, toStoredDate } from './eventTime';
+import { fromWallClockUtc, getEventTimeZone, toWallClockUtc } from './timeZones';
+
+// Repeat options offered in the Add/Edit Event modal
+export const REPEAT_FREQUENCIES = ['none', 'daily', 'weekly', 'monthly', 'yearly'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How far ahead the upcoming list expands a series before falling back to its next occurrence
+export const LIST_WINDOW_DAYS = 30;
+
+// Hard stop for rule iteration so an open-ended series can never loop forever
+const MAX_STEPS = 10000;
+
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+
+const FREQUENCY_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year',
+};
+
+// Create the default rule used when a repeat frequency is first picked
+export const createRepeatRule = (frequency, startDate) => ({
+  frequency,
+  interval: 1,
+  weekdays: [dayjs(startDate).day()],
+  monthlyMode: 'date',
+  endType: 'never',
+  until: null,
+  count: 10,
+});
+
+// Check whether an event carries a repeat rule
+export const isRecurring = (event) =>
+  !!(event && event.repeat && event.repeat.frequency && event.repeat.frequency !== 'none');
+
+// Work out which weekday of its month a date is, using -1 for the last one
+export const getNthWeekday = (date) => {
+  const nth = Math.ceil(dayjs(date).date() / 7);
+  return nth > 4 ? -1 : nth;
+};
+
+// Format the monthly "nth weekday" position of a date, e.g. "3rd Tue"
+export const formatNthWeekday = (date) =>
+  `${ORDINALS[getNthWeekday(date)]} ${WEEKDAY_NAMES[dayjs(date).day()]}`;
+
+// Clean up a rule coming from the form so numeric fields are always valid
+export const normalizeRepeatRule = (rule) => {
+  if (!rule || rule.frequency === 'none') {
+    return null;
+  }
+
+  return {
+    ...rule,
+    interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+    count: Math.max(1, parseInt(rule.count, 10) || 1),
+    until: rule.endType === 'until' ? rule.until : null,
+  };
+};
+
+// Copy the time of day from the series start onto a generated date
+const withTime = (date, start) =>
+  date
+    .hour(start.hour())
+    .minute(start.minute())
+    .second(start.second())
+    .millisecond(start.millisecond());
+
+// Find the nth (or last) given weekday in the month starting at monthStart
+const nthWeekdayInMonth = (monthStart, weekday, nth) => {
+  if (nth === -1) {
+    const lastDay = monthStart.endOf('month').startOf('day');
+    return lastDay.subtract((lastDay.day() - weekday + 7) % 7, 'day');
+  }
+
+  const first = monthStart.add((weekday - monthStart.day() + 7) % 7, 'day');
+  return first.add(nth - 1, 'week');
+};
+
+// Yield every date produced by a rule in ascending order, ignoring end conditions
+function* generateRuleDates(start, rule) {
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  const weekdays = (rule.weekdays && rule.weekdays.length > 0 ? [...rule.weekdays] : [start.day()])
+    .sort((a, b) => a - b);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    switch (rule.frequency) {
+      case 'daily':
+        yield start.add(step * interval, 'day');
+        break;
+      case 'weekly': {
+        const weekStart = start.startOf('week').add(step * interval, 'week');
+        for (const weekday of weekdays) {
+          const date = withTime(weekStart.add(weekday, 'day'), start);
+          if (!date.isBefore(start)) {
+            yield date;
+          }
+        }
+        break;
+      }
+      case 'monthly': {
+        const monthStart = start.startOf('month').add(step * interval, 'month');
+        if (rule.monthlyMode === 'weekday') {
+          yield withTime(nthWeekdayInMonth(monthStart, start.day(), getNthWeekday(start)), start);
+        } else if (start.date() <= monthStart.daysInMonth()) {
+          // Months without this day (e.g. the 31st) are skipped rather than clamped
+          yield withTime(monthStart.date(start.date()), start);
+        }
+        break;
+      }
+      case 'yearly': {
+        const monthStart = start.startOf('year').add(step * interval, 'year').month(start.month());
+        if (start.date() <= monthStart.daysInMonth()) {
+          yield withTime(monthStart.date(start.date()), start);
+        }
+        break;
+      }
+      default:
+        yield start;
+        return;
+    }
+  }
+}
+
+// Start of a series as the rule sees it: the wall-clock time in the event's zone, or the device time
+const getRuleStart = (event) => {
+  const zone = getEventTimeZone(event);
+  return zone ? toWallClockUtc(event.date, zone) : dayjs(event.date);
+};
+
+// Yield the original (unmodified) occurrence dates of an event, honouring the end condition
+function* iterateOccurrenceDates(event) {
+  if (!isRecurring(event)) {
+    yield dayjs(event.date);
+    return;
+  }
+
+  // Events with a zone repeat at the same time on that zone's clocks, whatever the device zone is
+  const zone = getEventTimeZone(event);
+  const { repeat } = event;
+  const until = repeat.endType === 'until' && repeat.until ? dayjs(repeat.until).endOf('day') : null;
+  const count = repeat.endType === 'count' ? Math.max(1, parseInt(repeat.count, 10) || 1) : Infinity;
+  let produced = 0;
+
+  for (const ruleDate of generateRuleDates(getRuleStart(event), repeat)) {
+    const date = zone ? fromWallClockUtc(ruleDate, zone) : ruleDate;
+    if (produced >= count || (until && date.isAfter(until))) {
+      return;
+    }
+    produced += 1;
+    yield date;
+  }
+}
+
+// Turn an original occurrence date into a displayable occurrence, applying any exception
+const buildOccurrence = (event, originalDate) => {
+  const occurrenceDate = toStoredDate(originalDate, event.allDay);
+  const override = event.exceptions ? event.exceptions[occurrenceDate] : null;
+
+  if (override && override.skipped) {
+    return null;
+  }
+
+  const date = (override && override.date) || occurrenceDate;
+
+  return {
+    ...event,
+    ...(override || {}),
+    date,
+    // Occurrences keep the length of the series unless this one was given its own end
+    endDate: override && override.endDate !== undefined ? override.endDate : getEndForStart(event, date),
+    seriesId: event.id,
+    occurrenceDate,
+    key: isRecurring(event) ? `${event.id}_${occurrenceDate}` : event.id,
+    isException: !!override,
+  };
+};
+
+// Expand an event into its occurrences that are still running after `from` and start no later than `to`
+export const expandOccurrences = (event, from, to, limit = 50) => {
+  const fromDate = dayjs(from);
+  const toDate = dayjs(to);
+  const occurrences = [];
+
+  for (const date of iterateOccurrenceDates(event)) {
+    if (date.isAfter(toDate) || occurrences.length >= limit) {
+      break;
+    }
+
+    const occurrence = buildOccurrence(event, date);
+    if (occurrence && getOccurrenceEnd(occurrence).isAfter(fromDate) && !dayjs(occurrence.date).isAfter(toDate)) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences.sort(compareStarts);
+};
+
+// Get the next `count` occurrences of an event that start after `after`
+export const getNextOccurrences = (event, after = new Date(), count = 1) => {
+  const afterDate = dayjs(after);
+  const occurrences = [];
+
+  for (const date of iterateOccurrenceDates(event)) {
+    if (occurrences.length >= count) {
+      break;
+    }
+
+    const occurrence = buildOccurrence(event, date);
+    if (occurrence && dayjs(occurrence.date).isAfter(afterDate)) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences.sort(compareStarts);
+};
+
+// Get the most recent `limit` occurrences of an event that started on or before `before`
+export const getPastOccurrences = (event, before = new Date(), limit = 100) => {
+  const beforeDate = dayjs(before);
+  const occurrences = [];
+
+  for (const date of iterateOccurrenceDates(event)) {
+    if (date.isAfter(beforeDate)) {
+      break;
+    }
+
+    const occurrence = buildOccurrence(event, date);
+    if (occurrence && !dayjs(occurrence.date).isAfter(beforeDate)) {
+      occurrences.push(occurrence);
+      if (occurrences.length > limit) {
+        occurrences.shift();
+      }
+    }
+  }
+
+  return occurrences.sort(compareStarts);
+};
+
+// Get a single occurrence of an event by its original date
+export const getOccurrence = (event, occurrenceDate = event.date) =>
+  buildOccurrence(event, dayjs(occurrenceDate));
+
+// Get the next occurrence of an event, or null once the series is over
+export const getNextOccurrence = (event, after = new Date()) =>
+  getNextOccurrences(event, after, 1)[0] || null;
+
+// Check whether an event still has something left to happen, counting an occurrence that is in progress
+export const hasUpcomingOccurrence = (event, now = new Date()) =>
+  getNextOccurrence(event, now) !== null || expandOccurrences(event, now, now, 1).length > 0;
+
+// Expand all events for the upcoming list: every occurrence inside the window,
+// or the next occurrence for series whose next date lies beyond it
+export const expandEventsForList = (events, now = new Date(), windowDays = LIST_WINDOW_DAYS) => {
+  const windowEnd = dayjs(now).add(windowDays, 'day');
+  const occurrences = [];
+
+  events.forEach(event => {
+    const inWindow = expandOccurrences(event, now, windowEnd);
+    if (inWindow.length > 0) {
+      occurrences.push(...inWindow);
+    } else {
+      const next = getNextOccurrence(event, now);
+      if (next) {
+        occurrences.push(next);
+      }
+    }
+  });
+
+  return occurrences.sort(compareStarts);
+};
+
+// Expand all events into the occurrences that overlap [from, to), e.g. for calendar views
+export const expandEventsInRange = (events, from, to) => {
+  const rangeStart = dayjs(from).subtract(1, 'millisecond');
+  const rangeEnd = dayjs(to).subtract(1, 'millisecond');
+  const occurrences = [];
+
+  events.forEach(event => {
+    occurrences.push(...expandOccurrences(event, rangeStart, rangeEnd, 500));
+  });
+
+  return occurrences.sort(compareStarts);
+};
+
+// Mark a single occurrence of a series as skipped
+export const skipOccurrence = (event, occurrenceDate) => ({
+  ...event,
+  exceptions: {
+    ...(event.exceptions || {}),
+    [occurrenceDate]: { skipped: true },
+  },
+});
+
+// Mark a single occurrence of a series as done, keeping any changes made to it
+export const completeOccurrence = (event, occurrenceDate) => ({
+  ...event,
+  exceptions: {
+    ...(event.exceptions || {}),
+    [occurrenceDate]: { ...((event.exceptions || {})[occurrenceDate] || {}), completed: true },
+  },
+});
+
+// Store changes for a single occurrence, keeping only the fields that differ from the series
+export const updateOccurrence = (event, occurrenceDate, changes) => {
+  const override = {};
+
+  Object.keys(changes).forEach(field => {
+    let seriesValue = event[field];
+    if (field === 'date') {
+      seriesValue = occurrenceDate;
+    } else if (field === 'endDate') {
+      // An end that keeps the series' length follows the start, so it does not need storing
+      seriesValue = getEndForStart(event, changes.date || occurrenceDate);
+    }
+    if (changes[field] !== seriesValue) {
+      override[field] = changes[field];
+    }
+  });
+
+  const exceptions = { ...(event.exceptions || {}) };
+  if (Object.keys(override).length > 0) {
+    exceptions[occurrenceDate] = override;
+  } else {
+    delete exceptions[occurrenceDate];
+  }
+
+  return { ...event, exceptions };
+};
+
+// Describe a repeat rule in a short human readable sentence
+export const describeRepeat = (event) => {
+  if (!isRecurring(event)) {
+    return '';
+  }
+
+  const { repeat } = event;
+  const start = getRuleStart(event);
+  const interval = Math.max(1, parseInt(repeat.interval, 10) || 1);
+  const unit = FREQUENCY_UNITS[repeat.frequency];
+  let description = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (repeat.frequency === 'weekly') {
+    const weekdays = (repeat.weekdays && repeat.weekdays.length > 0 ? [...repeat.weekdays] : [start.day()])
+      .sort((a, b) => a - b);
+    description += ` on ${weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  } else if (repeat.frequency === 'monthly') {
+    description += repeat.monthlyMode === 'weekday'
+      ? ` on the ${formatNthWeekday(start)}`
+      : ` on day ${start.date()}`;
+  } else if (repeat.frequency === 'yearly') {
+    description += ` on ${start.format('MMM D')}`;
+  }
+
+  if (repeat.endType === 'until' && repeat.until) {
+    description += `, until ${dayjs(repeat.until).format('MMM D, YYYY')}`;
+  } else if (repeat.endType === 'count') {
+    description += `, ${Math.max(1, parseInt(repeat.count, 10) || 1)} times`;
+  }
+
+  return description;
+};
@@ -0,0 +1,103 @@
+import dayjs from 'dayjs';
+
+// Reminder offsets are stored as minutes before the event starts
+
+// Presets offered in the Add/Edit Event modal and in Settings
+export const REMINDER_PRESETS = [0, 15, 30, 60, 1440, 10080];
+
+// Reminders used for new events until the user picks their own defaults
+export const DEFAULT_REMINDERS = [60, 0];
+
+// Units offered for custom reminder offsets
+export const REMINDER_UNITS = [
+  { key: 'minutes', label: 'Min', minutes: 1 },
+  { key: 'hours', label: 'Hours', minutes: 60 },
+  { key: 'days', label: 'Days', minutes: 1440 },
+  { key: 'weeks', label: 'Weeks', minutes: 10080 },
+];
+
+// All-day events start at midnight, so their reminders count back from this hour of the day instead
+export const ALL_DAY_REMINDER_HOUR = 9;
+
+// Fields that change either the time or the text of every notification for an event
+const SCHEDULE_FIELDS = ['name', 'date', 'endDate', 'allDay', 'timeZone', 'repeat', 'exceptions', 'memberIds'];
+
+// Notification types written before reminders were configurable
+const LEGACY_OFFSETS = {
+  oneHourBefore: 60,
+  eventStart: 0,
+};
+
+// Split an offset into its largest whole unit, e.g. 2880 -> { value: 2, unit: 'day' }
+const splitOffset = (minutes) => {
+  if (minutes % 10080 === 0) return { value: minutes / 10080, unit: 'week' };
+  if (minutes % 1440 === 0) return { value: minutes / 1440, unit: 'day' };
+  if (minutes % 60 === 0) return { value: minutes / 60, unit: 'hour' };
+  return { value: minutes, unit: 'minute' };
+};
+
+// Describe how long before the event a reminder fires, e.g. "1 day" or "30 minutes"
+export const formatReminderDuration = (minutes) => {
+  const { value, unit } = splitOffset(minutes);
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+// Label used on reminder buttons, e.g. "1 day before" or "At start"
+export const formatReminder = (minutes) =>
+  minutes === 0 ? 'At start' : `${formatReminderDuration(minutes)} before`;
+
+// Compact label used on event cards, e.g. "1d" or "30m"
+export const formatReminderShort = (minutes) => {
+  if (minutes === 0) {
+    return 'Start';
+  }
+
+  const { value, unit } = splitOffset(minutes);
+  return `${value}${unit === 'minute' ? 'm' : unit.charAt(0)}`;
+};
+
+// Keep reminder lists unique and ordered from earliest alert to latest
+export const normalizeReminders = (reminders) =>
+  [...new Set(reminders.map(minutes => Math.max(0, Math.round(minutes))))].sort((a, b) => b - a);
+
+// Reminders for an event; events saved before reminders were configurable keep the old pair
+export const getEventReminders = (event) =>
+  Array.isArray(event.reminders) ? event.reminders : DEFAULT_REMINDERS;
+
+// When a reminder for an occurrence fires. "At start" for an all-day event means the morning of its first day.
+export const getReminderTime = (occurrence, minutes) => {
+  const start = dayjs(occurrence.date);
+  const anchor = occurrence.allDay ? start.startOf('day').hour(ALL_DAY_REMINDER_HOUR) : start;
+  return anchor.subtract(minutes, 'minute');
+};
+
+// Offset a stored notification was scheduled for, including the legacy fixed types
+export const getNotificationOffset = (notification) =>
+  typeof notification.offset === 'number' ? notification.offset : LEGACY_OFFSETS[notification.type];
+
+// Check whether two versions of an event would produce the same notifications for the same reminders
+export const isSameSchedule = (previousEvent, nextEvent) =>
+  SCHEDULE_FIELDS.every(
+    field => JSON.stringify(previousEvent[field] || null) === JSON.stringify(nextEvent[field] || null)
+  );
+
+// Compare stored notifications against a reminder list.
+// Returns the notifications to keep, the ones to cancel and the offsets still to schedule.
+export const diffReminders = (notificationIds, reminders) => {
+  const kept = [];
+  const removed = [];
+
+  notificationIds.forEach(notification => {
+    // Snoozed reminders were asked for explicitly, so they survive reminder edits
+    if (notification.type === 'snooze' || reminders.includes(getNotificationOffset(notification))) {
+      kept.push(notification);
+    } else {
+      removed.push(notification);
+    }
+  });
+
+  const keptOffsets = kept.filter(notification => notification.type !== 'snooze').map(getNotificationOffset);
+  const added = reminders.filter(minutes => !keptOffsets.includes(minutes));
+
+  return { kept, removed, added };
+};
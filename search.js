@@ -0,0 +1,215 @@
+import dayjs from 'dayjs';
+import { getCategory } from './categories';
+import { isMine } from './family';
+import { getEventImages } from './images';
+import { getEventReminders } from './reminders';
+
+// Search and filtering for the event list
+
+// Date range presets offered as filter chips
+export const DATE_RANGE_PRESETS = [
+  { key: 'today', label: 'Today' },
+  { key: 'week', label: 'This Week' },
+  { key: 'month', label: 'This Month' },
+  { key: 'custom', label: 'Custom' },
+];
+
+// Reminder status filter options
+export const REMINDER_FILTERS = [
+  { key: 'on', label: 'Reminders On' },
+  { key: 'off', label: 'No Reminders' },
+];
+
+export const EMPTY_FILTERS = {
+  categories: [],
+  dateRange: null,
+  customStart: null,
+  customEnd: null,
+  hasImage: false,
+  reminders: null,
+  mineOnly: false,
+};
+
+// Characters that separate words when matching
+const WORD_PATTERN = /[^\s.,;:!?()[\]{}"'`~@#$%^&*+=|\\/<>-]+/g;
+
+// Check whether any filter differs from the defaults
+export const hasActiveFilters = (filters) =>
+  filters.categories.length > 0 || !!filters.dateRange || filters.hasImage || !!filters.reminders || filters.mineOnly;
+
+// Lower case a character and strip its accents
+const normalizeCharacter = (character) => {
+  const base = typeof character.normalize === 'function'
+    ? character.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    : character;
+  return base.toLowerCase();
+};
+
+// Normalise text while remembering which original character each normalised one came from
+const normalizeWithPositions = (text) => {
+  let normalized = '';
+  const positions = [];
+
+  for (let i = 0; i < text.length; i++) {
+    for (const character of normalizeCharacter(text[i])) {
+      normalized += character;
+      positions.push(i);
+    }
+  }
+
+  return { normalized, positions };
+};
+
+// Lower case text and strip accents, e.g. "Café" -> "cafe"
+export const normalizeText = (text) => normalizeWithPositions(text).normalized;
+
+// Typos tolerated for a search term of this length
+const allowedTypos = (length) => {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+};
+
+// Edit distance counting insertions, deletions, substitutions and swapped neighbours
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Length of the start of `word` that matches `term` within the typo allowance, or 0 for no match.
+// Matching against prefixes lets partly typed words match.
+const matchWordPrefix = (term, word) => {
+  const typos = allowedTypos(term.length);
+  if (word.startsWith(term)) {
+    return term.length;
+  }
+
+  let bestLength = 0;
+  let bestDistance = typos + 1;
+  const shortest = Math.max(1, term.length - typos);
+  const longest = Math.min(word.length, term.length + typos);
+
+  for (let length = shortest; length <= longest; length++) {
+    const distance = editDistance(term, word.slice(0, length));
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestLength = length;
+    }
+  }
+
+  return bestDistance <= typos ? bestLength : 0;
+};
+
+// Split a search query into normalised terms
+const getSearchTerms = (query) => normalizeText(query).match(WORD_PATTERN) || [];
+
+// Find the parts of `text` matched by any term of the query, as [start, end) ranges for highlighting
+export const findMatches = (text, query) => {
+  if (!text || !query) {
+    return [];
+  }
+
+  const terms = getSearchTerms(query);
+  const { normalized, positions } = normalizeWithPositions(text);
+  const ranges = [];
+  let wordMatch;
+
+  WORD_PATTERN.lastIndex = 0;
+  while ((wordMatch = WORD_PATTERN.exec(normalized)) !== null) {
+    const word = wordMatch[0];
+    const matchedLength = Math.max(0, ...terms.map(term => matchWordPrefix(term, word)));
+    if (matchedLength > 0) {
+      const start = positions[wordMatch.index];
+      const end = positions[wordMatch.index + matchedLength - 1] + 1;
+      ranges.push([start, end]);
+    }
+  }
+
+  return ranges;
+};
+
+// Check whether every term of the query matches a word in at least one of the texts
+export const matchesQuery = (texts, query) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) {
+    return true;
+  }
+
+  const words = texts
+    .filter(Boolean)
+    .flatMap(text => normalizeText(text).match(WORD_PATTERN) || []);
+
+  return terms.every(term => words.some(word => matchWordPrefix(term, word) > 0));
+};
+
+// Get the [start, end] of the selected date range, or null when no range is set
+export const getDateRange = (filters, now = new Date()) => {
+  const today = dayjs(now);
+
+  switch (filters.dateRange) {
+    case 'today':
+      return [today.startOf('day'), today.endOf('day')];
+    case 'week':
+      return [today.startOf('week'), today.endOf('week')];
+    case 'month':
+      return [today.startOf('month'), today.endOf('month')];
+    case 'custom':
+      return [
+        filters.customStart ? dayjs(filters.customStart).startOf('day') : null,
+        filters.customEnd ? dayjs(filters.customEnd).endOf('day') : null,
+      ];
+    default:
+      return null;
+  }
+};
+
+// Apply the search query and filter chips to a list of occurrences. Categories are needed to match category
+// names, and the member using this phone to apply "mine only"; without one that filter is ignored.
+export const filterOccurrences = (occurrences, query, filters, categories = [], now = new Date(), myMemberId = null) => {
+  const dateRange = getDateRange(filters, now);
+
+  return occurrences.filter(occurrence => {
+    if (filters.categories.length > 0 && !filters.categories.includes(occurrence.category)) {
+      return false;
+    }
+
+    if (dateRange) {
+      const date = dayjs(occurrence.date);
+      if ((dateRange[0] && date.isBefore(dateRange[0])) || (dateRange[1] && date.isAfter(dateRange[1]))) {
+        return false;
+      }
+    }
+
+    if (filters.mineOnly && myMemberId && !isMine(occurrence, myMemberId)) {
+      return false;
+    }
+
+    if (filters.hasImage && getEventImages(occurrence).length === 0) {
+      return false;
+    }
+
+    if (filters.reminders) {
+      const hasReminders = getEventReminders(occurrence).length > 0;
+      if ((filters.reminders === 'on') !== hasReminders) {
+        return false;
+      }
+    }
+
+    const categoryName = getCategory(categories, occurrence.category).name;
+    return matchesQuery([occurrence.name, occurrence.description, categoryName], query);
+  });
+};
@@ -0,0 +1,180 @@
+// Reference sync server for What's Up. It keeps one household's change log in a JSON file and speaks the
+// protocol described at the top of sync.js, so sync can be tried out on a home network without any
+// hosted service. It has no dependencies besides Node.js 18 or newer:
+//
+//   node server/syncServer.mjs --port 8787 --data ./sync-data.json --token some-family-secret
+//
+// Then enter http://<this computer's address>:8787 and the token as the sync server in the app's
+// settings. Without --token anyone who can reach the port can read and write the log.
+//
+// The server does not look inside changes and never resolves conflicts; phones do that themselves.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Largest request body accepted, in bytes
+const MAX_BODY = 5 * 1024 * 1024;
+
+// Most log entries scanned for one answer
+const DEFAULT_LIMIT = 500;
+
+// Read `--name value` command line options
+const readOptions = (args) => {
+  const options = { port: 8787, data: './sync-data.json', token: null, host: '0.0.0.0' };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in options) || args[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    }
+    options[name] = name === 'port' ? Number(args[i + 1]) : args[i + 1];
+  }
+  return options;
+};
+
+// Load the change log, or start an empty one
+const loadLog = (file) => {
+  if (!fs.existsSync(file)) {
+    return { entries: [] };
+  }
+  const log = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!log || !Array.isArray(log.entries)) {
+    throw new Error(`${file} is not a sync log.`);
+  }
+  return log;
+};
+
+// Write the log through a temporary file so a crash never leaves half a log behind
+const saveLog = (file, log) => {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(log));
+  fs.renameSync(temporary, file);
+};
+
+// Check the shape of a change sent by a phone. The fields are stored as they are.
+const isValidChange = (change) =>
+  !!change && typeof change.collection === 'string' && typeof change.id === 'string' &&
+  typeof change.clock === 'string' && !!change.fields && typeof change.fields === 'object' && !Array.isArray(change.fields);
+
+// Store the pushed changes and pick the entries of other devices after `since`.
+// Returns the answer for the phone, or { status, error } when the request is unusable.
+export const handleSync = (log, body) => {
+  if (!body || typeof body.deviceId !== 'string' || !body.deviceId ||
+    !Number.isInteger(body.since) || body.since < 0 || !Array.isArray(body.changes)) {
+    return { status: 400, error: 'Expected { deviceId, since, changes }.' };
+  }
+  if (!body.changes.every(isValidChange)) {
+    return { status: 400, error: 'Every change needs a collection, id, clock and fields.' };
+  }
+
+  const lastSeq = log.entries.length > 0 ? log.entries[log.entries.length - 1].seq : 0;
+  body.changes.forEach((change, index) => {
+    log.entries.push({
+      seq: lastSeq + index + 1,
+      deviceId: body.deviceId,
+      collection: change.collection,
+      id: change.id,
+      clock: change.clock,
+      fields: change.fields,
+    });
+  });
+
+  const limit = Number.isInteger(body.limit) && body.limit > 0 ? Math.min(body.limit, DEFAULT_LIMIT) : DEFAULT_LIMIT;
+  const after = log.entries.filter(entry => entry.seq > body.since);
+  const scanned = after.slice(0, limit);
+  const changes = scanned
+    .filter(entry => entry.deviceId !== body.deviceId)
+    .map(({ seq, collection, id, clock, fields }) => ({ seq, collection, id, clock, fields }));
+
+  // A phone that is ahead of the log, because the log was started over, is sent back to where it ends
+  const newestSeq = lastSeq + body.changes.length;
+  return {
+    status: 200,
+    answer: {
+      cursor: scanned.length > 0 ? scanned[scanned.length - 1].seq : Math.min(body.since, newestSeq),
+      hasMore: after.length > scanned.length,
+      changes,
+    },
+  };
+};
+
+// Answer a request with JSON
+const respond = (response, status, value) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(value));
+};
+
+// Start the server and return it
+export const startServer = ({ port, host, data, token }) => {
+  const file = path.resolve(data);
+  const log = loadLog(file);
+
+  const server = http.createServer((request, response) => {
+    if (request.method === 'GET' && request.url === '/health') {
+      respond(response, 200, { ok: true, entries: log.entries.length });
+      return;
+    }
+    if (request.method !== 'POST' || request.url !== '/sync') {
+      respond(response, 404, { error: 'Not found.' });
+      return;
+    }
+    if (token && request.headers.authorization !== `Bearer ${token}`) {
+      respond(response, 401, { error: 'Missing or wrong access token.' });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        respond(response, 413, { error: 'Request too large.' });
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        respond(response, 400, { error: 'The request is not JSON.' });
+        return;
+      }
+
+      const result = handleSync(log, body);
+      if (result.error) {
+        respond(response, result.status, { error: result.error });
+        return;
+      }
+      if (body.changes.length > 0) {
+        try {
+          saveLog(file, log);
+        } catch (error) {
+          // Forget the changes again so the phone sends them once more
+          log.entries.splice(log.entries.length - body.changes.length);
+          console.error('Failed to save the sync log:', error);
+          respond(response, 500, { error: 'The server could not store the changes.' });
+          return;
+        }
+      }
+      respond(response, 200, result.answer);
+    });
+  });
+
+  server.listen(port, host, () => {
+    // Port 0 picks a free port, so the one in use is read back
+    console.log(`Sync server listening on http://${host}:${server.address().port}, log in ${file}${token ? '' : ' (no token)'}`);
+  });
+  return server;
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname)) {
+  try {
+    startServer(readOptions(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
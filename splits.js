@@ -0,0 +1,161 @@
+// Sharing expenses between household members. An expense paid by a member can carry a split:
+//   { type: 'equal' | 'shares' | 'exact', participants: { [memberId]: value } }
+// where the value is ignored for 'equal', is a whole number of shares for 'shares' and an amount in
+// minor units for 'exact'. Settlements record money handed over to even things out:
+//   { id, from, to, amount, currency, date }
+// All amounts are whole minor units of one currency, and balances are kept per currency, so splitting
+// never creates or loses a cent: the cents that do not divide evenly go to the largest remainders.
+
+export const SPLIT_TYPES = [
+  { key: 'equal', label: 'Equally' },
+  { key: 'shares', label: 'By Shares' },
+  { key: 'exact', label: 'Exact Amounts' },
+];
+
+// Split `amount` in proportion to `weights`, handing the leftover units to the largest remainders.
+// Ties go to the earlier entry so the result does not change between runs.
+const allocateByWeight = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map((weight, index) => ({
+    index,
+    base: Math.floor((amount * weight) / totalWeight),
+    remainder: (amount * weight) % totalWeight,
+  }));
+
+  let leftover = amount - parts.reduce((sum, part) => sum + part.base, 0);
+  [...parts]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(part => {
+      if (leftover > 0) {
+        part.base += 1;
+        leftover -= 1;
+      }
+    });
+  return parts.map(part => part.base);
+};
+
+// Check a split against the expense it divides. Returns a message for the user, or null when it is usable.
+export const validateSplit = (split, amount) => {
+  const ids = Object.keys(split.participants || {});
+  if (ids.length === 0) {
+    return 'Pick who shares this expense.';
+  }
+
+  const values = ids.map(id => split.participants[id]);
+  if (split.type === 'shares' && !values.every(value => Number.isInteger(value) && value > 0)) {
+    return 'Every share has to be a whole number of at least 1.';
+  }
+  if (split.type === 'exact') {
+    if (!values.every(value => Number.isInteger(value) && value >= 0)) {
+      return 'Enter an amount for everyone sharing this expense.';
+    }
+    if (values.reduce((sum, value) => sum + value, 0) !== amount) {
+      return 'The amounts have to add up to the whole expense.';
+    }
+  }
+  return null;
+};
+
+// What each participant owes for an expense, as { [memberId]: amount } adding up to the expense amount.
+// Returns an empty object for expenses without a usable split.
+export const allocateSplit = (expense) => {
+  const { split } = expense;
+  if (!split || validateSplit(split, expense.amount)) {
+    return {};
+  }
+
+  const ids = Object.keys(split.participants);
+  const amounts = split.type === 'exact'
+    ? ids.map(id => split.participants[id])
+    : allocateByWeight(expense.amount, ids.map(id => (split.type === 'shares' ? split.participants[id] : 1)));
+  return ids.reduce((owed, id, index) => ({ ...owed, [id]: amounts[index] }), {});
+};
+
+// Add an amount to a member's balance in one currency
+const addToBalance = (balances, currency, memberId, amount) => {
+  balances[currency] = balances[currency] || {};
+  balances[currency][memberId] = (balances[currency][memberId] || 0) + amount;
+};
+
+// Running balances per currency, { [currency]: { [memberId]: amount } }. A positive balance is owed to
+// the member, a negative one is what they owe. Members who are square are left out.
+export const computeBalances = (events, settlements = []) => {
+  const balances = {};
+
+  events.forEach(event => {
+    (event.expenses || []).forEach(expense => {
+      const owed = allocateSplit(expense);
+      if (!expense.payer || Object.keys(owed).length === 0) {
+        return;
+      }
+      addToBalance(balances, expense.currency, expense.payer, expense.amount);
+      Object.keys(owed).forEach(memberId => addToBalance(balances, expense.currency, memberId, -owed[memberId]));
+    });
+  });
+
+  // Paying someone back moves the payer towards zero and the receiver down by the same amount
+  settlements.forEach(settlement => {
+    addToBalance(balances, settlement.currency, settlement.from, settlement.amount);
+    addToBalance(balances, settlement.currency, settlement.to, -settlement.amount);
+  });
+
+  Object.keys(balances).forEach(currency => {
+    Object.keys(balances[currency]).forEach(memberId => {
+      if (balances[currency][memberId] === 0) {
+        delete balances[currency][memberId];
+      }
+    });
+    if (Object.keys(balances[currency]).length === 0) {
+      delete balances[currency];
+    }
+  });
+  return balances;
+};
+
+// Transfers that square up the balances of one currency: [{ from, to, amount }]. Debts that exactly match
+// a credit are paid directly; the rest go from the biggest debtor to the biggest creditor, which never
+// needs more than one transfer less than there are members involved.
+export const suggestSettlements = (currencyBalances) => {
+  const debtors = [];
+  const creditors = [];
+  Object.keys(currencyBalances).forEach(memberId => {
+    const amount = currencyBalances[memberId];
+    if (amount < 0) {
+      debtors.push({ memberId, amount: -amount });
+    } else if (amount > 0) {
+      creditors.push({ memberId, amount });
+    }
+  });
+
+  const transfers = [];
+  debtors.forEach(debtor => {
+    const match = creditors.find(creditor => creditor.amount === debtor.amount);
+    if (match) {
+      transfers.push({ from: debtor.memberId, to: match.memberId, amount: debtor.amount });
+      debtor.amount = 0;
+      match.amount = 0;
+    }
+  });
+
+  const byAmount = (a, b) => b.amount - a.amount || a.memberId.localeCompare(b.memberId);
+  let debtor;
+  let creditor;
+  while ((debtor = debtors.filter(item => item.amount > 0).sort(byAmount)[0]) &&
+    (creditor = creditors.filter(item => item.amount > 0).sort(byAmount)[0])) {
+    const amount = Math.min(debtor.amount, creditor.amount);
+    transfers.push({ from: debtor.memberId, to: creditor.memberId, amount });
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+  }
+  return transfers;
+};
+
+// Record that `transfer` was paid in `currency`
+export const createSettlement = ({ from, to, amount }, currency, date = new Date()) => ({
+  id: `settlement-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+  from,
+  to,
+  amount,
+  currency,
+  date: date.toISOString(),
+});
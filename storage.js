@@ -0,0 +1,1002 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SQLite from 'expo-sqlite';
+import { DEFAULT_CATEGORIES, categoriesFromLegacy, reassignCategory } from './categories';
+import { toCalendarDay } from './eventTime';
+import { DEFAULT_CURRENCY } from './expenses';
+import { SPLIT_TYPES } from './splits';
+import { REPEAT_FREQUENCIES } from './recurrence';
+import { DEFAULT_REMINDERS } from './reminders';
+import { EMPTY_FILTERS } from './search';
+import { recordChanges } from './sync';
+import { isValidTimeZone } from './timeZones';
+import * as eventStore from './eventStore';
+import * as syncStore from './syncStore';
+
+// Persistence for everything the app stores. Nothing else should read or write AsyncStorage or the
+// event database directly. Events live in SQLite (see eventStore.js); everything else in AsyncStorage.
+
+// File name of the event database
+const DATABASE_NAME = 'whatsup.db';
+
+// Every key the app currently persists
+export const STORAGE_KEYS = {
+  schemaVersion: 'schemaVersion',
+  events: 'events', // Only read to move events saved before the database into it
+  settings: 'settings',
+  trash: 'trash',
+  filters: 'filters',
+  categories: 'categories',
+  members: 'members',
+  settlements: 'settlements',
+  feeds: 'feeds',
+  quarantine: 'quarantine',
+  sync: 'sync',
+};
+
+// Keys written before schema version 3 moved every preference into `settings`
+const LEGACY_SETTING_KEYS = ['theme', 'defaultReminders', 'historyRetention'];
+
+// Legacy keys that were stored as plain strings rather than JSON
+const LEGACY_STRING_KEYS = ['theme', 'historyRetention'];
+
+// Notification types written before reminders were configurable, with their offsets in minutes
+const LEGACY_NOTIFICATION_OFFSETS = {
+  oneHourBefore: 60,
+  eventStart: 0,
+};
+
+export const DEFAULT_SETTINGS = {
+  theme: 'light',
+  defaultReminders: DEFAULT_REMINDERS,
+  historyRetention: 'forever',
+  trashRetentionDays: 30,
+  conflictBufferMinutes: 15,
+  defaultDurationMinutes: 60,
+  myMemberId: null,
+  currency: DEFAULT_CURRENCY,
+  budgets: {}, // Monthly budget per category id, in minor units of `currency`
+  feedRefreshHours: 6,
+  countdownStyle: 'short',
+};
+
+// Search and filter state restored on launch, plus the filters the user saved by name
+export const DEFAULT_FILTER_STATE = {
+  active: { query: '', filters: EMPTY_FILTERS },
+  saved: [],
+};
+
+// Version 2: give every event explicit repeat, exceptions and reminders fields, and
+// describe the old fixed notifications by their reminder offset
+const migrateToVersion2 = (data) => {
+  if (!Array.isArray(data.events)) {
+    return data;
+  }
+
+  return {
+    ...data,
+    events: data.events.map(event => {
+      if (!event || typeof event !== 'object') {
+        return event;
+      }
+
+      return {
+        ...event,
+        repeat: event.repeat || null,
+        exceptions: event.exceptions || {},
+        // Events saved before reminders existed always had the one hour and start alerts
+        reminders: Array.isArray(event.reminders) ? event.reminders : DEFAULT_REMINDERS,
+        notificationIds: (event.notificationIds || []).map(notification =>
+          notification.type in LEGACY_NOTIFICATION_OFFSETS
+            ? { ...notification, type: 'reminder', offset: LEGACY_NOTIFICATION_OFFSETS[notification.type] }
+            : notification
+        ),
+      };
+    }),
+  };
+};
+
+// Version 3: move the theme, default reminders and history retention keys into one settings record
+const migrateToVersion3 = (data) => {
+  const { theme, defaultReminders, historyRetention, ...rest } = data;
+  const settings = { ...DEFAULT_SETTINGS, ...(data.settings || {}) };
+
+  if (theme === 'dark' || theme === 'light') {
+    settings.theme = theme;
+  }
+  if (Array.isArray(defaultReminders)) {
+    settings.defaultReminders = defaultReminders;
+  }
+  if (typeof historyRetention === 'string') {
+    settings.historyRetention = historyRetention;
+  }
+
+  return { ...rest, settings };
+};
+
+// Version 4: turn the category strings used by events, including those in the Trash, into editable categories
+const migrateToVersion4 = (data) => {
+  if (Array.isArray(data.categories)) {
+    return data;
+  }
+
+  const usedCategories = [
+    ...(Array.isArray(data.events) ? data.events : []),
+    ...(Array.isArray(data.trash) ? data.trash.map(entry => entry && entry.event) : []),
+  ]
+    .filter(event => event && typeof event.category === 'string')
+    .map(event => event.category);
+
+  return { ...data, categories: categoriesFromLegacy(usedCategories) };
+};
+
+// Version 5: events, including those in the Trash, hold a list of photos instead of one picker URI. The
+// old photo becomes its own thumbnail.
+const migrateToVersion5 = (data) => {
+  const migrateEvent = (event) => {
+    if (!event || typeof event !== 'object' || Array.isArray(event.images)) {
+      return event;
+    }
+    const { image, ...rest } = event;
+    return { ...rest, images: typeof image === 'string' ? [{ uri: image, thumbnailUri: image }] : [] };
+  };
+
+  return {
+    ...data,
+    ...(Array.isArray(data.events) ? { events: data.events.map(migrateEvent) } : {}),
+    ...(Array.isArray(data.trash)
+      ? { trash: data.trash.map(entry => (entry && typeof entry === 'object' ? { ...entry, event: migrateEvent(entry.event) } : entry)) }
+      : {}),
+  };
+};
+
+// Version 6: all-day events store calendar days ("2026-11-02") instead of the instant of midnight in the
+// zone they were saved in, which moved them to other days once the phone changed zone. The dates their
+// changed occurrences and reminders are kept under change with them.
+const migrateAllDayEvent = (event) => {
+  if (!event || typeof event !== 'object' || event.allDay !== true) {
+    return event;
+  }
+
+  const toDay = (value) => (typeof value === 'string' && !isNaN(new Date(value).getTime()) ? toCalendarDay(value) : value);
+  const exceptions = {};
+  Object.keys(event.exceptions && typeof event.exceptions === 'object' ? event.exceptions : {}).forEach(key => {
+    const override = event.exceptions[key];
+    exceptions[toDay(key)] = override && typeof override === 'object'
+      ? {
+        ...override,
+        ...('date' in override ? { date: toDay(override.date) } : {}),
+        ...('endDate' in override ? { endDate: toDay(override.endDate) } : {}),
+      }
+      : override;
+  });
+
+  return {
+    ...event,
+    date: toDay(event.date),
+    endDate: toDay(event.endDate),
+    ...(event.exceptions ? { exceptions } : {}),
+    ...(Array.isArray(event.notificationIds)
+      ? {
+        notificationIds: event.notificationIds.map(notification => (notification && notification.occurrenceDate
+          ? { ...notification, occurrenceDate: toDay(notification.occurrenceDate) }
+          : notification)),
+      }
+      : {}),
+  };
+};
+
+// Version 6 for the events in storage and the Trash; those in the database are migrated by
+// migrateDatabaseEvents
+const migrateToVersion6 = (data) => ({
+  ...data,
+  ...(Array.isArray(data.events) ? { events: data.events.map(migrateAllDayEvent) } : {}),
+  ...(Array.isArray(data.trash)
+    ? { trash: data.trash.map(entry => (entry && typeof entry === 'object' ? { ...entry, event: migrateAllDayEvent(entry.event) } : entry)) }
+    : {}),
+});
+
+// Ordered schema migrations. Each one takes the parsed contents of every key and returns the new contents;
+// keys missing from the result are removed from storage. Migrations must be safe to run twice. Those
+// made since events moved into the database also give `migrateEvent`, which changes a single event.
+export const MIGRATIONS = [
+  { version: 2, migrate: migrateToVersion2 },
+  { version: 3, migrate: migrateToVersion3 },
+  { version: 4, migrate: migrateToVersion4 },
+  { version: 5, migrate: migrateToVersion5 },
+  { version: 6, migrate: migrateToVersion6, migrateEvent: migrateAllDayEvent },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Apply every migration newer than `fromVersion` to parsed storage data
+export const runMigrations = (data, fromVersion) =>
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => migration.migrate(current), data);
+
+// Check whether a stored expense entry can be counted
+const isValidExpense = (expense) =>
+  !!expense && typeof expense.id === 'string' && Number.isSafeInteger(expense.amount) && expense.amount > 0 &&
+  typeof expense.currency === 'string' && typeof expense.date === 'string' && !isNaN(new Date(expense.date).getTime());
+
+// Check that a stored split has a known type and a participant list
+const isValidSplit = (split) =>
+  !!split && SPLIT_TYPES.some(type => type.key === split.type) &&
+  !!split.participants && typeof split.participants === 'object' && !Array.isArray(split.participants);
+
+// Check that a stored photo has a file to show
+const isValidImage = (image) =>
+  !!image && typeof image.uri === 'string' && typeof image.thumbnailUri === 'string';
+
+// Check a stored event and fill in optional fields.
+// Returns { event } for usable records or { error } describing why a record was rejected.
+export const validateEventRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Event is not an object' };
+  }
+  if (typeof record.id !== 'string' && typeof record.id !== 'number') {
+    return { error: 'Event has no id' };
+  }
+  if (typeof record.name !== 'string' || record.name.trim() === '') {
+    return { error: 'Event has no name' };
+  }
+  if (typeof record.date !== 'string' || isNaN(new Date(record.date).getTime())) {
+    return { error: 'Event has an invalid date' };
+  }
+
+  const hasValidEnd = typeof record.endDate === 'string' && !isNaN(new Date(record.endDate).getTime());
+  const hasValidRepeat = record.repeat && typeof record.repeat === 'object' &&
+    REPEAT_FREQUENCIES.includes(record.repeat.frequency);
+
+  return {
+    event: {
+      ...record,
+      id: String(record.id),
+      description: typeof record.description === 'string' ? record.description : '',
+      category: typeof record.category === 'string' ? record.category : 'event',
+      images: Array.isArray(record.images) ? record.images.filter(isValidImage) : [],
+      endDate: hasValidEnd ? record.endDate : null,
+      allDay: record.allDay === true && hasValidEnd,
+      timeZone: isValidTimeZone(record.timeZone) ? record.timeZone : null,
+      memberIds: Array.isArray(record.memberIds) ? record.memberIds.filter(id => typeof id === 'string') : [],
+      expenses: Array.isArray(record.expenses)
+        ? record.expenses.filter(isValidExpense).map(expense => ({
+          ...expense,
+          payer: typeof expense.payer === 'string' ? expense.payer : null,
+          note: typeof expense.note === 'string' ? expense.note : '',
+          split: isValidSplit(expense.split) ? expense.split : null,
+        }))
+        : [],
+      repeat: hasValidRepeat ? record.repeat : null,
+      exceptions: record.exceptions && typeof record.exceptions === 'object' ? record.exceptions : {},
+      reminders: Array.isArray(record.reminders)
+        ? record.reminders.filter(minutes => typeof minutes === 'number' && minutes >= 0)
+        : DEFAULT_REMINDERS,
+      notificationIds: Array.isArray(record.notificationIds) ? record.notificationIds : [],
+    },
+  };
+};
+
+// Add rejected records to the quarantine so they can be inspected instead of being lost
+const addToQuarantine = async (entries) => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.quarantine);
+  let quarantine = [];
+  try {
+    quarantine = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Quarantine was unreadable and has been reset:', error);
+  }
+
+  // The same unreadable blob is seen on every launch until it is overwritten, so only keep it once
+  const knownRecords = new Set(quarantine.map(entry => JSON.stringify(entry.record)));
+  const newEntries = entries
+    .filter(entry => !knownRecords.has(JSON.stringify(entry.record)))
+    .map(entry => ({ ...entry, quarantinedAt: new Date().toISOString() }));
+
+  if (newEntries.length > 0) {
+    console.warn(`Quarantined ${newEntries.length} malformed record(s)`);
+    await AsyncStorage.setItem(STORAGE_KEYS.quarantine, JSON.stringify([...quarantine, ...newEntries]));
+  }
+};
+
+// Read every key, run the pending migrations and write the results back
+const migrateStorage = async () => {
+  const storedVersion = await AsyncStorage.getItem(STORAGE_KEYS.schemaVersion);
+  const fromVersion = storedVersion === null ? 1 : parseInt(storedVersion, 10) || 1;
+
+  if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+    return;
+  }
+
+  const keys = [
+    STORAGE_KEYS.events,
+    STORAGE_KEYS.settings,
+    STORAGE_KEYS.trash,
+    STORAGE_KEYS.categories,
+    ...LEGACY_SETTING_KEYS,
+  ];
+  const pairs = await AsyncStorage.multiGet(keys);
+  const data = {};
+  const unreadable = [];
+
+  pairs.forEach(([key, value]) => {
+    if (value === null) {
+      return;
+    }
+    try {
+      data[key] = JSON.parse(value);
+    } catch (error) {
+      if (LEGACY_STRING_KEYS.includes(key)) {
+        data[key] = value;
+      } else {
+        unreadable.push({ key, reason: `Unreadable ${key} data: ${error.message}`, record: value });
+      }
+    }
+  });
+
+  if (unreadable.length > 0) {
+    await addToQuarantine(unreadable.map(({ reason, record }) => ({ reason, record })));
+  }
+
+  const migrated = runMigrations(data, fromVersion);
+
+  // Unreadable values are left where they are; a copy is already in the quarantine
+  const unreadableKeys = unreadable.map(entry => entry.key);
+  const removedKeys = pairs
+    .filter(([key, value]) => value !== null && !(key in migrated) && !unreadableKeys.includes(key))
+    .map(([key]) => key);
+
+  await AsyncStorage.multiSet(Object.keys(migrated).map(key => [key, JSON.stringify(migrated[key])]));
+  await AsyncStorage.multiRemove(removedKeys);
+  await migrateDatabaseEvents(fromVersion);
+  await AsyncStorage.setItem(STORAGE_KEYS.schemaVersion, String(CURRENT_SCHEMA_VERSION));
+};
+
+// Keep the usable event records of a list, moving the malformed ones into the quarantine
+const validateEventRecords = async (records) => {
+  if (!Array.isArray(records)) {
+    await addToQuarantine([{ reason: 'Events data is not a list', record: records }]);
+    return [];
+  }
+
+  const events = [];
+  const rejected = [];
+  records.forEach(record => {
+    const { event, error } = validateEventRecord(record);
+    if (event) {
+      events.push(event);
+    } else {
+      rejected.push({ reason: error, record });
+    }
+  });
+
+  if (rejected.length > 0) {
+    await addToQuarantine(rejected);
+  }
+  return events;
+};
+
+let database = null;
+
+// Open the event database once per app launch, creating or updating its tables
+const getDatabase = () => {
+  if (!database) {
+    database = SQLite.openDatabaseAsync(DATABASE_NAME)
+      .then(async db => {
+        await eventStore.prepareEventStore(db);
+        return db;
+      })
+      .catch(error => {
+        database = null;
+        throw error;
+      });
+  }
+  return database;
+};
+
+// Apply the `migrateEvent` of every migration newer than `fromVersion` to the events in the database,
+// writing back the ones that changed. Like the other migrations it is safe to run twice, so an
+// interrupted launch just migrates again.
+const migrateDatabaseEvents = async (fromVersion) => {
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion && migration.migrateEvent);
+  if (pending.length === 0) {
+    return;
+  }
+
+  const db = await getDatabase();
+  const changed = [];
+  (await eventStore.loadAllEvents(db)).forEach(event => {
+    const migrated = pending.reduce((current, migration) => migration.migrateEvent(current), event);
+    if (JSON.stringify(migrated) !== JSON.stringify(event)) {
+      changed.push(migrated);
+    }
+  });
+  await eventStore.writeEvents(db, changed);
+};
+
+// Move events saved in AsyncStorage, before there was a database, into the database. Runs after the
+// migrations, so the records are at the current schema. The key is removed only once the events are
+// written, and writing them again is harmless, so an interrupted move just happens again next launch.
+const moveEventsToDatabase = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.events);
+  if (stored === null) {
+    return;
+  }
+
+  let records;
+  try {
+    records = JSON.parse(stored);
+  } catch (error) {
+    // A copy goes into the quarantine, so the unreadable value can go
+    await addToQuarantine([{ reason: `Unreadable events data: ${error.message}`, record: stored }]);
+    records = [];
+  }
+
+  const events = await validateEventRecords(records);
+  await eventStore.writeEvents(await getDatabase(), events);
+  await AsyncStorage.removeItem(STORAGE_KEYS.events);
+};
+
+// Move a sync state saved in the `sync` key, from before it was kept in the database, into the database.
+// It held a snapshot of every synced list and the clocks of every record; only the server settings stay
+// in the key. Replacing the state in the database is harmless, so an interrupted move happens again.
+const moveSyncStateToDatabase = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.sync);
+  let sync;
+  try {
+    sync = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    // loadSync quarantines it
+    return;
+  }
+  if (!sync || !sync.state) {
+    return;
+  }
+
+  const { snapshots = {}, clocks = {}, pending = [], ...state } = sync.state;
+  if (typeof state.deviceId === 'string') {
+    const known = {};
+    Object.keys(clocks).forEach(collection => {
+      const snapshotsById = new Map((snapshots[collection] || []).map(snapshot => [String(snapshot.id), snapshot]));
+      known[collection] = {};
+      Object.keys(clocks[collection]).forEach(id => {
+        known[collection][id] = { snapshot: snapshotsById.get(id) || null, clocks: clocks[collection][id] };
+      });
+    });
+    await syncStore.replaceSyncState(await getDatabase(), state, known, pending);
+  }
+  await AsyncStorage.setItem(STORAGE_KEYS.sync, JSON.stringify({ url: sync.url, token: sync.token, enabled: sync.enabled }));
+};
+
+let initialization = null;
+
+// Run pending migrations once per app launch; every other function waits for this first
+export const initializeStorage = () => {
+  if (!initialization) {
+    initialization = migrateStorage().then(moveEventsToDatabase).then(moveSyncStateToDatabase).catch(error => {
+      // Let the next call try again rather than caching the failure
+      initialization = null;
+      throw error;
+    });
+  }
+  return initialization;
+};
+
+// Load every event, earliest first. Meant for work on all of them, like exports and sync; the app
+// itself keeps only the current events loaded.
+export const loadEvents = async () => {
+  await initializeStorage();
+  return eventStore.loadAllEvents(await getDatabase());
+};
+
+// Load the events that are not archived and have started: repeating ones, and those ending on or after
+// `cutoff` that started before `now`. Upcoming ones are read a page at a time with loadUpcomingEvents.
+export const loadCurrentEvents = async (cutoff, now) => {
+  await initializeStorage();
+  return eventStore.loadCurrentEvents(await getDatabase(), cutoff, now);
+};
+
+// Load a page of the upcoming events that do not repeat, earliest first. See loadUpcomingEvents in
+// eventStore.js for the options. Returns { events, hasMore, until }.
+export const loadUpcomingEvents = async (options) => {
+  await initializeStorage();
+  return eventStore.loadUpcomingEvents(await getDatabase(), options);
+};
+
+// Load the stored events with the given ids, in no particular order
+export const loadEventsById = async (ids) => {
+  await initializeStorage();
+  return eventStore.loadEventsById(await getDatabase(), ids);
+};
+
+// Load the events that do not repeat and overlap [from, to), archived or not
+export const loadEventsInRange = async (from, to) => {
+  await initializeStorage();
+  return eventStore.loadEventsInRange(await getDatabase(), from, to);
+};
+
+// Load a page of the events that ended before `cutoff`, latest first. See queryArchivedEvents in
+// eventStore.js for the options. Returns { events, hasMore }.
+export const loadArchivedEvents = async (cutoff, options) => {
+  await initializeStorage();
+  return eventStore.queryArchivedEvents(await getDatabase(), cutoff, options);
+};
+
+// Count the events that ended before `cutoff`, optionally only those matching the options of
+// loadArchivedEvents
+export const countArchivedEvents = async (cutoff, options) => {
+  await initializeStorage();
+  return eventStore.countArchivedEvents(await getDatabase(), cutoff, options);
+};
+
+// Permanently delete the events that ended before `cutoff`
+export const deleteArchivedEvents = async (cutoff) => {
+  await initializeStorage();
+  await eventStore.deleteArchivedEvents(await getDatabase(), cutoff);
+};
+
+// Replace every stored event with `events`
+export const saveEvents = async (events) => {
+  await initializeStorage();
+  await eventStore.replaceAllEvents(await getDatabase(), events);
+};
+
+// Save the difference between two versions of a list of events: events that are new or changed are
+// written, events missing from `updated` are deleted, and events in neither are left alone
+export const saveEventChanges = async (previous, updated) => {
+  await initializeStorage();
+  const { saved, removedIds } = eventStore.diffEvents(previous, updated);
+  await eventStore.writeEvents(await getDatabase(), saved, removedIds);
+};
+
+// Count the stored events
+export const countEvents = async () => {
+  await initializeStorage();
+  return eventStore.countEvents(await getDatabase());
+};
+
+// Count the stored events in a category
+export const countEventsInCategory = async (categoryId) => {
+  await initializeStorage();
+  return eventStore.countEventsInCategory(await getDatabase(), categoryId);
+};
+
+// Move every stored event in one category to another
+export const reassignEventCategory = async (fromId, toId) => {
+  await initializeStorage();
+  const db = await getDatabase();
+  await eventStore.writeEvents(db, reassignCategory(await eventStore.loadEventsInCategory(db, fromId), fromId, toId));
+};
+
+// Load the settings record, filling in defaults for anything not saved yet
+export const loadSettings = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.settings);
+  try {
+    return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable settings data: ${error.message}`, record: stored }]);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// Save some settings, keeping the others as they are
+export const saveSettings = async (changes) => {
+  const settings = { ...(await loadSettings()), ...changes };
+  await AsyncStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(settings));
+  return settings;
+};
+
+// Load the Trash: deleted events with the time they were deleted, most recent first
+export const loadTrash = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.trash);
+  if (stored === null) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(stored);
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable trash data: ${error.message}`, record: stored }]);
+    return [];
+  }
+
+  const trash = [];
+  const rejected = [];
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    const { event, error } = validateEventRecord(entry && entry.event);
+    if (event && entry.deletedAt) {
+      trash.push({ event, deletedAt: entry.deletedAt });
+    } else {
+      rejected.push({ reason: error || 'Trash entry has no deletion time', record: entry });
+    }
+  });
+
+  if (rejected.length > 0) {
+    await addToQuarantine(rejected);
+    await AsyncStorage.setItem(STORAGE_KEYS.trash, JSON.stringify(trash));
+  }
+
+  return trash;
+};
+
+// Save the Trash
+export const saveTrash = async (trash) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.trash, JSON.stringify(trash));
+};
+
+// Load the categories in the order the user arranged them
+export const loadCategories = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.categories);
+  if (stored === null) {
+    return DEFAULT_CATEGORIES;
+  }
+
+  let records;
+  try {
+    records = JSON.parse(stored);
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable categories data: ${error.message}`, record: stored }]);
+    return DEFAULT_CATEGORIES;
+  }
+
+  const categories = [];
+  const rejected = [];
+  (Array.isArray(records) ? records : []).forEach(record => {
+    if (record && typeof record.id === 'string' && typeof record.name === 'string' && record.name.trim()) {
+      categories.push({ ...record, color: record.color || '#999999', icon: record.icon || 'label' });
+    } else {
+      rejected.push({ reason: 'Category has no id or name', record });
+    }
+  });
+
+  if (rejected.length > 0) {
+    await addToQuarantine(rejected);
+    await AsyncStorage.setItem(STORAGE_KEYS.categories, JSON.stringify(categories));
+  }
+
+  // Events always need a category to fall back on
+  return categories.length > 0 ? categories : DEFAULT_CATEGORIES;
+};
+
+// Save the categories
+export const saveCategories = async (categories) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.categories, JSON.stringify(categories));
+};
+
+// Load the household members shown in the Family tab
+export const loadMembers = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.members);
+  let records;
+  try {
+    records = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable members data: ${error.message}`, record: stored }]);
+    return [];
+  }
+
+  const members = [];
+  const rejected = [];
+  (Array.isArray(records) ? records : []).forEach(record => {
+    if (record && typeof record.id === 'string' && typeof record.name === 'string' && record.name.trim()) {
+      members.push({
+        ...record,
+        color: record.color || '#999999',
+        avatar: typeof record.avatar === 'string' ? record.avatar : null,
+      });
+    } else {
+      rejected.push({ reason: 'Member has no id or name', record });
+    }
+  });
+
+  if (rejected.length > 0) {
+    await addToQuarantine(rejected);
+    await AsyncStorage.setItem(STORAGE_KEYS.members, JSON.stringify(members));
+  }
+  return members;
+};
+
+// Save the household members
+export const saveMembers = async (members) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.members, JSON.stringify(members));
+};
+
+// Load the recorded settle-up payments between members. Entries that cannot be counted are quarantined.
+export const loadSettlements = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.settlements);
+  let records;
+  try {
+    records = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable settlements data: ${error.message}`, record: stored }]);
+    return [];
+  }
+
+  const settlements = [];
+  const rejected = [];
+  (Array.isArray(records) ? records : []).forEach(record => {
+    if (record && typeof record.from === 'string' && typeof record.to === 'string' &&
+      Number.isSafeInteger(record.amount) && typeof record.currency === 'string') {
+      settlements.push(record);
+    } else {
+      rejected.push({ reason: 'Settlement is missing its members, amount or currency', record });
+    }
+  });
+
+  if (rejected.length > 0) {
+    await addToQuarantine(rejected);
+    await AsyncStorage.setItem(STORAGE_KEYS.settlements, JSON.stringify(settlements));
+  }
+  return settlements;
+};
+
+// Save the settle-up payments
+export const saveSettlements = async (settlements) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.settlements, JSON.stringify(settlements));
+};
+
+// Load the event feed subscriptions with the events they last delivered
+export const loadFeeds = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.feeds);
+  let records;
+  try {
+    records = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable feeds data: ${error.message}`, record: stored }]);
+    return [];
+  }
+
+  const feeds = [];
+  const rejected = [];
+  (Array.isArray(records) ? records : []).forEach(record => {
+    if (record && typeof record.id === 'string' && typeof record.location === 'string' &&
+      (record.source === 'url' || record.source === 'file')) {
+      feeds.push({
+        ...record,
+        name: typeof record.name === 'string' && record.name.trim() ? record.name : record.location,
+        error: typeof record.error === 'string' ? record.error : null,
+        events: Array.isArray(record.events)
+          ? record.events.filter(event => event && typeof event.name === 'string' && !isNaN(new Date(event.date).getTime()))
+          : [],
+      });
+    } else {
+      rejected.push({ reason: 'Feed has no id, address or source', record });
+    }
+  });
+
+  if (rejected.length > 0) {
+    await addToQuarantine(rejected);
+    await AsyncStorage.setItem(STORAGE_KEYS.feeds, JSON.stringify(feeds));
+  }
+  return feeds;
+};
+
+// Save the feed subscriptions
+export const saveFeeds = async (feeds) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.feeds, JSON.stringify(feeds));
+};
+
+// Load the active search and the saved filters. Filter fields added later fall back to their defaults.
+export const loadFilters = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.filters);
+  let state;
+  try {
+    state = stored ? JSON.parse(stored) : DEFAULT_FILTER_STATE;
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable filters data: ${error.message}`, record: stored }]);
+    return DEFAULT_FILTER_STATE;
+  }
+
+  const active = state.active || DEFAULT_FILTER_STATE.active;
+  return {
+    active: { query: active.query || '', filters: { ...EMPTY_FILTERS, ...active.filters } },
+    saved: (Array.isArray(state.saved) ? state.saved : []).map(savedFilter => ({
+      ...savedFilter,
+      query: savedFilter.query || '',
+      filters: { ...EMPTY_FILTERS, ...savedFilter.filters },
+    })),
+  };
+};
+
+// Save the active search and the saved filters
+export const saveFilters = async (state) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.filters, JSON.stringify(state));
+};
+
+// Get the records that were set aside because they could not be read
+export const getQuarantine = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.quarantine);
+  try {
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Permanently discard the quarantined records
+export const clearQuarantine = async () => {
+  await AsyncStorage.removeItem(STORAGE_KEYS.quarantine);
+};
+
+// Read the stored values of `keys` as they are, e.g. for a backup. Missing and unreadable values are
+// left out; loading them again after importData validates them like any other load. Events come from
+// the database.
+export const exportData = async (keys) => {
+  await initializeStorage();
+
+  const storedKeys = keys.filter(key => key !== 'events');
+  const pairs = await AsyncStorage.multiGet(storedKeys.map(key => STORAGE_KEYS[key]));
+  const data = keys.includes('events') ? { events: await loadEvents() } : {};
+  pairs.forEach(([storageKey, value], index) => {
+    if (value === null) {
+      return;
+    }
+    try {
+      data[storedKeys[index]] = JSON.parse(value);
+    } catch (error) {
+      console.warn(`Skipping unreadable ${storageKey} data`);
+    }
+  });
+  return data;
+};
+
+// Load the sync server this phone uses, stored as { url, token, enabled }, along with the sync state from
+// the database and the number of changes waiting to be sent: { url, token, enabled, state, pending }.
+// Returns null when sync was never set up.
+export const loadSync = async () => {
+  await initializeStorage();
+
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.sync);
+  let sync;
+  try {
+    sync = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    await addToQuarantine([{ reason: `Unreadable sync data: ${error.message}`, record: stored }]);
+    return null;
+  }
+  if (!sync || typeof sync.url !== 'string') {
+    return null;
+  }
+
+  const db = await getDatabase();
+  const state = await syncStore.loadSyncState(db);
+  return state && {
+    url: sync.url,
+    token: sync.token || '',
+    enabled: sync.enabled === true,
+    state,
+    pending: await syncStore.countPendingChanges(db),
+  };
+};
+
+// Save the sync server settings
+export const saveSync = async ({ url, token, enabled }) => {
+  await initializeStorage();
+  await AsyncStorage.setItem(STORAGE_KEYS.sync, JSON.stringify({ url, token, enabled }));
+};
+
+// Start syncing afresh from `state`, forgetting what was synced before: the next sync sends everything
+export const resetSyncState = async (state) => {
+  await initializeStorage();
+  await syncStore.replaceSyncState(await getDatabase(), state);
+};
+
+// Events compared with their snapshots at a time while recording changes
+const RECORD_BATCH_SIZE = 500;
+
+// Record what changed since the last time as pending changes: the events saved or deleted since then,
+// and any difference in the other synced lists, which are small enough to compare whole. Returns the
+// number of pending changes, or null when a list could not be read, as everything in a list that loads
+// empty would count as removed.
+export const recordSyncChanges = async (now = new Date()) => {
+  await initializeStorage();
+  const db = await getDatabase();
+  let state = await syncStore.loadSyncState(db);
+  if (!state) {
+    return 0;
+  }
+
+  const quarantined = (await getQuarantine()).length;
+  const lists = { categories: await loadCategories(), members: await loadMembers(), settlements: await loadSettlements() };
+  if ((await getQuarantine()).length > quarantined) {
+    return null;
+  }
+  for (const collection of Object.keys(lists)) {
+    const recorded = recordChanges(state, collection, lists[collection], await syncStore.loadKnownRecords(db, collection), now);
+    state = recorded.state;
+    await syncStore.saveSyncProgress(db, { state, known: { [collection]: recorded.known }, pending: recorded.changes });
+  }
+
+  let changed;
+  while ((changed = await syncStore.loadChangedEvents(db, RECORD_BATCH_SIZE)).length > 0) {
+    const ids = changed.map(entry => entry.id);
+    const recorded = recordChanges(
+      state, 'events', await eventStore.loadEventsById(db, ids), await syncStore.loadKnownRecords(db, 'events', ids), now
+    );
+    state = recorded.state;
+    await syncStore.saveSyncProgress(db, { state, known: { events: recorded.known }, pending: recorded.changes, recordedEvents: changed });
+  }
+  return syncStore.countPendingChanges(db);
+};
+
+// Load the first `limit` pending changes with the sync state: { state, changes, lastSeq }, where
+// `lastSeq` is what updateSyncState takes once the server has stored them
+export const loadPendingChanges = async (limit) => {
+  await initializeStorage();
+  const db = await getDatabase();
+  return { state: await syncStore.loadSyncState(db), ...await syncStore.loadPendingChanges(db, limit) };
+};
+
+// Merge `changes` into the sync state and drop the pending changes up to `sentUpTo`
+export const updateSyncState = async (changes, sentUpTo = null) => {
+  await initializeStorage();
+  await syncStore.updateSyncState(await getDatabase(), changes, sentUpTo);
+};
+
+// Load what received changes need to be applied: the sync state, and by collection the stored records
+// they touch (whole lists outside the database) and what sync knows of those. Returns
+// { state, lists, known }, as applyChanges in sync.js takes them.
+export const loadSyncTargets = async (changes) => {
+  await initializeStorage();
+  const db = await getDatabase();
+  const loaders = { categories: loadCategories, members: loadMembers, settlements: loadSettlements };
+  const ids = {};
+  changes.forEach(change => {
+    if (change && (change.collection === 'events' || change.collection in loaders) && typeof change.id === 'string') {
+      ids[change.collection] = [...new Set([...(ids[change.collection] || []), change.id])];
+    }
+  });
+
+  const lists = {};
+  const known = {};
+  for (const collection of Object.keys(ids)) {
+    lists[collection] = collection === 'events'
+      ? await eventStore.loadEventsById(db, ids.events)
+      : await loaders[collection]();
+    known[collection] = await syncStore.loadKnownRecords(db, collection, ids[collection]);
+  }
+  return { state: await syncStore.loadSyncState(db), lists, known };
+};
+
+// Save the sync state and what sync knows of records after received changes were applied
+export const saveAppliedChanges = async (state, known) => {
+  await initializeStorage();
+  await syncStore.saveSyncProgress(await getDatabase(), { state, known });
+};
+
+// Replace the stored values of `keys` with those in `data`, which must match the current schema.
+// Keys `data` does not have are removed. Events are checked on the way into the database, since it is
+// not validated when read.
+export const importData = async (data, keys) => {
+  await initializeStorage();
+
+  if (keys.includes('events')) {
+    await saveEvents('events' in data ? await validateEventRecords(data.events) : []);
+  }
+  const storedKeys = keys.filter(key => key !== 'events');
+  const present = storedKeys.filter(key => key in data);
+  await AsyncStorage.multiSet(present.map(key => [STORAGE_KEYS[key], JSON.stringify(data[key])]));
+  await AsyncStorage.multiRemove(storedKeys.filter(key => !(key in data)).map(key => STORAGE_KEYS[key]));
+};
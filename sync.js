@@ -0,0 +1,309 @@
+// Optional sync between the phones of a household through a small HTTP endpoint, such as the reference
+// server in server/syncServer.mjs. Every phone keeps working on its own data; syncing exchanges changes.
+//
+// Changes. Every record sync has seen has a snapshot of how it was last recorded, kept with the rest of
+// the sync state in the event database (see syncStore.js). Before syncing, the records saved since then
+// are compared with their snapshots, and every difference becomes a change:
+//   { collection, id, clock, fields: { [field]: value } }
+// A new record carries all its fields plus `_deleted: false`; a removed one just `_deleted: true`. Fields
+// that only mean something on one phone, like scheduled notification ids or photo files, are never sent.
+//
+// Clocks. `clock` is a hybrid logical clock reading, a string that sorts in time order:
+//   <15-digit milliseconds>-<4-digit counter>-<device id>
+// A phone's readings always move past those it has received, so an edit made after seeing another one
+// sorts after it even when the phone's time is off.
+//
+// Conflicts are settled per field: every phone keeps the clock of the change that last set each field
+// of each record, and a change only sets the fields where its clock is the later one. All phones see the
+// same changes, so they end up with the same values whatever order they sync in.
+//
+// Protocol. The client sends its pending changes and asks for everything after the last position it saw:
+//   POST <server>/sync
+//   Authorization: Bearer <token>            only when the server was started with a token
+//   { "deviceId": "d1x2y3", "since": 41, "changes": [ ... ] }
+// The server stores the changes in one log, numbering them in the order they arrive, and answers with
+// up to `limit` entries after `since` that came from other devices:
+//   { "cursor": 57, "hasMore": false, "changes": [ { "seq": 42, "collection": ..., ... } ] }
+// `cursor` is the position to ask from next time; while `hasMore` is true there is more to fetch. Errors
+// are answered with a 4xx or 5xx status and { "error": "message" }.
+
+// Lists that are synced, with the fields that stay on the phone and their value for records that
+// arrive from another phone
+export const SYNC_COLLECTIONS = {
+  events: { local: { notificationIds: [], images: [] } },
+  categories: { local: {} },
+  members: { local: { avatar: null } },
+  settlements: { local: {} },
+};
+
+// Field that marks a record as removed
+const DELETED = '_deleted';
+
+// Most changes sent in one request
+const BATCH_SIZE = 200;
+
+// Give up on a server that has not answered after this many milliseconds
+const REQUEST_TIMEOUT = 15000;
+
+// A name for this phone in clock readings, without dashes so readings can be split
+export const createDeviceId = () => `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Write a clock reading
+const formatClock = (time, counter, deviceId) =>
+  `${String(time).padStart(15, '0')}-${String(counter).padStart(4, '0')}-${deviceId}`;
+
+// Read the time and counter of a clock reading
+const parseClock = (clock) => {
+  const [time, counter] = clock.split('-');
+  return { time: Number(time), counter: Number(counter) };
+};
+
+// The next reading of the local clock, later than every reading made or received so far
+const tickClock = (state, now) => {
+  const last = parseClock(state.clock);
+  const time = Math.max(last.time, now.getTime());
+  return formatClock(time, time === last.time ? last.counter + 1 : 0, state.deviceId);
+};
+
+// Move the local clock past a received reading
+const receiveClock = (state, clock) => {
+  const last = parseClock(state.clock);
+  const remote = parseClock(clock);
+  if (remote.time < last.time || (remote.time === last.time && remote.counter <= last.counter)) {
+    return state.clock;
+  }
+  return formatClock(remote.time, remote.counter, state.deviceId);
+};
+
+// Sync state of a phone that has never synced: its device id, the last clock reading and the position
+// in the server's log to ask from
+export const createSyncState = (deviceId = createDeviceId()) => ({
+  deviceId,
+  clock: formatClock(0, 0, deviceId),
+  cursor: 0,
+  lastSyncedAt: null,
+});
+
+// What sync knows of a record it has never seen
+const UNKNOWN = { snapshot: null, clocks: {} };
+
+// A record without the fields that stay on the phone
+const withoutLocalFields = (collection, record) => {
+  const { local } = SYNC_COLLECTIONS[collection];
+  return Object.keys(record).reduce((fields, key) => (key in local ? fields : { ...fields, [key]: record[key] }), {});
+};
+
+// Compare two values the way they are stored
+const isSameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// The field changes that turn `previous` into `next`, without clocks yet
+const diffRecords = (collection, previous, next) => {
+  const previousById = new Map(previous.map(record => [String(record.id), record]));
+  const changes = [];
+
+  next.forEach(record => {
+    const id = String(record.id);
+    const before = previousById.get(id);
+    const after = withoutLocalFields(collection, record);
+    const fields = {};
+
+    new Set([...Object.keys(after), ...Object.keys(before || {})]).forEach(key => {
+      if (key !== 'id' && (!before || !isSameValue(after[key], before[key]))) {
+        fields[key] = after[key] === undefined ? null : after[key];
+      }
+    });
+    if (!before) {
+      fields[DELETED] = false;
+    }
+    if (Object.keys(fields).length > 0) {
+      changes.push({ collection, id, fields });
+    }
+    previousById.delete(id);
+  });
+
+  previousById.forEach((record, id) => changes.push({ collection, id, fields: { [DELETED]: true } }));
+  return changes;
+};
+
+// Record the differences between stored records of one collection and what sync knows of them as
+// changes. `records` are the stored records that may have changed and `known` what sync knows of them,
+// as { [id]: { snapshot, clocks } } with the snapshot last recorded (null once removed) and the clock of
+// every field. A known record with a snapshot that is missing from `records` was removed; a record sync
+// does not know is new. Returns { state, changes, known }, where `known` has the entries that changed.
+export const recordChanges = (state, collection, records, known, now = new Date()) => {
+  const previous = Object.values(known).filter(entry => entry.snapshot).map(entry => entry.snapshot);
+  const recordsById = new Map(records.map(record => [String(record.id), record]));
+  const updated = {};
+  let clockState = state;
+
+  const changes = diffRecords(collection, previous, records).map(change => {
+    const clock = tickClock(clockState, now);
+    clockState = { ...clockState, clock };
+    const record = recordsById.get(change.id);
+    updated[change.id] = {
+      snapshot: record ? withoutLocalFields(collection, record) : null,
+      clocks: Object.keys(change.fields)
+        .reduce((fieldClocks, field) => ({ ...fieldClocks, [field]: clock }), (known[change.id] || UNKNOWN).clocks),
+    };
+    return { ...change, clock };
+  });
+
+  return { state: clockState, changes, known: updated };
+};
+
+// Apply the fields of a change that win over what a list has, returning the new list
+const applyToList = (collection, list, change, winningFields) => {
+  const index = list.findIndex(record => String(record.id) === change.id);
+  const values = winningFields
+    .filter(field => field !== DELETED)
+    .reduce((fields, field) => ({ ...fields, [field]: change.fields[field] }), {});
+
+  if (winningFields.includes(DELETED) && change.fields[DELETED]) {
+    return index === -1 ? list : list.filter((record, recordIndex) => recordIndex !== index);
+  }
+  if (index !== -1) {
+    return list.map((record, recordIndex) => (recordIndex === index ? { ...record, ...values } : record));
+  }
+  // Records that were removed here only come back with a later change that creates them again
+  if (winningFields.includes(DELETED)) {
+    return [...list, { ...SYNC_COLLECTIONS[collection].local, ...values, id: change.id }];
+  }
+  return list;
+};
+
+// Check that a change received from a server has the expected shape
+const isValidChange = (change) =>
+  !!change && typeof change.collection === 'string' && change.collection in SYNC_COLLECTIONS &&
+  typeof change.id === 'string' && typeof change.clock === 'string' && /^\d{15}-\d{4}-\w+$/.test(change.clock) &&
+  !!change.fields && typeof change.fields === 'object' && !Array.isArray(change.fields);
+
+// Apply received changes. `lists` holds, by collection, the stored records the changes are about (or the
+// whole list) and `known` what sync knows of them, as recordChanges takes it. Every field takes the value
+// of the change with the latest clock. Returns { state, lists, known, changedIds }, where `known` has the
+// entries that changed and `changedIds` the ids of the changed records, both by collection.
+export const applyChanges = (state, changes, lists, known) => {
+  const nextLists = { ...lists };
+  const nextKnown = {};
+  const changedIds = {};
+  let { clock } = state;
+
+  changes.filter(isValidChange).forEach(change => {
+    const { collection, id } = change;
+    const entry = (nextKnown[collection] || {})[id] || (known[collection] || {})[id] || UNKNOWN;
+    const winningFields = Object.keys(change.fields).filter(field => !entry.clocks[field] || change.clock > entry.clocks[field]);
+    clock = receiveClock({ ...state, clock }, change.clock);
+    if (winningFields.length === 0) {
+      return;
+    }
+
+    const [snapshot] = applyToList(collection, entry.snapshot ? [entry.snapshot] : [], change, winningFields);
+    nextKnown[collection] = {
+      ...(nextKnown[collection] || {}),
+      [id]: {
+        snapshot: snapshot ? withoutLocalFields(collection, snapshot) : null,
+        clocks: winningFields.reduce((updated, field) => ({ ...updated, [field]: change.clock }), entry.clocks),
+      },
+    };
+    if (nextLists[collection]) {
+      nextLists[collection] = applyToList(collection, nextLists[collection], change, winningFields);
+      changedIds[collection] = [...new Set([...(changedIds[collection] || []), id])];
+    }
+  });
+
+  return { state: { ...state, clock }, lists: nextLists, known: nextKnown, changedIds };
+};
+
+// Send one request to the sync endpoint, returning the parsed answer.
+// Throws an Error with a message for the user; `offline` is set when the server could not be reached.
+const postChanges = async (url, token, body, fetchImpl) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  let response;
+  try {
+    response = await fetchImpl(`${url.trim().replace(/\/+$/, '')}/sync`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    const offline = new Error(error.name === 'AbortError'
+      ? 'The sync server took too long to answer.'
+      : 'The sync server could not be reached.');
+    offline.offline = true;
+    throw offline;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (response.status === 401) {
+    throw new Error('The sync server did not accept the access token.');
+  }
+  if (!response.ok) {
+    throw new Error(`The sync server answered with ${response.status}.`);
+  }
+  const answer = await response.json().catch(() => null);
+  if (!answer || !Array.isArray(answer.changes) || typeof answer.cursor !== 'number') {
+    throw new Error('The sync server sent an answer this app does not understand.');
+  }
+  return answer;
+};
+
+// Sync with the server until neither side has more to send: record what changed on this phone, push the
+// pending changes a batch at a time and apply what other phones sent as it arrives. `store` keeps the
+// sync state (the storage module in the app) and `storeLists(previous, synced, changedIds)` saves the
+// records that received changes. Never throws for server problems: returns { error, offline }, where
+// `error` is a message for the user and the changes that were not confirmed stay pending. Stops when
+// sync is turned off or moved to another server meanwhile.
+export const syncWithServer = async (store, { url, token, storeLists, fetchImpl = fetch, now = () => new Date() }) => {
+  if (!/^https?:\/\//i.test((url || '').trim())) {
+    return { error: 'Sync server addresses start with http:// or https://.', offline: false };
+  }
+  // A list that could not be read would look like all its records were removed
+  const paused = { error: 'Some stored data could not be read, so sync is paused.', offline: false };
+
+  let hasMore = true;
+  while (hasMore) {
+    if (await store.recordSyncChanges(now()) === null) {
+      return paused;
+    }
+    const { state, changes: pending, lastSeq } = await store.loadPendingChanges(BATCH_SIZE);
+    let answer;
+    try {
+      answer = await postChanges(url, token, { deviceId: state.deviceId, since: state.cursor, changes: pending }, fetchImpl);
+    } catch (error) {
+      return { error: error.message, offline: !!error.offline };
+    }
+
+    const current = await store.loadSync();
+    if (!current || !current.enabled || current.url !== url) {
+      return { error: null, offline: false };
+    }
+    // The server has stored what was sent, but the cursor only moves on once the received changes are
+    // saved, so changes that could not be applied are fetched again by the next sync
+    await store.updateSyncState({}, lastSeq);
+    // A server that claims there is more without moving on would keep the loop going forever
+    hasMore = (answer.hasMore === true && answer.cursor > state.cursor) || pending.length === BATCH_SIZE;
+
+    if (answer.changes.length > 0) {
+      // Edits saved while the request was under way get their clocks before the received changes meet them
+      const pendingCount = await store.recordSyncChanges(now());
+      if (pendingCount === null) {
+        return paused;
+      }
+      const targets = await store.loadSyncTargets(answer.changes);
+      const applied = applyChanges(targets.state, answer.changes, targets.lists, targets.known);
+      await storeLists(targets.lists, applied.lists, applied.changedIds);
+      await store.saveAppliedChanges({ ...applied.state, cursor: answer.cursor }, applied.known);
+      hasMore = hasMore || pendingCount > 0;
+    } else {
+      await store.updateSyncState({ cursor: answer.cursor });
+    }
+  }
+
+  await store.updateSyncState({ lastSyncedAt: now().toISOString() });
+  return { error: null, offline: false };
+};
@@ -0,0 +1,126 @@
+import { selectByIds } from './eventStore';
+
+// The state of sync.js kept in the event database next to the events, so recording changes reads only
+// what was saved since the last time. The tables are created by the migrations in eventStore.js:
+//   sync_state            one row with the state as JSON: device id, clock, cursor and last sync. There
+//                         is none until sync is set up.
+//   sync_records          what sync knows of every record it has seen, by collection and id: the snapshot
+//                         last recorded, without local fields, and the clock of every field as JSON. The
+//                         snapshot is NULL once the record is removed; its clocks stay so that older
+//                         changes from other phones cannot bring it back.
+//   sync_pending          changes waiting to be sent, in the order they were recorded
+//   sync_changed_events   events written or deleted since their changes were last recorded, filled in by
+//                         triggers on the events table. Writing an event again gives it a new `seq`, so a
+//                         write that lands while changes are being recorded is picked up the next time.
+//
+// Functions take a database opened with expo-sqlite's async API, like those of eventStore.js.
+
+// Read what sync knows of a record from its row
+const toKnownEntry = (row) => ({
+  snapshot: row.snapshot === null ? null : JSON.parse(row.snapshot),
+  clocks: JSON.parse(row.clocks),
+});
+
+// The sync state, or null when sync was never set up
+export const loadSyncState = async (db) => {
+  const row = await db.getFirstAsync('SELECT data FROM sync_state WHERE id = 1');
+  return row ? JSON.parse(row.data) : null;
+};
+
+// Write the sync state
+const writeSyncState = (db, state) =>
+  db.runAsync('INSERT OR REPLACE INTO sync_state (id, data) VALUES (1, ?)', [JSON.stringify(state)]);
+
+// Write what sync knows of records, { [collection]: { [id]: { snapshot, clocks } } }
+const writeKnownRecords = async (db, known) => {
+  for (const collection of Object.keys(known)) {
+    for (const id of Object.keys(known[collection])) {
+      const { snapshot, clocks } = known[collection][id];
+      await db.runAsync(
+        'INSERT OR REPLACE INTO sync_records (collection, id, snapshot, clocks) VALUES (?, ?, ?, ?)',
+        [collection, id, snapshot ? JSON.stringify(snapshot) : null, JSON.stringify(clocks)]
+      );
+    }
+  }
+};
+
+// Queue changes to be sent
+const insertPendingChanges = async (db, changes) => {
+  for (const change of changes) {
+    await db.runAsync('INSERT INTO sync_pending (change) VALUES (?)', [JSON.stringify(change)]);
+  }
+};
+
+// Replace the whole sync state, all or nothing: the state, what sync knows of records as
+// writeKnownRecords takes it, and the pending changes. Every stored event and every event sync knows of
+// is marked as changed, so the next recording compares each of them once.
+export const replaceSyncState = async (db, state, known = {}, pending = []) => {
+  await db.withTransactionAsync(async () => {
+    await db.execAsync('DELETE FROM sync_records; DELETE FROM sync_pending; DELETE FROM sync_changed_events;');
+    await writeSyncState(db, state);
+    await writeKnownRecords(db, known);
+    await insertPendingChanges(db, pending);
+    await db.execAsync(`
+      INSERT OR REPLACE INTO sync_changed_events (id)
+      SELECT id FROM events
+      UNION SELECT id FROM sync_records WHERE collection = 'events' AND snapshot IS NOT NULL
+    `);
+  });
+};
+
+// What sync knows of the records of a collection, as { [id]: { snapshot, clocks } }: of all of them, or
+// of those with the given ids
+export const loadKnownRecords = async (db, collection, ids = null) => {
+  const rows = ids === null
+    ? await db.getAllAsync('SELECT id, snapshot, clocks FROM sync_records WHERE collection = ?', [collection])
+    : await selectByIds(
+      db,
+      placeholders => `SELECT id, snapshot, clocks FROM sync_records WHERE collection = ? AND id IN (${placeholders})`,
+      ids,
+      [collection]
+    );
+  return Object.fromEntries(rows.map(row => [row.id, toKnownEntry(row)]));
+};
+
+// Up to `limit` of the events marked as changed, as [{ seq, id }] in the order they were marked
+export const loadChangedEvents = (db, limit) =>
+  db.getAllAsync('SELECT seq, id FROM sync_changed_events ORDER BY seq LIMIT ?', [limit]);
+
+// Save what recording or applying changes produced, all or nothing: the new state, the entries of
+// `known` that changed, new pending changes, and the marks of the changed events that were recorded.
+// A mark renewed meanwhile has another `seq` and stays.
+export const saveSyncProgress = async (db, { state, known = {}, pending = [], recordedEvents = [] }) => {
+  await db.withTransactionAsync(async () => {
+    await writeSyncState(db, state);
+    await writeKnownRecords(db, known);
+    await insertPendingChanges(db, pending);
+    for (const { seq } of recordedEvents) {
+      await db.runAsync('DELETE FROM sync_changed_events WHERE seq = ?', [seq]);
+    }
+  });
+};
+
+// The first `limit` pending changes, as { changes, lastSeq } where `lastSeq` is the position of the last
+// one, or null when nothing is pending
+export const loadPendingChanges = async (db, limit) => {
+  const rows = await db.getAllAsync('SELECT seq, change FROM sync_pending ORDER BY seq LIMIT ?', [limit]);
+  return {
+    changes: rows.map(row => JSON.parse(row.change)),
+    lastSeq: rows.length > 0 ? rows[rows.length - 1].seq : null,
+  };
+};
+
+// Number of changes waiting to be sent
+export const countPendingChanges = async (db) =>
+  (await db.getFirstAsync('SELECT COUNT(*) AS count FROM sync_pending')).count;
+
+// Merge `changes` into the sync state and drop the pending changes up to and including `sentUpTo`, which
+// the server has stored
+export const updateSyncState = async (db, changes, sentUpTo = null) => {
+  await db.withTransactionAsync(async () => {
+    await writeSyncState(db, { ...await loadSyncState(db), ...changes });
+    if (sentUpTo !== null) {
+      await db.runAsync('DELETE FROM sync_pending WHERE seq <= ?', [sentUpTo]);
+    }
+  });
+};
@@ -0,0 +1,123 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+
+// Time zone support. Event dates are always stored as absolute UTC instants; an event's optional
+// `timeZone` (an IANA name such as "Europe/Paris") says which zone its wall-clock time belongs to.
+// Events without one follow the device, which is how every event behaved before zones existed.
+
+// The app extends these in its dayjs setup too; dayjs skips plugins that are already installed,
+// and extending here keeps the helpers usable on their own
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Zones offered in the picker before the user types a search
+export const COMMON_TIME_ZONES = [
+  'Pacific/Honolulu',
+  'America/Anchorage',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Halifax',
+  'America/Sao_Paulo',
+  'Atlantic/Reykjavik',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Europe/Athens',
+  'Europe/Istanbul',
+  'Europe/Moscow',
+  'Africa/Cairo',
+  'Africa/Johannesburg',
+  'Africa/Lagos',
+  'Asia/Dubai',
+  'Asia/Karachi',
+  'Asia/Kolkata',
+  'Asia/Dhaka',
+  'Asia/Bangkok',
+  'Asia/Singapore',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Perth',
+  'Australia/Sydney',
+  'Pacific/Auckland',
+];
+
+const WALL_CLOCK_FORMAT = 'YYYY-MM-DDTHH:mm:ss.SSS';
+
+// Check whether a string is a time zone the device knows about
+export const isValidTimeZone = (zone) => {
+  if (typeof zone !== 'string' || zone.trim() === '') {
+    return false;
+  }
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The zone the device is currently set to
+export const getDeviceTimeZone = () => dayjs.tz.guess();
+
+// Check whether an instant shows a different wall-clock time in `zone` than on the device
+export const differsFromDevice = (instant, zone) =>
+  !!zone && dayjs(instant).tz(zone).utcOffset() !== dayjs(instant).utcOffset();
+
+// Zones matching a search, common zones first. A valid zone typed in full is offered even when it is not in the list.
+export const searchTimeZones = (query) => {
+  const wanted = query.trim().toLowerCase().replace(/\s+/g, '_');
+  if (!wanted) {
+    return COMMON_TIME_ZONES;
+  }
+
+  const matches = COMMON_TIME_ZONES.filter(zone => zone.toLowerCase().includes(wanted));
+  const typed = query.trim().replace(/\s+/g, '_');
+  if (!matches.some(zone => zone.toLowerCase() === wanted) && isValidTimeZone(typed)) {
+    matches.unshift(typed);
+  }
+  return matches;
+};
+
+// Offset of a zone at an instant, e.g. "GMT+5:30"
+export const formatUtcOffset = (zone, instant = new Date()) => {
+  const offset = dayjs(instant).tz(zone).utcOffset();
+  const hours = Math.floor(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+  return `GMT${offset < 0 ? '-' : '+'}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+};
+
+// Label for a zone in the picker and on cards, e.g. "Paris (GMT+2)"
+export const formatTimeZone = (zone, instant = new Date()) => {
+  const city = zone.split('/').pop().replace(/_/g, ' ');
+  return `${city} (${formatUtcOffset(zone, instant)})`;
+};
+
+// Format an instant as it reads on a clock in `zone`, or on the device when no zone is given
+export const formatInTimeZone = (instant, zone, format) =>
+  (zone ? dayjs(instant).tz(zone) : dayjs(instant)).format(format);
+
+// Wall-clock time of an instant in `zone` as a device Date, for the date and time pickers,
+// which always work in the device zone
+export const toZoneWallClock = (instant, zone) =>
+  dayjs(dayjs(instant).tz(zone).format(WALL_CLOCK_FORMAT)).toDate();
+
+// The instant at which clocks in `zone` show the wall-clock time of a picker Date
+export const fromZoneWallClock = (date, zone) =>
+  dayjs.tz(dayjs(date).format(WALL_CLOCK_FORMAT), zone).toISOString();
+
+// Wall-clock time of an instant in `zone` as a UTC dayjs. UTC has no daylight saving changes,
+// so adding days, weeks or months to it keeps the time of day the same.
+export const toWallClockUtc = (instant, zone) =>
+  dayjs.utc(dayjs(instant).tz(zone).format(WALL_CLOCK_FORMAT));
+
+// Turn a wall-clock time made by toWallClockUtc back into the instant it happens in `zone`
+export const fromWallClockUtc = (wallClock, zone) =>
+  dayjs(dayjs.tz(wallClock.format(WALL_CLOCK_FORMAT), zone).toISOString());
+
+// Zone an event's times are entered in, or null when they follow the device.
+// All-day events store calendar days, which are the same days everywhere, so they never have one.
+export const getEventTimeZone = (event) =>
+  event && event.timeZone && !event.allDay ? event.timeZone : null;
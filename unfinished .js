@@ -13,20 +13,139 @@ import {
   Pressable,
   Alert,
   Share,
-  Image,
+  Linking,
+  AppState,
   ScrollView,
   useColorScheme,
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import * as ImagePicker from 'expo-image-picker';
 import * as Notifications from 'expo-notifications';
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as Crypto from 'expo-crypto';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import {
+  REPEAT_FREQUENCIES,
+  WEEKDAY_NAMES,
+  createRepeatRule,
+  describeRepeat,
+  completeOccurrence,
+  expandEventsForList,
+  expandEventsInRange,
+  formatNthWeekday,
+  getOccurrence,
+  getPastOccurrences,
+  hasUpcomingOccurrence,
+  isRecurring,
+  normalizeRepeatRule,
+  skipOccurrence,
+  updateOccurrence,
+} from './recurrence';
+import {
+  DEFAULT_REMINDERS,
+  REMINDER_PRESETS,
+  REMINDER_UNITS,
+  diffReminders,
+  formatReminder,
+  formatReminderDuration,
+  formatReminderShort,
+  getEventReminders,
+  getReminderTime,
+  isSameSchedule,
+  normalizeReminders,
+} from './reminders';
+import {
+  DEFAULT_CATEGORIES,
+  createCategory,
+  findCategoryByName,
+  getCategory,
+  moveCategory,
+  reassignCategory,
+} from './categories';
+import { MonthCalendar, WeekAgenda } from './CalendarViews';
+import {
+  buildEventTimes,
+  compareStarts,
+  formatEventTime,
+  getFormEnd,
+  getFormStart,
+  getOccurrenceEnd,
+  isInProgress,
+  toStoredDate,
+} from './eventTime';
+import { CategoryBadge, CategoryEditor, CategoryReassignForm } from './CategoryViews';
+import { FamilyAgenda, MemberEditor } from './FamilyViews';
+import { EventExpenses, ExpenseOverview } from './ExpenseViews';
+import { CURRENCIES, expensesToCSV, formatAmount, formatTotals, sumByCurrency } from './expenses';
+import { computeBalances, createSettlement } from './splits';
+import { PublicFeeds } from './PublicViews';
+import { COUNTDOWN_STYLES, describeTimeRemaining, getCountdownState, getNextTick } from './countdown';
+import { NOTIFICATION_LIMITS, getPlannedReminders, planReconciliation } from './notificationSync';
+import { NotificationDiagnostics } from './DiagnosticsViews';
+import {
+  IMAGE_DIRECTORY,
+  MAX_EVENT_IMAGES,
+  THUMBNAIL_WIDTH,
+  createImageNames,
+  findUnusedImages,
+  getEventImages,
+  getReferencedImages,
+} from './images';
+import { ImageGallery } from './ImageViews';
+import {
+  BACKUP_KEYS,
+  createBackupContents,
+  mergeBackupData,
+  openBackup,
+  parseBackupFile,
+  placeBackupImages,
+  serializeBackup,
+} from './backup';
+import { BackupExport, BackupRestore } from './BackupViews';
+import { getArchiveCutoff } from './eventStore';
+import { createSyncState, syncWithServer } from './sync';
+import { SyncSetup, SyncStatusButton } from './SyncViews';
+import {
+  FEED_REFRESH_OPTIONS,
+  copyFeedEvent,
+  createFeed,
+  getFeedEvents,
+  isFeedDue,
+  parseFeedText,
+  refreshFeed,
+} from './feeds';
+import { createMember, formatMemberNames, getEventMembers, isMine, removeMemberFromEvents } from './family';
+import {
+  CONFLICT_BUFFER_OPTIONS,
+  DEFAULT_DURATION_OPTIONS,
+  findConflictingKeys,
+  findEventConflicts,
+  getConflictCheckRange,
+} from './conflicts';
+import { parseQuickAdd } from './quickAdd';
+import { buildEventLink, buildOpenLink, parseLink } from './deepLinks';
+import { eventsToICS, getEventUid, parseICS } from './ics';
+import {
+  DATE_RANGE_PRESETS,
+  EMPTY_FILTERS,
+  REMINDER_FILTERS,
+  filterOccurrences,
+  findMatches,
+  hasActiveFilters,
+} from './search';
+import * as storage from './storage';
+import { differsFromDevice, formatTimeZone, searchTimeZones } from './timeZones';
 
-// Enable the relative time plugin for dayjs
+// Enable the relative time and time zone plugins for dayjs
 dayjs.extend(relativeTime);
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 // Configure notifications
 Notifications.setNotificationHandler({
@@ -37,6 +156,45 @@ Notifications.setNotificationHandler({
   }),
 });
 
+// How long past events stay in the History view
+const HISTORY_RETENTION_OPTIONS = [
+  { key: 'forever', label: 'Forever', days: null },
+  { key: '30d', label: '30 Days', days: 30 },
+  { key: '1y', label: '1 Year', days: 365 },
+];
+
+// How long deleted events stay in the Trash before they are purged
+const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+
+// How long the Undo snackbar stays visible after a delete
+const UNDO_TIMEOUT = 5000;
+
+// How often subscribed feeds are checked for being due a refresh while the app is open
+const FEED_CHECK_INTERVAL = 15 * 60 * 1000;
+
+// How long to wait after a save before syncing, so a burst of edits goes out in one request
+const SYNC_DELAY = 3000;
+
+// How often to sync while the app is open and sync is on
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+// Color of double-booking warnings
+const CONFLICT_COLOR = '#F57C00';
+
+// Folder the app keeps its copies of event photos and member pictures in
+const IMAGE_FOLDER = `${FileSystem.documentDirectory}${IMAGE_DIRECTORY}`;
+
+// Most notifications kept scheduled at once on this platform
+const NOTIFICATION_LIMIT = NOTIFICATION_LIMITS[Platform.OS] || NOTIFICATION_LIMITS.android;
+
+// Notification category and the action buttons shown on event reminders
+const REMINDER_CATEGORY = 'event-reminder';
+const SNOOZE_ACTIONS = {
+  'snooze-10': 10,
+  'snooze-60': 60,
+};
+const MARK_DONE_ACTION = 'mark-done';
+
 // Main application component
 export default function App() {
   // State variables
@@ -45,19 +203,108 @@ export default function App() {
   const [eventName, setEventName] = useState('');
   const [eventDescription, setEventDescription] = useState('');
   const [eventDate, setEventDate] = useState(new Date());
-  const [eventImage, setEventImage] = useState(null);
+  const [eventImages, setEventImages] = useState([]);
   const [eventCategory, setEventCategory] = useState('event'); // Default category
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
+  const [eventEndDate, setEventEndDate] = useState(null); // End time, or the last day of an all-day event
+  const [eventAllDay, setEventAllDay] = useState(false);
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+  const [showEndTimePicker, setShowEndTimePicker] = useState(false);
+  const [eventTimeZone, setEventTimeZone] = useState(null); // null follows the device
+  const [showTimeZonePicker, setShowTimeZonePicker] = useState(false);
+  const [timeZoneQuery, setTimeZoneQuery] = useState('');
   const [editingEventId, setEditingEventId] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearchActive, setIsSearchActive] = useState(false);
   const [activeTab, setActiveTab] = useState('Home');
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [settingsModalVisible, setSettingsModalVisible] = useState(false);
+  const [eventRepeat, setEventRepeat] = useState(null); // null means the event does not repeat
+  const [showRepeatUntilPicker, setShowRepeatUntilPicker] = useState(false);
+  const [editingOccurrence, setEditingOccurrence] = useState(null); // Original date of a single occurrence being edited
+  const [eventReminders, setEventReminders] = useState(DEFAULT_REMINDERS); // Minutes before the event
+  const [customReminderValue, setCustomReminderValue] = useState('');
+  const [customReminderUnit, setCustomReminderUnit] = useState('minutes');
+  const [defaultReminders, setDefaultReminders] = useState(DEFAULT_REMINDERS);
+  const [isEventsLoaded, setIsEventsLoaded] = useState(false);
+  const [pendingNotificationResponse, setPendingNotificationResponse] = useState(null);
+  const [pendingLink, setPendingLink] = useState(null); // whatsup:// link waiting for the events to load
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'month' or 'week'
+  const [selectedDay, setSelectedDay] = useState(null); // Day picked in a calendar view to filter the list
+  const [calendarMonth, setCalendarMonth] = useState(new Date());
+  const [calendarWeek, setCalendarWeek] = useState(new Date());
+  const [isSelectionMode, setIsSelectionMode] = useState(false);
+  const [selectedEventIds, setSelectedEventIds] = useState([]);
+  const [historyRetention, setHistoryRetention] = useState('forever');
+  const [quarantinedCount, setQuarantinedCount] = useState(0);
+  const [trash, setTrash] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(30);
+  const [conflictSettings, setConflictSettings] = useState({ bufferMinutes: 15, defaultDurationMinutes: 60 });
+  const [quickAddText, setQuickAddText] = useState('');
+  const [eventConflicts, setEventConflicts] = useState([]); // Double bookings found when the event was last saved
+  const [trashModalVisible, setTrashModalVisible] = useState(false);
+  const [undoEntry, setUndoEntry] = useState(null); // Trash entry the Undo snackbar would restore
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [savedFilterName, setSavedFilterName] = useState('');
+  const [filterDatePicker, setFilterDatePicker] = useState(null); // 'customStart' or 'customEnd' while picking a custom range
+  const [isFiltersLoaded, setIsFiltersLoaded] = useState(false);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [categoriesModalVisible, setCategoriesModalVisible] = useState(false);
+  const [categoryEditor, setCategoryEditor] = useState(null); // { category } while creating (category null) or editing
+  const [deletingCategory, setDeletingCategory] = useState(null); // Category waiting for its events to be reassigned
+  const [deletingCategoryCount, setDeletingCategoryCount] = useState(0); // Its events, stored and in the Trash
+  const [members, setMembers] = useState([]);
+  const [myMemberId, setMyMemberId] = useState(null); // The member who uses this phone, for "Mine Only"
+  const [memberEditor, setMemberEditor] = useState(null); // { member } while adding (member null) or editing
+  const [familyMemberFilter, setFamilyMemberFilter] = useState(null); // Member whose events the Family tab shows
+  const [eventMemberIds, setEventMemberIds] = useState([]); // Members the event being edited is for
+  const [eventExpenses, setEventExpenses] = useState([]); // Spending recorded on the event being edited
+  const [currency, setCurrency] = useState('USD'); // Default currency for new expenses and budgets
+  const [budgets, setBudgets] = useState({}); // Monthly budget per category id
+  const [settlements, setSettlements] = useState([]); // Payments that squared up shared expenses
+  const [feeds, setFeeds] = useState([]);
+  const [isFeedsLoaded, setIsFeedsLoaded] = useState(false);
+  const [refreshingFeedIds, setRefreshingFeedIds] = useState([]);
+  const [feedRefreshHours, setFeedRefreshHours] = useState(6);
+  const [now, setNow] = useState(new Date()); // Moment the list and countdowns were last worked out for
+  const [countdownStyle, setCountdownStyle] = useState('short');
+  const [foregroundedAt, setForegroundedAt] = useState(null); // When the app last came back to the foreground
+  const [scheduledRequests, setScheduledRequests] = useState([]); // Notifications the OS has scheduled, for diagnostics
+  const [notificationReport, setNotificationReport] = useState(null); // Outcome of the last reconciliation
+  const [isCheckingNotifications, setIsCheckingNotifications] = useState(false);
+  const [diagnosticsModalVisible, setDiagnosticsModalVisible] = useState(false);
+  const [loadedLists, setLoadedLists] = useState({}); // Lists read successfully, e.g. { events: true }
+  const [backupForm, setBackupForm] = useState(null); // { mode: 'export' } or { mode: 'restore', archive }
+  const [isBackupWorking, setIsBackupWorking] = useState(false);
+  const [syncServer, setSyncServer] = useState(null); // { url, token } while sync is on
+  const [syncStatus, setSyncStatus] = useState({ state: 'off', error: null, lastSyncedAt: null, pending: 0 });
+  const [syncModalVisible, setSyncModalVisible] = useState(false);
+  // Upcoming events are read a page at a time as the list scrolls
+  const [upcomingUntil, setUpcomingUntil] = useState(null); // Where the pages read so far end
+  const [hasMoreUpcoming, setHasMoreUpcoming] = useState(false);
+  const [isLoadingUpcoming, setIsLoadingUpcoming] = useState(false);
+  // Events that ended before the archive cutoff stay in the database until a screen asks for them
+  const [archivedEvents, setArchivedEvents] = useState([]); // Pages read for the History view
+  const [hasMoreArchived, setHasMoreArchived] = useState(false);
+  const [isLoadingArchive, setIsLoadingArchive] = useState(false);
+  // Events that are not loaded, archived or further ahead than the upcoming pages, read for other screens
+  const [calendarRangeEvents, setCalendarRangeEvents] = useState([]); // Those in the month or week shown
+  const [unloadedExpenseEvents, setUnloadedExpenseEvents] = useState([]); // Those with expenses, for the Expense tab
   
   const notificationListener = useRef();
   const responseListener = useRef();
+  const handledNotificationResponses = useRef(new Set());
+  const undoTimer = useRef();
+  const feedsRef = useRef([]); // Latest feeds, for refreshes that finish after the feeds changed
+  const isReconciling = useRef(false);
+  const newImageUris = useRef(new Set()); // Photos stored this session, which may belong to an unsaved form
+  const syncTimer = useRef();
+  const isSyncing = useRef(false);
+  const syncAgain = useRef(false); // Set when a sync is asked for while one is under way
+  const archiveRequest = useRef(0); // Counts History searches, so pages of an older search are dropped
+  const upcomingRequest = useRef(0); // Counts event loads, so upcoming pages read before a reload are dropped
 
   // Theme colors based on mode
   const theme = {
@@ -71,47 +318,198 @@ export default function App() {
     borderColor: isDarkMode ? '#444444' : '#F0F0F0',
   };
 
-  // Load saved theme preference and events from AsyncStorage
+  // Load saved settings and events from storage
   useEffect(() => {
-    const loadThemePreference = async () => {
-      try {
-        const savedTheme = await AsyncStorage.getItem('theme');
-        if (savedTheme !== null) {
-          setIsDarkMode(savedTheme === 'dark');
-        }
-      } catch (error) {
-        console.error('Failed to load theme preference:', error);
-      }
-    };
-    
-    loadThemePreference();
-    loadEvents();
+    loadStoredData();
     registerForPushNotifications();
+    registerNotificationCategories();
     
     // Set up notification listeners
     notificationListener.current = Notifications.addNotificationReceivedListener(notification => {
       console.log('Notification received:', notification);
     });
 
+    // Responses are queued until events are loaded, so taps that launched the app are handled too
     responseListener.current = Notifications.addNotificationResponseReceivedListener(response => {
-      console.log('Notification response:', response);
+      setPendingNotificationResponse(response);
+    });
+    
+    Notifications.getLastNotificationResponseAsync().then(response => {
+      if (response) {
+        setPendingNotificationResponse(response);
+      }
+    }).catch(error => console.error('Failed to read the notification that opened the app:', error));
+    
+    // Links are queued the same way, whether they launched the app or arrived while it was open
+    const linkSubscription = Linking.addEventListener('url', ({ url }) => setPendingLink(url));
+    Linking.getInitialURL().then(url => {
+      if (url) {
+        setPendingLink(url);
+      }
+    }).catch(error => console.error('Failed to read the link that opened the app:', error));
+
+    // Timers do not run in the background, so catch up on the time that passed when the app returns
+    const appStateSubscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        setNow(new Date());
+        setForegroundedAt(Date.now());
+      }
     });
 
     return () => {
       Notifications.removeNotificationSubscription(notificationListener.current);
       Notifications.removeNotificationSubscription(responseListener.current);
+      linkSubscription.remove();
+      appStateSubscription.remove();
+      clearTimeout(undoTimer.current);
+      clearTimeout(syncTimer.current);
     };
   }, []);
 
-  // Save theme preference
-  const saveThemePreference = async (isDark) => {
+  // Handle queued notification responses once the events they refer to are available. An event further
+  // ahead than the upcoming pages is read into the list first and the response queued again.
+  useEffect(() => {
+    if (pendingNotificationResponse && isEventsLoaded) {
+      const response = pendingNotificationResponse;
+      setPendingNotificationResponse(null);
+      const { eventId } = response.notification.request.content.data || {};
+      loadStoredEvent(eventId).then(isAdded => (
+        isAdded ? setPendingNotificationResponse(response) : handleNotificationResponse(response)
+      ));
+    }
+  }, [pendingNotificationResponse, isEventsLoaded]);
+
+  // Check the scheduled notifications against the events once they are loaded and whenever the app
+  // returns, since reminders may have fired or been dropped by the OS in the meantime
+  useEffect(() => {
+    if (isEventsLoaded) {
+      reconcileNotifications();
+    }
+  }, [isEventsLoaded, foregroundedAt]);
+
+  // Delete photos nothing refers to after events, the Trash or members change. Only once all three were
+  // read, since a list that failed to load would make every photo in it look unused.
+  useEffect(() => {
+    if (loadedLists.events && loadedLists.trash && loadedLists.members) {
+      collectUnusedImages();
+    }
+  }, [events, trash, members, loadedLists]);
+
+  // Handle a queued link once the events it may refer to are available, reading the event it opens
+  // into the list first like for notification responses
+  useEffect(() => {
+    if (pendingLink && isEventsLoaded) {
+      const url = pendingLink;
+      setPendingLink(null);
+      const link = parseLink(url);
+      loadStoredEvent(link.type === 'open' ? link.eventId : null).then(isAdded => (
+        isAdded ? setPendingLink(url) : handleLink(url)
+      ));
+    }
+  }, [pendingLink, isEventsLoaded]);
+
+  // Refresh the feeds that are due once they are loaded, then keep checking while the app is open
+  useEffect(() => {
+    if (!isFeedsLoaded) {
+      return undefined;
+    }
+    
+    refreshDueFeeds();
+    const timer = setInterval(refreshDueFeeds, FEED_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isFeedsLoaded, feedRefreshHours]);
+
+  // Sync once events are loaded, whenever the app returns, and every few minutes while it is open
+  useEffect(() => {
+    if (!syncServer || !isEventsLoaded) {
+      return undefined;
+    }
+    
+    runSync();
+    const timer = setInterval(runSync, SYNC_INTERVAL);
+    return () => clearInterval(timer);
+  }, [syncServer, isEventsLoaded, foregroundedAt]);
+
+  // Read the first page of past events when the History view opens or its search changes
+  useEffect(() => {
+    if (viewMode === 'history' && isEventsLoaded) {
+      loadArchivePage(true);
+    }
+  }, [viewMode, searchQuery, filters.categories, isEventsLoaded]);
+
+  // Balances and monthly spending count the expenses of events that are not loaded too
+  useEffect(() => {
+    if (activeTab === 'Expense' && isEventsLoaded) {
+      loadUnloadedExpenses();
+    }
+  }, [activeTab, isEventsLoaded]);
+
+  // Remember the search and filters so they are still applied after a restart
+  useEffect(() => {
+    if (isFiltersLoaded) {
+      storage.saveFilters({ active: { query: searchQuery, filters }, saved: savedFilters })
+        .catch(error => console.error('Failed to save filters:', error));
+    }
+  }, [searchQuery, filters, savedFilters, isFiltersLoaded]);
+
+  // Conflicts found on save no longer apply once the times of the event being edited change
+  useEffect(() => {
+    setEventConflicts([]);
+  }, [eventDate, eventEndDate, eventAllDay, eventTimeZone, eventRepeat]);
+
+  // Load everything the app stores into state, on launch and after a backup is restored
+  const loadStoredData = () => {
+    loadSettings().then(settings => {
+      loadEvents();
+      loadTrash(settings.trashRetentionDays);
+    });
+    loadFilters();
+    loadCategories();
+    loadMembers();
+    loadSettlements();
+    loadFeeds();
+    loadSync();
+  };
+
+  // Load saved settings (theme, default reminders and history retention), returning them for the event loader
+  const loadSettings = async () => {
+    try {
+      const settings = await storage.loadSettings();
+      setIsDarkMode(settings.theme === 'dark');
+      setDefaultReminders(settings.defaultReminders);
+      setEventReminders(settings.defaultReminders);
+      setHistoryRetention(settings.historyRetention);
+      setTrashRetentionDays(settings.trashRetentionDays);
+      setConflictSettings({
+        bufferMinutes: settings.conflictBufferMinutes,
+        defaultDurationMinutes: settings.defaultDurationMinutes,
+      });
+      setMyMemberId(settings.myMemberId);
+      setCurrency(settings.currency);
+      setBudgets(settings.budgets);
+      setFeedRefreshHours(settings.feedRefreshHours);
+      setCountdownStyle(settings.countdownStyle);
+      return settings;
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      return storage.DEFAULT_SETTINGS;
+    }
+  };
+
+  // Save one or more settings
+  const saveSettings = async (changes) => {
     try {
-      await AsyncStorage.setItem('theme', isDark ? 'dark' : 'light');
+      await storage.saveSettings(changes);
     } catch (error) {
-      console.error('Failed to save theme preference:', error);
+      console.error('Failed to save settings:', error);
     }
   };
 
+  // Save theme preference
+  const saveThemePreference = (isDark) => {
+    saveSettings({ theme: isDark ? 'dark' : 'light' });
+  };
+
   // Toggle theme
   const toggleTheme = () => {
     const newThemeValue = !isDarkMode;
@@ -120,6 +518,20 @@ export default function App() {
     setSettingsModalVisible(false);
   };
 
+  // Toggle a reminder in the default list used for new events
+  const toggleDefaultReminder = async (minutes) => {
+    const updatedReminders = defaultReminders.includes(minutes)
+      ? defaultReminders.filter(reminder => reminder !== minutes)
+      : normalizeReminders([...defaultReminders, minutes]);
+    
+    setDefaultReminders(updatedReminders);
+    if (!editingEventId) {
+      setEventReminders(updatedReminders);
+    }
+    
+    saveSettings({ defaultReminders: updatedReminders });
+  };
+
   // Register for push notifications
   const registerForPushNotifications = async () => {
     const { status: existingStatus } = await Notifications.getPermissionsAsync();
@@ -137,230 +549,1886 @@ export default function App() {
     }
   };
 
-  // Schedule notification for an event
-  const scheduleNotifications = async (event) => {
-    const eventTime = new Date(event.date);
+  // Register the action buttons shown on reminder notifications
+  const registerNotificationCategories = async () => {
+    try {
+      await Notifications.setNotificationCategoryAsync(REMINDER_CATEGORY, [
+        { identifier: 'snooze-10', buttonTitle: 'Snooze 10 min', options: { opensAppToForeground: false } },
+        { identifier: 'snooze-60', buttonTitle: 'Snooze 1 hour', options: { opensAppToForeground: false } },
+        { identifier: MARK_DONE_ACTION, buttonTitle: 'Mark done', options: { opensAppToForeground: false } },
+      ]);
+    } catch (error) {
+      console.error('Failed to register notification actions:', error);
+    }
+  };
+
+  // Schedule reminder notifications for an event (or the next few occurrences of a repeating one).
+  // Pass `offsets` to schedule only some of the event's reminders, and `householdMembers` when the
+  // members in state are about to be replaced.
+  const scheduleNotifications = async (event, offsets = getEventReminders(event), householdMembers = members) => {
     const notificationIds = [];
+    for (const reminder of getPlannedReminders(event, offsets)) {
+      notificationIds.push(await scheduleReminder(event, reminder, householdMembers));
+    }
+    return notificationIds;
+  };
+
+  // Schedule one planned reminder of an event and return the entry stored in its notificationIds
+  const scheduleReminder = async (event, { occurrence, offset, time }, householdMembers = members) => {
+    const data = {
+      eventId: event.id,
+      occurrenceDate: occurrence.occurrenceDate,
+      url: buildOpenLink(event.id, occurrence.occurrenceDate),
+    };
     
-    // Calculate notification time (1 hour before the event)
-    const oneHourBeforeTime = new Date(eventTime);
-    oneHourBeforeTime.setHours(oneHourBeforeTime.getHours() - 1);
-    
-    // If the one hour before notification time is in the future, schedule it
-    if (oneHourBeforeTime > new Date()) {
-      const oneHourBeforeId = await Notifications.scheduleNotificationAsync({
-        content: {
-          title: 'Upcoming Event: ' + event.name,
-          body: `Your event "${event.name}" is starting in one hour!`,
-          data: { eventId: event.id },
-        },
-        trigger: {
-          date: oneHourBeforeTime,
-        },
-      });
-      
-      notificationIds.push({ id: oneHourBeforeId, type: 'oneHourBefore' });
+    let content;
+    if (occurrence.allDay) {
+      content = {
+        title: (offset === 0 ? 'Today: ' : 'Coming Up: ') + occurrence.name,
+        body: offset === 0
+          ? `Your all-day event "${occurrence.name}" is today!`
+          : `Your all-day event "${occurrence.name}" is on ${dayjs(occurrence.date).format('dddd, MMM D')}.`,
+        data,
+        categoryIdentifier: REMINDER_CATEGORY,
+      };
+    } else {
+      content = offset === 0 ? {
+        title: 'Event Starting Now: ' + occurrence.name,
+        body: `Your event "${occurrence.name}" is starting now!`,
+        data,
+        categoryIdentifier: REMINDER_CATEGORY,
+      } : {
+        title: 'Upcoming Event: ' + occurrence.name,
+        body: `Your event "${occurrence.name}" is starting in ${formatReminderDuration(offset)}!`,
+        data,
+        categoryIdentifier: REMINDER_CATEGORY,
+      };
     }
     
-    // If the event time is in the future, schedule the "event starting now" notification
-    if (eventTime > new Date()) {
-      const eventStartId = await Notifications.scheduleNotificationAsync({
-        content: {
-          title: 'Event Starting Now: ' + event.name,
-          body: `Your event "${event.name}" is starting now!`,
-          data: { eventId: event.id },
-        },
-        trigger: {
-          date: eventTime,
-        },
-      });
-      
-      notificationIds.push({ id: eventStartId, type: 'eventStart' });
+    // Household events say who they are for, since everyone's reminders can end up on one phone
+    const eventMembers = getEventMembers(householdMembers, event);
+    if (eventMembers.length > 0) {
+      content.body += ` For ${formatMemberNames(eventMembers)}.`;
     }
     
-    return notificationIds;
+    const notificationId = await Notifications.scheduleNotificationAsync({
+      content,
+      trigger: {
+        date: time,
+      },
+    });
+    
+    return {
+      id: notificationId,
+      type: 'reminder',
+      offset,
+      occurrenceDate: occurrence.occurrenceDate,
+    };
   };
 
-  // Cancel existing notifications for an event
-  const cancelEventNotifications = async (event) => {
-    if (event.notificationIds && event.notificationIds.length > 0) {
-      for (const notification of event.notificationIds) {
-        await Notifications.cancelScheduledNotificationAsync(notification.id);
-      }
+  // Bring the scheduled notifications back in line with the events: cancel the ones no event refers to,
+  // schedule reminders that went missing and stay within the platform's limit, nearest reminders first
+  const reconcileNotifications = async () => {
+    if (isReconciling.current) {
+      return;
     }
-  };
-
-  // Function to load events from AsyncStorage
-  const loadEvents = async () => {
+    isReconciling.current = true;
+    setIsCheckingNotifications(true);
+    
     try {
-      const storedEvents = await AsyncStorage.getItem('events');
-      if (storedEvents !== null) {
-        // Parse the stored JSON and sort events by date
-        const parsedEvents = JSON.parse(storedEvents);
-        // Filter out past events
-        const upcomingEvents = parsedEvents.filter(
-          event => new Date(event.date) > new Date()
-        );
-        // Sort events by date (earliest first)
-        upcomingEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
-        setEvents(upcomingEvents);
+      const requests = await Notifications.getAllScheduledNotificationsAsync();
+      // Plan for every event with an occurrence ahead: the loaded ones, which include the repeating and
+      // started events, and every upcoming one in storage however far ahead it is. Events that scheduled
+      // notifications refer to are read too, so their notifications are not taken for orphans.
+      const { events: upcomingEvents } = await storage.loadUpcomingEvents({ from: new Date(), limit: null });
+      const knownIds = new Set([...events, ...upcomingEvents].map(event => event.id));
+      const unloadedIds = [...new Set(requests
+        .map(request => (request.content.data || {}).eventId)
+        .filter(id => id && !knownIds.has(id)))];
+      const storedEvents = unloadedIds.length > 0 ? await storage.loadEventsById(unloadedIds) : [];
+      const plannedEvents = withUnloaded([...upcomingEvents, ...storedEvents]);
+      const { orphanIds, changes, dropped } = planReconciliation(plannedEvents, requests, NOTIFICATION_LIMIT);
+      
+      for (const id of orphanIds) {
+        await Notifications.cancelScheduledNotificationAsync(id);
+      }
+      
+      const repairedIds = {};
+      let cancelled = orphanIds.length;
+      let scheduled = 0;
+      let forgotten = 0;
+      for (const change of changes) {
+        const event = plannedEvents.find(item => item.id === change.eventId);
+        for (const notification of change.cancel) {
+          await Notifications.cancelScheduledNotificationAsync(notification.id);
+        }
+        const added = [];
+        for (const reminder of change.schedule) {
+          added.push(await scheduleReminder(event, reminder));
+        }
+        
+        repairedIds[event.id] = [...change.keep, ...added];
+        cancelled += change.cancel.length;
+        scheduled += added.length;
+        forgotten += (event.notificationIds || []).length - change.keep.length - change.cancel.length;
+      }
+      
+      const withRepairedIds = (event) =>
+        repairedIds[event.id] ? { ...event, notificationIds: repairedIds[event.id] } : event;
+      if (changes.length > 0) {
+        saveEvents(plannedEvents.map(withRepairedIds), plannedEvents);
       }
+      if (changes.length > 0 || storedEvents.length > 0) {
+        // Events may have changed while the notifications were scheduled, so the list is repaired as it is
+        // now. The diagnostics find the events of scheduled notifications in it; upcoming events beyond the
+        // pages read so far are only saved, so the list keeps its pages.
+        setEvents(current => mergeEvents(current, storedEvents).map(withRepairedIds));
+      }
+      
+      setScheduledRequests(await Notifications.getAllScheduledNotificationsAsync());
+      setNotificationReport({ checkedAt: new Date().toISOString(), cancelled, scheduled, forgotten, dropped });
     } catch (error) {
-      console.error('Failed to load events:', error);
+      console.error('Failed to reconcile notifications:', error);
+      setNotificationReport({ checkedAt: new Date().toISOString(), error: error.message });
+    } finally {
+      isReconciling.current = false;
+      setIsCheckingNotifications(false);
     }
   };
 
-  // Function to save events to AsyncStorage
-  const saveEvents = async (updatedEvents) => {
+  // Show what is scheduled right now in the notification diagnostics
+  const openNotificationDiagnostics = async () => {
+    setSettingsModalVisible(false);
+    setDiagnosticsModalVisible(true);
     try {
-      await AsyncStorage.setItem('events', JSON.stringify(updatedEvents));
+      setScheduledRequests(await Notifications.getAllScheduledNotificationsAsync());
     } catch (error) {
-      console.error('Failed to save events:', error);
+      console.error('Failed to load scheduled notifications:', error);
     }
   };
 
-  // Function to pick an image from gallery
-  const pickImage = async () => {
-    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+  // Update the notifications of an edited event, keeping the ones whose reminder did not change
+  const rescheduleEventNotifications = async (previousEvent, updatedEvent) => {
+    if (!isSameSchedule(previousEvent, updatedEvent)) {
+      await cancelEventNotifications(previousEvent);
+      return scheduleNotifications(updatedEvent);
+    }
     
-    if (status !== 'granted') {
-      Alert.alert('Permission needed', 'We need access to your photos to add event images.');
+    const { kept, removed, added } = diffReminders(
+      previousEvent.notificationIds || [],
+      getEventReminders(updatedEvent)
+    );
+    
+    for (const notification of removed) {
+      await Notifications.cancelScheduledNotificationAsync(notification.id);
+    }
+    
+    const scheduledIds = await scheduleNotifications(updatedEvent, added);
+    return [...kept, ...scheduledIds];
+  };
+
+  // Cancel existing notifications for an event
+  const cancelEventNotifications = async (event) => {
+    if (event.notificationIds && event.notificationIds.length > 0) {
+      for (const notification of event.notificationIds) {
+        await Notifications.cancelScheduledNotificationAsync(notification.id);
+      }
+    }
+  };
+
+  // Handle a tap on a notification or on one of its action buttons
+  const handleNotificationResponse = async (response) => {
+    const { request } = response.notification;
+    const responseKey = `${request.identifier}:${response.actionIdentifier}`;
+    
+    // The launch response can arrive both from the listener and from getLastNotificationResponseAsync
+    if (handledNotificationResponses.current.has(responseKey)) {
       return;
     }
+    handledNotificationResponses.current.add(responseKey);
     
-    const result = await ImagePicker.launchImageLibraryAsync({
-      mediaTypes: ImagePicker.MediaTypeOptions.Images,
-      allowsEditing: true,
-      aspect: [16, 9],
-      quality: 0.7,
-    });
+    const { eventId, occurrenceDate } = request.content.data || {};
+    const event = events.find(item => item.id === eventId);
+    
+    if (!event) {
+      if (response.actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER) {
+        Alert.alert('Event Not Found', 'This event no longer exists.');
+      }
+      return;
+    }
     
-    if (!result.canceled) {
-      setEventImage(result.assets[0].uri);
+    if (SNOOZE_ACTIONS[response.actionIdentifier]) {
+      await snoozeNotification(event, request, SNOOZE_ACTIONS[response.actionIdentifier]);
+    } else if (response.actionIdentifier === MARK_DONE_ACTION) {
+      await Notifications.dismissNotificationAsync(request.identifier);
+      // Notifications scheduled before all-day events were stored as days carry the instant of the day
+      await completeEvent(event, occurrenceDate ? toStoredDate(occurrenceDate, event.allDay) : event.date);
+    } else if (response.actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER) {
+      // Notifications scheduled before links existed only carry the ids
+      handleLink(request.content.data.url || buildOpenLink(eventId, occurrenceDate));
     }
   };
 
-  // Function to add or update an event
-  const saveEvent = async () => {
-    if (eventName.trim() === '') {
-      Alert.alert('Missing Information', 'Please enter an event name');
+  // Act on a whatsup:// link: open one of our events, or preview an event someone shared
+  const handleLink = (url) => {
+    const link = parseLink(url);
+    if (link.error) {
+      Alert.alert('Cannot Open Link', link.error);
+      return;
+    }
+    
+    if (link.type === 'open') {
+      const event = events.find(item => item.id === link.eventId);
+      const occurrence = event ? getOccurrence(event, link.occurrenceDate || event.date) : null;
+      if (!occurrence) {
+        Alert.alert('Event Not Found', 'This event no longer exists.');
+        return;
+      }
+      editEvent(occurrence);
       return;
     }
+    
+    const shared = link.event;
+    const details = [
+      shared.allDay || shared.endDate ? formatEventTime(shared) : formatDate(shared.date),
+      shared.category,
+      shared.description.split('\n')[0],
+    ].filter(Boolean).join('\n');
+    Alert.alert(
+      `Import "${shared.name}"`,
+      details,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Review & Add', onPress: () => openSharedEvent(shared) },
+      ]
+    );
+  };
 
-    let updatedEvents = [];
+  // Open the Add Event modal filled in with an event from a shared link
+  const openSharedEvent = (shared) => {
+    // Categories travel by name; one this device does not have yet is created
+    let category = shared.category ? findCategoryByName(categories, shared.category) : null;
+    if (shared.category && !category) {
+      category = createCategory(categories, { name: shared.category });
+      updateCategories([...categories, category]);
+    }
     
-    const eventData = {
-      name: eventName,
-      description: eventDescription,
-      date: eventDate.toISOString(),
-      image: eventImage,
-      category: eventCategory,
-    };
+    setEditingEventId(null);
+    setEditingOccurrence(null);
+    setEventName(shared.name);
+    setEventDescription(shared.description);
+    setEventDate(getFormStart(shared));
+    setEventEndDate(getFormEnd(shared));
+    setEventAllDay(shared.allDay);
+    setEventTimeZone(shared.timeZone);
+    setEventImages([]);
+    setEventCategory(category ? category.id : categories[0].id);
+    setEventMemberIds([]);
+    setEventExpenses([]);
+    setEventRepeat(null);
+    setEventReminders(defaultReminders);
+    setModalVisible(true);
+  };
+
+  // Show a reminder notification again after a delay
+  const snoozeNotification = async (event, request, minutes) => {
+    await Notifications.dismissNotificationAsync(request.identifier);
     
-    if (editingEventId) {
-      // Update existing event
-      const existingEvent = events.find(event => event.id === editingEventId);
-      
-      // Cancel existing notifications
-      await cancelEventNotifications(existingEvent);
+    const notificationId = await Notifications.scheduleNotificationAsync({
+      content: {
+        title: request.content.title,
+        body: request.content.body,
+        data: request.content.data,
+        categoryIdentifier: REMINDER_CATEGORY,
+      },
+      trigger: {
+        date: dayjs().add(minutes, 'minute').toDate(),
+      },
+    });
+    
+    // The notification that was just shown has fired, so it is replaced by the snoozed one
+    const notificationIds = (event.notificationIds || [])
+      .filter(notification => notification.id !== request.identifier);
+    notificationIds.push({
+      id: notificationId,
+      type: 'snooze',
+      occurrenceDate: request.content.data.occurrenceDate,
+    });
+    
+    replaceEvent({ ...event, notificationIds });
+  };
+
+  // Mark an event (or one occurrence of a repeating event) as done and stop its reminders
+  const completeEvent = async (event, occurrenceDate) => {
+    if (isRecurring(event)) {
+      const occurrenceNotifications = (event.notificationIds || [])
+        .filter(notification => notification.occurrenceDate === occurrenceDate);
+      for (const notification of occurrenceNotifications) {
+        await Notifications.cancelScheduledNotificationAsync(notification.id);
+      }
       
-      // Schedule new notifications
-      const notificationIds = await scheduleNotifications({
-        ...existingEvent,
-        ...eventData
+      replaceEvent({
+        ...completeOccurrence(event, occurrenceDate),
+        notificationIds: (event.notificationIds || [])
+          .filter(notification => notification.occurrenceDate !== occurrenceDate),
       });
-      
-      const updatedEvent = {
-        ...existingEvent,
-        ...eventData,
-        notificationIds: notificationIds,
-      };
-      
-      updatedEvents = events.map(event => 
-        event.id === editingEventId ? updatedEvent : event
-      );
     } else {
-      // Add new event
-      const newEvent = {
-        id: Date.now().toString(),
-        ...eventData,
-      };
-      
-      // Schedule notifications
-      const notificationIds = await scheduleNotifications(newEvent);
-      newEvent.notificationIds = notificationIds;
-      
-      updatedEvents = [...events, newEvent];
+      await cancelEventNotifications(event);
+      replaceEvent({ ...event, completed: true, notificationIds: [] });
     }
+  };
 
-    // Sort events by date (earliest first)
-    updatedEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    setEvents(updatedEvents);
-    saveEvents(updatedEvents);
+  // Remove finished events whose last occurrence is older than the retention policy allows
+  const applyHistoryRetention = (eventsToCheck, retention) => {
+    const option = HISTORY_RETENTION_OPTIONS.find(item => item.key === retention);
+    if (!option || option.days === null) {
+      return eventsToCheck;
+    }
     
-    // Reset form and close modal
-    resetFormAndCloseModal();
+    const cutoff = dayjs().subtract(option.days, 'day');
+    return eventsToCheck.filter(event => {
+      if (hasUpcomingOccurrence(event)) {
+        return true;
+      }
+      const lastOccurrence = getPastOccurrences(event, new Date(), 1)[0];
+      return lastOccurrence && getOccurrenceEnd(lastOccurrence).isAfter(cutoff);
+    });
   };
 
-  // Function to delete an event
-  const deleteEvent = (id) => {
+  // Change the history retention policy, confirming before anything gets deleted
+  const changeHistoryRetention = async (retention) => {
+    const saveRetention = () => {
+      setHistoryRetention(retention);
+      saveSettings({ historyRetention: retention });
+    };
+    
+    const option = HISTORY_RETENTION_OPTIONS.find(item => item.key === retention);
+    const retentionCutoff = option.days === null ? null : dayjs().subtract(option.days, 'day').toDate();
+    const retainedEvents = applyHistoryRetention(events, retention);
+    let archivedCount = 0;
+    try {
+      archivedCount = retentionCutoff ? await storage.countArchivedEvents(retentionCutoff) : 0;
+    } catch (error) {
+      console.error('Failed to count past events:', error);
+    }
+    const removedCount = events.length - retainedEvents.length + archivedCount;
+    if (removedCount === 0) {
+      saveRetention();
+      return;
+    }
+    
     Alert.alert(
-      'Delete Event',
-      'Are you sure you want to delete this event?',
+      'Delete Old Events',
+      `${removedCount} past event${removedCount === 1 ? '' : 's'} older than ${option.label.toLowerCase()} will be deleted permanently.`,
       [
         { text: 'Cancel', style: 'cancel' },
-        { 
-          text: 'Delete', 
+        {
+          text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            const eventToDelete = events.find(event => event.id === id);
-            
-            // Cancel any scheduled notifications for this event
-            await cancelEventNotifications(eventToDelete);
-            
-            const updatedEvents = events.filter(event => event.id !== id);
-            setEvents(updatedEvents);
-            saveEvents(updatedEvents);
-          }
+            saveRetention();
+            setEvents(retainedEvents);
+            saveEvents(retainedEvents);
+            try {
+              await storage.deleteArchivedEvents(retentionCutoff);
+            } catch (error) {
+              console.error('Failed to delete past events:', error);
+            }
+            setArchivedEvents(current => applyHistoryRetention(current, retention));
+          },
         },
       ]
     );
   };
 
-  // Function to edit an event
-  const editEvent = (event) => {
-    setEditingEventId(event.id);
-    setEventName(event.name);
-    setEventDescription(event.description || '');
-    setEventDate(new Date(event.date));
-    setEventImage(event.image);
-    setEventCategory(event.category || 'event');
-    setModalVisible(true);
-  };
-
-  // Reset form and close modal
-  const resetFormAndCloseModal = () => {
-    setEventName('');
-    setEventDescription('');
-    setEventDate(new Date());
-    setEventImage(null);
-    setEventCategory('event');
-    setEditingEventId(null);
-    setModalVisible(false);
+  // Function to load events from storage: those that have started and are not archived, and the first
+  // page of upcoming ones
+  const loadEvents = async () => {
+    upcomingRequest.current += 1;
+    setIsLoadingUpcoming(false);
+    try {
+      // Malformed records are set aside by the storage layer instead of failing the whole load. Events
+      // that ended before the archive cutoff are only read when a screen needs them.
+      const loadedAt = new Date();
+      const currentEvents = await storage.loadCurrentEvents(getArchiveCutoff(loadedAt), loadedAt);
+      const page = await storage.loadUpcomingEvents({ from: loadedAt });
+      const quarantine = await storage.getQuarantine();
+      setQuarantinedCount(quarantine.length);
+      
+      // Past events are kept for the History view, which hides those older than the retention policy;
+      // they are only deleted when the user confirms it in Settings. Notifications of repeating events
+      // are topped up by reconcileNotifications once events are loaded.
+      setEvents(await adoptEventImages(mergeEvents(currentEvents, page.events)));
+      setUpcomingUntil(page.until);
+      setHasMoreUpcoming(page.hasMore);
+      markListLoaded('events');
+    } catch (error) {
+      console.error('Failed to load events:', error);
+    } finally {
+      setIsEventsLoaded(true);
+    }
   };
 
-  // Share event details
-  const shareEvent = (event) => {
-    const message = `Event: ${event.name}\nDate: ${formatDate(event.date)}\n${event.description ? `Description: ${event.description}` : ''}`;
+  // Read the next page of upcoming events into the list, or every one that is left with `all`
+  const loadUpcomingPage = async (all = false) => {
+    if (isLoadingUpcoming || !hasMoreUpcoming) {
+      return;
+    }
+    const request = upcomingRequest.current;
     
-    Share.share({
-      message,
-      title: 'Event Details',
-    });
+    setIsLoadingUpcoming(true);
+    try {
+      const page = await storage.loadUpcomingEvents(all ? { after: upcomingUntil, limit: null } : { after: upcomingUntil });
+      const loadedEvents = await adoptEventImages(page.events);
+      if (request === upcomingRequest.current) {
+        setEvents(current => mergeEvents(current, loadedEvents));
+        setUpcomingUntil(page.until);
+        setHasMoreUpcoming(page.hasMore);
+      }
+    } catch (error) {
+      console.error('Failed to load upcoming events:', error);
+    } finally {
+      if (request === upcomingRequest.current) {
+        setIsLoadingUpcoming(false);
+      }
+    }
   };
 
-  // Handler for date picker changes
+  // Photos picked before they were copied into the app may still be in the picker's cache. Copies them
+  // for events just read from storage, saves the events that changed and returns the events as they are.
+  const adoptEventImages = async (loadedEvents) => {
+    const adoptedEvents = [...loadedEvents];
+    let hasChanges = false;
+    for (let i = 0; i < adoptedEvents.length; i++) {
+      const images = await adoptLegacyImages(adoptedEvents[i]);
+      if (images.some((image, index) => image !== getEventImages(adoptedEvents[i])[index])) {
+        adoptedEvents[i] = { ...adoptedEvents[i], images };
+        hasChanges = true;
+      }
+    }
+    
+    if (hasChanges) {
+      saveEvents(adoptedEvents, loadedEvents);
+    }
+    return adoptedEvents;
+  };
+
+  // Read an event that is not loaded, such as one further ahead than the upcoming pages, into the list.
+  // Resolves to whether it did, in which case whatever needs the event should wait for the list to update.
+  const loadStoredEvent = async (id) => {
+    if (!id || events.some(event => event.id === id)) {
+      return false;
+    }
+    try {
+      const storedEvents = await storage.loadEventsById([id]);
+      if (storedEvents.length === 0) {
+        return false;
+      }
+      setEvents(current => mergeEvents(current, storedEvents));
+      return true;
+    } catch (error) {
+      console.error('Failed to load event:', error);
+      return false;
+    }
+  };
+
+  // Read the next page of archived events for the History view, or the first one with `reset`. The
+  // database does the searching, by the words of the query and the category filter.
+  const loadArchivePage = async (reset = false) => {
+    if (!reset && (isLoadingArchive || !hasMoreArchived)) {
+      return;
+    }
+    if (reset) {
+      archiveRequest.current += 1;
+    }
+    const request = archiveRequest.current;
+    
+    setIsLoadingArchive(true);
+    try {
+      const page = await storage.loadArchivedEvents(getArchiveCutoff(), {
+        query: searchQuery,
+        categoryIds: filters.categories,
+        offset: reset ? 0 : archivedEvents.length,
+      });
+      if (request === archiveRequest.current) {
+        setArchivedEvents(current => (reset ? page.events : [...current, ...page.events]));
+        setHasMoreArchived(page.hasMore);
+      }
+    } catch (error) {
+      console.error('Failed to load past events:', error);
+    } finally {
+      if (request === archiveRequest.current) {
+        setIsLoadingArchive(false);
+      }
+    }
+  };
+
+  // Read every upcoming event after the pages read so far
+  const loadLaterEvents = async () => {
+    if (!hasMoreUpcoming) {
+      return [];
+    }
+    const { events: laterEvents } = await storage.loadUpcomingEvents({ after: upcomingUntil, limit: null });
+    return laterEvents;
+  };
+
+  // Read the events that are not loaded: the archived ones and those after the upcoming pages read so
+  // far. With withExpenses or withImages, only the events that have some.
+  const loadUnloadedEvents = async (options) => {
+    const { events: archived } = await storage.loadArchivedEvents(getArchiveCutoff(), { ...options, limit: null });
+    if (!hasMoreUpcoming) {
+      return archived;
+    }
+    const { events: later } = await storage.loadUpcomingEvents({ ...options, after: upcomingUntil, limit: null });
+    return [...archived, ...later];
+  };
+
+  // Read the events with expenses that are not loaded
+  const loadUnloadedExpenses = async () => {
+    try {
+      setUnloadedExpenseEvents(await loadUnloadedEvents({ withExpenses: true }));
+    } catch (error) {
+      console.error('Failed to load expenses:', error);
+    }
+  };
+
+  // Add events read from storage to a list, keeping the versions already in it, earliest first
+  const mergeEvents = (list, storedEvents) => {
+    const listedIds = new Set(list.map(event => event.id));
+    return [...list, ...storedEvents.filter(event => !listedIds.has(event.id))]
+      .sort(compareStarts);
+  };
+
+  // The loaded events plus the given ones read from storage that are not loaded too
+  const withUnloaded = (stored) => {
+    const loadedIds = new Set(events.map(event => event.id));
+    return [...events, ...stored.filter(event => !loadedIds.has(event.id))];
+  };
+
+  // Find an event among the ones read so far that are not loaded
+  const findArchivedEvent = (id) => [...archivedEvents, ...calendarRangeEvents].find(event => event.id === id);
+
+  // The events to check an event about to be saved against: the loaded ones, plus the stored ones in the
+  // time it takes up when that reaches past the upcoming pages read so far
+  const loadConflictCandidates = async (event, occurrenceDate = null) => {
+    const range = getConflictCheckRange(event, conflictSettings, occurrenceDate);
+    if (!range || !hasMoreUpcoming || range.to.valueOf() <= upcomingUntil.start) {
+      return events;
+    }
+    try {
+      return withUnloaded(await storage.loadEventsInRange(range.from.toDate(), range.to.toDate()));
+    } catch (error) {
+      console.error('Failed to load events to check for conflicts:', error);
+      return events;
+    }
+  };
+
+  // Function to save events to storage. Only the events that differ from `previousEvents`, the list
+  // `updatedEvents` was made from, are written.
+  const saveEvents = async (updatedEvents, previousEvents = events) => {
+    try {
+      await storage.saveEventChanges(previousEvents, updatedEvents);
+      requestSync();
+    } catch (error) {
+      console.error('Failed to save events:', error);
+    }
+  };
+
+  // Replace a single stored event and persist the list
+  const replaceEvent = (updatedEvent) => {
+    const updatedEvents = events.map(event => event.id === updatedEvent.id ? updatedEvent : event);
+    setEvents(updatedEvents);
+    saveEvents(updatedEvents);
+  };
+
+  // Let the user choose a photo from the library or take one with the camera. Returns the picker's
+  // temporary URI, or null when nothing was picked.
+  const pickPhoto = async (source, options) => {
+    const { status } = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    
+    if (status !== 'granted') {
+      Alert.alert(
+        'Permission needed',
+        source === 'camera' ? 'We need access to your camera to take photos.' : 'We need access to your photos to add pictures.'
+      );
+      return null;
+    }
+    
+    const pickerOptions = {
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: true,
+      ...options,
+    };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(pickerOptions)
+      : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+    
+    return result.canceled ? null : result.assets[0].uri;
+  };
+
+  // Copy a photo into the app's image folder, where the OS will not clear it, and make the thumbnail
+  // shown on event cards. Returns { uri, thumbnailUri }; thumbnailUri is null without `withThumbnail`.
+  const storeImage = async (sourceUri, withThumbnail = true) => {
+    await FileSystem.makeDirectoryAsync(IMAGE_FOLDER, { intermediates: true });
+    const { name, thumbnailName } = createImageNames(sourceUri);
+    const image = { uri: `${IMAGE_FOLDER}${name}`, thumbnailUri: null };
+    
+    await FileSystem.copyAsync({ from: sourceUri, to: image.uri });
+    newImageUris.current.add(image.uri);
+    
+    if (withThumbnail) {
+      const thumbnail = await ImageManipulator.manipulateAsync(
+        sourceUri,
+        [{ resize: { width: THUMBNAIL_WIDTH } }],
+        { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG }
+      );
+      image.thumbnailUri = `${IMAGE_FOLDER}${thumbnailName}`;
+      await FileSystem.moveAsync({ from: thumbnail.uri, to: image.thumbnailUri });
+      newImageUris.current.add(image.thumbnailUri);
+    }
+    
+    return image;
+  };
+
+  // Add a photo from the library or the camera to the event being edited
+  const addEventImage = async (source) => {
+    if (eventImages.length >= MAX_EVENT_IMAGES) {
+      Alert.alert('Too Many Photos', `An event can have up to ${MAX_EVENT_IMAGES} photos.`);
+      return;
+    }
+    
+    const uri = await pickPhoto(source, { aspect: [16, 9], quality: 0.7 });
+    if (!uri) {
+      return;
+    }
+    
+    try {
+      const image = await storeImage(uri);
+      setEventImages(current => [...current, image]);
+    } catch (error) {
+      console.error('Failed to store image:', error);
+      Alert.alert('Photo Not Added', 'The photo could not be saved. Please try again.');
+    }
+  };
+
+  // Take a photo off the event being edited; its files are deleted once nothing refers to them
+  const removeEventImage = (index) => {
+    setEventImages(eventImages.filter((image, imageIndex) => imageIndex !== index));
+  };
+
+  // Copy photos that still point at the image picker's cache, from before photos were copied into the
+  // app, while the OS has not cleared them yet. Returns the event's photos, changed or not.
+  const adoptLegacyImages = async (event) => {
+    const images = [];
+    for (const image of getEventImages(event)) {
+      if (image.uri.startsWith(IMAGE_FOLDER)) {
+        images.push(image);
+        continue;
+      }
+      try {
+        const { exists } = await FileSystem.getInfoAsync(image.uri);
+        images.push(exists ? await storeImage(image.uri) : image);
+      } catch (error) {
+        console.error('Failed to copy image:', error);
+        images.push(image);
+      }
+    }
+    return images;
+  };
+
+  // Delete files in the image folder that no event, Trash entry or member refers to any more
+  const collectUnusedImages = async () => {
+    try {
+      const { exists } = await FileSystem.getInfoAsync(IMAGE_FOLDER);
+      if (!exists) {
+        return;
+      }
+      
+      const fileNames = await FileSystem.readDirectoryAsync(IMAGE_FOLDER);
+      const referenced = getReferencedImages(withUnloaded(await loadUnloadedEvents({ withImages: true })), trash, members);
+      for (const uri of findUnusedImages(IMAGE_FOLDER, fileNames, referenced, newImageUris.current)) {
+        await FileSystem.deleteAsync(uri, { idempotent: true });
+      }
+    } catch (error) {
+      console.error('Failed to clean up images:', error);
+    }
+  };
+
+  // Note that a list that can refer to photos was read from storage
+  const markListLoaded = (name) => {
+    setLoadedLists(current => ({ ...current, [name]: true }));
+  };
+
+  // Function to add or update an event
+  const saveEvent = async (ignoreConflicts = false) => {
+    if (eventName.trim() === '') {
+      Alert.alert('Missing Information', 'Please enter an event name');
+      return;
+    }
+
+    const repeat = normalizeRepeatRule(eventRepeat);
+    if (repeat && repeat.frequency === 'weekly' && repeat.weekdays.length === 0) {
+      Alert.alert('Missing Information', 'Please choose at least one day of the week');
+      return;
+    }
+    if (repeat && repeat.endType === 'until' && !repeat.until) {
+      Alert.alert('Missing Information', 'Please choose when the event stops repeating');
+      return;
+    }
+
+    const timeZone = eventAllDay ? null : eventTimeZone;
+    const times = buildEventTimes(eventDate, eventEndDate, eventAllDay, timeZone);
+    if (times.error) {
+      Alert.alert('Invalid Time', times.error);
+      return;
+    }
+
+    const eventData = {
+      name: eventName,
+      description: eventDescription,
+      date: times.date,
+      endDate: times.endDate,
+      allDay: eventAllDay,
+      timeZone,
+      images: eventImages,
+      category: eventCategory,
+      memberIds: eventMemberIds,
+    };
+    
+    // Work out the event as it will be saved before touching any notifications
+    const existingEvent = editingEventId ? events.find(event => event.id === editingEventId) : null;
+    let changedEvent;
+    if (!existingEvent) {
+      changedEvent = {
+        id: Date.now().toString(),
+        ...eventData,
+        repeat,
+        exceptions: {},
+        reminders: eventReminders,
+      };
+    } else if (editingOccurrence) {
+      // Only this occurrence changes; the series itself stays as it is
+      changedEvent = updateOccurrence(existingEvent, editingOccurrence, eventData);
+    } else {
+      changedEvent = { ...existingEvent, ...eventData, repeat, reminders: eventReminders };
+      
+      // Per-occurrence changes are tied to the old dates, so drop them when the schedule moves
+      const scheduleChanged = existingEvent.date !== eventData.date ||
+        (existingEvent.timeZone || null) !== eventData.timeZone ||
+        JSON.stringify(existingEvent.repeat || null) !== JSON.stringify(repeat);
+      if (scheduleChanged) {
+        changedEvent.exceptions = {};
+      }
+    }
+    // Expenses belong to the whole event, even when only one occurrence was edited
+    changedEvent.expenses = eventExpenses;
+    
+    // Show double bookings in the modal first; saving again from there keeps the event as it is
+    if (!ignoreConflicts) {
+      const candidates = await loadConflictCandidates(changedEvent, editingOccurrence);
+      const conflicts = findEventConflicts(changedEvent, candidates, conflictSettings, editingOccurrence);
+      if (conflicts.length > 0) {
+        setEventConflicts(conflicts);
+        return;
+      }
+    }
+    
+    await storeEvent(changedEvent, existingEvent);
+    
+    // Reset form and close modal
+    resetFormAndCloseModal();
+  };
+
+  // Schedule the notifications of a new or changed event and save it along with the others
+  const storeEvent = async (changedEvent, existingEvent = null) => {
+    let updatedEvents = [];
+    
+    if (existingEvent) {
+      // Reschedule only the notifications affected by the changes
+      const notificationIds = await rescheduleEventNotifications(existingEvent, changedEvent);
+      
+      const updatedEvent = {
+        ...changedEvent,
+        notificationIds: notificationIds,
+      };
+      
+      updatedEvents = events.map(event => 
+        event.id === existingEvent.id ? updatedEvent : event
+      );
+    } else {
+      // Schedule notifications
+      const notificationIds = await scheduleNotifications(changedEvent);
+      
+      updatedEvents = [...events, { ...changedEvent, notificationIds }];
+    }
+
+    // Sort events by date (earliest first)
+    updatedEvents.sort(compareStarts);
+    
+    setEvents(updatedEvents);
+    saveEvents(updatedEvents);
+  };
+
+  // Open the Add Event modal with what the quick-add bar understood, for the details it cannot express
+  const openQuickAddInModal = (parsed) => {
+    setEventName(parsed.name);
+    setEventDate(parsed.date);
+    setEventCategory(parsed.category || categories[0].id);
+    setEventReminders(parsed.reminders || defaultReminders);
+    setQuickAddText('');
+    setModalVisible(true);
+  };
+
+  // Save the event typed into the quick-add bar, asking first when it double-books
+  const saveQuickAdd = async () => {
+    const parsed = parseQuickAdd(quickAddText, categories);
+    if (parsed.name === '') {
+      Alert.alert('Missing Information', 'Please enter an event name');
+      return;
+    }
+    
+    const newEvent = {
+      id: Date.now().toString(),
+      name: parsed.name,
+      description: '',
+      date: parsed.date.toISOString(),
+      endDate: null,
+      allDay: false,
+      timeZone: null,
+      images: [],
+      category: parsed.category || categories[0].id,
+      memberIds: [],
+      expenses: [],
+      repeat: null,
+      exceptions: {},
+      reminders: parsed.reminders || defaultReminders,
+    };
+    const addEvent = () => {
+      setQuickAddText('');
+      storeEvent(newEvent);
+    };
+    
+    const conflicts = findEventConflicts(newEvent, await loadConflictCandidates(newEvent), conflictSettings);
+    if (conflicts.length === 0) {
+      addEvent();
+      return;
+    }
+    
+    const others = conflicts.length > 1 ? ` and ${conflicts.length - 1} more` : '';
+    Alert.alert(
+      'Double Booking',
+      `"${newEvent.name}" overlaps "${conflicts[0].conflict.name}"${others}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Edit', onPress: () => openQuickAddInModal(parsed) },
+        { text: 'Add Anyway', onPress: addEvent },
+      ]
+    );
+  };
+
+  // Describe what the quick-add bar understood, e.g. "Lunch · Tue, Oct 20, 1:00 PM · Food · 1 hour before"
+  const describeQuickAdd = (parsed) => [
+    parsed.name || 'Untitled',
+    dayjs(parsed.date).format('ddd, MMM D, h:mm A'),
+    getCategory(categories, parsed.category || categories[0].id).name,
+    parsed.reminders
+      ? (parsed.reminders.length > 0 ? parsed.reminders.map(formatReminder).join(', ') : 'No reminders')
+      : 'Default reminders',
+  ].join(' · ');
+
+  // Function to skip a single occurrence of a repeating event
+  const skipEventOccurrence = async (occurrence) => {
+    const series = events.find(event => event.id === occurrence.seriesId);
+    
+    await cancelEventNotifications(series);
+    const skippedSeries = skipOccurrence(series, occurrence.occurrenceDate);
+    const notificationIds = await scheduleNotifications(skippedSeries);
+    
+    // A series whose last remaining occurrence was skipped is kept, so its past occurrences stay in History
+    const updatedEvents = events.map(event => event.id === series.id ? { ...skippedSeries, notificationIds } : event);
+    setEvents(updatedEvents);
+    saveEvents(updatedEvents);
+  };
+
+  // Ask how to remove an occurrence of a repeating event
+  const deleteRecurringEvent = (occurrence) => {
+    Alert.alert(
+      'Delete Repeating Event',
+      'Do you want to skip only this occurrence or delete the whole series?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Skip This One', onPress: () => skipEventOccurrence(occurrence) },
+        { text: 'Delete Series', style: 'destructive', onPress: () => deleteEvent(occurrence.seriesId) },
+      ]
+    );
+  };
+
+  // Function to delete an event. It moves to the Trash and can be brought back with Undo.
+  const deleteEvent = async (id) => {
+    const loadedEvent = events.find(event => event.id === id);
+    const eventToDelete = loadedEvent || findArchivedEvent(id);
+    
+    // Cancel any scheduled notifications for this event
+    await cancelEventNotifications(eventToDelete);
+    
+    const updatedEvents = events.filter(event => event.id !== id);
+    setEvents(updatedEvents);
+    // An archived event is not in the list, so it is added to the list it was removed from
+    saveEvents(updatedEvents, loadedEvent ? events : [...events, eventToDelete]);
+    setArchivedEvents(current => current.filter(event => event.id !== id));
+    setCalendarRangeEvents(current => current.filter(event => event.id !== id));
+    
+    const trashEntry = {
+      event: { ...eventToDelete, notificationIds: [] },
+      deletedAt: new Date().toISOString(),
+    };
+    updateTrash([trashEntry, ...trash]);
+    showUndo(trashEntry);
+  };
+
+  // Show the Undo snackbar for a deleted event
+  const showUndo = (trashEntry) => {
+    clearTimeout(undoTimer.current);
+    setUndoEntry(trashEntry);
+    undoTimer.current = setTimeout(() => setUndoEntry(null), UNDO_TIMEOUT);
+  };
+
+  // Restore the event from the Undo snackbar
+  const undoDelete = () => {
+    clearTimeout(undoTimer.current);
+    setUndoEntry(null);
+    restoreFromTrash(undoEntry);
+  };
+
+  // Load the Trash, purging entries older than the retention period
+  const loadTrash = async (retentionDays = trashRetentionDays) => {
+    try {
+      const storedTrash = await storage.loadTrash();
+      const cutoff = dayjs().subtract(retentionDays, 'day');
+      const keptTrash = storedTrash.filter(entry => dayjs(entry.deletedAt).isAfter(cutoff));
+      
+      setTrash(keptTrash);
+      if (keptTrash.length !== storedTrash.length) {
+        saveTrash(keptTrash);
+      }
+      markListLoaded('trash');
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    }
+  };
+
+  // Save the Trash to storage
+  const saveTrash = async (updatedTrash) => {
+    try {
+      await storage.saveTrash(updatedTrash);
+    } catch (error) {
+      console.error('Failed to save trash:', error);
+    }
+  };
+
+  // Replace the Trash and persist it
+  const updateTrash = (updatedTrash) => {
+    setTrash(updatedTrash);
+    saveTrash(updatedTrash);
+  };
+
+  // Put a deleted event back in the list and reschedule its reminders
+  const restoreFromTrash = async (trashEntry) => {
+    const restoredEvent = { ...trashEntry.event };
+    restoredEvent.notificationIds = await scheduleNotifications(restoredEvent);
+    
+    const updatedEvents = [...events.filter(event => event.id !== restoredEvent.id), restoredEvent];
+    updatedEvents.sort(compareStarts);
+    setEvents(updatedEvents);
+    saveEvents(updatedEvents);
+    
+    updateTrash(trash.filter(entry => entry.event.id !== restoredEvent.id));
+  };
+
+  // Remove a single event from the Trash for good
+  const deleteFromTrash = (trashEntry) => {
+    updateTrash(trash.filter(entry => entry.event.id !== trashEntry.event.id));
+  };
+
+  // Remove everything from the Trash for good
+  const emptyTrash = () => {
+    Alert.alert(
+      'Empty Trash',
+      `${trash.length} event${trash.length === 1 ? '' : 's'} will be deleted permanently.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Empty Trash', style: 'destructive', onPress: () => updateTrash([]) },
+      ]
+    );
+  };
+
+  // Change how long deleted events are kept, confirming before anything already older is purged
+  const changeTrashRetention = (days) => {
+    const cutoff = dayjs().subtract(days, 'day');
+    const keptTrash = trash.filter(entry => dayjs(entry.deletedAt).isAfter(cutoff));
+    const saveRetention = () => {
+      setTrashRetentionDays(days);
+      saveSettings({ trashRetentionDays: days });
+      updateTrash(keptTrash);
+    };
+    
+    const purgedCount = trash.length - keptTrash.length;
+    if (purgedCount === 0) {
+      saveRetention();
+      return;
+    }
+    
+    Alert.alert(
+      'Purge Trash',
+      `${purgedCount} event${purgedCount === 1 ? '' : 's'} deleted more than ${days} days ago will be removed permanently.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Purge', style: 'destructive', onPress: saveRetention },
+      ]
+    );
+  };
+
+  // Fill the form from an event (or a single occurrence of one) and open the modal
+  const openEventEditor = (event, occurrenceDate = null) => {
+    setEditingEventId(event.seriesId || event.id);
+    setEditingOccurrence(occurrenceDate);
+    setEventName(event.name);
+    setEventDescription(event.description || '');
+    setEventDate(getFormStart(event));
+    setEventEndDate(getFormEnd(event));
+    setEventAllDay(!!event.allDay);
+    setEventTimeZone(event.timeZone || null);
+    setEventImages(getEventImages(event));
+    setEventCategory(event.category || categories[0].id);
+    setEventMemberIds(event.memberIds || []);
+    setEventExpenses(event.expenses || []);
+    setEventRepeat(occurrenceDate ? null : (isRecurring(event) ? event.repeat : null));
+    setEventReminders(getEventReminders(event));
+    setModalVisible(true);
+  };
+
+  // Function to edit an event
+  const editEvent = (occurrence) => {
+    let series = events.find(event => event.id === occurrence.seriesId);
+    
+    // An archived event joins the loaded ones, so saving the edit finds it there
+    if (!series && findArchivedEvent(occurrence.seriesId)) {
+      series = findArchivedEvent(occurrence.seriesId);
+      setEvents(current => [...current, series]);
+    }
+    
+    if (!isRecurring(series)) {
+      openEventEditor(series);
+      return;
+    }
+    
+    Alert.alert(
+      'Edit Repeating Event',
+      'Do you want to change only this occurrence or every occurrence?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'This One', onPress: () => openEventEditor(occurrence, occurrence.occurrenceDate) },
+        { text: 'All', onPress: () => openEventEditor(series) },
+      ]
+    );
+  };
+
+  // Open the Add Event modal with the date already set, e.g. from a calendar slot
+  const openAddEventAt = (date) => {
+    setEventDate(date);
+    setModalVisible(true);
+  };
+
+  // Open the Add Event modal from the + button, on the selected day when one is picked
+  const openAddEvent = () => {
+    const defaultTime = selectedDay ? dayjs(selectedDay).hour(9).minute(0).second(0) : null;
+    // New events from the Family tab are for the member being looked at
+    if (activeTab === 'Family' && familyMemberFilter) {
+      setEventMemberIds([familyMemberFilter]);
+    }
+    openAddEventAt(defaultTime && defaultTime.isAfter(dayjs()) ? defaultTime.toDate() : new Date());
+  };
+
+  // Switch between the list, month and week views
+  const changeViewMode = (mode) => {
+    setViewMode(mode);
+    if (mode === 'month' && selectedDay) {
+      setCalendarMonth(selectedDay);
+    }
+  };
+
+  // Restore the search and filters from the last session, along with the saved filters
+  const loadFilters = async () => {
+    try {
+      const { active, saved } = await storage.loadFilters();
+      setSearchQuery(active.query);
+      setFilters(active.filters);
+      setSavedFilters(saved);
+      if (active.query) {
+        setIsSearchActive(true);
+      }
+    } catch (error) {
+      console.error('Failed to load filters:', error);
+    } finally {
+      setIsFiltersLoaded(true);
+    }
+  };
+
+  // Change one or more filter chips
+  const updateFilters = (changes) => {
+    setFilters(current => ({ ...current, ...changes }));
+  };
+
+  // Add or remove a category from the category filter
+  const toggleCategoryFilter = (category) => {
+    updateFilters({
+      categories: filters.categories.includes(category)
+        ? filters.categories.filter(item => item !== category)
+        : [...filters.categories, category],
+    });
+  };
+
+  // Pick a date range preset, or clear it when the active one is tapped again
+  const selectDateRangeFilter = (dateRange) => {
+    updateFilters({ dateRange: filters.dateRange === dateRange ? null : dateRange });
+    setFilterDatePicker(null);
+  };
+
+  // Handler for the custom date range pickers
+  const onFilterDateChange = (event, selectedDate) => {
+    const field = filterDatePicker;
+    setFilterDatePicker(Platform.OS === 'ios' ? field : null);
+    
+    if (selectedDate) {
+      updateFilters({ [field]: dayjs(selectedDate).startOf('day').toISOString() });
+    }
+  };
+
+  // Clear the search text and every filter chip
+  const clearFilters = () => {
+    setSearchQuery('');
+    setFilters(EMPTY_FILTERS);
+    setFilterDatePicker(null);
+  };
+
+  // Save the current search and filters under a name, replacing a saved filter with the same name
+  const saveCurrentFilter = () => {
+    const name = savedFilterName.trim();
+    if (!name) {
+      Alert.alert('Missing Information', 'Please enter a name for this filter');
+      return;
+    }
+    
+    const savedFilter = { id: Date.now().toString(), name, query: searchQuery, filters };
+    setSavedFilters([...savedFilters.filter(item => item.name !== name), savedFilter]);
+    setSavedFilterName('');
+  };
+
+  // Apply a saved filter
+  const applySavedFilter = (savedFilter) => {
+    setSearchQuery(savedFilter.query);
+    setFilters(savedFilter.filters);
+    setFilterDatePicker(null);
+  };
+
+  // Confirm and remove a saved filter
+  const deleteSavedFilter = (savedFilter) => {
+    Alert.alert(
+      'Delete Saved Filter',
+      `Delete "${savedFilter.name}"? Your events are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => setSavedFilters(savedFilters.filter(item => item.id !== savedFilter.id)),
+        },
+      ]
+    );
+  };
+
+  // Check whether a saved filter is the one currently applied
+  const isSavedFilterActive = (savedFilter) =>
+    savedFilter.query === searchQuery && JSON.stringify(savedFilter.filters) === JSON.stringify(filters);
+
+  // Summary of the active filter chips for the banner shown while the search bar is closed
+  const describeFilters = () => {
+    const dateRange = DATE_RANGE_PRESETS.find(preset => preset.key === filters.dateRange);
+    const reminderFilter = REMINDER_FILTERS.find(option => option.key === filters.reminders);
+    
+    return [
+      ...filters.categories.map(categoryId => getCategory(categories, categoryId).name),
+      dateRange && dateRange.key !== 'custom' ? dateRange.label : null,
+      dateRange && dateRange.key === 'custom' ? [filters.customStart, filters.customEnd]
+        .map(date => date ? dayjs(date).format('MMM D') : '...')
+        .join(' - ') : null,
+      filters.hasImage ? 'Has Image' : null,
+      filters.mineOnly && myMemberId ? 'Mine Only' : null,
+      reminderFilter ? reminderFilter.label : null,
+    ].filter(Boolean).join(', ');
+  };
+
+  // Pick a day in the week agenda and show its events in the list
+  const selectWeekDay = (day) => {
+    setSelectedDay(day);
+    setViewMode('list');
+  };
+
+  // Reset form and close modal
+  const resetFormAndCloseModal = () => {
+    setEventName('');
+    setEventDescription('');
+    setEventDate(new Date());
+    setEventEndDate(null);
+    setEventAllDay(false);
+    setShowEndDatePicker(false);
+    setShowEndTimePicker(false);
+    setEventTimeZone(null);
+    setShowTimeZonePicker(false);
+    setTimeZoneQuery('');
+    setEventImages([]);
+    setEventCategory(categories[0].id);
+    setEventMemberIds([]);
+    setEventExpenses([]);
+    setEventRepeat(null);
+    setShowRepeatUntilPicker(false);
+    setEventReminders(defaultReminders);
+    setCustomReminderValue('');
+    setEditingEventId(null);
+    setEditingOccurrence(null);
+    setEventConflicts([]);
+    setModalVisible(false);
+  };
+
+  // Leave the event being edited unsaved and open one it conflicts with instead
+  const openConflictingEvent = (occurrence) => {
+    Alert.alert(
+      'Open Conflicting Event',
+      `Your changes to "${eventName}" will not be saved.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Open',
+          onPress: () => {
+            resetFormAndCloseModal();
+            editEvent(occurrence);
+          },
+        },
+      ]
+    );
+  };
+
+  // Share event details along with a link that adds the event in the recipient's app
+  const shareEvent = (event) => {
+    const message = `Event: ${event.name}\nDate: ${formatDate(event.date)}\n${event.description ? `Description: ${event.description}\n` : ''}` +
+      `\nAdd it to What's Up: ${buildEventLink(event, categories)}`;
+    
+    Share.share({
+      message,
+      title: 'Event Details',
+    });
+  };
+
+  // Write events to an .ics file and hand it to the share sheet
+  const exportEventsToICS = async (eventsToExport) => {
+    if (eventsToExport.length === 0) {
+      Alert.alert('Nothing to Export', 'There are no events to export.');
+      return;
+    }
+    
+    try {
+      const ics = eventsToICS(eventsToExport, categories);
+      const fileName = eventsToExport.length === 1
+        ? `${eventsToExport[0].name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'event'}.ics`
+        : 'whats-up-events.ics';
+      const fileUri = FileSystem.cacheDirectory + fileName;
+      await FileSystem.writeAsStringAsync(fileUri, ics);
+      
+      // iOS can share the file itself; Android's Share only accepts text
+      await Share.share(
+        Platform.OS === 'ios' ? { url: fileUri, title: fileName } : { message: ics, title: fileName }
+      );
+    } catch (error) {
+      console.error('Failed to export events:', error);
+      Alert.alert('Export Failed', 'The events could not be exported.');
+    }
+  };
+
+  // Write every expense, those of archived events included, to a CSV file and hand it to the share sheet
+  const exportExpensesToCSV = async () => {
+    try {
+      const expenseEvents = withUnloaded(await loadUnloadedEvents({ withExpenses: true }))
+        .filter(event => (event.expenses || []).length > 0);
+      if (expenseEvents.length === 0) {
+        Alert.alert('Nothing to Export', 'There are no expenses to export.');
+        return;
+      }
+
+      const csv = expensesToCSV(expenseEvents, categories, members);
+      const fileName = `whats-up-expenses-${dayjs().format('YYYY-MM-DD')}.csv`;
+      const fileUri = FileSystem.cacheDirectory + fileName;
+      await FileSystem.writeAsStringAsync(fileUri, csv);
+      
+      await Share.share(
+        Platform.OS === 'ios' ? { url: fileUri, title: fileName } : { message: csv, title: fileName }
+      );
+    } catch (error) {
+      console.error('Failed to export expenses:', error);
+      Alert.alert('Export Failed', 'The expenses could not be exported.');
+    }
+  };
+
+  // Write everything the app stores, with the photos in use, into one backup file and hand it on
+  const exportBackup = async (passphrase) => {
+    setIsBackupWorking(true);
+    try {
+      const data = await storage.exportData(BACKUP_KEYS);
+      const images = {};
+      // The exported events are every stored one, archived events included
+      for (const uri of getReferencedImages(data.events || [], trash, members)) {
+        if (uri && uri.startsWith(IMAGE_FOLDER) && (await FileSystem.getInfoAsync(uri)).exists) {
+          images[uri.slice(IMAGE_FOLDER.length)] = await FileSystem.readAsStringAsync(uri, {
+            encoding: FileSystem.EncodingType.Base64,
+          });
+        }
+      }
+      
+      const contents = createBackupContents({
+        schemaVersion: storage.CURRENT_SCHEMA_VERSION,
+        data,
+        images,
+        imageFolder: IMAGE_FOLDER,
+      });
+      const text = await serializeBackup(contents, { passphrase, randomBytes: Crypto.getRandomBytes });
+      const fileName = `whats-up-backup-${dayjs().format('YYYY-MM-DD')}.json`;
+      
+      if (Platform.OS === 'ios') {
+        const fileUri = FileSystem.cacheDirectory + fileName;
+        await FileSystem.writeAsStringAsync(fileUri, text);
+        await Share.share({ url: fileUri, title: fileName });
+      } else {
+        // Android's share sheet only passes text, which is far too small for photos, so the file is saved
+        // to a folder the user picks instead
+        const { StorageAccessFramework } = FileSystem;
+        const permission = await StorageAccessFramework.requestDirectoryPermissionsAsync();
+        if (!permission.granted) {
+          return;
+        }
+        const fileUri = await StorageAccessFramework.createFileAsync(permission.directoryUri, fileName, 'application/json');
+        await FileSystem.writeAsStringAsync(fileUri, text);
+        Alert.alert('Backup Saved', `${fileName} was saved to the folder you picked.`);
+      }
+      setBackupForm(null);
+    } catch (error) {
+      console.error('Failed to export backup:', error);
+      Alert.alert('Backup Failed', 'The backup could not be created.');
+    } finally {
+      setIsBackupWorking(false);
+    }
+  };
+
+  // Pick a backup file and ask how to restore it
+  const pickBackupFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) {
+        return;
+      }
+      
+      const archive = parseBackupFile(await FileSystem.readAsStringAsync(result.assets[0].uri));
+      setSettingsModalVisible(false);
+      setBackupForm({ mode: 'restore', archive });
+    } catch (error) {
+      console.error('Failed to read backup:', error);
+      Alert.alert('Restore Failed', error.message || 'The backup could not be read.');
+    }
+  };
+
+  // Restore the picked backup, confirming first when it replaces everything on the phone
+  const confirmRestoreBackup = (passphrase, mode) => {
+    if (mode === 'merge') {
+      restoreBackup(passphrase, mode);
+      return;
+    }
+    
+    Alert.alert(
+      'Replace Everything?',
+      'All events, settings, members and photos on this phone will be replaced by the backup.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => restoreBackup(passphrase, mode) },
+      ]
+    );
+  };
+
+  // Restore the picked backup, merged into what the phone has or replacing it, and schedule the
+  // reminders of the restored events
+  const restoreBackup = async (passphrase, mode) => {
+    setIsBackupWorking(true);
+    
+    let contents;
+    try {
+      contents = await openBackup(backupForm.archive, passphrase, storage.CURRENT_SCHEMA_VERSION);
+    } catch (error) {
+      setIsBackupWorking(false);
+      Alert.alert('Restore Failed', error.message);
+      return;
+    }
+    
+    try {
+      // Backups made before a schema change go through the same migrations as stored data
+      const restored = placeBackupImages(storage.runMigrations(contents.data, contents.schemaVersion), IMAGE_FOLDER);
+      const data = mode === 'merge' ? mergeBackupData(await storage.exportData(BACKUP_KEYS), restored) : restored;
+      
+      await FileSystem.makeDirectoryAsync(IMAGE_FOLDER, { intermediates: true });
+      for (const name of Object.keys(contents.images)) {
+        const uri = `${IMAGE_FOLDER}${name}`;
+        await FileSystem.writeAsStringAsync(uri, contents.images[name], { encoding: FileSystem.EncodingType.Base64 });
+        // The events in state do not refer to restored photos until they are loaded again
+        newImageUris.current.add(uri);
+      }
+      
+      // Notifications scheduled for the events as they were are cancelled. Loading the events again
+      // reconciles the notifications, which schedules the restored events' reminders within the limit.
+      await Notifications.cancelAllScheduledNotificationsAsync();
+      await storage.importData(data, BACKUP_KEYS);
+      const restoredCount = await storage.countEvents();
+      
+      setBackupForm(null);
+      setIsEventsLoaded(false);
+      loadStoredData();
+      requestSync();
+      Alert.alert(
+        'Backup Restored',
+        `${restoredCount} event${restoredCount === 1 ? '' : 's'} ${mode === 'merge' ? 'after merging' : 'restored'}.`
+      );
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      Alert.alert('Restore Failed', 'The backup could not be restored.');
+    } finally {
+      setIsBackupWorking(false);
+    }
+  };
+
+  // Load the sync server, if sync is on, and how the last sync went
+  const loadSync = async () => {
+    try {
+      const sync = await storage.loadSync();
+      const isOn = !!(sync && sync.enabled);
+      setSyncServer(isOn ? { url: sync.url, token: sync.token } : null);
+      setSyncStatus({
+        state: isOn ? 'idle' : 'off',
+        error: null,
+        lastSyncedAt: sync ? sync.state.lastSyncedAt : null,
+        pending: sync ? sync.pending : 0,
+      });
+    } catch (error) {
+      console.error('Failed to load sync settings:', error);
+    }
+  };
+
+  // Start syncing with a server. Switching to another server starts over, so it receives everything.
+  const turnOnSync = async (url, token) => {
+    try {
+      const stored = await storage.loadSync();
+      if (!stored || stored.url !== url) {
+        await storage.resetSyncState(createSyncState(stored ? stored.state.deviceId : undefined));
+      }
+      await storage.saveSync({ url, token, enabled: true });
+      const sync = await storage.loadSync();
+      setSyncServer({ url, token });
+      setSyncStatus({ state: 'idle', error: null, lastSyncedAt: sync.state.lastSyncedAt, pending: sync.pending });
+    } catch (error) {
+      console.error('Failed to turn on sync:', error);
+      Alert.alert('Error', 'Sync could not be turned on.');
+    }
+  };
+
+  // Stop syncing. The sync state is kept, so turning sync back on sends only what changed meanwhile.
+  const turnOffSync = async () => {
+    clearTimeout(syncTimer.current);
+    try {
+      const stored = await storage.loadSync();
+      if (stored) {
+        await storage.saveSync({ ...stored, enabled: false });
+      }
+      setSyncServer(null);
+      setSyncStatus(status => ({ ...status, state: 'off', error: null }));
+    } catch (error) {
+      console.error('Failed to turn off sync:', error);
+    }
+  };
+
+  // Sync a little after a save, once the user is likely done editing
+  const requestSync = () => {
+    if (!syncServer) {
+      return;
+    }
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(runSync, SYNC_DELAY);
+  };
+
+  // Store the records that received changes from other phones and show them. `previous` and `synced`
+  // hold the events the changes were about and whole lists of the rest. Reminders of changed events are
+  // scheduled afresh, since their times, names or members may all have changed.
+  const storeSyncedLists = async (previous, synced, changedIds) => {
+    if (changedIds.events) {
+      const syncedEvents = [...synced.events];
+      const members = synced.members || await storage.loadMembers();
+      for (const id of changedIds.events) {
+        const before = previous.events.find(event => event.id === id);
+        const index = syncedEvents.findIndex(event => event.id === id);
+        if (before) {
+          await cancelEventNotifications(before);
+        }
+        if (index !== -1) {
+          const event = syncedEvents[index];
+          const notificationIds = event.completed
+            ? []
+            : await scheduleNotifications(event, getEventReminders(event), members);
+          syncedEvents[index] = { ...event, notificationIds };
+        }
+      }
+      await storage.saveEventChanges(previous.events, syncedEvents);
+      loadEvents();
+    }
+    if (changedIds.categories) {
+      await storage.saveCategories(synced.categories);
+      loadCategories();
+    }
+    if (changedIds.members) {
+      await storage.saveMembers(synced.members);
+      loadMembers();
+    }
+    if (changedIds.settlements) {
+      await storage.saveSettlements(synced.settlements);
+      loadSettlements();
+    }
+  };
+
+  // Send what changed on this phone to the sync server and apply what the other phones changed. Works
+  // on what is stored rather than state, since it also runs from timers that outlive a render.
+  const runSync = async () => {
+    if (isSyncing.current) {
+      syncAgain.current = true;
+      return;
+    }
+    isSyncing.current = true;
+
+    try {
+      const stored = await storage.loadSync();
+      if (!stored || !stored.enabled) {
+        return;
+      }
+      setSyncStatus(status => ({ ...status, state: 'syncing', error: null }));
+
+      const result = await syncWithServer(storage, { url: stored.url, token: stored.token, storeLists: storeSyncedLists });
+
+      // Sync may have been turned off or pointed elsewhere in the meantime
+      const current = await storage.loadSync();
+      const isOn = !!(current && current.enabled);
+      setSyncStatus({
+        state: !isOn ? 'off' : result.error ? (result.offline ? 'offline' : 'error') : 'idle',
+        error: result.error,
+        lastSyncedAt: current ? current.state.lastSyncedAt : null,
+        pending: current ? current.pending : 0,
+      });
+    } catch (error) {
+      console.error('Failed to sync:', error);
+      setSyncStatus(status => ({ ...status, state: 'error', error: 'Sync failed. It will be tried again later.' }));
+    } finally {
+      isSyncing.current = false;
+      if (syncAgain.current) {
+        syncAgain.current = false;
+        runSync();
+      }
+    }
+  };
+
+  // Export every event, archived ones included
+  const exportAllEventsToICS = async () => {
+    try {
+      exportEventsToICS(withUnloaded(await storage.loadEvents()));
+    } catch (error) {
+      console.error('Failed to load events for export:', error);
+      Alert.alert('Export Failed', 'The events could not be exported.');
+    }
+  };
+
+  // Import events from an .ics file, skipping events that were imported before
+  const importICS = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/calendar', 'text/x-vcalendar', 'application/ics', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) {
+        return;
+      }
+      
+      const text = await FileSystem.readAsStringAsync(result.assets[0].uri);
+      const parsedEvents = parseICS(text);
+      // Archived events count too, so an old file imported again adds nothing
+      const knownUids = new Set(withUnloaded(await storage.loadEvents()).map(getEventUid));
+      const importedEvents = [];
+      let duplicateCount = 0;
+      
+      // Match category names from the file to existing categories, creating the ones that are missing
+      let updatedCategories = categories;
+      const getImportedCategoryId = (name) => {
+        if (!name) {
+          return updatedCategories[0].id;
+        }
+        
+        const existing = findCategoryByName(updatedCategories, name);
+        if (existing) {
+          return existing.id;
+        }
+        
+        const newCategory = createCategory(updatedCategories, { name });
+        updatedCategories = [...updatedCategories, newCategory];
+        return newCategory.id;
+      };
+      
+      for (const [index, parsedEvent] of parsedEvents.entries()) {
+        if (parsedEvent.uid && knownUids.has(parsedEvent.uid)) {
+          duplicateCount += 1;
+          continue;
+        }
+        
+        const newEvent = {
+          id: `${Date.now()}-${index}`,
+          uid: parsedEvent.uid || undefined,
+          name: parsedEvent.name,
+          description: parsedEvent.description,
+          date: parsedEvent.date,
+          endDate: parsedEvent.endDate,
+          allDay: parsedEvent.allDay,
+          timeZone: parsedEvent.timeZone,
+          images: [],
+          category: getImportedCategoryId(parsedEvent.category),
+          repeat: parsedEvent.repeat,
+          exceptions: parsedEvent.exceptions,
+          reminders: parsedEvent.reminders ? normalizeReminders(parsedEvent.reminders) : defaultReminders,
+        };
+        
+        // Only reminders that are still ahead get scheduled, so past events stay silent
+        newEvent.notificationIds = await scheduleNotifications(newEvent);
+        
+        if (parsedEvent.uid) {
+          knownUids.add(parsedEvent.uid);
+        }
+        importedEvents.push(newEvent);
+      }
+      
+      if (importedEvents.length > 0) {
+        if (updatedCategories !== categories) {
+          updateCategories(updatedCategories);
+        }
+        
+        const updatedEvents = [...events, ...importedEvents];
+        updatedEvents.sort(compareStarts);
+        setEvents(updatedEvents);
+        saveEvents(updatedEvents);
+      }
+      
+      Alert.alert(
+        'Import Complete',
+        `Imported ${importedEvents.length} event${importedEvents.length === 1 ? '' : 's'}` +
+          (duplicateCount > 0 ? `, skipped ${duplicateCount} already in your list.` : '.')
+      );
+    } catch (error) {
+      console.error('Failed to import calendar:', error);
+      Alert.alert('Import Failed', 'The selected file could not be read as an iCalendar file.');
+    }
+  };
+
+  // Toggle an event in the export selection
+  const toggleEventSelection = (id) => {
+    setSelectedEventIds(selectedEventIds.includes(id)
+      ? selectedEventIds.filter(selectedId => selectedId !== id)
+      : [...selectedEventIds, id]);
+  };
+
+  // Leave selection mode and clear the selection
+  const cancelSelection = () => {
+    setIsSelectionMode(false);
+    setSelectedEventIds([]);
+  };
+
+  // Export the selected events and leave selection mode
+  const exportSelectedEvents = async () => {
+    await exportEventsToICS(events.filter(event => selectedEventIds.includes(event.id)));
+    cancelSelection();
+  };
+
+  // Permanently discard records the storage layer could not read
+  const discardQuarantine = () => {
+    Alert.alert(
+      'Discard Damaged Records',
+      `${quarantinedCount} record${quarantinedCount === 1 ? '' : 's'} could not be read and will be deleted permanently.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await storage.clearQuarantine();
+              setQuarantinedCount(0);
+            } catch (error) {
+              console.error('Failed to clear quarantine:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Load the user's categories
+  const loadCategories = async () => {
+    try {
+      setCategories(await storage.loadCategories());
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  };
+
+  // Replace the categories and persist them
+  const updateCategories = async (updatedCategories) => {
+    setCategories(updatedCategories);
+    try {
+      await storage.saveCategories(updatedCategories);
+      requestSync();
+    } catch (error) {
+      console.error('Failed to save categories:', error);
+    }
+  };
+
+  // Save the category editor. Renaming a category to the name of another one offers to merge them.
+  const saveCategory = ({ name, color, icon }) => {
+    if (!name.trim()) {
+      Alert.alert('Missing Information', 'Please enter a category name');
+      return;
+    }
+    
+    const { category } = categoryEditor;
+    const existing = findCategoryByName(categories, name);
+    if (existing && (!category || existing.id !== category.id)) {
+      if (!category) {
+        Alert.alert('Category Exists', `There is already a category called "${existing.name}".`);
+        return;
+      }
+      
+      Alert.alert(
+        'Merge Categories',
+        `Move every event in "${category.name}" to "${existing.name}" and delete "${category.name}"?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Merge',
+            onPress: () => {
+              removeCategory(category, existing.id);
+              setCategoryEditor(null);
+            },
+          },
+        ]
+      );
+      return;
+    }
+    
+    if (category) {
+      updateCategories(categories.map(item =>
+        item.id === category.id ? { ...item, name: name.trim(), color: color || item.color, icon } : item
+      ));
+    } else {
+      updateCategories([...categories, createCategory(categories, { name, color, icon })]);
+    }
+    setCategoryEditor(null);
+  };
+
+  // Count the stored events, including those in the Trash, that use a category. Only the loaded ones
+  // are counted when the database cannot be read.
+  const countCategoryEvents = async (categoryId) => {
+    const trashedCount = trash.filter(entry => entry.event.category === categoryId).length;
+    try {
+      return await storage.countEventsInCategory(categoryId) + trashedCount;
+    } catch (error) {
+      console.error('Failed to count events:', error);
+      return events.filter(event => event.category === categoryId).length + trashedCount;
+    }
+  };
+
+  // Delete a category, asking where its events should go when it is in use
+  const deleteCategory = async (category) => {
+    if (categories.length === 1) {
+      Alert.alert('Cannot Delete', 'You need at least one category.');
+      return;
+    }
+    
+    const eventCount = await countCategoryEvents(category.id);
+    if (eventCount > 0) {
+      setDeletingCategoryCount(eventCount);
+      setDeletingCategory(category);
+      return;
+    }
+    
+    Alert.alert(
+      'Delete Category',
+      `Delete "${category.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => removeCategory(category, null) },
+      ]
+    );
+  };
+
+  // Remove a category, moving its events (and Trash entries) to another one and dropping it from filters
+  const removeCategory = async (category, targetId) => {
+    if (targetId) {
+      // Events that are not loaded are moved in the database first; the loaded ones are then saved as usual
+      try {
+        await storage.reassignEventCategory(category.id, targetId);
+      } catch (error) {
+        console.error('Failed to move events to another category:', error);
+      }
+      const updatedEvents = reassignCategory(events, category.id, targetId);
+      setEvents(updatedEvents);
+      saveEvents(updatedEvents);
+      
+      const trashEvents = reassignCategory(trash.map(entry => entry.event), category.id, targetId);
+      updateTrash(trash.map((entry, index) => ({ ...entry, event: trashEvents[index] })));
+    }
+    
+    const withoutCategory = (filterState) => ({
+      ...filterState,
+      categories: filterState.categories.filter(id => id !== category.id),
+    });
+    setFilters(withoutCategory);
+    setSavedFilters(savedFilters.map(savedFilter => ({ ...savedFilter, filters: withoutCategory(savedFilter.filters) })));
+    
+    const remainingCategories = categories.filter(item => item.id !== category.id);
+    updateCategories(remainingCategories);
+    if (eventCategory === category.id) {
+      setEventCategory(targetId || remainingCategories[0].id);
+    }
+    setDeletingCategory(null);
+  };
+
+  // Move the start of the event being edited; its end moves with it so the length stays the same
+  const changeEventStart = (newDate) => {
+    if (eventEndDate) {
+      setEventEndDate(new Date(eventEndDate.getTime() + (newDate.getTime() - eventDate.getTime())));
+    }
+    setEventDate(newDate);
+  };
+
+  // Handler for date picker changes
   const onDateChange = (event, selectedDate) => {
     const currentDate = selectedDate || eventDate;
     setShowDatePicker(Platform.OS === 'ios');
@@ -369,7 +2437,7 @@ export default function App() {
     if (selectedDate) {
       const newDate = new Date(currentDate);
       newDate.setHours(eventDate.getHours(), eventDate.getMinutes());
-      setEventDate(newDate);
+      changeEventStart(newDate);
     }
   };
 
@@ -382,7 +2450,433 @@ export default function App() {
     if (selectedTime) {
       const newDate = new Date(eventDate);
       newDate.setHours(currentTime.getHours(), currentTime.getMinutes());
-      setEventDate(newDate);
+      changeEventStart(newDate);
+    }
+  };
+
+  // Handler for end date picker changes
+  const onEndDateChange = (event, selectedDate) => {
+    setShowEndDatePicker(Platform.OS === 'ios');
+    
+    // Preserve the end time, which only matters for timed events
+    if (selectedDate) {
+      const newDate = new Date(selectedDate);
+      newDate.setHours(eventEndDate.getHours(), eventEndDate.getMinutes());
+      setEventEndDate(newDate);
+    }
+  };
+
+  // Handler for end time picker changes
+  const onEndTimeChange = (event, selectedTime) => {
+    setShowEndTimePicker(Platform.OS === 'ios');
+    
+    if (selectedTime) {
+      const newDate = new Date(eventEndDate);
+      newDate.setHours(selectedTime.getHours(), selectedTime.getMinutes());
+      setEventEndDate(newDate);
+    }
+  };
+
+  // Give the event being edited an end: an hour after it starts, or a second day for all-day events
+  const addEventEnd = () => {
+    setEventEndDate(dayjs(eventDate).add(1, eventAllDay ? 'day' : 'hour').toDate());
+  };
+
+  // Switch the event being edited between all-day and timed
+  const toggleEventAllDay = () => {
+    const allDay = !eventAllDay;
+    setEventAllDay(allDay);
+    
+    // A timed end becomes the last day when it falls on a later day; a last day means nothing for a timed event
+    if (eventEndDate && (!allDay || dayjs(eventEndDate).isSame(eventDate, 'day'))) {
+      setEventEndDate(null);
+    }
+  };
+
+  // Change the gap kept between events or the length assumed for events without an end
+  const updateConflictSettings = (changes) => {
+    const updated = { ...conflictSettings, ...changes };
+    setConflictSettings(updated);
+    saveSettings({
+      conflictBufferMinutes: updated.bufferMinutes,
+      defaultDurationMinutes: updated.defaultDurationMinutes,
+    });
+  };
+
+  // Load the household members
+  const loadMembers = async () => {
+    try {
+      setMembers(await storage.loadMembers());
+      markListLoaded('members');
+    } catch (error) {
+      console.error('Failed to load members:', error);
+    }
+  };
+
+  // Replace the household members and persist them
+  const updateMembers = async (updatedMembers) => {
+    setMembers(updatedMembers);
+    try {
+      await storage.saveMembers(updatedMembers);
+      requestSync();
+    } catch (error) {
+      console.error('Failed to save members:', error);
+    }
+  };
+
+  // Remember which member uses this phone
+  const updateMyMemberId = (memberId) => {
+    setMyMemberId(memberId);
+    saveSettings({ myMemberId: memberId });
+    if (!memberId && filters.mineOnly) {
+      updateFilters({ mineOnly: false });
+    }
+  };
+
+  // Save the member editor
+  const saveMember = ({ name, color, avatar }, isMe) => {
+    if (!name.trim()) {
+      Alert.alert('Missing Information', 'Please enter a name');
+      return;
+    }
+    
+    const { member } = memberEditor;
+    const savedMember = member
+      ? { ...member, name: name.trim(), color, avatar }
+      : createMember(members, { name, color, avatar });
+    updateMembers(member
+      ? members.map(item => item.id === member.id ? savedMember : item)
+      : [...members, savedMember]);
+    
+    if (isMe) {
+      updateMyMemberId(savedMember.id);
+    } else if (myMemberId === savedMember.id) {
+      updateMyMemberId(null);
+    }
+    setMemberEditor(null);
+  };
+
+  // Remove a household member and take them off their events, whose reminders are rescheduled
+  const deleteMember = (member) => {
+    Alert.alert(
+      'Remove Member',
+      `Remove ${member.name}? Their events stay, for the rest of the household.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            // Upcoming events after the pages read so far have reminders naming the member too
+            let memberEvents = events;
+            try {
+              memberEvents = withUnloaded(await loadLaterEvents());
+            } catch (error) {
+              console.error('Failed to load upcoming events:', error);
+            }
+            const updatedEvents = removeMemberFromEvents(memberEvents, member.id);
+            for (let index = 0; index < updatedEvents.length; index++) {
+              if (updatedEvents[index] !== memberEvents[index]) {
+                await cancelEventNotifications(memberEvents[index]);
+                const notificationIds = await scheduleNotifications(updatedEvents[index]);
+                updatedEvents[index] = { ...updatedEvents[index], notificationIds };
+              }
+            }
+            setEvents(updatedEvents);
+            saveEvents(updatedEvents, memberEvents);
+            
+            updateMembers(members.filter(item => item.id !== member.id));
+            if (myMemberId === member.id) {
+              updateMyMemberId(null);
+            }
+            if (familyMemberFilter === member.id) {
+              setFamilyMemberFilter(null);
+            }
+            setMemberEditor(null);
+          },
+        },
+      ]
+    );
+  };
+
+  // Pick a square photo for a member, resolving to its URI or null when cancelled
+  const pickMemberAvatar = async () => {
+    const uri = await pickPhoto('library', { aspect: [1, 1], quality: 0.5 });
+    if (!uri) {
+      return null;
+    }
+    
+    try {
+      return (await storeImage(uri, false)).uri;
+    } catch (error) {
+      console.error('Failed to store member picture:', error);
+      return null;
+    }
+  };
+
+  // Add or remove a member from the event being edited
+  const toggleEventMember = (memberId) => {
+    setEventMemberIds(eventMemberIds.includes(memberId)
+      ? eventMemberIds.filter(id => id !== memberId)
+      : [...eventMemberIds, memberId]);
+  };
+
+  // Load the settle-up payments between members
+  const loadSettlements = async () => {
+    try {
+      setSettlements(await storage.loadSettlements());
+    } catch (error) {
+      console.error('Failed to load settlements:', error);
+    }
+  };
+
+  // Record that a suggested transfer was paid, which takes it off both members' balances
+  const recordSettlement = (transfer, code) => {
+    const memberName = (id) => (members.find(member => member.id === id) || { name: 'Removed member' }).name;
+    Alert.alert(
+      'Settle Up',
+      `Record that ${memberName(transfer.from)} paid ${memberName(transfer.to)} ${formatAmount(transfer.amount, code)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Record',
+          onPress: async () => {
+            const updated = [...settlements, createSettlement(transfer, code)];
+            setSettlements(updated);
+            try {
+              await storage.saveSettlements(updated);
+              requestSync();
+            } catch (error) {
+              console.error('Failed to save settlements:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Load the feed subscriptions
+  const loadFeeds = async () => {
+    try {
+      const storedFeeds = await storage.loadFeeds();
+      feedsRef.current = storedFeeds;
+      setFeeds(storedFeeds);
+    } catch (error) {
+      console.error('Failed to load feeds:', error);
+    } finally {
+      setIsFeedsLoaded(true);
+    }
+  };
+
+  // Replace the feed subscriptions and persist them
+  const updateFeeds = async (updatedFeeds) => {
+    feedsRef.current = updatedFeeds;
+    setFeeds(updatedFeeds);
+    try {
+      await storage.saveFeeds(updatedFeeds);
+    } catch (error) {
+      console.error('Failed to save feeds:', error);
+    }
+  };
+
+  // Read the app's copy of a feed that was added from a file
+  const readFeedFile = (uri) => FileSystem.readAsStringAsync(uri);
+
+  // Refresh some feeds. Failures are kept on the feed and shown in the Public tab.
+  const refreshFeeds = async (feedIds) => {
+    setRefreshingFeedIds(ids => [...ids, ...feedIds]);
+    const refreshed = await Promise.all(
+      feedsRef.current.filter(feed => feedIds.includes(feed.id)).map(feed => refreshFeed(feed, readFeedFile))
+    );
+    
+    // Feeds removed while they were loading stay removed
+    updateFeeds(feedsRef.current.map(feed => refreshed.find(item => item.id === feed.id) || feed));
+    setRefreshingFeedIds(ids => ids.filter(id => !feedIds.includes(id)));
+    return refreshed;
+  };
+
+  // Refresh the feeds whose last refresh is older than the chosen interval
+  const refreshDueFeeds = () => {
+    const dueIds = feedsRef.current.filter(feed => isFeedDue(feed, feedRefreshHours)).map(feed => feed.id);
+    if (dueIds.length > 0) {
+      refreshFeeds(dueIds);
+    }
+  };
+
+  // Subscribe to a feed by its address. Resolves to whether the subscription was added.
+  const subscribeToFeed = async (url) => {
+    if (feedsRef.current.some(feed => feed.location === url)) {
+      Alert.alert('Already Subscribed', 'You are already subscribed to this feed.');
+      return false;
+    }
+    
+    const feed = await refreshFeed(createFeed(feedsRef.current, { name: null, source: 'url', location: url }), readFeedFile);
+    if (feed.error) {
+      Alert.alert('Subscription Failed', feed.error);
+      return false;
+    }
+    updateFeeds([...feedsRef.current, feed]);
+    return true;
+  };
+
+  // Subscribe to a feed from a file. The app keeps its own copy, since picked files do not stay readable.
+  const subscribeToFeedFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/calendar', 'application/json', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) {
+        return;
+      }
+      
+      const text = await FileSystem.readAsStringAsync(result.assets[0].uri);
+      const { name } = parseFeedText(text);
+      const feed = createFeed(feedsRef.current, {
+        name: name || result.assets[0].name.replace(/\.[^.]+$/, ''),
+        source: 'file',
+        location: '',
+      });
+      feed.location = `${FileSystem.documentDirectory}${feed.id}.feed`;
+      await FileSystem.writeAsStringAsync(feed.location, text);
+      updateFeeds([...feedsRef.current, await refreshFeed(feed, readFeedFile)]);
+    } catch (error) {
+      console.error('Failed to add feed file:', error);
+      Alert.alert('Subscription Failed', error.message || 'The file could not be read.');
+    }
+  };
+
+  // Unsubscribe from a feed. Events already copied from it stay.
+  const removeFeed = (feed) => {
+    Alert.alert(
+      'Remove Feed',
+      `Unsubscribe from "${feed.name}"? Events you added from it stay in your list.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            if (feed.source === 'file') {
+              FileSystem.deleteAsync(feed.location, { idempotent: true })
+                .catch(error => console.error('Failed to delete feed file:', error));
+            }
+            updateFeeds(feedsRef.current.filter(item => item.id !== feed.id));
+          },
+        },
+      ]
+    );
+  };
+
+  // Give a feed a different color
+  const changeFeedColor = (feed, color) => {
+    updateFeeds(feedsRef.current.map(item => item.id === feed.id ? { ...item, color } : item));
+  };
+
+  // Copy a feed event (the whole series for repeating ones) into the user's events with the usual reminders
+  const copyPublicEvent = async (occurrence) => {
+    const feedEvent = getFeedEvents(feeds).find(event => event.id === occurrence.seriesId);
+    // A copy may be further ahead than the upcoming pages read so far
+    let laterEvents = [];
+    try {
+      laterEvents = await loadLaterEvents();
+    } catch (error) {
+      console.error('Failed to load upcoming events:', error);
+    }
+    if (withUnloaded(laterEvents).some(event => event.uid && event.uid === feedEvent.uid)) {
+      Alert.alert('Already Added', `"${feedEvent.name}" is already in your events.`);
+      return;
+    }
+    
+    const category = feedEvent.categoryName ? findCategoryByName(categories, feedEvent.categoryName) : null;
+    storeEvent(copyFeedEvent(feedEvent, {
+      id: Date.now().toString(),
+      category: category ? category.id : categories[0].id,
+      reminders: defaultReminders,
+    }));
+    Alert.alert('Added', `"${feedEvent.name}" is now in your events.`);
+  };
+
+  // Change how often feeds are refreshed
+  const updateFeedRefreshHours = (hours) => {
+    setFeedRefreshHours(hours);
+    saveSettings({ feedRefreshHours: hours });
+  };
+
+  // Set or clear (with null) the monthly budget of a category
+  const updateBudget = (categoryId, amount) => {
+    const updated = { ...budgets };
+    if (amount) {
+      updated[categoryId] = amount;
+    } else {
+      delete updated[categoryId];
+    }
+    setBudgets(updated);
+    saveSettings({ budgets: updated });
+  };
+
+  // Change the currency new expenses start in and budgets are kept in
+  const updateCurrency = (code) => {
+    setCurrency(code);
+    saveSettings({ currency: code });
+  };
+
+  // Pick the zone the times of the event being edited are in. The times on the form stay as they are.
+  const selectEventTimeZone = (zone) => {
+    setEventTimeZone(zone);
+    setShowTimeZonePicker(false);
+    setTimeZoneQuery('');
+  };
+
+  // Toggle a reminder for the event being edited
+  const toggleEventReminder = (minutes) => {
+    setEventReminders(eventReminders.includes(minutes)
+      ? eventReminders.filter(reminder => reminder !== minutes)
+      : normalizeReminders([...eventReminders, minutes]));
+  };
+
+  // Add a custom reminder offset from the value and unit inputs
+  const addCustomReminder = () => {
+    const value = parseInt(customReminderValue, 10);
+    if (!value) {
+      return;
+    }
+    
+    const unit = REMINDER_UNITS.find(option => option.key === customReminderUnit);
+    setEventReminders(normalizeReminders([...eventReminders, value * unit.minutes]));
+    setCustomReminderValue('');
+  };
+
+  // Handler for the repeat frequency selector
+  const onRepeatFrequencyChange = (frequency) => {
+    if (frequency === 'none') {
+      setEventRepeat(null);
+    } else if (eventRepeat) {
+      setEventRepeat({ ...eventRepeat, frequency });
+    } else {
+      setEventRepeat(createRepeatRule(frequency, eventDate));
+    }
+  };
+
+  // Update one or more fields of the repeat rule being edited
+  const updateEventRepeat = (changes) => {
+    setEventRepeat({ ...eventRepeat, ...changes });
+  };
+
+  // Toggle a weekday for weekly repeats
+  const toggleRepeatWeekday = (weekday) => {
+    const weekdays = eventRepeat.weekdays.includes(weekday)
+      ? eventRepeat.weekdays.filter(day => day !== weekday)
+      : [...eventRepeat.weekdays, weekday];
+    updateEventRepeat({ weekdays });
+  };
+
+  // Handler for the repeat end date picker
+  const onRepeatUntilChange = (event, selectedDate) => {
+    setShowRepeatUntilPicker(Platform.OS === 'ios');
+    
+    if (selectedDate) {
+      updateEventRepeat({ until: selectedDate.toISOString() });
     }
   };
 
@@ -392,59 +2886,354 @@ export default function App() {
     return dayjs(date).format('MMM D, YYYY - h:mm A');
   };
 
-  // Function to calculate time remaining until an event
-  const getTimeRemaining = (dateString) => {
-    const eventDate = dayjs(dateString);
-    const now = dayjs();
+  // Change how countdowns are written
+  const updateCountdownStyle = (style) => {
+    setCountdownStyle(style);
+    saveSettings({ countdownStyle: style });
+  };
+
+  // Expand repeating events into their upcoming occurrences for the list, hiding the ones marked done.
+  // While more upcoming events are stored, the list ends with the last one read, so no event is skipped.
+  // Starts are compared as the database stores them, which reads all-day days as midnight UTC.
+  const allUpcomingOccurrences = expandEventsForList(events, now)
+    .filter(occurrence => !hasMoreUpcoming || Date.parse(occurrence.date) <= upcomingUntil.start);
+  const upcomingOccurrences = allUpcomingOccurrences.filter(occurrence => !occurrence.completed);
+  const conflictingKeys = findConflictingKeys(upcomingOccurrences, conflictSettings);
+
+  // Move the clock on whenever a countdown changes or an occurrence starts or ends, which also drops
+  // passed occurrences from the list
+  useEffect(() => {
+    const timer = setTimeout(() => setNow(new Date()), getNextTick(upcomingOccurrences, now));
+    return () => clearTimeout(timer);
+  }, [now, events]);
+  
+  // What the quick-add bar makes of the text typed so far, shown as a live preview
+  const quickAddPreview = quickAddText.trim() ? parseQuickAdd(quickAddText, categories) : null;
+
+  // Past occurrences and events marked done, most recent first, for the History view
+  const historyRetentionDays = HISTORY_RETENTION_OPTIONS.find(option => option.key === historyRetention).days;
+  const historyOccurrences = viewMode !== 'history' ? [] : [
+    // Occurrences that are still running stay in the upcoming list until they end
+    ...withUnloaded(archivedEvents).flatMap(event => getPastOccurrences(event, now).filter(occurrence => !isInProgress(occurrence, now))),
+    ...allUpcomingOccurrences.filter(occurrence => occurrence.completed),
+  ]
+    .filter(occurrence => historyRetentionDays === null ||
+      dayjs(occurrence.date).isAfter(dayjs().subtract(historyRetentionDays, 'day')))
+    .sort((a, b) => compareStarts(b, a));
+
+  // Occurrences shown by the calendar views: the six-week month grid or the current week
+  const calendarRangeStart = viewMode === 'week'
+    ? dayjs(calendarWeek).startOf('week')
+    : dayjs(calendarMonth).startOf('month').startOf('week');
+  const calendarRangeEnd = calendarRangeStart.add(viewMode === 'week' ? 7 : 42, 'day');
+  const calendarEvents = withUnloaded(calendarRangeEvents);
+  const calendarOccurrences = viewMode === 'list' ? [] : expandEventsInRange(calendarEvents, calendarRangeStart, calendarRangeEnd)
+    .filter(occurrence => !occurrence.completed);
+
+  // Calendar pages from before the archive cutoff or past the upcoming pages read so far show the events
+  // that are not loaded, read for the page shown
+  const isCalendarPageLoaded = !calendarRangeStart.isBefore(getArchiveCutoff()) &&
+    (!hasMoreUpcoming || calendarRangeEnd.valueOf() <= upcomingUntil.start);
+  useEffect(() => {
+    if (!isEventsLoaded || (viewMode !== 'month' && viewMode !== 'week') || isCalendarPageLoaded) {
+      setCalendarRangeEvents([]);
+      return;
+    }
+    storage.loadEventsInRange(calendarRangeStart.toDate(), calendarRangeEnd.toDate())
+      .then(setCalendarRangeEvents)
+      .catch(error => console.error('Failed to load events:', error));
+  }, [viewMode, calendarRangeStart.valueOf(), isEventsLoaded, isCalendarPageLoaded]);
+
+  // A day picked in a calendar view replaces the upcoming list with that day's events
+  let listOccurrences = upcomingOccurrences;
+  if (viewMode === 'history') {
+    listOccurrences = historyOccurrences;
+  } else if (selectedDay) {
+    listOccurrences = expandEventsInRange(calendarEvents, dayjs(selectedDay).startOf('day'), dayjs(selectedDay).add(1, 'day').startOf('day'))
+      .filter(occurrence => !occurrence.completed);
+  }
+
+  // Filter events based on the search query and filter chips
+  const isFiltering = searchQuery.trim() !== '' || hasActiveFilters(filters);
+  const filteredEvents = filterOccurrences(listOccurrences, searchQuery, filters, categories, new Date(), myMemberId);
+
+  // Searching and filtering the upcoming list look through every upcoming event, so the rest are read
+  // then. The next page is also read while the loaded one shows nothing, e.g. when all of it was done.
+  const needsUpcomingEvents = activeTab === 'Home' && viewMode === 'list' && !selectedDay &&
+    (isFiltering || upcomingOccurrences.length === 0);
+  useEffect(() => {
+    if (isEventsLoaded && hasMoreUpcoming && needsUpcomingEvents) {
+      loadUpcomingPage(isFiltering);
+    }
+  }, [isEventsLoaded, hasMoreUpcoming, isLoadingUpcoming, needsUpcomingEvents, isFiltering]);
+
+  // The other tabs have screens of their own instead of the event list
+  const showsEventList = activeTab === 'Home';
+
+  // Upcoming occurrences of the subscribed feeds for the Public tab
+  const publicOccurrences = activeTab === 'Public' ? expandEventsForList(getFeedEvents(feeds), now) : [];
+
+  // Upcoming occurrences on the Family tab: everyone's, or those of the member picked there
+  const familyOccurrences = familyMemberFilter
+    ? upcomingOccurrences.filter(occurrence => isMine(occurrence, familyMemberFilter))
+    : upcomingOccurrences;
+
+  // Split text into plain and highlighted parts wherever it matches the search query
+  const highlightMatches = (text) => {
+    const ranges = findMatches(text, searchQuery);
+    if (ranges.length === 0) {
+      return text;
+    }
+    
+    const parts = [];
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      parts.push(text.slice(position, start));
+      parts.push(<Text key={start} style={styles.searchHighlight}>{text.slice(start, end)}</Text>);
+      position = end;
+    });
+    parts.push(text.slice(position));
+    return parts;
+  };
+
+  // Render a selectable option button in the same style as the category selector
+  const renderOptionButton = (key, label, isActive, onPress, onLongPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.categoryButton,
+        { backgroundColor: isDarkMode ? '#333333' : '#F8F8F8' },
+        isActive && [styles.categoryButtonActive, { backgroundColor: theme.headerBackground }]
+      ]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+    >
+      <Text 
+        style={[
+          styles.categoryButtonText,
+          { color: isDarkMode ? '#AAAAAA' : '#666' },
+          isActive && styles.categoryButtonTextActive
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  // Render a category option with its icon, filled with the category color when selected
+  const renderCategoryButton = (category, isActive, onPress) => (
+    <TouchableOpacity
+      key={category.id}
+      style={[
+        styles.categoryButton,
+        styles.categoryOption,
+        { backgroundColor: isActive ? category.color : (isDarkMode ? '#333333' : '#F8F8F8') }
+      ]}
+      onPress={onPress}
+    >
+      <MaterialIcons name={category.icon} size={16} color={isActive ? '#FFF' : category.color} />
+      <Text 
+        style={[
+          styles.categoryButtonText,
+          styles.categoryOptionText,
+          { color: isDarkMode ? '#AAAAAA' : '#666' },
+          isActive && styles.categoryButtonTextActive
+        ]}
+      >
+        {category.name}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  // Render the reminders that are still ahead for an occurrence
+  const renderReminderSummary = (occurrence) => {
+    const reminders = getEventReminders(occurrence);
+    const activeReminders = reminders.filter(
+      minutes => getReminderTime(occurrence, minutes).isAfter(dayjs())
+    );
     
-    const days = eventDate.diff(now, 'day');
-    const hours = eventDate.diff(now, 'hour') % 24;
+    if (reminders.length > 0 && activeReminders.length === 0) {
+      return null;
+    }
     
-    if (days > 0) {
-      return `${days}H`;
-    } else if (hours > 0) {
-      return `${hours}H`;
-    } else {
-      const minutes = eventDate.diff(now, 'minute') % 60;
-      return `${minutes}M`;
+    return (
+      <View style={styles.locationContainer}>
+        <MaterialIcons
+          name={activeReminders.length > 0 ? 'notifications-active' : 'notifications-off'}
+          size={14}
+          color={isDarkMode ? "#AAAAAA" : "#666"}
+        />
+        <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+          {activeReminders.length > 0 ? activeReminders.map(formatReminderShort).join(', ') : 'No reminders'}
+        </Text>
+      </View>
+    );
+  };
+
+  // Open the Add Event modal with the details of a past event, on the next future date at the same time
+  const duplicateEvent = (occurrence) => {
+    const originalDate = dayjs(getFormStart(occurrence));
+    let newDate = dayjs().hour(originalDate.hour()).minute(originalDate.minute()).second(0).millisecond(0);
+    if (!newDate.isAfter(dayjs())) {
+      newDate = newDate.add(1, 'day');
     }
+    
+    // Keep the length of the original, moved along with its start
+    const formEnd = getFormEnd(occurrence);
+    
+    setEditingEventId(null);
+    setEditingOccurrence(null);
+    setEventName(occurrence.name);
+    setEventDescription(occurrence.description || '');
+    setEventDate(newDate.toDate());
+    setEventEndDate(formEnd ? dayjs(formEnd).add(newDate.diff(originalDate), 'millisecond').toDate() : null);
+    setEventAllDay(!!occurrence.allDay);
+    setEventTimeZone(occurrence.timeZone || null);
+    setEventImages(getEventImages(occurrence));
+    setEventCategory(occurrence.category || categories[0].id);
+    setEventMemberIds(occurrence.memberIds || []);
+    setEventExpenses([]);
+    setEventRepeat(null);
+    setEventReminders(getEventReminders(occurrence));
+    setModalVisible(true);
   };
 
-  // Filter events based on search query
-  const filteredEvents = events.filter(event => 
-    event.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    (event.description && event.description.toLowerCase().includes(searchQuery.toLowerCase()))
+  // Render a past event in the History view
+  const renderHistoryCard = ({ item }) => (
+    <TouchableOpacity 
+      style={[styles.eventCard, { backgroundColor: theme.cardBackground }]}
+      onPress={() => Alert.alert(item.name, item.allDay || item.endDate ? formatEventTime(item) : formatDate(item.date), [
+        { text: 'Close', style: 'cancel' },
+        { text: 'Duplicate as New', onPress: () => duplicateEvent(item) },
+      ])}
+      onLongPress={() => isRecurring(item) ? deleteRecurringEvent(item) : deleteEvent(item.seriesId)}
+    >
+      <View style={styles.eventDetails}>
+        <View style={styles.eventInfo}>
+          <Text style={[styles.eventName, { color: theme.text }]} numberOfLines={1}>{item.name}</Text>
+          <View style={styles.locationContainer}>
+            <MaterialIcons name="event" size={14} color={isDarkMode ? "#AAAAAA" : "#666"} />
+            <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+              {item.allDay || item.endDate ? formatEventTime(item) : formatDate(item.date)}
+            </Text>
+          </View>
+          {item.description ? (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name="location-on" size={14} color={isDarkMode ? "#AAAAAA" : "#666"} />
+              <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                {item.description.split('\n')[0]}
+              </Text>
+            </View>
+          ) : null}
+          <CategoryBadge category={getCategory(categories, item.category)} />
+        </View>
+        <View style={[styles.timeContainer, styles.historyBadge]}>
+          <MaterialIcons name={item.completed ? 'check' : 'history'} size={20} color="#FFF" />
+        </View>
+      </View>
+    </TouchableOpacity>
   );
 
   // Render an individual event card
   const renderEventCard = ({ item }) => (
     <TouchableOpacity 
       style={[styles.eventCard, { backgroundColor: theme.cardBackground }]}
-      onPress={() => editEvent(item)}
-      onLongPress={() => deleteEvent(item.id)}
+      onPress={() => isSelectionMode ? toggleEventSelection(item.seriesId) : editEvent(item)}
+      onLongPress={() => {
+        if (!isSelectionMode) {
+          isRecurring(item) ? deleteRecurringEvent(item) : deleteEvent(item.seriesId);
+        }
+      }}
     >
-      {item.image && (
-        <Image 
-          source={{ uri: item.image }} 
-          style={styles.eventImage}
-          resizeMode="cover"
-        />
+      {getEventImages(item).length > 0 && (
+        <ImageGallery images={getEventImages(item)} height={150} useThumbnails />
       )}
       <View style={styles.eventDetails}>
+        {isSelectionMode && (
+          <MaterialIcons
+            name={selectedEventIds.includes(item.seriesId) ? 'check-box' : 'check-box-outline-blank'}
+            size={24}
+            color={theme.headerBackground}
+            style={styles.selectionCheckbox}
+          />
+        )}
         <View style={styles.eventInfo}>
-          <Text style={[styles.eventName, { color: theme.text }]} numberOfLines={1}>{item.name}</Text>
+          <Text style={[styles.eventName, { color: theme.text }]} numberOfLines={1}>{highlightMatches(item.name)}</Text>
+          {(item.allDay || item.endDate || item.timeZone) && (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name={item.allDay ? 'today' : 'schedule'} size={14} color={isDarkMode ? "#AAAAAA" : "#666"} />
+              <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                {formatEventTime(item)}
+              </Text>
+            </View>
+          )}
+          {/* The time on the clocks of the event's own zone, when the device is somewhere else */}
+          {!item.allDay && differsFromDevice(item.date, item.timeZone) && (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name="public" size={14} color={isDarkMode ? "#AAAAAA" : "#666"} />
+              <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                {formatEventTime(item, item.timeZone)} · {formatTimeZone(item.timeZone, item.date)}
+              </Text>
+            </View>
+          )}
           <View style={styles.locationContainer}>
             <MaterialIcons name="location-on" size={14} color={isDarkMode ? "#AAAAAA" : "#666"} />
             <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
-              {item.description ? item.description.split('\n')[0] : 'No location'}
+              {item.description ? highlightMatches(item.description.split('\n')[0]) : 'No location'}
             </Text>
           </View>
-          <View style={[styles.categoryContainer, { backgroundColor: isDarkMode ? '#2C2C2C' : '#F0F0F0' }]}>
-            <Text style={[styles.categoryText, { color: isDarkMode ? "#AAAAAA" : "#666" }]}>{item.category || 'Event'}</Text>
-          </View>
+          {isRecurring(item) && (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name="repeat" size={14} color={isDarkMode ? "#AAAAAA" : "#666"} />
+              <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                {describeRepeat(item)}{item.isException ? ' (changed)' : ''}
+              </Text>
+            </View>
+          )}
+          {renderReminderSummary(item)}
+          {getEventMembers(members, item).length > 0 && (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name="person" size={14} color={theme.headerBackground} />
+              <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                For {formatMemberNames(getEventMembers(members, item))}
+              </Text>
+            </View>
+          )}
+          {item.expenses && item.expenses.length > 0 && (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name="payments" size={14} color={theme.headerBackground} />
+              <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                Spent {formatTotals(sumByCurrency(item.expenses))}
+              </Text>
+            </View>
+          )}
+          {conflictingKeys.has(item.key) && (
+            <View style={styles.locationContainer}>
+              <MaterialIcons name="warning" size={14} color={CONFLICT_COLOR} />
+              <Text style={[styles.eventLocation, { color: CONFLICT_COLOR }]} numberOfLines={1}>
+                Overlaps another event
+              </Text>
+            </View>
+          )}
+          <CategoryBadge category={getCategory(categories, item.category)} />
         </View>
-        <View style={styles.timeContainer}>
-          <Text style={styles.timeRemainingText}>{getTimeRemaining(item.date)}</Text>
+        <View
+          style={[
+            styles.timeContainer,
+            countdownStyle === 'long' && styles.timeContainerWide,
+            getCountdownState(item, now) === 'starting-soon' && styles.startingSoonBadge,
+            getCountdownState(item, now) === 'in-progress' && styles.inProgressBadge,
+          ]}
+        >
+          <Text
+            style={[
+              styles.timeRemainingText,
+              (countdownStyle === 'long' || getCountdownState(item, now) === 'in-progress') && styles.inProgressText,
+            ]}
+            numberOfLines={2}
+          >
+            {describeTimeRemaining(item, now, countdownStyle)}
+          </Text>
         </View>
       </View>
     </TouchableOpacity>
@@ -465,9 +3254,31 @@ export default function App() {
           <>
             <Text style={styles.headerTitle}>What's Up</Text>
             <View style={styles.headerIcons}>
-              <TouchableOpacity onPress={() => setIsSearchActive(true)} style={styles.headerIcon}>
-                <MaterialIcons name="search" size={24} color="#FFF" />
-              </TouchableOpacity>
+              {/* View Switcher and search, which work on the event list */}
+              {showsEventList && (
+                <>
+                  <View style={styles.viewSwitcher}>
+                    {[
+                      { mode: 'list', icon: 'view-list' },
+                      { mode: 'month', icon: 'calendar-view-month' },
+                      { mode: 'week', icon: 'view-week' },
+                      { mode: 'history', icon: 'history' },
+                    ].map(({ mode, icon }) => (
+                      <TouchableOpacity
+                        key={mode}
+                        onPress={() => changeViewMode(mode)}
+                        style={[styles.viewSwitcherButton, viewMode === mode && styles.viewSwitcherButtonActive]}
+                      >
+                        <MaterialIcons name={icon} size={20} color={viewMode === mode ? theme.headerBackground : '#FFF'} />
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <TouchableOpacity onPress={() => setIsSearchActive(true)} style={styles.headerIcon}>
+                    <MaterialIcons name="search" size={24} color="#FFF" />
+                  </TouchableOpacity>
+                </>
+              )}
+              <SyncStatusButton status={syncStatus} onPress={runSync} style={styles.headerIcon} />
               <TouchableOpacity onPress={() => setSettingsModalVisible(true)} style={styles.headerIcon}>
                 <MaterialIcons name="settings" size={24} color="#FFF" />
               </TouchableOpacity>
@@ -494,13 +3305,227 @@ export default function App() {
         )}
       </View>
       
-      {/* Event List */}
-      {filteredEvents.length > 0 ? (
+      {/* Quick Add Bar */}
+      {showsEventList && viewMode === 'list' && !isSearchActive && !isSelectionMode && (
+        <View style={[styles.quickAddBar, { backgroundColor: theme.cardBackground }]}>
+          <View style={styles.quickAddRow}>
+            <MaterialIcons name="flash-on" size={20} color={theme.headerBackground} />
+            <TextInput
+              style={[styles.quickAddInput, { color: theme.inputText }]}
+              placeholder="Quick add: Lunch tomorrow 1pm #food"
+              placeholderTextColor={theme.placeholderText}
+              value={quickAddText}
+              onChangeText={setQuickAddText}
+              onSubmitEditing={saveQuickAdd}
+              returnKeyType="done"
+            />
+            {quickAddPreview && (
+              <>
+                <TouchableOpacity onPress={() => openQuickAddInModal(quickAddPreview)} style={styles.quickAddAction}>
+                  <MaterialIcons name="open-in-full" size={20} color={isDarkMode ? "#AAAAAA" : "#666"} />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={saveQuickAdd}>
+                  <MaterialIcons name="add-circle" size={28} color={theme.headerBackground} />
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+          {quickAddPreview && (
+            <Text style={[styles.quickAddPreview, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={2}>
+              {describeQuickAdd(quickAddPreview)}
+            </Text>
+          )}
+        </View>
+      )}
+      
+      {/* Public Feeds, Family Agenda, Expenses, Event List or Calendar */}
+      {activeTab === 'Public' ? (
+        <PublicFeeds
+          feeds={feeds}
+          occurrences={publicOccurrences}
+          refreshingFeedIds={refreshingFeedIds}
+          onSubscribe={subscribeToFeed}
+          onSubscribeFile={subscribeToFeedFile}
+          onRefresh={feed => refreshFeeds([feed.id])}
+          onRemove={removeFeed}
+          onChangeColor={changeFeedColor}
+          onCopyEvent={copyPublicEvent}
+          theme={theme}
+          isDarkMode={isDarkMode}
+        />
+      ) : activeTab === 'Expense' ? (
+        <ExpenseOverview
+          events={withUnloaded(unloadedExpenseEvents)}
+          categories={categories}
+          members={members}
+          balances={computeBalances(withUnloaded(unloadedExpenseEvents), settlements)}
+          budgets={budgets}
+          currency={currency}
+          onSetBudget={updateBudget}
+          onSettle={recordSettlement}
+          onExport={exportExpensesToCSV}
+          theme={theme}
+          isDarkMode={isDarkMode}
+        />
+      ) : activeTab === 'Family' ? (
+        <FamilyAgenda
+          occurrences={familyOccurrences}
+          members={members}
+          selectedMemberId={familyMemberFilter}
+          onSelectMember={setFamilyMemberFilter}
+          onEditMember={member => setMemberEditor({ member })}
+          onAddMember={() => setMemberEditor({ member: null })}
+          onSelectEvent={editEvent}
+          onEndReached={() => loadUpcomingPage()}
+          theme={theme}
+          isDarkMode={isDarkMode}
+        />
+      ) : viewMode === 'week' ? (
+        <WeekAgenda
+          week={calendarWeek}
+          occurrences={calendarOccurrences}
+          onChangeWeek={setCalendarWeek}
+          onSelectDay={selectWeekDay}
+          onSelectSlot={openAddEventAt}
+          onSelectEvent={editEvent}
+          theme={theme}
+          isDarkMode={isDarkMode}
+        />
+      ) : viewMode === 'month' || viewMode === 'history' || selectedDay || isSearchActive || isFiltering || filteredEvents.length > 0 ? (
         <FlatList
           data={filteredEvents}
-          renderItem={renderEventCard}
-          keyExtractor={item => item.id}
+          renderItem={viewMode === 'history' ? renderHistoryCard : renderEventCard}
+          keyExtractor={item => item.key}
+          onEndReached={viewMode === 'history' ? () => loadArchivePage() : (viewMode === 'list' && !selectedDay ? () => loadUpcomingPage() : undefined)}
+          onEndReachedThreshold={0.5}
           contentContainerStyle={[styles.eventList, { paddingTop: 30 }]}
+          ListHeaderComponent={
+            <>
+              {isSearchActive && (
+                <View style={[styles.filterPanel, { backgroundColor: theme.cardBackground }]}>
+                  {savedFilters.length > 0 && (
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                      {savedFilters.map(savedFilter => renderOptionButton(
+                        savedFilter.id,
+                        savedFilter.name,
+                        isSavedFilterActive(savedFilter),
+                        () => applySavedFilter(savedFilter),
+                        () => deleteSavedFilter(savedFilter)
+                      ))}
+                    </ScrollView>
+                  )}
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {categories.map(category => renderCategoryButton(
+                      category,
+                      filters.categories.includes(category.id),
+                      () => toggleCategoryFilter(category.id)
+                    ))}
+                  </ScrollView>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {DATE_RANGE_PRESETS.map(preset => renderOptionButton(
+                      preset.key,
+                      preset.label,
+                      filters.dateRange === preset.key,
+                      () => selectDateRangeFilter(preset.key)
+                    ))}
+                  </ScrollView>
+                  {filters.dateRange === 'custom' && (
+                    <View style={styles.filterDateRow}>
+                      {[['customStart', 'From'], ['customEnd', 'To']].map(([field, label]) => (
+                        <TouchableOpacity
+                          key={field}
+                          style={[styles.dateTimeButton, styles.filterDateButton, { backgroundColor: theme.inputBackground }]}
+                          onPress={() => setFilterDatePicker(filterDatePicker === field ? null : field)}
+                        >
+                          <MaterialIcons name="event" size={18} color={theme.headerBackground} style={styles.inputIcon} />
+                          <Text style={[styles.filterDateText, { color: theme.inputText }]}>
+                            {filters[field] ? dayjs(filters[field]).format('MMM D, YYYY') : label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                  {filterDatePicker && (
+                    <DateTimePicker
+                      value={filters[filterDatePicker] ? new Date(filters[filterDatePicker]) : new Date()}
+                      mode="date"
+                      display="default"
+                      onChange={onFilterDateChange}
+                      themeVariant={isDarkMode ? "dark" : "light"}
+                    />
+                  )}
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {myMemberId && renderOptionButton('mine-only', 'Mine Only', filters.mineOnly, () => updateFilters({ mineOnly: !filters.mineOnly }))}
+                    {renderOptionButton('has-image', 'Has Image', filters.hasImage, () => updateFilters({ hasImage: !filters.hasImage }))}
+                    {REMINDER_FILTERS.map(option => renderOptionButton(
+                      option.key,
+                      option.label,
+                      filters.reminders === option.key,
+                      () => updateFilters({ reminders: filters.reminders === option.key ? null : option.key })
+                    ))}
+                  </ScrollView>
+                  <View style={styles.saveFilterRow}>
+                    <TextInput
+                      style={[styles.saveFilterInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+                      placeholder="Name this filter..."
+                      placeholderTextColor={theme.placeholderText}
+                      value={savedFilterName}
+                      onChangeText={setSavedFilterName}
+                      onSubmitEditing={saveCurrentFilter}
+                      returnKeyType="done"
+                    />
+                    <TouchableOpacity style={styles.filterAction} onPress={saveCurrentFilter}>
+                      <Text style={[styles.filterActionText, { color: theme.headerBackground }]}>Save</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.filterAction} onPress={clearFilters} disabled={!isFiltering}>
+                      <Text style={[styles.filterActionText, { color: isFiltering ? theme.headerBackground : theme.placeholderText }]}>
+                        Clear
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+              {!isSearchActive && hasActiveFilters(filters) && (
+                <View style={[styles.selectedDayBanner, { backgroundColor: theme.cardBackground }]}>
+                  <TouchableOpacity style={styles.filterBannerLabel} onPress={() => setIsSearchActive(true)}>
+                    <MaterialIcons name="filter-list" size={20} color={theme.headerBackground} style={styles.inputIcon} />
+                    <Text style={[styles.selectedDayText, styles.filterBannerText, { color: theme.text }]} numberOfLines={1}>
+                      {describeFilters()}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => setFilters(EMPTY_FILTERS)}>
+                    <MaterialIcons name="close" size={20} color={theme.headerBackground} />
+                  </TouchableOpacity>
+                </View>
+              )}
+              {viewMode === 'month' && (
+                <MonthCalendar
+                  month={calendarMonth}
+                  occurrences={calendarOccurrences}
+                  selectedDay={selectedDay}
+                  onChangeMonth={setCalendarMonth}
+                  onSelectDay={setSelectedDay}
+                  theme={theme}
+                  isDarkMode={isDarkMode}
+                />
+              )}
+              {selectedDay && viewMode !== 'history' && (
+                <View style={[styles.selectedDayBanner, { backgroundColor: theme.cardBackground }]}>
+                  <Text style={[styles.selectedDayText, { color: theme.text }]}>
+                    Events on {dayjs(selectedDay).format('ddd, MMM D')}
+                  </Text>
+                  <TouchableOpacity onPress={() => setSelectedDay(null)}>
+                    <MaterialIcons name="close" size={20} color={theme.headerBackground} />
+                  </TouchableOpacity>
+                </View>
+              )}
+            </>
+          }
+          ListEmptyComponent={
+            <Text style={[styles.noEventsSubText, styles.emptyListText, { color: isDarkMode ? "#AAAAAA" : "#999" }]}>
+              {isFiltering ? 'No matching events' : viewMode === 'history' ? 'No past events' : (selectedDay ? 'No events on this day' : 'No upcoming events')}
+            </Text>
+          }
         />
       ) : (
         <View style={styles.noEventsContainer}>
@@ -509,13 +3534,43 @@ export default function App() {
         </View>
       )}
       
-      {/* Add Event Button */}
-      <TouchableOpacity
-        style={styles.addButton}
-        onPress={() => setModalVisible(true)}
-      >
-        <MaterialIcons name="add" size={32} color="#FFF" />
-      </TouchableOpacity>
+      {/* Add Event Button, or the export bar while selecting events */}
+      {isSelectionMode ? (
+        <View style={[styles.selectionBar, { backgroundColor: theme.cardBackground, borderTopColor: theme.borderColor }]}>
+          <Text style={[styles.selectionBarText, { color: theme.text }]}>
+            {selectedEventIds.length} selected
+          </Text>
+          <TouchableOpacity style={styles.selectionBarButton} onPress={cancelSelection}>
+            <Text style={[styles.selectionBarButtonText, { color: isDarkMode ? '#AAAAAA' : '#666' }]}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.selectionBarButton}
+            onPress={exportSelectedEvents}
+            disabled={selectedEventIds.length === 0}
+          >
+            <Text style={[styles.selectionBarButtonText, { color: theme.headerBackground }]}>Export .ics</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={openAddEvent}
+        >
+          <MaterialIcons name="add" size={32} color="#FFF" />
+        </TouchableOpacity>
+      )}
+      
+      {/* Undo Snackbar */}
+      {undoEntry && (
+        <View style={styles.snackbar}>
+          <Text style={styles.snackbarText} numberOfLines={1}>
+            "{undoEntry.event.name}" moved to Trash
+          </Text>
+          <TouchableOpacity onPress={undoDelete}>
+            <Text style={styles.snackbarAction}>UNDO</Text>
+          </TouchableOpacity>
+        </View>
+      )}
       
       {/* Bottom Navigation Tabs */}
       <View style={[styles.bottomNavigation, { backgroundColor: isDarkMode ? "#1E1E1E" : "#FFFFFF", borderTopColor: theme.borderColor }]}>
@@ -559,24 +3614,43 @@ export default function App() {
         <View style={styles.modalOverlay}>
           <ScrollView>
             <View style={[styles.modalContent, { backgroundColor: theme.cardBackground }]}>
-              <Text style={[styles.modalTitle, { color: theme.headerBackground }]}>
-                {editingEventId ? 'Edit Event' : 'Add New Event'}
-              </Text>
+              <View style={styles.modalTitleRow}>
+                <Text style={[styles.modalTitle, { color: theme.headerBackground }]}>
+                  {editingEventId ? 'Edit Event' : 'Add New Event'}
+                </Text>
+                {editingEventId && (
+                  <View style={styles.modalTitleActions}>
+                    <TouchableOpacity
+                      style={styles.modalTitleAction}
+                      onPress={() => shareEvent(events.find(event => event.id === editingEventId))}
+                    >
+                      <MaterialIcons name="share" size={22} color={theme.headerBackground} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.modalTitleAction}
+                      onPress={() => exportEventsToICS(events.filter(event => event.id === editingEventId))}
+                    >
+                      <MaterialIcons name="ios-share" size={22} color={theme.headerBackground} />
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
               
-              {/* Event Image Picker */}
-              <TouchableOpacity 
-                style={[styles.imagePicker, { backgroundColor: theme.inputBackground }]} 
-                onPress={pickImage}
-              >
-                {eventImage ? (
-                  <Image source={{ uri: eventImage }} style={styles.previewImage} />
+              {/* Event Photos */}
+              <View style={[styles.imagePicker, { backgroundColor: theme.inputBackground }]}>
+                {eventImages.length > 0 ? (
+                  <ImageGallery images={eventImages} height={150} onRemove={removeEventImage} />
                 ) : (
-                  <View style={styles.imagePickerPlaceholder}>
+                  <TouchableOpacity style={styles.imagePickerPlaceholder} onPress={() => addEventImage('library')}>
                     <MaterialIcons name="add-a-photo" size={40} color={isDarkMode ? "#666666" : "#999999"} />
-                    <Text style={[styles.imagePickerText, { color: isDarkMode ? "#666666" : "#999999" }]}>Add Event Image</Text>
-                  </View>
+                    <Text style={[styles.imagePickerText, { color: isDarkMode ? "#666666" : "#999999" }]}>Add Event Photos</Text>
+                  </TouchableOpacity>
                 )}
-              </TouchableOpacity>
+              </View>
+              <View style={[styles.categoryButtons, styles.imageSourceButtons]}>
+                {renderOptionButton('photo-library', 'Choose Photo', false, () => addEventImage('library'))}
+                {renderOptionButton('photo-camera', 'Take Photo', false, () => addEventImage('camera'))}
+              </View>
               
               {/* Event Name Input */}
               <TextInput
@@ -591,30 +3665,30 @@ export default function App() {
               <View style={styles.categorySelector}>
                 <Text style={[styles.categoryLabel, { color: theme.text }]}>Category:</Text>
                 <View style={styles.categoryButtons}>
-                  {['event', 'food', 'sports', 'music', 'other'].map((category) => (
-                    <TouchableOpacity
-                      key={category}
-                      style={[
-                        styles.categoryButton,
-                        { backgroundColor: isDarkMode ? '#333333' : '#F8F8F8' },
-                        eventCategory === category && [styles.categoryButtonActive, { backgroundColor: theme.headerBackground }]
-                      ]}
-                      onPress={() => setEventCategory(category)}
-                    >
-                      <Text 
-                        style={[
-                          styles.categoryButtonText,
-                          { color: isDarkMode ? '#AAAAAA' : '#666' },
-                          eventCategory === category && styles.categoryButtonTextActive
-                        ]}
-                      >
-                        {category.charAt(0).toUpperCase() + category.slice(1)}
-                      </Text>
-                    </TouchableOpacity>
+                  {categories.map((category) => renderCategoryButton(
+                    category,
+                    eventCategory === category.id,
+                    () => setEventCategory(category.id)
                   ))}
                 </View>
               </View>
               
+              {/* Household Members the Event Is For; none means everyone */}
+              {members.length > 0 && (
+                <View style={styles.categorySelector}>
+                  <Text style={[styles.categoryLabel, { color: theme.text }]}>For:</Text>
+                  <View style={styles.categoryButtons}>
+                    {renderOptionButton('everyone', 'Everyone', eventMemberIds.length === 0, () => setEventMemberIds([]))}
+                    {members.map((member) => renderOptionButton(
+                      member.id,
+                      member.name,
+                      eventMemberIds.includes(member.id),
+                      () => toggleEventMember(member.id)
+                    ))}
+                  </View>
+                </View>
+              )}
+              
               {/* Event Description Input */}
               <TextInput
                 style={[styles.input, styles.textArea, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
@@ -638,15 +3712,101 @@ export default function App() {
               </Pressable>
               
               {/* Time Picker Button */}
-              <Pressable
-                style={[styles.dateTimeButton, { backgroundColor: theme.inputBackground }]}
-                onPress={() => setShowTimePicker(true)}
-              >
-                <MaterialIcons name="access-time" size={20} color={theme.headerBackground} style={styles.inputIcon} />
-                <Text style={[styles.dateTimeButtonText, { color: theme.inputText }]}>
-                  {dayjs(eventDate).format('h:mm A')}
-                </Text>
-              </Pressable>
+              {!eventAllDay && (
+                <Pressable
+                  style={[styles.dateTimeButton, { backgroundColor: theme.inputBackground }]}
+                  onPress={() => setShowTimePicker(true)}
+                >
+                  <MaterialIcons name="access-time" size={20} color={theme.headerBackground} style={styles.inputIcon} />
+                  <Text style={[styles.dateTimeButtonText, { color: theme.inputText }]}>
+                    {dayjs(eventDate).format('h:mm A')}
+                  </Text>
+                </Pressable>
+              )}
+              
+              {/* All Day Toggle; a single occurrence always keeps the series' kind */}
+              {!editingOccurrence && (
+                <View style={styles.allDayRow}>
+                  <Text style={[styles.categoryLabel, styles.allDayLabel, { color: theme.text }]}>All day</Text>
+                  <TouchableOpacity
+                    style={[
+                      styles.toggleContainer,
+                      { backgroundColor: eventAllDay ? theme.headerBackground : '#CCCCCC' }
+                    ]}
+                    onPress={toggleEventAllDay}
+                  >
+                    <View style={[
+                      styles.toggleHandle,
+                      { transform: [{ translateX: eventAllDay ? 20 : 0 }] }
+                    ]} />
+                  </TouchableOpacity>
+                </View>
+              )}
+              
+              {/* End Date and Time */}
+              {eventEndDate ? (
+                <View style={styles.endRow}>
+                  <Pressable
+                    style={[styles.dateTimeButton, styles.endButton, { backgroundColor: theme.inputBackground }]}
+                    onPress={() => setShowEndDatePicker(true)}
+                  >
+                    <MaterialIcons name="event-available" size={20} color={theme.headerBackground} style={styles.inputIcon} />
+                    <Text style={[styles.dateTimeButtonText, { color: theme.inputText }]}>
+                      {eventAllDay ? 'Until ' : 'Ends '}{dayjs(eventEndDate).format('MMM D, YYYY')}
+                    </Text>
+                  </Pressable>
+                  {!eventAllDay && (
+                    <Pressable
+                      style={[styles.dateTimeButton, styles.endButton, { backgroundColor: theme.inputBackground }]}
+                      onPress={() => setShowEndTimePicker(true)}
+                    >
+                      <Text style={[styles.dateTimeButtonText, { color: theme.inputText }]}>
+                        {dayjs(eventEndDate).format('h:mm A')}
+                      </Text>
+                    </Pressable>
+                  )}
+                  <TouchableOpacity style={styles.endRemoveButton} onPress={() => setEventEndDate(null)}>
+                    <MaterialIcons name="close" size={20} color={isDarkMode ? '#AAAAAA' : '#666'} />
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <View style={[styles.categoryButtons, styles.endOptions]}>
+                  {renderOptionButton('add-end', eventAllDay ? '+ More Days' : '+ End Time', false, addEventEnd)}
+                </View>
+              )}
+              
+              {/* Time Zone; a single occurrence always keeps the series' zone */}
+              {!eventAllDay && !editingOccurrence && (
+                <Pressable
+                  style={[styles.dateTimeButton, { backgroundColor: theme.inputBackground }]}
+                  onPress={() => setShowTimeZonePicker(!showTimeZonePicker)}
+                >
+                  <MaterialIcons name="public" size={20} color={theme.headerBackground} style={styles.inputIcon} />
+                  <Text style={[styles.dateTimeButtonText, { color: theme.inputText }]}>
+                    {eventTimeZone ? formatTimeZone(eventTimeZone, eventDate) : 'Device time zone'}
+                  </Text>
+                </Pressable>
+              )}
+              {showTimeZonePicker && !eventAllDay && !editingOccurrence && (
+                <View style={styles.timeZonePicker}>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+                    placeholder="Search zones, e.g. Tokyo"
+                    placeholderTextColor={theme.placeholderText}
+                    value={timeZoneQuery}
+                    onChangeText={setTimeZoneQuery}
+                    autoCorrect={false}
+                  />
+                  <ScrollView style={styles.timeZoneList} nestedScrollEnabled>
+                    <View style={styles.categoryButtons}>
+                      {renderOptionButton('device', 'Device time zone', !eventTimeZone, () => selectEventTimeZone(null))}
+                      {searchTimeZones(timeZoneQuery).map(zone =>
+                        renderOptionButton(zone, formatTimeZone(zone, eventDate), eventTimeZone === zone, () => selectEventTimeZone(zone))
+                      )}
+                    </View>
+                  </ScrollView>
+                </View>
+              )}
               
               {/* Show Date Picker when needed */}
               {showDatePicker && (
@@ -671,6 +3831,223 @@ export default function App() {
                 />
               )}
               
+              {showEndDatePicker && eventEndDate && (
+                <DateTimePicker
+                  value={eventEndDate}
+                  mode="date"
+                  display="default"
+                  onChange={onEndDateChange}
+                  minimumDate={eventDate}
+                  themeVariant={isDarkMode ? "dark" : "light"}
+                />
+              )}
+              
+              {showEndTimePicker && eventEndDate && (
+                <DateTimePicker
+                  value={eventEndDate}
+                  mode="time"
+                  display="default"
+                  onChange={onEndTimeChange}
+                  themeVariant={isDarkMode ? "dark" : "light"}
+                />
+              )}
+              
+              {/* Repeat Selector */}
+              {editingOccurrence ? (
+                <Text style={[styles.repeatNote, { color: isDarkMode ? '#AAAAAA' : '#666' }]}>
+                  Changes will only apply to this occurrence
+                </Text>
+              ) : (
+                <View style={styles.categorySelector}>
+                  <Text style={[styles.categoryLabel, { color: theme.text }]}>Repeat:</Text>
+                  <View style={styles.categoryButtons}>
+                    {REPEAT_FREQUENCIES.map((frequency) => renderOptionButton(
+                      frequency,
+                      frequency === 'none' ? 'Never' : frequency.charAt(0).toUpperCase() + frequency.slice(1),
+                      (eventRepeat ? eventRepeat.frequency : 'none') === frequency,
+                      () => onRepeatFrequencyChange(frequency)
+                    ))}
+                  </View>
+                  
+                  {eventRepeat && (
+                    <>
+                      {/* Repeat Interval */}
+                      <View style={styles.repeatRow}>
+                        <Text style={[styles.repeatRowText, { color: theme.text }]}>Every</Text>
+                        <TextInput
+                          style={[styles.repeatNumberInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+                          value={String(eventRepeat.interval)}
+                          onChangeText={(text) => updateEventRepeat({ interval: text.replace(/[^0-9]/g, '') })}
+                          keyboardType="number-pad"
+                          maxLength={3}
+                        />
+                        <Text style={[styles.repeatRowText, { color: theme.text }]}>
+                          {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' }[eventRepeat.frequency]}
+                        </Text>
+                      </View>
+                      
+                      {/* Weekdays for weekly repeats */}
+                      {eventRepeat.frequency === 'weekly' && (
+                        <View style={styles.categoryButtons}>
+                          {WEEKDAY_NAMES.map((name, weekday) => renderOptionButton(
+                            name,
+                            name,
+                            eventRepeat.weekdays.includes(weekday),
+                            () => toggleRepeatWeekday(weekday)
+                          ))}
+                        </View>
+                      )}
+                      
+                      {/* Day of month or nth weekday for monthly repeats */}
+                      {eventRepeat.frequency === 'monthly' && (
+                        <View style={styles.categoryButtons}>
+                          {renderOptionButton(
+                            'date',
+                            `On day ${dayjs(eventDate).date()}`,
+                            eventRepeat.monthlyMode === 'date',
+                            () => updateEventRepeat({ monthlyMode: 'date' })
+                          )}
+                          {renderOptionButton(
+                            'weekday',
+                            `On the ${formatNthWeekday(eventDate)}`,
+                            eventRepeat.monthlyMode === 'weekday',
+                            () => updateEventRepeat({ monthlyMode: 'weekday' })
+                          )}
+                        </View>
+                      )}
+                      
+                      {/* Repeat End */}
+                      <Text style={[styles.categoryLabel, { color: theme.text }]}>Ends:</Text>
+                      <View style={styles.categoryButtons}>
+                        {renderOptionButton('never', 'Never', eventRepeat.endType === 'never', () => updateEventRepeat({ endType: 'never' }))}
+                        {renderOptionButton('until', 'On Date', eventRepeat.endType === 'until', () => updateEventRepeat({ endType: 'until' }))}
+                        {renderOptionButton('count', 'After', eventRepeat.endType === 'count', () => updateEventRepeat({ endType: 'count' }))}
+                      </View>
+                      
+                      {eventRepeat.endType === 'until' && (
+                        <Pressable
+                          style={[styles.dateTimeButton, { backgroundColor: theme.inputBackground }]}
+                          onPress={() => setShowRepeatUntilPicker(true)}
+                        >
+                          <MaterialIcons name="event-busy" size={20} color={theme.headerBackground} style={styles.inputIcon} />
+                          <Text style={[styles.dateTimeButtonText, { color: theme.inputText }]}>
+                            {eventRepeat.until ? dayjs(eventRepeat.until).format('MMM D, YYYY') : 'Choose end date'}
+                          </Text>
+                        </Pressable>
+                      )}
+                      
+                      {eventRepeat.endType === 'count' && (
+                        <View style={styles.repeatRow}>
+                          <TextInput
+                            style={[styles.repeatNumberInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+                            value={String(eventRepeat.count)}
+                            onChangeText={(text) => updateEventRepeat({ count: text.replace(/[^0-9]/g, '') })}
+                            keyboardType="number-pad"
+                            maxLength={3}
+                          />
+                          <Text style={[styles.repeatRowText, { color: theme.text }]}>occurrences</Text>
+                        </View>
+                      )}
+                      
+                      {showRepeatUntilPicker && (
+                        <DateTimePicker
+                          value={eventRepeat.until ? new Date(eventRepeat.until) : eventDate}
+                          mode="date"
+                          display="default"
+                          onChange={onRepeatUntilChange}
+                          minimumDate={eventDate}
+                          themeVariant={isDarkMode ? "dark" : "light"}
+                        />
+                      )}
+                    </>
+                  )}
+                </View>
+              )}
+              
+              {/* Reminder Selector */}
+              {!editingOccurrence && (
+                <View style={styles.categorySelector}>
+                  <Text style={[styles.categoryLabel, { color: theme.text }]}>Reminders:</Text>
+                  <View style={styles.categoryButtons}>
+                    {renderOptionButton('off', 'Off', eventReminders.length === 0, () => setEventReminders([]))}
+                    {normalizeReminders([...REMINDER_PRESETS, ...eventReminders]).map((minutes) => renderOptionButton(
+                      minutes,
+                      formatReminder(minutes),
+                      eventReminders.includes(minutes),
+                      () => toggleEventReminder(minutes)
+                    ))}
+                  </View>
+                  
+                  {/* Custom Reminder */}
+                  <View style={styles.repeatRow}>
+                    <TextInput
+                      style={[styles.repeatNumberInput, { backgroundColor: theme.inputBackground, color: theme.inputText }]}
+                      value={customReminderValue}
+                      onChangeText={(text) => setCustomReminderValue(text.replace(/[^0-9]/g, ''))}
+                      placeholder="#"
+                      placeholderTextColor={theme.placeholderText}
+                      keyboardType="number-pad"
+                      maxLength={3}
+                    />
+                    {REMINDER_UNITS.map((unit) => renderOptionButton(
+                      unit.key,
+                      unit.label,
+                      customReminderUnit === unit.key,
+                      () => setCustomReminderUnit(unit.key)
+                    ))}
+                    <TouchableOpacity onPress={addCustomReminder}>
+                      <MaterialIcons name="add-circle" size={28} color={theme.headerBackground} />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+              
+              {/* Expenses */}
+              <View style={styles.categorySelector}>
+                <Text style={[styles.categoryLabel, { color: theme.text }]}>Expenses:</Text>
+                <EventExpenses
+                  expenses={eventExpenses}
+                  members={members}
+                  defaultCurrency={currency}
+                  defaultDate={dayjs(eventDate).isBefore(dayjs()) ? eventDate : new Date()}
+                  onChange={setEventExpenses}
+                  theme={theme}
+                  isDarkMode={isDarkMode}
+                />
+              </View>
+              
+              {/* Conflicts found when saving */}
+              {eventConflicts.length > 0 && (
+                <View style={styles.conflictPanel}>
+                  <View style={styles.locationContainer}>
+                    <MaterialIcons name="warning" size={18} color={CONFLICT_COLOR} />
+                    <Text style={[styles.conflictTitle, { color: CONFLICT_COLOR }]}>
+                      {eventConflicts.length === 1 ? 'This overlaps another event' : `This overlaps ${eventConflicts.length} events`}
+                    </Text>
+                  </View>
+                  {eventConflicts.slice(0, 5).map(({ occurrence, conflict }) => (
+                    <TouchableOpacity
+                      key={`${occurrence.key}-${conflict.key}`}
+                      style={[styles.conflictItem, { borderBottomColor: theme.borderColor }]}
+                      onPress={() => openConflictingEvent(conflict)}
+                    >
+                      <View style={styles.eventInfo}>
+                        <Text style={[styles.conflictName, { color: theme.text }]} numberOfLines={1}>{conflict.name}</Text>
+                        <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]} numberOfLines={1}>
+                          {conflict.allDay || conflict.endDate ? formatEventTime(conflict) : formatDate(conflict.date)}
+                        </Text>
+                      </View>
+                      <MaterialIcons name="chevron-right" size={20} color={isDarkMode ? "#AAAAAA" : "#666"} />
+                    </TouchableOpacity>
+                  ))}
+                  {eventConflicts.length > 5 && (
+                    <Text style={[styles.eventLocation, { color: isDarkMode ? "#AAAAAA" : "#666" }]}>
+                      and {eventConflicts.length - 5} more
+                    </Text>
+                  )}
+                </View>
+              )}
+              
               {/* Action Buttons */}
               <View style={styles.modalButtons}>
                 <TouchableOpacity
@@ -681,11 +4058,15 @@ export default function App() {
                 </TouchableOpacity>
                 
                 <TouchableOpacity
-                  style={[styles.button, styles.addEventButton, { backgroundColor: theme.headerBackground }]}
-                  onPress={saveEvent}
+                  style={[
+                    styles.button,
+                    styles.addEventButton,
+                    { backgroundColor: eventConflicts.length > 0 ? CONFLICT_COLOR : theme.headerBackground }
+                  ]}
+                  onPress={() => saveEvent(eventConflicts.length > 0)}
                 >
                   <Text style={styles.buttonText}>
-                    {editingEventId ? 'Save Changes' : 'Add Event'}
+                    {eventConflicts.length > 0 ? 'Save Anyway' : (editingEventId ? 'Save Changes' : 'Add Event')}
                   </Text>
                 </TouchableOpacity>
               </View>
@@ -730,6 +4111,157 @@ export default function App() {
               </TouchableOpacity>
             </View>
             
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Default Reminders</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {REMINDER_PRESETS.map((minutes) => renderOptionButton(
+                  minutes,
+                  formatReminder(minutes),
+                  defaultReminders.includes(minutes),
+                  () => toggleDefaultReminder(minutes)
+                ))}
+                {renderOptionButton('notification-diagnostics', 'Scheduled Notifications', false, openNotificationDiagnostics)}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Categories</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {renderOptionButton('manage-categories', `Manage Categories (${categories.length})`, false, () => {
+                  setSettingsModalVisible(false);
+                  setCategoriesModalVisible(true);
+                })}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Sync Between Phones</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {renderOptionButton('sync', syncServer ? 'On' : 'Off', !!syncServer, () => {
+                  setSettingsModalVisible(false);
+                  setSyncModalVisible(true);
+                })}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Backup</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {renderOptionButton('export-backup', 'Back Up to File', false, () => {
+                  setSettingsModalVisible(false);
+                  setBackupForm({ mode: 'export' });
+                })}
+                {renderOptionButton('restore-backup', 'Restore From File', false, pickBackupFile)}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Keep Past Events</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {HISTORY_RETENTION_OPTIONS.map((option) => renderOptionButton(
+                  option.key,
+                  option.label,
+                  historyRetention === option.key,
+                  () => changeHistoryRetention(option.key)
+                ))}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Calendar Files (.ics)</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {renderOptionButton('export-all', 'Export All', false, () => {
+                  setSettingsModalVisible(false);
+                  exportAllEventsToICS();
+                })}
+                {renderOptionButton('export-selected', 'Select to Export', false, () => {
+                  setSettingsModalVisible(false);
+                  setViewMode('list');
+                  setIsSelectionMode(true);
+                })}
+                {renderOptionButton('import', 'Import', false, () => {
+                  setSettingsModalVisible(false);
+                  importICS();
+                })}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Keep Deleted Events</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {TRASH_RETENTION_OPTIONS.map((days) => renderOptionButton(
+                  days,
+                  `${days} Days`,
+                  trashRetentionDays === days,
+                  () => changeTrashRetention(days)
+                ))}
+                {renderOptionButton('open-trash', `Open Trash (${trash.length})`, false, () => {
+                  setSettingsModalVisible(false);
+                  setTrashModalVisible(true);
+                })}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Gap Between Events</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {CONFLICT_BUFFER_OPTIONS.map((minutes) => renderOptionButton(
+                  minutes,
+                  minutes === 0 ? 'None' : formatReminderDuration(minutes),
+                  conflictSettings.bufferMinutes === minutes,
+                  () => updateConflictSettings({ bufferMinutes: minutes })
+                ))}
+              </View>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Events Without an End Last</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {DEFAULT_DURATION_OPTIONS.map((minutes) => renderOptionButton(
+                  minutes,
+                  formatReminderDuration(minutes),
+                  conflictSettings.defaultDurationMinutes === minutes,
+                  () => updateConflictSettings({ defaultDurationMinutes: minutes })
+                ))}
+              </View>
+            </View>
+            
+            <View style={styles.settingSection}>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Countdowns</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {COUNTDOWN_STYLES.map((option) => renderOptionButton(
+                  option.key,
+                  option.label,
+                  countdownStyle === option.key,
+                  () => updateCountdownStyle(option.key)
+                ))}
+              </View>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Refresh Feeds Every</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {FEED_REFRESH_OPTIONS.map((hours) => renderOptionButton(
+                  hours,
+                  formatReminderDuration(hours * 60),
+                  feedRefreshHours === hours,
+                  () => updateFeedRefreshHours(hours)
+                ))}
+              </View>
+              <Text style={[styles.settingLabel, { color: theme.text }]}>Currency</Text>
+              <View style={[styles.categoryButtons, styles.settingOptions]}>
+                {CURRENCIES.map((option) => renderOptionButton(
+                  option.code,
+                  option.code,
+                  currency === option.code,
+                  () => updateCurrency(option.code)
+                ))}
+              </View>
+            </View>
+            
+            {quarantinedCount > 0 && (
+              <View style={styles.settingItem}>
+                <Text style={[styles.settingLabel, styles.settingWarning]}>
+                  {quarantinedCount} damaged record{quarantinedCount === 1 ? '' : 's'} set aside
+                </Text>
+                {renderOptionButton('discard-quarantine', 'Discard', false, discardQuarantine)}
+              </View>
+            )}
+            
             <TouchableOpacity
               style={[styles.closeButton, { backgroundColor: theme.headerBackground }]}
               onPress={() => setSettingsModalVisible(false)}
@@ -737,7 +4269,259 @@ export default function App() {
               <Text style={styles.closeButtonText}>Close</Text>
             </TouchableOpacity>
           </View>
-        </TouchableOpacity>
+        </TouchableOpacity>
+      </Modal>
+      
+      {/* Categories Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={categoriesModalVisible}
+        onRequestClose={() => {
+          setCategoryEditor(null);
+          setDeletingCategory(null);
+          setCategoriesModalVisible(false);
+        }}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.settingsModalContent, { backgroundColor: theme.cardBackground }]}>
+            {categoryEditor ? (
+              <CategoryEditor
+                key={categoryEditor.category ? categoryEditor.category.id : 'new'}
+                category={categoryEditor.category}
+                onSave={saveCategory}
+                onCancel={() => setCategoryEditor(null)}
+                theme={theme}
+                isDarkMode={isDarkMode}
+              />
+            ) : deletingCategory ? (
+              <CategoryReassignForm
+                key={deletingCategory.id}
+                category={deletingCategory}
+                categories={categories}
+                eventCount={deletingCategoryCount}
+                onConfirm={(targetId) => removeCategory(deletingCategory, targetId)}
+                onCancel={() => setDeletingCategory(null)}
+                theme={theme}
+                isDarkMode={isDarkMode}
+              />
+            ) : (
+              <>
+                <Text style={[styles.settingsTitle, { color: theme.text }]}>Categories</Text>
+                
+                <ScrollView style={styles.trashList}>
+                  {categories.map((category, index) => (
+                    <View key={category.id} style={[styles.trashItem, { borderBottomColor: theme.borderColor }]}>
+                      <View style={styles.eventInfo}>
+                        <CategoryBadge category={category} />
+                      </View>
+                      <TouchableOpacity
+                        style={styles.trashItemAction}
+                        onPress={() => updateCategories(moveCategory(categories, category.id, -1))}
+                        disabled={index === 0}
+                      >
+                        <MaterialIcons name="arrow-upward" size={22} color={index === 0 ? theme.borderColor : theme.headerBackground} />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.trashItemAction}
+                        onPress={() => updateCategories(moveCategory(categories, category.id, 1))}
+                        disabled={index === categories.length - 1}
+                      >
+                        <MaterialIcons
+                          name="arrow-downward"
+                          size={22}
+                          color={index === categories.length - 1 ? theme.borderColor : theme.headerBackground}
+                        />
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.trashItemAction} onPress={() => setCategoryEditor({ category })}>
+                        <MaterialIcons name="edit" size={22} color={theme.headerBackground} />
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.trashItemAction} onPress={() => deleteCategory(category)}>
+                        <MaterialIcons name="delete" size={22} color="#D32F2F" />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </ScrollView>
+                
+                <View style={styles.modalButtons}>
+                  <TouchableOpacity
+                    style={[styles.button, styles.cancelButton]}
+                    onPress={() => setCategoryEditor({ category: null })}
+                  >
+                    <Text style={styles.buttonText}>Add Category</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.button, styles.addEventButton, { backgroundColor: theme.headerBackground }]}
+                    onPress={() => setCategoriesModalVisible(false)}
+                  >
+                    <Text style={styles.buttonText}>Close</Text>
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+          </View>
+        </View>
+      </Modal>
+      
+      {/* Member Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={memberEditor !== null}
+        onRequestClose={() => setMemberEditor(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.settingsModalContent, { backgroundColor: theme.cardBackground }]}>
+            {memberEditor && (
+              <MemberEditor
+                key={memberEditor.member ? memberEditor.member.id : 'new'}
+                member={memberEditor.member}
+                isMe={!!memberEditor.member && memberEditor.member.id === myMemberId}
+                onSave={saveMember}
+                onDelete={() => deleteMember(memberEditor.member)}
+                onCancel={() => setMemberEditor(null)}
+                onPickAvatar={pickMemberAvatar}
+                theme={theme}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+      
+      {/* Notification Diagnostics Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={diagnosticsModalVisible}
+        onRequestClose={() => setDiagnosticsModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.settingsModalContent, { backgroundColor: theme.cardBackground }]}>
+            <NotificationDiagnostics
+              requests={scheduledRequests}
+              events={events}
+              report={notificationReport}
+              limit={NOTIFICATION_LIMIT}
+              isChecking={isCheckingNotifications}
+              onRepair={reconcileNotifications}
+              onClose={() => setDiagnosticsModalVisible(false)}
+              theme={theme}
+              isDarkMode={isDarkMode}
+            />
+          </View>
+        </View>
+      </Modal>
+      
+      {/* Sync Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={syncModalVisible}
+        onRequestClose={() => setSyncModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.settingsModalContent, { backgroundColor: theme.cardBackground }]}>
+            {syncModalVisible && (
+              <SyncSetup
+                server={syncServer}
+                status={syncStatus}
+                onTurnOn={turnOnSync}
+                onTurnOff={turnOffSync}
+                onSyncNow={runSync}
+                onClose={() => setSyncModalVisible(false)}
+                theme={theme}
+                isDarkMode={isDarkMode}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+      
+      {/* Backup Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={backupForm !== null}
+        onRequestClose={() => !isBackupWorking && setBackupForm(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.settingsModalContent, { backgroundColor: theme.cardBackground }]}>
+            {backupForm && backupForm.mode === 'export' && (
+              <BackupExport
+                isWorking={isBackupWorking}
+                onExport={exportBackup}
+                onCancel={() => setBackupForm(null)}
+                theme={theme}
+                isDarkMode={isDarkMode}
+              />
+            )}
+            {backupForm && backupForm.mode === 'restore' && (
+              <BackupRestore
+                archive={backupForm.archive}
+                isWorking={isBackupWorking}
+                onRestore={confirmRestoreBackup}
+                onCancel={() => setBackupForm(null)}
+                theme={theme}
+                isDarkMode={isDarkMode}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+      
+      {/* Trash Modal */}
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={trashModalVisible}
+        onRequestClose={() => setTrashModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.settingsModalContent, { backgroundColor: theme.cardBackground }]}>
+            <Text style={[styles.settingsTitle, { color: theme.text }]}>Trash</Text>
+            
+            {trash.length === 0 ? (
+              <Text style={[styles.noEventsSubText, styles.trashEmptyText, { color: isDarkMode ? "#AAAAAA" : "#999" }]}>
+                Trash is empty
+              </Text>
+            ) : (
+              <ScrollView style={styles.trashList}>
+                {trash.map((entry) => (
+                  <View key={`${entry.event.id}_${entry.deletedAt}`} style={[styles.trashItem, { borderBottomColor: theme.borderColor }]}>
+                    <View style={styles.eventInfo}>
+                      <Text style={[styles.settingLabel, { color: theme.text }]} numberOfLines={1}>{entry.event.name}</Text>
+                      <Text style={[styles.eventLocation, styles.trashItemDate, { color: isDarkMode ? "#AAAAAA" : "#666" }]}>
+                        Deleted {dayjs(entry.deletedAt).fromNow()}
+                      </Text>
+                    </View>
+                    <TouchableOpacity style={styles.trashItemAction} onPress={() => restoreFromTrash(entry)}>
+                      <MaterialIcons name="restore-from-trash" size={24} color={theme.headerBackground} />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.trashItemAction} onPress={() => deleteFromTrash(entry)}>
+                      <MaterialIcons name="delete-forever" size={24} color="#D32F2F" />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton]}
+                onPress={emptyTrash}
+                disabled={trash.length === 0}
+              >
+                <Text style={styles.buttonText}>Empty Trash</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.addEventButton, { backgroundColor: theme.headerBackground }]}
+                onPress={() => setTrashModalVisible(false)}
+              >
+                <Text style={styles.buttonText}>Close</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
       </Modal>
     </SafeAreaView>
   );
@@ -784,10 +4568,25 @@ const styles = StyleSheet.create({
   },
   headerIcons: {
     flexDirection: 'row',
+    alignItems: 'center',
   },
   headerIcon: {
     marginLeft: 15,
   },
+  viewSwitcher: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    borderRadius: 16,
+    padding: 2,
+  },
+  viewSwitcherButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    borderRadius: 14,
+  },
+  viewSwitcherButtonActive: {
+    backgroundColor: '#FFF',
+  },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -802,6 +4601,36 @@ const styles = StyleSheet.create({
     paddingHorizontal: 10,
     fontSize: 16,
   },
+  quickAddBar: {
+    marginHorizontal: 16,
+    marginTop: 4,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    zIndex: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  quickAddRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  quickAddInput: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: 6,
+    marginLeft: 8,
+  },
+  quickAddAction: {
+    marginHorizontal: 10,
+  },
+  quickAddPreview: {
+    fontSize: 13,
+    marginTop: 4,
+  },
   eventList: {
     padding: 16,
     paddingTop: 30, // Add extra padding to create overlap effect
@@ -817,10 +4646,6 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 2,
   },
-  eventImage: {
-    width: '100%',
-    height: 150,
-  },
   eventDetails: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -836,4 +4661,491 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 4,
   },
-  locationContainer
\ No newline at end of file
+  locationContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  eventLocation: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 4,
+    flex: 1,
+  },
+  timeContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FF4500',
+    borderRadius: 25,
+    width: 50,
+    height: 50,
+  },
+  historyBadge: {
+    backgroundColor: '#999999',
+  },
+  timeContainerWide: {
+    width: 'auto',
+    minWidth: 50,
+    maxWidth: 96,
+    paddingHorizontal: 8,
+    borderRadius: 12,
+  },
+  startingSoonBadge: {
+    backgroundColor: '#F9A825',
+  },
+  inProgressBadge: {
+    backgroundColor: '#2E7D32',
+  },
+  timeRemainingText: {
+    color: '#FFF',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  inProgressText: {
+    fontSize: 10,
+    textAlign: 'center',
+  },
+  conflictPanel: {
+    borderWidth: 1,
+    borderColor: CONFLICT_COLOR,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  conflictTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  conflictItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  conflictName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  noEventsContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  noEventsText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  noEventsSubText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  emptyListText: {
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  selectedDayBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  selectedDayText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  filterPanel: {
+    borderRadius: 12,
+    paddingTop: 12,
+    paddingHorizontal: 12,
+    paddingBottom: 4,
+    marginBottom: 16,
+  },
+  filterDateRow: {
+    flexDirection: 'row',
+  },
+  filterDateButton: {
+    flex: 1,
+    padding: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  filterDateText: {
+    fontSize: 14,
+  },
+  saveFilterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  saveFilterInput: {
+    flex: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    fontSize: 14,
+  },
+  filterAction: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  filterActionText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  filterBannerLabel: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  filterBannerText: {
+    flex: 1,
+  },
+  searchHighlight: {
+    backgroundColor: '#FFE082',
+    color: '#333333',
+  },
+  addButton: {
+    position: 'absolute',
+    right: 20,
+    bottom: 90,
+    width: 60,
+    height: 60,
+    borderRadius: 30,
+    backgroundColor: '#FF4500',
+    justifyContent: 'center',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  bottomNavigation: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+    paddingVertical: 8,
+  },
+  tabButton: {
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+  },
+  activeTabButton: {
+    borderTopWidth: 2,
+  },
+  tabText: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    borderRadius: 16,
+    padding: 20,
+    marginTop: 40,
+    marginBottom: 40,
+  },
+  modalTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  modalTitleRow: {
+    justifyContent: 'center',
+  },
+  modalTitleActions: {
+    position: 'absolute',
+    right: 0,
+    top: 2,
+    flexDirection: 'row',
+  },
+  modalTitleAction: {
+    padding: 4,
+  },
+  selectionCheckbox: {
+    marginRight: 10,
+    alignSelf: 'center',
+  },
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  selectionBarText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  selectionBarButton: {
+    marginLeft: 20,
+  },
+  selectionBarButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  imagePicker: {
+    height: 150,
+    borderRadius: 12,
+    marginBottom: 16,
+    overflow: 'hidden',
+  },
+  imagePickerPlaceholder: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  imagePickerText: {
+    marginTop: 8,
+    fontSize: 14,
+  },
+  imageSourceButtons: {
+    marginTop: -8,
+    marginBottom: 8,
+  },
+  input: {
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  categorySelector: {
+    marginBottom: 16,
+  },
+  categoryLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  categoryButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  categoryButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  categoryButtonActive: {
+    backgroundColor: '#FF4500',
+  },
+  categoryButtonText: {
+    fontSize: 14,
+  },
+  categoryOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  categoryOptionText: {
+    marginLeft: 4,
+  },
+  categoryButtonTextActive: {
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  dateTimeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  inputIcon: {
+    marginRight: 10,
+  },
+  dateTimeButtonText: {
+    fontSize: 16,
+  },
+  repeatRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  repeatRowText: {
+    fontSize: 14,
+  },
+  repeatNumberInput: {
+    width: 50,
+    borderRadius: 8,
+    paddingVertical: 6,
+    marginHorizontal: 8,
+    textAlign: 'center',
+    fontSize: 16,
+  },
+  allDayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  allDayLabel: {
+    marginBottom: 0,
+  },
+  endRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  endButton: {
+    flexGrow: 1,
+    marginRight: 8,
+  },
+  endRemoveButton: {
+    padding: 4,
+    marginBottom: 16,
+  },
+  endOptions: {
+    marginBottom: 8,
+  },
+  timeZonePicker: {
+    marginTop: -8,
+    marginBottom: 8,
+  },
+  timeZoneList: {
+    maxHeight: 160,
+  },
+  repeatNote: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    marginBottom: 16,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#999999',
+    marginRight: 8,
+  },
+  addEventButton: {
+    backgroundColor: '#FF4500',
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  settingsModalContent: {
+    borderRadius: 16,
+    padding: 20,
+  },
+  settingsTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 20,
+  },
+  settingItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  settingLabel: {
+    fontSize: 16,
+  },
+  settingWarning: {
+    flex: 1,
+    color: '#D32F2F',
+  },
+  settingSection: {
+    marginBottom: 20,
+  },
+  settingOptions: {
+    marginTop: 8,
+  },
+  toggleContainer: {
+    width: 50,
+    height: 30,
+    borderRadius: 15,
+    padding: 5,
+  },
+  toggleHandle: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: '#FFF',
+  },
+  snackbar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 90,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#323232',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    elevation: 6,
+    zIndex: 2,
+  },
+  snackbarText: {
+    flex: 1,
+    color: '#FFF',
+    fontSize: 14,
+    marginRight: 12,
+  },
+  snackbarAction: {
+    color: '#FF8A65',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  trashList: {
+    maxHeight: 320,
+    marginBottom: 16,
+  },
+  trashEmptyText: {
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  trashItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  trashItemDate: {
+    marginLeft: 0,
+  },
+  trashItemAction: {
+    marginLeft: 12,
+  },
+  closeButton: {
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});